@@ -0,0 +1,23 @@
+/* Service worker for SmartBite browser push notifications */
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (e) {
+    data = { title: 'SmartBite AI', body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'SmartBite AI', {
+      body: data.body || '',
+      icon: '/logo192.png',
+      tag: data.type || 'smartbite',
+      data: { url: data.url || '/notifications' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
@@ -5,12 +5,19 @@ import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Navbar from './components/Navbar';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import FoodInventory from './pages/FoodInventory';
 import AddFood from './pages/AddFood';
+import ImportFoods from './pages/ImportFoods';
+import StorageLocations from './pages/StorageLocations';
 import Notifications from './pages/Notifications';
 import Reports from './pages/Reports';
+import Household from './pages/Household';
 import './App.css';
 
 // Protected Route Component
@@ -85,6 +92,19 @@ function App() {
                 <Register />
               </PublicRoute>
             } />
+            <Route path="/forgot-password" element={
+              <PublicRoute>
+                <ForgotPassword />
+              </PublicRoute>
+            } />
+            <Route path="/reset-password" element={
+              <PublicRoute>
+                <ResetPassword />
+              </PublicRoute>
+            } />
+            {/* Verification links work whether or not the user is signed in */}
+            <Route path="/verify-email" element={<VerifyEmail />} />
+            <Route path="/unlock-account" element={<UnlockAccount />} />
             
             {/* Protected Routes */}
             <Route path="/" element={
@@ -124,6 +144,22 @@ function App() {
                 </div>
               </ProtectedRoute>
             } />
+            <Route path="/import" element={
+              <ProtectedRoute>
+                <div>
+                  <Navbar />
+                  <ImportFoods />
+                </div>
+              </ProtectedRoute>
+            } />
+            <Route path="/locations" element={
+              <ProtectedRoute>
+                <div>
+                  <Navbar />
+                  <StorageLocations />
+                </div>
+              </ProtectedRoute>
+            } />
             <Route path="/notifications" element={
               <ProtectedRoute>
                 <div>
@@ -140,6 +176,14 @@ function App() {
                 </div>
               </ProtectedRoute>
             } />
+            <Route path="/household" element={
+              <ProtectedRoute>
+                <div>
+                  <Navbar />
+                  <Household />
+                </div>
+              </ProtectedRoute>
+            } />
           </Routes>
     </div>
       </Router>
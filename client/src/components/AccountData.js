@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Download a copy of everything stored about the account, or schedule it for deletion
+const AccountData = () => {
+  const [account, setAccount] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchAccount = async () => {
+    try {
+      const res = await api.get('/api/auth/profile');
+      setAccount(res.data.data.user);
+    } catch (e) {
+      // Error toast is shown by the API client
+    }
+  };
+
+  useEffect(() => {
+    fetchAccount();
+  }, []);
+
+  const download = async (format) => {
+    setDownloading(format);
+    try {
+      const response = await api.get('/api/auth/export', { params: { format }, responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `smartbite-export-${new Date().toISOString().split('T')[0]}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const requestDeletion = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await api.post('/api/auth/delete-account', { password, code });
+      setAccount(prev => ({ ...prev, deletionScheduledFor: res.data.data.deletionScheduledFor }));
+      setConfirming(false);
+      setPassword('');
+      setCode('');
+      toast.success(res.data.message);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const cancelDeletion = async () => {
+    setBusy(true);
+    try {
+      const res = await api.post('/api/auth/delete-account/cancel');
+      setAccount(res.data.data.user);
+      toast.success(res.data.message);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500';
+
+  return (
+    <div className="bg-white shadow rounded-2xl p-8 mt-8">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">Your Data</h2>
+
+      <div className="flex items-center justify-between mb-6">
+        <p className="text-sm text-gray-600">
+          Download your profile, health profile, food items, consumption history and notifications.
+        </p>
+        <div className="ml-4 flex space-x-2">
+          <button
+            onClick={() => download('zip')}
+            disabled={Boolean(downloading)}
+            className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {downloading === 'zip' ? 'Preparing...' : 'Download ZIP'}
+          </button>
+          <button
+            onClick={() => download('json')}
+            disabled={Boolean(downloading)}
+            className="px-4 py-2 text-sm border border-indigo-600 text-indigo-600 rounded-md hover:bg-indigo-50 disabled:opacity-50"
+          >
+            {downloading === 'json' ? 'Preparing...' : 'JSON'}
+          </button>
+        </div>
+      </div>
+
+      <div className="border-t pt-6">
+        {account && account.deletionScheduledFor ? (
+          <div className="flex items-center justify-between p-4 bg-red-50 border border-red-200 rounded-md">
+            <p className="text-sm text-red-800">
+              Your account and all of its data will be deleted on{' '}
+              <strong>{new Date(account.deletionScheduledFor).toLocaleDateString()}</strong>.
+            </p>
+            <button
+              onClick={cancelDeletion}
+              disabled={busy}
+              className="ml-4 px-4 py-2 text-sm bg-white border border-red-300 text-red-700 rounded-md hover:bg-red-100 disabled:opacity-50"
+            >
+              Keep my account
+            </button>
+          </div>
+        ) : !confirming ? (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              Delete your account. You can change your mind until the deletion date.
+            </p>
+            <button
+              onClick={() => setConfirming(true)}
+              disabled={!account}
+              className="ml-4 px-4 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+            >
+              Delete account
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={requestDeletion} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              After a grace period your profile, food items, history and notifications are permanently deleted
+              and you leave your households. Confirm with your password
+              {account.twoFactorEnabled ? ' and a current authentication code' : ''}.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+              {account.twoFactorEnabled && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Authentication or backup code</label>
+                  <input
+                    type="text"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              )}
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => { setConfirming(false); setPassword(''); setCode(''); }}
+                className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busy || !password}
+                className="px-4 py-2 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                Delete my account
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountData;
@@ -0,0 +1,7 @@
+import React from 'react';
+
+// Inline validation message under a form field
+const FieldError = ({ message }) =>
+  message ? <p className="mt-1 text-sm text-red-600">{message}</p> : null;
+
+export default FieldError;
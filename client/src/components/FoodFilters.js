@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+
+export const emptyFilters = {
+  status: [],
+  expiryStatus: [],
+  category: [],
+  location: [],
+  allergen: [],
+  risk: [],
+};
+
+const label = (value) => value.charAt(0).toUpperCase() + value.slice(1).replace(/-/g, ' ');
+
+const chipGroups = [
+  { key: 'status', title: 'Status', options: ['active', 'consumed', 'wasted', 'expired'] },
+  {
+    key: 'expiryStatus',
+    title: 'Expiry',
+    options: ['expired', 'expiring-today', 'expiring-soon', 'expiring-week', 'safe'],
+    labels: { 'expiring-today': 'Today', 'expiring-soon': 'In 3 days', 'expiring-week': 'This week', safe: 'Later' },
+  },
+  {
+    key: 'category',
+    title: 'Category',
+    options: ['dairy', 'meat', 'fruits', 'vegetables', 'grains', 'snacks', 'beverages', 'condiments', 'frozen', 'canned', 'bakery', 'other'],
+  },
+  { key: 'location', title: 'Location' },
+  {
+    key: 'allergen',
+    title: 'Contains',
+    options: ['milk', 'eggs', 'fish', 'shellfish', 'tree-nuts', 'peanuts', 'wheat', 'soybeans', 'sesame'],
+  },
+  { key: 'risk', title: 'Health risk', options: ['safe', 'risky', 'harmful'] },
+];
+
+const chipLabel = (group, value) => (group.labels && group.labels[value]) || label(value);
+
+// Search box and filter chips for the inventory list (GET /api/foods filters)
+const FoodFilters = ({ search, onSearchChange, filters, onToggle, onClear, locations = [] }) => {
+  const [open, setOpen] = useState(false);
+  const groups = chipGroups
+    .map((group) => (group.key === 'location' ? { ...group, options: locations } : group))
+    .filter((group) => group.options.length > 0);
+  const active = groups.flatMap((group) => filters[group.key].map((value) => ({ group, value })));
+
+  const chipClass = (selected) =>
+    `px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+      selected ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+    }`;
+
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="flex items-center gap-3">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => onSearchChange(e.target.value)}
+          placeholder="Search name, brand, ingredients or tags"
+          className="w-full max-w-md border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          onClick={() => setOpen(!open)}
+          className="px-3 py-2 text-sm font-medium text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          Filters{active.length > 0 ? ` (${active.length})` : ''}
+        </button>
+        {(active.length > 0 || search) && (
+          <button onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700">
+            Clear all
+          </button>
+        )}
+      </div>
+
+      {!open && active.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {active.map(({ group, value }) => (
+            <button key={`${group.key}-${value}`} onClick={() => onToggle(group.key, value)} className={chipClass(true)}>
+              {group.title}: {chipLabel(group, value)} ✕
+            </button>
+          ))}
+        </div>
+      )}
+
+      {open && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+          {groups.map((group) => (
+            <div key={group.key} className="flex flex-wrap items-center gap-2">
+              <span className="w-24 text-xs font-semibold text-gray-500 uppercase">{group.title}</span>
+              {group.options.map((value) => (
+                <button
+                  key={value}
+                  onClick={() => onToggle(group.key, value)}
+                  className={chipClass(filters[group.key].includes(value))}
+                >
+                  {chipLabel(group, value)}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FoodFilters;
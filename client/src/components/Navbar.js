@@ -21,6 +21,7 @@ const Navbar = () => {
     { name: 'Add Food', href: '/add-food', icon: '➕' },
     { name: 'Notifications', href: '/notifications', icon: '🔔' },
     { name: 'Reports', href: '/reports', icon: '📈' },
+    { name: 'Household', href: '/household', icon: '🏠' },
   ];
 
   return (
@@ -1,54 +1,52 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { io } from 'socket.io-client';
 import api from '../utils/api';
+import { subscribe, FOOD_EVENTS } from '../utils/socket';
+import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 
 const NotificationBell = () => {
-  const [socket, setSocket] = useState(null);
   const [unreadCount, setUnreadCount] = useState(0);
   const [notifications, setNotifications] = useState([]);
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [expiringCount, setExpiringCount] = useState(0);
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const userIdRef = useRef(null);
+  userIdRef.current = user?._id;
 
   useEffect(() => {
-    // Initialize socket connection
-    const newSocket = io(process.env.REACT_APP_API_URL || 'http://localhost:5000');
-    setSocket(newSocket);
-
-    // Join user room for notifications
-    const token = localStorage.getItem('token');
-    if (token) {
-      try {
-        const payload = JSON.parse(atob(token.split('.')[1]));
-        newSocket.emit('join-user-room', payload.userId);
-      } catch (error) {
-        console.error('Failed to parse token:', error);
-      }
-    }
-
-    // Listen for new notifications
-    newSocket.on('new-notification', (notification) => {
-      setNotifications(prev => [notification, ...prev]);
-      setUnreadCount(prev => prev + 1);
-      
-      // Show toast notification
-      toast.success(notification.title, {
-        duration: 5000,
-        icon: getNotificationIcon(notification.type),
-        onClick: () => {
-          setIsOpen(true);
+    // The server places the authenticated socket in this user's room
+    const unsubscribe = subscribe({
+      'new-notification': (notification) => {
+        setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)]);
+        setUnreadCount(prev => prev + 1);
+        
+        // Show toast notification
+        toast.success(notification.title, {
+          duration: 5000,
+          icon: getNotificationIcon(notification.type),
+          onClick: () => {
+            setIsOpen(true);
+          }
+        });
+      },
+      // Changes made on another device or by another household member
+      [FOOD_EVENTS.added]: ({ food, actorId }) => {
+        if (food && actorId !== userIdRef.current) {
+          toast(`${food.name} was added to the pantry`, { icon: '🛒' });
         }
-      });
+      },
+      [FOOD_EVENTS.expiring]: ({ foods }) => {
+        setExpiringCount(foods.length);
+      }
     });
 
     // Fetch initial notifications
     fetchNotifications();
 
-    return () => {
-      newSocket.close();
-    };
+    return unsubscribe;
   }, []);
 
   const fetchNotifications = async () => {
@@ -174,6 +172,15 @@ const NotificationBell = () => {
             </div>
           </div>
 
+          {expiringCount > 0 && (
+            <button
+              onClick={() => { setIsOpen(false); navigate('/inventory'); }}
+              className="w-full px-4 py-2 text-left text-sm text-orange-700 bg-orange-50 hover:bg-orange-100 border-b border-gray-200"
+            >
+              ⏰ {expiringCount} item{expiringCount === 1 ? '' : 's'} expiring soon - view pantry
+            </button>
+          )}
+
           {/* Notifications List */}
           <div className="max-h-96 overflow-y-auto">
             {loading ? (
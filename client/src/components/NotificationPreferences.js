@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
+import { timezones, browserTimezone } from '../utils/timezones';
+import { enablePush, disablePush } from '../utils/push';
 
 const NotificationPreferences = ({ isModal = false, onClose = null }) => {
   const [loading, setLoading] = useState(true);
@@ -11,12 +13,20 @@ const NotificationPreferences = ({ isModal = false, onClose = null }) => {
     sms: false,
     whatsapp: false,
     inApp: true,
+    push: false,
+    telegram: false,
+    slack: false,
+    webhook: false,
     expiryReminders: true,
     healthWarnings: true,
     recommendations: true,
     weeklySummary: true,
     expiryReminderDays: 3,
-    notificationTime: '09:00'
+    notificationTime: '09:00',
+    timezone: browserTimezone,
+    quietHours: { enabled: false, start: '22:00', end: '07:00' },
+    digest: { email: 'off', sms: 'off', whatsapp: 'off' },
+    rateLimits: { email: 10, sms: 5, whatsapp: 5 }
   });
 
   useEffect(() => {
@@ -46,6 +56,32 @@ const NotificationPreferences = ({ isModal = false, onClose = null }) => {
     }));
   };
 
+  // Browser push needs a subscription from this browser before the channel is useful
+  const handlePushToggle = async (enabled) => {
+    try {
+      if (enabled) {
+        await enablePush();
+        toast.success('Browser push enabled on this device');
+      } else {
+        await disablePush();
+      }
+      handlePreferenceChange('push', enabled);
+    } catch (error) {
+      console.error('Browser push setup failed:', error);
+      if (!error.response) toast.error(error.message);
+    }
+  };
+
+  const handleNestedChange = (group, key, value) => {
+    setPreferences(prev => ({
+      ...prev,
+      [group]: {
+        ...prev[group],
+        [key]: value
+      }
+    }));
+  };
+
   const handleSave = async () => {
     try {
       setSaving(true);
@@ -128,13 +164,19 @@ const NotificationPreferences = ({ isModal = false, onClose = null }) => {
               { key: 'email', label: 'Email Notifications', icon: '📧' },
               { key: 'sms', label: 'SMS Notifications', icon: '📱' },
               { key: 'whatsapp', label: 'WhatsApp Notifications', icon: '💬' },
-              { key: 'inApp', label: 'In-App Notifications', icon: '🔔' }
+              { key: 'inApp', label: 'In-App Notifications', icon: '🔔' },
+              { key: 'push', label: 'Browser Push (this device)', icon: '🖥️' },
+              { key: 'telegram', label: 'Telegram', icon: '✈️' },
+              { key: 'slack', label: 'Slack', icon: '#️⃣' },
+              { key: 'webhook', label: 'Webhook', icon: '🔗' }
             ].map(channel => (
               <label key={channel.key} className="flex items-center space-x-3">
                 <input
                   type="checkbox"
                   checked={preferences[channel.key] || false}
-                  onChange={(e) => handlePreferenceChange(channel.key, e.target.checked)}
+                  onChange={(e) => channel.key === 'push'
+                    ? handlePushToggle(e.target.checked)
+                    : handlePreferenceChange(channel.key, e.target.checked)}
                   className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
                 />
                 <span className="text-lg">{channel.icon}</span>
@@ -142,6 +184,9 @@ const NotificationPreferences = ({ isModal = false, onClose = null }) => {
               </label>
             ))}
           </div>
+          <p className="mt-2 text-xs text-gray-500">
+            Telegram chat id, Slack and webhook URLs are set under Contact Information on your profile.
+          </p>
         </div>
 
         {/* Notification Types */}
@@ -200,7 +245,95 @@ const NotificationPreferences = ({ isModal = false, onClose = null }) => {
                 className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Time Zone
+              </label>
+              <select
+                value={preferences.timezone || browserTimezone}
+                onChange={(e) => handlePreferenceChange('timezone', e.target.value)}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+              >
+                {timezones.map(tz => (
+                  <option key={tz} value={tz}>{tz}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Quiet Hours & Digests */}
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 mb-4">🌙 Quiet Hours & Digests</h3>
+          <label className="flex items-center space-x-3 mb-3">
+            <input
+              type="checkbox"
+              checked={preferences.quietHours?.enabled || false}
+              onChange={(e) => handleNestedChange('quietHours', 'enabled', e.target.checked)}
+              className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+            />
+            <span className="text-sm font-medium text-gray-700">
+              Hold email, SMS and WhatsApp messages during quiet hours (urgent allergen alerts still go out)
+            </span>
+          </label>
+          {preferences.quietHours?.enabled && (
+            <div className="grid grid-cols-2 gap-4 mb-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <input
+                  type="time"
+                  value={preferences.quietHours.start || '22:00'}
+                  onChange={(e) => handleNestedChange('quietHours', 'start', e.target.value)}
+                  className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Until</label>
+                <input
+                  type="time"
+                  value={preferences.quietHours.end || '07:00'}
+                  onChange={(e) => handleNestedChange('quietHours', 'end', e.target.value)}
+                  className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {[
+              { key: 'email', label: 'Email', icon: '📧' },
+              { key: 'sms', label: 'SMS', icon: '📱' },
+              { key: 'whatsapp', label: 'WhatsApp', icon: '💬' }
+            ].map(channel => (
+              <div key={channel.key} className="space-y-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  {channel.icon} {channel.label} delivery
+                </label>
+                <select
+                  value={preferences.digest?.[channel.key] || 'off'}
+                  onChange={(e) => handleNestedChange('digest', channel.key, e.target.value)}
+                  className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  <option value="off">Send immediately</option>
+                  <option value="daily">Daily digest</option>
+                  <option value="weekly">Weekly digest (Sunday)</option>
+                </select>
+                <label className="block text-xs text-gray-500">Max per hour</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={preferences.rateLimits?.[channel.key] || ''}
+                  onChange={(e) => handleNestedChange('rateLimits', channel.key, parseInt(e.target.value) || 1)}
+                  className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                />
+              </div>
+            ))}
           </div>
+          <p className="mt-2 text-xs text-gray-500">
+            Digests are sent at your notification time. Messages over the hourly limit wait for the next hour.
+          </p>
         </div>
 
         {/* Test Notifications */}
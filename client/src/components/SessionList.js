@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+// Signed-in devices with last activity; each can be signed out remotely
+const SessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const { logout } = useAuth();
+
+  const fetchSessions = async () => {
+    try {
+      const res = await api.get('/api/auth/sessions');
+      setSessions(res.data.data.sessions || []);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const revokeSession = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+    setRevoking(session._id);
+    try {
+      await api.delete(`/api/auth/sessions/${session._id}`);
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+      toast.success('Device signed out');
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const revokeOthers = async () => {
+    setRevoking('others');
+    try {
+      const res = await api.delete('/api/auth/sessions');
+      setSessions(prev => prev.filter(s => s.current));
+      toast.success(res.data.message);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-2xl p-8 mt-8">
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-gray-900">Signed-in Devices</h2>
+        {sessions.length > 1 && (
+          <button
+            onClick={revokeOthers}
+            disabled={revoking === 'others'}
+            className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+      {loading ? (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600"></div>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {sessions.map(session => (
+            <li key={session._id} className="py-3 flex items-center justify-between">
+              <div>
+                <div className="text-sm font-medium text-gray-900">
+                  {session.deviceName || 'Unknown device'}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">This device</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  Last active {new Date(session.lastSeenAt).toLocaleString()}
+                  {session.ip ? ` · ${session.ip}` : ''}
+                  {` · Signed in ${new Date(session.createdAt).toLocaleDateString()}`}
+                </div>
+              </div>
+              <button
+                onClick={() => revokeSession(session)}
+                disabled={revoking === session._id}
+                className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                Sign out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+// Enroll, manage and turn off TOTP two-factor authentication
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  // 'disable' or 'regenerate' while the confirmation form is open
+  const [confirming, setConfirming] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const res = await api.get('/api/auth/2fa');
+      setStatus(res.data.data);
+    } catch (e) {
+      // Error toast is shown by the API client
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setConfirming(null);
+  };
+
+  const startSetup = async () => {
+    setBusy(true);
+    try {
+      const res = await api.post('/api/auth/2fa/setup');
+      setEnrollment(res.data.data);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await api.post('/api/auth/2fa/enable', { code });
+      setBackupCodes(res.data.data.backupCodes);
+      setEnrollment(null);
+      resetForm();
+      toast.success(res.data.message);
+      fetchStatus();
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitConfirmation = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (confirming === 'disable') {
+        const res = await api.post('/api/auth/2fa/disable', { password, code });
+        setBackupCodes(null);
+        toast.success(res.data.message);
+      } else {
+        const res = await api.post('/api/auth/2fa/backup-codes', { password, code });
+        setBackupCodes(res.data.data.backupCodes);
+        toast.success(res.data.message);
+      }
+      resetForm();
+      fetchStatus();
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500';
+
+  return (
+    <div className="bg-white shadow rounded-2xl p-8 mt-8">
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-gray-900">Two-Factor Authentication</h2>
+        {status && (
+          <span className={`px-2 py-0.5 text-xs rounded-full ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        )}
+      </div>
+
+      {!status ? (
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600"></div>
+      ) : (
+        <>
+          {backupCodes && (
+            <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+              <p className="text-sm text-yellow-800 mb-3">
+                Save these backup codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.
+              </p>
+              <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 mb-3">
+                {backupCodes.map(backupCode => <li key={backupCode}>{backupCode}</li>)}
+              </ul>
+              <button
+                onClick={() => setBackupCodes(null)}
+                className="px-3 py-1 text-sm bg-yellow-600 text-white rounded-md hover:bg-yellow-700"
+              >
+                I've saved them
+              </button>
+            </div>
+          )}
+
+          {!status.enabled && !enrollment && (
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-600">
+                Protect your health data with a code from an authenticator app when you sign in.
+              </p>
+              <button
+                onClick={startSetup}
+                disabled={busy}
+                className="ml-4 px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Enable
+              </button>
+            </div>
+          )}
+
+          {!status.enabled && enrollment && (
+            <form onSubmit={confirmSetup} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Scan this QR code with Google Authenticator, Authy or a similar app, then enter the 6-digit code it shows.
+              </p>
+              <img src={enrollment.qrCode} alt="Two-factor QR code" className="h-44 w-44 border rounded" />
+              <p className="text-xs text-gray-500">
+                Can't scan it? Enter this key instead: <span className="font-mono text-gray-800 break-all">{enrollment.secret}</span>
+              </p>
+              <div className="flex items-end space-x-3">
+                <div className="flex-1">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Authentication code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    className={inputClass}
+                    placeholder="123456"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={busy || !code.trim()}
+                  className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Turn on
+                </button>
+                <button
+                  type="button"
+                  onClick={() => { setEnrollment(null); resetForm(); }}
+                  className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {status.enabled && !confirming && (
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-gray-600">
+                {status.enabledAt && `Enabled ${new Date(status.enabledAt).toLocaleDateString()} · `}
+                {status.backupCodesRemaining} backup codes left
+              </div>
+              <div className="space-x-2">
+                <button
+                  onClick={() => setConfirming('regenerate')}
+                  className="px-3 py-1 text-sm border border-indigo-600 text-indigo-600 rounded-md hover:bg-indigo-50"
+                >
+                  New backup codes
+                </button>
+                <button
+                  onClick={() => setConfirming('disable')}
+                  className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700"
+                >
+                  Disable
+                </button>
+              </div>
+            </div>
+          )}
+
+          {status.enabled && confirming && (
+            <form onSubmit={submitConfirmation} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {confirming === 'disable'
+                  ? 'Confirm with your password and a current code to turn off two-factor authentication.'
+                  : 'Confirm with your password and a current code. Your old backup codes will stop working.'}
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                  <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Authentication or backup code</label>
+                  <input
+                    type="text"
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div className="flex justify-end space-x-2">
+                <button type="button" onClick={resetForm} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={busy || !password || !code.trim()}
+                  className={`px-4 py-2 text-sm text-white rounded-md disabled:opacity-50 ${confirming === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+                >
+                  {confirming === 'disable' ? 'Disable two-factor' : 'Generate new codes'}
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
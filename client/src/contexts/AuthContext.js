@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { disconnectSocket } from '../utils/socket';
+import { setAuthTokens, clearAuthTokens, withTokenRefresh } from '../utils/api';
 
 const AuthContext = createContext();
 
@@ -17,14 +19,22 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(localStorage.getItem('token'));
 
-  // Configure axios defaults
+  // Send the current access token and refresh it transparently when it expires
   useEffect(() => {
-    if (token) {
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-    } else {
-      delete axios.defaults.headers.common['Authorization'];
-    }
-  }, [token]);
+    const requestInterceptor = axios.interceptors.request.use((config) => {
+      const accessToken = localStorage.getItem('token');
+      if (accessToken) config.headers.Authorization = `Bearer ${accessToken}`;
+      return config;
+    });
+    const responseInterceptor = axios.interceptors.response.use(
+      (res) => res,
+      (error) => withTokenRefresh(error, axios)
+    );
+    return () => {
+      axios.interceptors.request.eject(requestInterceptor);
+      axios.interceptors.response.eject(responseInterceptor);
+    };
+  }, []);
 
   // Check if user is authenticated on app load
   useEffect(() => {
@@ -35,7 +45,7 @@ export const AuthProvider = ({ children }) => {
           setUser(response.data.data.user);
         } catch (error) {
           console.error('Auth check failed:', error);
-          localStorage.removeItem('token');
+          clearAuthTokens();
           setToken(null);
           setUser(null);
         }
@@ -46,19 +56,27 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, [token]);
 
+  const startSession = (data) => {
+    setAuthTokens(data);
+    setUser(data.user);
+    setToken(data.token);
+    // Reconnect realtime updates as the new user
+    disconnectSocket();
+  };
+
   const login = async (email, password) => {
     try {
       const response = await axios.post('http://localhost:5000/api/auth/login', {
         email,
         password
-      });
+      }, { _skipAuthRefresh: true });
 
-      const { user: userData, token: authToken } = response.data.data;
-      
-      setUser(userData);
-      setToken(authToken);
-      localStorage.setItem('token', authToken);
-      
+      // Two-factor accounts finish signing in with verifyTwoFactor
+      if (response.data.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.data.challengeToken };
+      }
+
+      startSession(response.data.data);
       toast.success('Login successful!');
       return { success: true };
     } catch (error) {
@@ -68,17 +86,35 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/login/2fa', {
+        challengeToken,
+        code
+      }, { _skipAuthRefresh: true });
+
+      const { backupCodesRemaining } = response.data.data;
+      startSession(response.data.data);
+      toast.success('Login successful!');
+      if (backupCodesRemaining !== undefined) {
+        toast(`Backup code used. ${backupCodesRemaining} left.`, { icon: '🔑' });
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      // A 401 here means the challenge expired or the code was wrong; 423 means locked
+      return { success: false, message, restart: error.response?.status === 423 || /log in again/i.test(message) };
+    }
+  };
+
   const register = async (userData) => {
     try {
-      const response = await axios.post('http://localhost:5000/api/auth/register', userData);
-      
-      const { user: newUser, token: authToken } = response.data.data;
-      
-      setUser(newUser);
-      setToken(authToken);
-      localStorage.setItem('token', authToken);
-      
-      toast.success('Registration successful!');
+      const response = await axios.post('http://localhost:5000/api/auth/register', userData, { _skipAuthRefresh: true });
+
+
+      startSession(response.data.data);
+      toast.success('Registration successful! Check your email to verify your address.');
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
@@ -95,7 +131,8 @@ export const AuthProvider = ({ children }) => {
     } finally {
       setUser(null);
       setToken(null);
-      localStorage.removeItem('token');
+      clearAuthTokens();
+      disconnectSocket();
       toast.success('Logged out successfully');
     }
   };
@@ -140,6 +177,51 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const resetPassword = async (resetToken, newPassword) => {
+    try {
+      await axios.post('http://localhost:5000/api/auth/reset-password', { token: resetToken, newPassword });
+      toast.success('Password reset! You can now sign in.');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Password reset failed';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
+  const verifyEmail = async (verificationToken) => {
+    try {
+      await axios.post('http://localhost:5000/api/auth/verify-email', { token: verificationToken });
+      setUser(prev => (prev ? { ...prev, emailVerified: true } : prev));
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Email verification failed';
+      return { success: false, message };
+    }
+  };
+
+  const unlockAccount = async (unlockToken) => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/unlock', { token: unlockToken });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not unlock the account';
+      return { success: false, message };
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/resend-verification');
+      toast.success(response.data.message || 'Verification email sent!');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Could not send verification email';
+      toast.error(message);
+      return { success: false, message };
+    }
+  };
+
   const value = {
     user,
     loading,
@@ -149,7 +231,12 @@ export const AuthProvider = ({ children }) => {
     logout,
     updateProfile,
     changePassword,
-    forgotPassword
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    verifyTwoFactor,
+    unlockAccount,
+    resendVerification
   };
 
   return (
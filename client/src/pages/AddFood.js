@@ -2,6 +2,8 @@ import React, { useState, useRef, useEffect } from "react";
 import { useNavigate, useSearchParams } from "react-router-dom";
 import api from "../utils/api";
 import toast from "react-hot-toast";
+import FieldError from "../components/FieldError";
+import { validateForm, getFormSchema, fieldErrorsFromResponse } from "../utils/validation";
 
 const AddFood = () => {
   const navigate = useNavigate();
@@ -25,11 +27,15 @@ const AddFood = () => {
   const [searchQuery, setSearchQuery] = useState("");
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [foodSchema, setFoodSchema] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const [formData, setFormData] = useState({
     name: "",
     brand: "",
+    store: "",
     barcode: "",
+    lotNumber: "",
     category: "",
     quantity: { amount: "", unit: "pieces" },
     quantityInput: "", // for values like 10gm, 20gm, 30gm
@@ -39,7 +45,9 @@ const AddFood = () => {
     shelfLife: { value: "", unit: "months" },
     ingredients: "",
     allergens: [],
-    location: "pantry",
+    locationId: "",
+    openedAt: "",
+    useWithinDaysAfterOpening: "",
     notes: "",
     estimatedValue: "", // in INR
     dateCalculationMode: "direct", // 'direct', 'calculated'
@@ -129,7 +137,26 @@ const AddFood = () => {
     return newFormData;
   };
 
-  const locations = ["pantry", "refrigerator", "freezer", "cabinet", "counter"];
+  const [locations, setLocations] = useState([]);
+  // Other users' pending corrections of the scanned product, and whether to
+  // share this user's own edits of it
+  const [productCorrections, setProductCorrections] = useState([]);
+  const [shareCorrection, setShareCorrection] = useState(true);
+
+  // Same rules the API validates food items with
+  useEffect(() => {
+    getFormSchema("food").then(setFoodSchema);
+  }, []);
+
+  // Storage locations of the active inventory (see /locations)
+  useEffect(() => {
+    api
+      .get("/api/locations")
+      .then((response) => setLocations(response.data.data || []))
+      .catch(() => {
+        // Error toast is shown by the API client
+      });
+  }, []);
 
   // Load food data when in edit mode
   useEffect(() => {
@@ -149,7 +176,9 @@ const AddFood = () => {
         setFormData({
           name: food.name || "",
           brand: food.brand || "",
+          store: food.store || "",
           barcode: food.barcode || "",
+          lotNumber: food.lotNumber || "",
           category: food.category || "",
           quantity: {
             amount: food.quantity?.amount || "",
@@ -175,7 +204,9 @@ const AddFood = () => {
             : food.allergens
             ? [food.allergens]
             : [],
-          location: food.location || "pantry",
+          locationId: food.locationId || "",
+          openedAt: food.openedAt ? food.openedAt.split("T")[0] : "",
+          useWithinDaysAfterOpening: food.useWithinDaysAfterOpening ?? "",
           notes: food.notes || "",
           estimatedValue: food.estimatedValue || "",
           dateCalculationMode: "direct",
@@ -282,6 +313,17 @@ const AddFood = () => {
         toast.success(`Barcode scanned: ${code.data}`);
         stopCamera();
         await lookupBarcode(code.data);
+      } else if (!isScanning) {
+        // jsQR only reads QR codes; the server also reads EAN/UPC barcodes and DataMatrix
+        setScanStatus("🔍 Reading barcode...");
+        canvas.toBlob(
+          async (blob) => {
+            if (await decodeBarcodePhoto(blob)) stopCamera();
+            else setScanStatus("⚠️ No barcode found. Move closer and try again");
+          },
+          "image/jpeg",
+          0.9
+        );
       } else {
         // Continue scanning
         if (isScanning) {
@@ -297,6 +339,41 @@ const AddFood = () => {
     }
   };
 
+  // Let the server read the barcode in a photo (EAN/UPC, Code 128, DataMatrix or QR) and
+  // look it up; true when a product was found
+  const decodeBarcodePhoto = async (imageBlob) => {
+    setIsLoading(true);
+    try {
+      const upload = new FormData();
+      upload.append("image", imageBlob);
+      const response = await api.post("/api/foods/barcode/decode", upload, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      const { barcode, lookup } = response.data.data;
+      toast.success(`${barcode.format} read: ${barcode.code}`);
+
+      if (!lookup || !lookup.success) {
+        setFormData((prev) => ({ ...prev, barcode: barcode.code }));
+        applyGS1Fields(lookup?.gs1);
+        toast.error("Product not found in database");
+        return false;
+      }
+      applyLookupResult(barcode.code, lookup.data, lookup.gs1);
+      return true;
+    } catch (error) {
+      // Error toast is shown by the API client
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBarcodePhoto = (e) => {
+    const file = e.target.files[0];
+    if (file) decodeBarcodePhoto(file);
+    e.target.value = "";
+  };
+
   // Capture photo for OCR
   const capturePhoto = () => {
     if (videoRef.current && canvasRef.current) {
@@ -411,33 +488,63 @@ const AddFood = () => {
     }
   };
 
+  // Dates and lot number carried by a GS1 code (expiry, best before,
+  // production date, batch); a best before date stands in for a missing expiry
+  const applyGS1Fields = (gs1) => {
+    const { barcode, ...fields } = gs1?.fields || {};
+    if (Object.keys(fields).length === 0) return;
+
+    setFormData((prev) => ({
+      ...prev,
+      ...fields,
+      ...(barcode && { barcode }),
+      expiryDate: fields.expiryDate || fields.bestBeforeDate || prev.expiryDate,
+      dateCalculationMode:
+        fields.expiryDate || fields.bestBeforeDate
+          ? "direct"
+          : prev.dateCalculationMode,
+    }));
+    toast.success("Dates and lot number read from the code");
+  };
+
+  // Pre-fill the form with a product found by barcode; gs1 is the parsed
+  // GS1 code when one was scanned
+  const applyLookupResult = (scanned, data, gs1) => {
+    const barcode = gs1?.fields?.barcode || scanned;
+    setScannedData(data);
+    setNutritionData(data.nutrition);
+
+    setFormData((prev) => ({
+      ...prev,
+      name: data.name || prev.name,
+      brand: data.brand || prev.brand,
+      barcode: barcode,
+      category: data.category || prev.category,
+      ingredients: data.ingredients || prev.ingredients,
+      allergens: data.allergens || prev.allergens,
+    }));
+
+    applyGS1Fields(gs1);
+
+    toast.success("Product found! Data pre-filled.");
+    setActiveTab("manual");
+    fetchProductCorrections(barcode);
+  };
+
   // Lookup barcode
   const lookupBarcode = async (barcode) => {
     if (!barcode || barcode.length < 8) return;
 
     setIsLoading(true);
     try {
-      const response = await api.get(`/api/foods/barcode/${barcode}`);
+      const response = await api.get(
+        `/api/foods/barcode/${encodeURIComponent(barcode)}`
+      );
 
       if (response.data.success) {
-        const data = response.data.data;
-        setScannedData(data);
-        setNutritionData(data.nutrition);
-
-        // Pre-fill form with scanned data
-        setFormData((prev) => ({
-          ...prev,
-          name: data.name || prev.name,
-          brand: data.brand || prev.brand,
-          barcode: barcode,
-          category: data.category || prev.category,
-          ingredients: data.ingredients || prev.ingredients,
-          allergens: data.allergens || prev.allergens,
-        }));
-
-        toast.success("Product found! Data pre-filled.");
-        setActiveTab("manual");
+        applyLookupResult(barcode, response.data.data, response.data.gs1);
       } else {
+        applyGS1Fields(response.data.gs1);
         toast.error("Product not found in database");
       }
     } catch (error) {
@@ -448,6 +555,48 @@ const AddFood = () => {
     }
   };
 
+  const fetchProductCorrections = async (barcode) => {
+    try {
+      const response = await api.get(`/api/products/${barcode}/corrections`, {
+        params: { status: "pending" },
+      });
+      setProductCorrections((response.data.data || []).filter((c) => !c.mine));
+    } catch (error) {
+      // Error toast is shown by the API client
+    }
+  };
+
+  const voteOnCorrection = async (correction, value) => {
+    try {
+      const response = await api.post(
+        `/api/products/corrections/${correction._id}/vote`,
+        { value: correction.myVote === value ? 0 : value }
+      );
+      const updated = response.data.data;
+      setProductCorrections((prev) =>
+        updated.status === "pending"
+          ? prev.map((c) => (c._id === updated._id ? updated : c))
+          : prev.filter((c) => c._id !== updated._id)
+      );
+      toast.success(response.data.message);
+    } catch (error) {
+      // Error toast is shown by the API client
+    }
+  };
+
+  // Scanned product fields the user changed in the form
+  const correctedFields = () => {
+    if (!scannedData || formData.barcode !== scannedData.barcode) return {};
+    const changes = {};
+    ["name", "brand", "category", "ingredients"].forEach((field) => {
+      const value = String(formData[field] || "").trim();
+      if (value && value !== String(scannedData[field] || "").trim()) {
+        changes[field] = value;
+      }
+    });
+    return changes;
+  };
+
   // Analyze health risks
   const analyzeHealthRisks = async (foodData) => {
     try {
@@ -472,6 +621,10 @@ const AddFood = () => {
     const { name, value } = e.target;
     const [parent, child] = name.includes(".") ? name.split(".") : [name];
 
+    if (fieldErrors[name]) {
+      setFieldErrors(({ [name]: _cleared, ...rest }) => rest);
+    }
+
     let newFormData = { ...formData };
 
     if (child) {
@@ -510,25 +663,21 @@ const AddFood = () => {
     setIsLoading(true);
 
     try {
-      // Validate required fields
-      if (!formData.name.trim()) {
-        toast.error("Food name is required");
-        setIsLoading(false);
-        return;
-      }
-
-      if (!formData.expiryDate) {
-        toast.error("Expiry date is required");
-        setIsLoading(false);
-        return;
-      }
-
       const submitData = {
         ...formData,
         nutrition: nutritionData,
         healthRisks: healthRisks,
       };
 
+      // Without the schema the API's 400 response still reports the fields
+      const errors = foodSchema ? validateForm(foodSchema, submitData) : {};
+      setFieldErrors(errors);
+      if (Object.keys(errors).length > 0) {
+        toast.error(Object.values(errors)[0]);
+        setIsLoading(false);
+        return;
+      }
+
       console.log("Submitting food data:", submitData);
 
       let response;
@@ -539,6 +688,14 @@ const AddFood = () => {
       }
 
       if (response.data.success) {
+        const changes = correctedFields();
+        if (!isEditMode && shareCorrection && Object.keys(changes).length > 0) {
+          api
+            .post(`/api/products/${formData.barcode}/corrections`, { changes })
+            .catch(() => {
+              // Error toast is shown by the API client
+            });
+        }
         toast.success(
           isEditMode
             ? "Food item updated successfully! 🎉"
@@ -550,17 +707,20 @@ const AddFood = () => {
           setFormData({
             name: "",
             brand: "",
+            store: "",
             category: "",
-            quantity: 1,
-            unit: "pieces",
+            quantity: { amount: "", unit: "pieces" },
             quantityInput: "",
             productUnits: "",
             expiryDate: "",
             manufacturedDate: "",
             barcode: "",
+            lotNumber: "",
             ingredients: "",
             allergens: [],
-            storageLocation: "",
+            locationId: "",
+            openedAt: "",
+            useWithinDaysAfterOpening: "",
             notes: "",
             dateCalculationMode: "direct",
             shelfLife: {
@@ -570,6 +730,8 @@ const AddFood = () => {
           });
           setNutritionData(null);
           setHealthRisks(null);
+          setScannedData(null);
+          setProductCorrections([]);
         }
 
         navigate("/inventory");
@@ -581,6 +743,7 @@ const AddFood = () => {
       }
     } catch (error) {
       console.error("Add food failed:", error);
+      setFieldErrors(fieldErrorsFromResponse(error));
       const errorMessage =
         error.response?.data?.message ||
         error.message ||
@@ -648,6 +811,18 @@ const AddFood = () => {
                       Start Camera
                     </button>
 
+                    <div className="mt-6">
+                      <label className="inline-block cursor-pointer bg-white border border-indigo-600 text-indigo-600 px-6 py-3 rounded-md hover:bg-indigo-50 transition-colors">
+                        Upload Barcode Photo
+                        <input
+                          type="file"
+                          accept="image/*"
+                          onChange={handleBarcodePhoto}
+                          className="hidden"
+                        />
+                      </label>
+                    </div>
+
                     <div className="mt-6">
                       <label className="block text-sm font-medium text-gray-700 mb-2">
                         Or enter barcode manually:
@@ -923,6 +1098,7 @@ const AddFood = () => {
                     className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                     placeholder="e.g., Organic Bananas"
                   />
+                  <FieldError message={fieldErrors.name} />
                 </div>
 
                 <div>
@@ -939,6 +1115,20 @@ const AddFood = () => {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Store
+                  </label>
+                  <input
+                    type="text"
+                    name="store"
+                    value={formData.store}
+                    onChange={handleInputChange}
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    placeholder="e.g., BigBasket"
+                  />
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Category
@@ -970,6 +1160,23 @@ const AddFood = () => {
                     className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                     placeholder="Scan or enter barcode"
                   />
+                  <FieldError message={fieldErrors.barcode} />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Lot / Batch Number
+                  </label>
+                  <input
+                    type="text"
+                    name="lotNumber"
+                    value={formData.lotNumber}
+                    onChange={handleInputChange}
+                    maxLength={50}
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    placeholder="Printed near the date; used for recalls"
+                  />
+                  <FieldError message={fieldErrors.lotNumber} />
                 </div>
               </div>
 
@@ -990,6 +1197,7 @@ const AddFood = () => {
                     className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                     placeholder="1"
                   />
+                  <FieldError message={fieldErrors["quantity.amount"]} />
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -1091,6 +1299,7 @@ const AddFood = () => {
                       required
                       className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                     />
+                    <FieldError message={fieldErrors.expiryDate} />
                   </div>
 
                   <div>
@@ -1188,17 +1397,23 @@ const AddFood = () => {
                     Storage Location
                   </label>
                   <select
-                    name="location"
-                    value={formData.location}
+                    name="locationId"
+                    value={formData.locationId}
                     onChange={handleInputChange}
                     className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                   >
+                    <option value="">No location</option>
                     {locations.map((loc) => (
-                      <option key={loc} value={loc}>
-                        {loc.charAt(0).toUpperCase() + loc.slice(1)}
+                      <option key={loc._id} value={loc._id}>
+                        {loc.name}
                       </option>
                     ))}
                   </select>
+                  {isEditMode && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      To freeze or thaw an item, use Move in the inventory so its expiry is adjusted.
+                    </p>
+                  )}
                 </div>
 
                 <div>
@@ -1215,6 +1430,40 @@ const AddFood = () => {
                     className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                     placeholder="99.99"
                   />
+                  <FieldError message={fieldErrors.estimatedValue} />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Use Within (days after opening)
+                  </label>
+                  <input
+                    type="number"
+                    name="useWithinDaysAfterOpening"
+                    value={formData.useWithinDaysAfterOpening}
+                    onChange={handleInputChange}
+                    min="0"
+                    max="365"
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                    placeholder="Category default"
+                  />
+                  <FieldError message={fieldErrors.useWithinDaysAfterOpening} />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Opened On
+                  </label>
+                  <input
+                    type="date"
+                    name="openedAt"
+                    value={formData.openedAt}
+                    onChange={handleInputChange}
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                  />
+                  <FieldError message={fieldErrors.openedAt} />
                 </div>
               </div>
 
@@ -1326,6 +1575,68 @@ const AddFood = () => {
                   );
                 })()}
 
+              {/* Corrections to the scanned product */}
+              {!isEditMode && Object.keys(correctedFields()).length > 0 && (
+                <div className="bg-blue-50 border border-blue-200 p-4 rounded-md text-sm">
+                  <label className="flex items-center space-x-2 text-blue-900">
+                    <input
+                      type="checkbox"
+                      checked={shareCorrection}
+                      onChange={(e) => setShareCorrection(e.target.checked)}
+                    />
+                    <span>
+                      Suggest my changes to the scanned product's{" "}
+                      {Object.keys(correctedFields()).join(", ")} for everyone
+                      who scans this barcode
+                    </span>
+                  </label>
+                </div>
+              )}
+
+              {!isEditMode && productCorrections.length > 0 && (
+                <div className="bg-gray-50 border border-gray-200 p-4 rounded-md text-sm space-y-2">
+                  <h4 className="font-medium text-gray-800">
+                    Suggested corrections to this product
+                  </h4>
+                  {productCorrections.map((correction) => (
+                    <div
+                      key={correction._id}
+                      className="flex items-center justify-between"
+                    >
+                      <span className="text-gray-700">
+                        {Object.entries(correction.changes)
+                          .filter(([field]) => field !== "nutrition")
+                          .map(([field, value]) => `${field}: ${[].concat(value).join(", ")}`)
+                          .join(" · ") || "nutrition"}
+                        {correction.moderatorOnly && (
+                          <span className="ml-2 text-xs text-gray-500">
+                            (decided by a moderator)
+                          </span>
+                        )}
+                      </span>
+                      <span className="space-x-2 whitespace-nowrap">
+                        <button
+                          type="button"
+                          onClick={() => voteOnCorrection(correction, 1)}
+                          className={correction.myVote === 1 ? "text-green-700 font-semibold" : "text-gray-500 hover:text-green-700"}
+                          aria-label="Agree"
+                        >
+                          👍 {correction.upVotes}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => voteOnCorrection(correction, -1)}
+                          className={correction.myVote === -1 ? "text-red-700 font-semibold" : "text-gray-500 hover:text-red-700"}
+                          aria-label="Disagree"
+                        >
+                          👎 {correction.downVotes}
+                        </button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Submit Button */}
               <div className="flex justify-end space-x-4">
                 <button
@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
+import { subscribe, FOOD_EVENTS } from '../utils/socket';
+import FoodFilters, { emptyFilters } from '../components/FoodFilters';
 
 const statusColors = {
   safe: 'bg-green-100 text-green-800',
@@ -11,27 +13,125 @@ const statusColors = {
   expired: 'bg-gray-200 text-gray-500',
 };
 
+const wasteReasons = [
+  { value: 'expired', label: 'Expired' },
+  { value: 'spoiled-early', label: 'Spoiled early' },
+  { value: 'overbought', label: 'Overbought' },
+  { value: 'didnt-like', label: "Didn't like it" },
+  { value: 'other', label: 'Other' },
+];
+
+const disposalMethods = [
+  { value: 'trash', label: 'Trash' },
+  { value: 'compost', label: 'Compost' },
+  { value: 'donated', label: 'Donated' },
+  { value: 'animal-feed', label: 'Animal feed' },
+  { value: 'other', label: 'Other' },
+];
+
+const categories = [
+  'dairy', 'meat', 'fruits', 'vegetables', 'grains', 'snacks',
+  'beverages', 'condiments', 'frozen', 'canned', 'bakery', 'other',
+];
+
+const PAGE_SIZE = 50;
+
+// Query parameters for GET /api/foods (and the filter of a bulk change)
+const toQuery = (search, filters) => {
+  const query = {};
+  if (search.trim()) query.q = search.trim();
+  Object.entries(filters).forEach(([key, values]) => {
+    if (values.length > 0) query[key] = values.join(',');
+  });
+  return query;
+};
+
+const defaultDiscardForm = { reason: 'expired', fraction: 1, disposalMethod: 'trash', note: '' };
+
+const defaultMoveForm = { locationId: '', adjustExpiry: true, note: '' };
+
+const moveRules = {
+  freeze: 'frozen',
+  thaw: 'thawed',
+  'room-temperature': 'out of the cold',
+};
 
 const FoodInventory = () => {
   const navigate = useNavigate();
   const [foods, setFoods] = useState([]);
   const [loading, setLoading] = useState(true);
   const [deletingId, setDeletingId] = useState(null);
+  const [discardFood, setDiscardFood] = useState(null);
+  const [discardForm, setDiscardForm] = useState(defaultDiscardForm);
+  const [discarding, setDiscarding] = useState(false);
+  const [expiringIds, setExpiringIds] = useState([]);
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [filters, setFilters] = useState(emptyFilters);
+  const [sort, setSort] = useState({ field: 'expiryDate', order: 'asc' });
+  const [pagination, setPagination] = useState({ total: 0, hasMore: false, nextCursor: null });
+  const [locations, setLocations] = useState([]);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkForm, setBulkForm] = useState({ category: '', tags: '', days: '' });
+  const [bulkWorking, setBulkWorking] = useState(false);
+  const [lastBulk, setLastBulk] = useState(null);
+  const [moveFood, setMoveFood] = useState(null);
+  const [moveForm, setMoveForm] = useState(defaultMoveForm);
+  const [moving, setMoving] = useState(false);
+  const [storageLocations, setStorageLocations] = useState([]);
 
-  const fetchFoods = async () => {
-    setLoading(true);
+  const query = toQuery(debouncedSearch, filters);
+  const queryKey = JSON.stringify(query);
+
+  // First page for the current search, filters and sort; with a cursor, the next page
+  const fetchFoods = useCallback(async (cursor = null) => {
+    if (cursor) setLoadingMore(true);
+    else setLoading(true);
     try {
-      const res = await api.get('/api/foods');
-      setFoods(res.data.data);
+      const params = { ...JSON.parse(queryKey), sort: sort.field, order: sort.order, limit: PAGE_SIZE };
+      if (cursor) params.cursor = cursor;
+      const res = await api.get('/api/foods', { params });
+      setFoods(prev => (cursor ? [...prev, ...res.data.data] : res.data.data));
+      setPagination(res.data.pagination);
+      if (res.data.facets) setLocations(res.data.facets.locations);
     } catch (e) {
-      toast.error('Failed to load food inventory');
+      // Error toast is shown by the API client
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
-  };
+  }, [queryKey, sort]);
 
   useEffect(() => {
     fetchFoods();
+    setSelectAllMatching(false);
+  }, [fetchFoods]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const refreshRef = useRef(fetchFoods);
+  refreshRef.current = fetchFoods;
+
+  // Keep the list in sync with changes made on other devices or by household members.
+  // New items are fetched again so they land where the filters and sort put them.
+  useEffect(() => {
+    return subscribe({
+      [FOOD_EVENTS.added]: () => refreshRef.current(),
+      [FOOD_EVENTS.updated]: ({ food }) => {
+        setFoods(prev => prev.map(f => (f._id === food._id ? food : f)));
+      },
+      [FOOD_EVENTS.deleted]: ({ foodId }) => {
+        setFoods(prev => prev.filter(f => f._id !== foodId));
+      },
+      [FOOD_EVENTS.expiring]: ({ foods: expiring }) => {
+        setExpiringIds(expiring.map(f => f._id));
+      },
+    });
   }, []);
 
   const handleAddFood = () => {
@@ -42,6 +142,84 @@ const FoodInventory = () => {
     navigate(`/add-food?edit=${food._id}`);
   };
 
+  const handleConsume = async (food) => {
+    const unit = food.quantity?.unit || 'pieces';
+    const input = window.prompt(`How much ${food.name} did you use? (${unit}, leave empty for all)`, '');
+    if (input === null) return;
+    try {
+      const body = input.trim() === '' ? {} : { amount: input.trim(), unit };
+      await api.post(`/api/foods/${food._id}/consume`, body);
+      toast.success('Usage recorded');
+      fetchFoods();
+    } catch (e) {
+      // Error toast is shown by the API client
+    }
+  };
+
+  const handleOpened = async (food) => {
+    try {
+      const res = await api.post(`/api/foods/${food._id}/open`);
+      toast.success(res.data.message);
+      setFoods((prev) => prev.map((f) => (f._id === food._id ? res.data.data : f)));
+    } catch (e) {
+      // Error toast is shown by the API client
+    }
+  };
+
+  const openDiscard = (food) => {
+    setDiscardForm({ ...defaultDiscardForm, reason: food.expiryStatus === 'expired' ? 'expired' : 'spoiled-early' });
+    setDiscardFood(food);
+  };
+
+  const handleDiscard = async (e) => {
+    e.preventDefault();
+    setDiscarding(true);
+    try {
+      await api.post(`/api/foods/${discardFood._id}/discard`, discardForm);
+      toast.success('Waste recorded');
+      setDiscardFood(null);
+      fetchFoods();
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setDiscarding(false);
+    }
+  };
+
+  const openMove = async (food) => {
+    setMoveForm(defaultMoveForm);
+    setMoveFood(food);
+    try {
+      const res = await api.get('/api/locations');
+      setStorageLocations(res.data.data);
+    } catch (e) {
+      // Error toast is shown by the API client
+    }
+  };
+
+  const handleMove = async (e) => {
+    e.preventDefault();
+    setMoving(true);
+    try {
+      const res = await api.post(`/api/foods/${moveFood._id}/move`, {
+        ...moveForm,
+        locationId: moveForm.locationId || null,
+      });
+      const { food, adjustment } = res.data.data;
+      toast.success(
+        adjustment.rule === 'none'
+          ? res.data.message
+          : `${res.data.message} Expiry is now ${new Date(adjustment.expiryAfter).toLocaleDateString()} (${moveRules[adjustment.rule]}).`
+      );
+      setFoods((prev) => prev.map((f) => (f._id === food._id ? food : f)));
+      setMoveFood(null);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setMoving(false);
+    }
+  };
+
   const handleDelete = async (id) => {
     setDeletingId(id);
     try {
@@ -55,49 +233,333 @@ const FoodInventory = () => {
     }
   };
 
+  const toggleFilter = (key, value) => {
+    setFilters((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter((v) => v !== value) : [...prev[key], value],
+    }));
+  };
+
+  const clearFilters = () => {
+    setSearch('');
+    setFilters(emptyFilters);
+  };
+
+  const handleSort = (field) => {
+    setSort((prev) => ({ field, order: prev.field === field && prev.order === 'asc' ? 'desc' : 'asc' }));
+  };
+
+  const sortIndicator = (field) => (sort.field === field ? (sort.order === 'asc' ? ' ▲' : ' ▼') : '');
+
+  const selected = selectedIds.filter((id) => foods.some((food) => food._id === id));
+  const selectedCount = selectAllMatching ? pagination.total : selected.length;
+  const allLoadedSelected = foods.length > 0 && foods.every((food) => selected.includes(food._id));
+
+  const toggleSelected = (id) => {
+    setSelectAllMatching(false);
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  // Select (or clear) every loaded item; "select all matching" then extends it
+  // to every item the search and filters match, loaded or not
+  const toggleAllLoaded = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(allLoadedSelected ? [] : foods.map((food) => food._id));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setSelectAllMatching(false);
+  };
+
+  const runBulk = async (action, options = {}) => {
+    setBulkWorking(true);
+    try {
+      const target = selectAllMatching ? { filter: query } : { ids: selected };
+      const res = await api.post('/api/foods/bulk', { action, ...target, ...options });
+      const { undo, skipped } = res.data.data;
+      toast.success(res.data.message);
+      if (skipped.length > 0) {
+        toast(`${skipped.length} item${skipped.length === 1 ? ' was' : 's were'} skipped: ${skipped[0].reason}`);
+      }
+      setLastBulk(undo ? { ...undo, message: res.data.message } : null);
+      clearSelection();
+      setBulkForm({ category: '', tags: '', days: '' });
+      fetchFoods();
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setBulkWorking(false);
+    }
+  };
+
+  const handleBulkDelete = () => {
+    if (!window.confirm(`Delete ${selectedCount} item${selectedCount === 1 ? '' : 's'}?`)) return;
+    runBulk('delete');
+  };
+
+  // "fresh, -old" adds fresh and removes old
+  const handleBulkTags = () => {
+    const entries = bulkForm.tags.split(',').map((tag) => tag.trim()).filter(Boolean);
+    runBulk('tag', {
+      addTags: entries.filter((tag) => !tag.startsWith('-')),
+      removeTags: entries.filter((tag) => tag.startsWith('-')).map((tag) => tag.slice(1).trim()).filter(Boolean),
+    });
+  };
+
+  const handleUndo = async () => {
+    setBulkWorking(true);
+    try {
+      const res = await api.post(`/api/foods/bulk/${lastBulk.operationId}/undo`);
+      toast.success(res.data.message);
+      setLastBulk(null);
+      fetchFoods();
+    } catch (e) {
+      // Error toast is shown by the API client
+      setLastBulk(null);
+    } finally {
+      setBulkWorking(false);
+    }
+  };
+
+  const bulkInputClass = 'border border-gray-300 rounded-lg px-2 py-1 text-sm';
+  const bulkButtonClass = 'px-3 py-1 rounded-lg text-sm font-medium transition-colors disabled:opacity-50';
+
   return (
     <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-2xl font-bold text-gray-900">Food Inventory</h1>
-        <button
-          onClick={handleAddFood}
-          className="px-5 py-2 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold rounded-lg shadow-md hover:from-blue-700 hover:to-green-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 text-base transition-all duration-200"
-        >
-          + Add Food
-        </button>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => navigate('/locations')}
+            className="px-5 py-2 border border-blue-600 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 text-base transition-all duration-200"
+          >
+            Locations
+          </button>
+          <button
+            onClick={() => navigate('/import')}
+            className="px-5 py-2 border border-blue-600 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 text-base transition-all duration-200"
+          >
+            Import
+          </button>
+          <button
+            onClick={handleAddFood}
+            className="px-5 py-2 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold rounded-lg shadow-md hover:from-blue-700 hover:to-green-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 text-base transition-all duration-200"
+          >
+            + Add Food
+          </button>
+        </div>
       </div>
+      <FoodFilters
+        search={search}
+        onSearchChange={setSearch}
+        filters={filters}
+        onToggle={toggleFilter}
+        onClear={clearFilters}
+        locations={locations}
+      />
+
+      {lastBulk && (
+        <div className="flex items-center justify-between mb-4 px-4 py-3 bg-gray-800 text-white rounded-lg text-sm">
+          <span>{lastBulk.message}</span>
+          <div className="space-x-3">
+            <button onClick={handleUndo} disabled={bulkWorking} className="font-semibold text-blue-300 hover:text-blue-200 disabled:opacity-50">
+              Undo
+            </button>
+            <button onClick={() => setLastBulk(null)} className="text-gray-400 hover:text-gray-200" aria-label="Dismiss">
+              ✕
+            </button>
+          </div>
+        </div>
+      )}
+
+      {selectedCount > 0 && (
+        <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg space-y-3">
+          {allLoadedSelected && pagination.total > foods.length && (
+            <p className="text-sm text-blue-900">
+              {selectAllMatching ? (
+                <>All {pagination.total} matching items are selected.</>
+              ) : (
+                <>
+                  All {foods.length} loaded items are selected.{' '}
+                  <button onClick={() => setSelectAllMatching(true)} className="font-semibold underline">
+                    Select all {pagination.total} matching items
+                  </button>
+                </>
+              )}
+            </p>
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm font-semibold text-blue-900 mr-2">{selectedCount} selected</span>
+            <button onClick={() => runBulk('status', { status: 'consumed' })} disabled={bulkWorking} className={`${bulkButtonClass} bg-green-100 text-green-700 hover:bg-green-200`}>
+              Mark consumed
+            </button>
+            <button onClick={() => runBulk('status', { status: 'wasted' })} disabled={bulkWorking} className={`${bulkButtonClass} bg-orange-100 text-orange-700 hover:bg-orange-200`}>
+              Mark wasted
+            </button>
+            <button onClick={handleBulkDelete} disabled={bulkWorking} className={`${bulkButtonClass} bg-red-100 text-red-700 hover:bg-red-200`}>
+              Delete
+            </button>
+            <button onClick={clearSelection} className={`${bulkButtonClass} text-gray-600 hover:text-gray-800`}>
+              Clear selection
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            <div className="flex items-center gap-2">
+              <select
+                value={bulkForm.category}
+                onChange={(e) => setBulkForm((prev) => ({ ...prev, category: e.target.value }))}
+                className={bulkInputClass}
+              >
+                <option value="">Category...</option>
+                {categories.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+              <button
+                onClick={() => runBulk('categorize', { category: bulkForm.category })}
+                disabled={bulkWorking || !bulkForm.category}
+                className={`${bulkButtonClass} bg-blue-100 text-blue-700 hover:bg-blue-200`}
+              >
+                Set category
+              </button>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={bulkForm.tags}
+                onChange={(e) => setBulkForm((prev) => ({ ...prev, tags: e.target.value }))}
+                placeholder="tag, -remove"
+                className={`${bulkInputClass} w-36`}
+              />
+              <button
+                onClick={handleBulkTags}
+                disabled={bulkWorking || !bulkForm.tags.trim()}
+                className={`${bulkButtonClass} bg-blue-100 text-blue-700 hover:bg-blue-200`}
+              >
+                Update tags
+              </button>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                value={bulkForm.days}
+                onChange={(e) => setBulkForm((prev) => ({ ...prev, days: e.target.value }))}
+                placeholder="± days"
+                className={`${bulkInputClass} w-24`}
+              />
+              <button
+                onClick={() => runBulk('shift-expiry', { days: parseInt(bulkForm.days, 10) })}
+                disabled={bulkWorking || !parseInt(bulkForm.days, 10)}
+                className={`${bulkButtonClass} bg-blue-100 text-blue-700 hover:bg-blue-200`}
+              >
+                Shift expiry
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       <div className="bg-white shadow rounded-2xl overflow-x-auto">
         {loading ? (
           <div className="flex justify-center items-center py-16">
             <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
           </div>
         ) : foods.length === 0 ? (
-          <div className="text-center py-16 text-gray-500 text-lg">No food items found. Add your first food item!</div>
+          <div className="text-center py-16 text-gray-500 text-lg">
+            {Object.keys(query).length > 0 ? 'No items match the search and filters.' : 'No food items found. Add your first food item!'}
+          </div>
         ) : (
           <table className="min-w-full divide-y divide-gray-200">
             <thead className="bg-gray-50">
               <tr>
-                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Name</th>
-                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Brand</th>
-                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Quantity</th>
-                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Expiry</th>
-                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Status</th>
+                <th className="pl-6 py-3 text-left">
+                  <input
+                    type="checkbox"
+                    checked={allLoadedSelected}
+                    onChange={toggleAllLoaded}
+                    title="Select all loaded items"
+                    className="rounded border-gray-300"
+                  />
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                  <button onClick={() => handleSort('name')} className="uppercase font-semibold hover:text-gray-900">Name{sortIndicator('name')}</button>
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                  <button onClick={() => handleSort('brand')} className="uppercase font-semibold hover:text-gray-900">Brand{sortIndicator('brand')}</button>
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                  <button onClick={() => handleSort('quantity')} className="uppercase font-semibold hover:text-gray-900">Quantity{sortIndicator('quantity')}</button>
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                  <button onClick={() => handleSort('storageLocation')} className="uppercase font-semibold hover:text-gray-900">Location{sortIndicator('storageLocation')}</button>
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                  <button onClick={() => handleSort('expiryDate')} className="uppercase font-semibold hover:text-gray-900">Expiry{sortIndicator('expiryDate')}</button>
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+                  <button onClick={() => handleSort('expiryStatus')} className="uppercase font-semibold hover:text-gray-900">Status{sortIndicator('expiryStatus')}</button>
+                </th>
                 <th className="px-6 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">Actions</th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-100">
               {foods.map((food) => (
-                <tr key={food._id} className="hover:bg-gray-50 transition-colors">
+                <tr key={food._id} className={`hover:bg-gray-50 transition-colors ${selectAllMatching || selected.includes(food._id) ? 'bg-blue-50' : expiringIds.includes(food._id) ? 'bg-orange-50' : ''}`}>
+                  <td className="pl-6 py-4">
+                    <input
+                      type="checkbox"
+                      checked={selectAllMatching || selected.includes(food._id)}
+                      onChange={() => toggleSelected(food._id)}
+                      className="rounded border-gray-300"
+                    />
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-base text-gray-900 font-medium">{food.name}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-base text-gray-700">{food.brand || '-'}</td>
                   <td className="px-6 py-4 whitespace-nowrap text-base text-gray-700">{food.quantity?.amount} {food.quantity?.unit}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-base text-gray-700">{food.expiryDate ? new Date(food.expiryDate).toLocaleDateString() : '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-base text-gray-700">{food.storageLocation || '-'}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-base text-gray-700">
+                    {food.effectiveExpiryDate || food.expiryDate ? new Date(food.effectiveExpiryDate || food.expiryDate).toLocaleDateString() : '-'}
+                    {food.openedAt && (
+                      <div className="text-xs text-gray-500">Opened {new Date(food.openedAt).toLocaleDateString()}</div>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${statusColors[food.expiryStatus] || 'bg-gray-100 text-gray-700'}`}>
                       {food.expiryStatus?.replace('-', ' ') || 'unknown'}
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right space-x-2">
+                    {food.status === 'active' && (
+                      <button
+                        onClick={() => handleConsume(food)}
+                        className="inline-flex items-center px-3 py-1 bg-green-100 text-green-700 rounded-lg text-sm font-medium hover:bg-green-200 transition-colors"
+                      >
+                        Use
+                      </button>
+                    )}
+                    {food.status === 'active' && !food.openedAt && (
+                      <button
+                        onClick={() => handleOpened(food)}
+                        className="inline-flex items-center px-3 py-1 bg-teal-100 text-teal-700 rounded-lg text-sm font-medium hover:bg-teal-200 transition-colors"
+                      >
+                        Opened
+                      </button>
+                    )}
+                    {food.status === 'active' && (
+                      <button
+                        onClick={() => openDiscard(food)}
+                        className="inline-flex items-center px-3 py-1 bg-orange-100 text-orange-700 rounded-lg text-sm font-medium hover:bg-orange-200 transition-colors"
+                      >
+                        Discard
+                      </button>
+                    )}
+                    {food.status === 'active' && (
+                      <button
+                        onClick={() => openMove(food)}
+                        className="inline-flex items-center px-3 py-1 bg-purple-100 text-purple-700 rounded-lg text-sm font-medium hover:bg-purple-200 transition-colors"
+                      >
+                        Move
+                      </button>
+                    )}
                     <button
                       onClick={() => handleEditFood(food)}
                       className="inline-flex items-center px-3 py-1 bg-blue-100 text-blue-700 rounded-lg text-sm font-medium hover:bg-blue-200 transition-colors"
@@ -118,6 +580,158 @@ const FoodInventory = () => {
           </table>
         )}
       </div>
+      {!loading && foods.length > 0 && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-500">
+          <span>Showing {foods.length} of {pagination.total} items</span>
+          {pagination.hasMore && (
+            <button
+              onClick={() => fetchFoods(pagination.nextCursor)}
+              disabled={loadingMore}
+              className="px-4 py-2 border border-gray-300 rounded-lg font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {moveFood && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 px-4">
+          <form onSubmit={handleMove} className="bg-white rounded-2xl shadow-xl w-full max-w-md p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Move {moveFood.name}</h2>
+            <p className="text-sm text-gray-500">Now in: {moveFood.storageLocation || 'no location'}</p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Move to</label>
+              <select
+                value={moveForm.locationId}
+                onChange={(e) => setMoveForm((prev) => ({ ...prev, locationId: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              >
+                <option value="">No location</option>
+                {storageLocations
+                  .filter((l) => l._id !== moveFood.locationId)
+                  .map((l) => <option key={l._id} value={l._id}>{l.name} ({l.kind})</option>)}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={moveForm.adjustExpiry}
+                onChange={(e) => setMoveForm((prev) => ({ ...prev, adjustExpiry: e.target.checked }))}
+                className="rounded border-gray-300"
+              />
+              Adjust expiry by shelf-life rules (freezing, thawing...)
+            </label>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note (optional)</label>
+              <input
+                type="text"
+                value={moveForm.note}
+                onChange={(e) => setMoveForm((prev) => ({ ...prev, note: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            {moveFood.locationHistory?.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 mb-1">Moves</h3>
+                <ul className="max-h-32 overflow-y-auto text-xs text-gray-600 space-y-1">
+                  {[...moveFood.locationHistory].reverse().map((move) => (
+                    <li key={move._id}>
+                      {new Date(move.movedAt).toLocaleDateString()}: {move.from || 'no location'} → {move.to || 'no location'}
+                      {move.rule !== 'none' && ` (${moveRules[move.rule]}, expiry ${new Date(move.expiryAfter).toLocaleDateString()})`}
+                      {move.note && ` - ${move.note}`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setMoveFood(null)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={moving || (!moveForm.locationId && !moveFood.locationId)}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg font-medium hover:bg-purple-700 disabled:opacity-50"
+              >
+                {moving ? 'Moving...' : 'Move'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {discardFood && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 px-4">
+          <form onSubmit={handleDiscard} className="bg-white rounded-2xl shadow-xl w-full max-w-md p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">Discard {discardFood.name}</h2>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <select
+                value={discardForm.reason}
+                onChange={(e) => setDiscardForm((prev) => ({ ...prev, reason: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              >
+                {wasteReasons.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                How much was wasted? {Math.round(discardForm.fraction * 100)}%
+                {' '}({Number(((discardFood.quantity?.amount || 0) * discardForm.fraction).toFixed(2))} {discardFood.quantity?.unit})
+              </label>
+              <input
+                type="range"
+                min="0.05"
+                max="1"
+                step="0.05"
+                value={discardForm.fraction}
+                onChange={(e) => setDiscardForm((prev) => ({ ...prev, fraction: parseFloat(e.target.value) }))}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Disposal method</label>
+              <select
+                value={discardForm.disposalMethod}
+                onChange={(e) => setDiscardForm((prev) => ({ ...prev, disposalMethod: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              >
+                {disposalMethods.map((d) => <option key={d.value} value={d.value}>{d.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Note (optional)</label>
+              <input
+                type="text"
+                value={discardForm.note}
+                onChange={(e) => setDiscardForm((prev) => ({ ...prev, note: e.target.value }))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setDiscardFood(null)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={discarding}
+                className="px-4 py-2 bg-orange-600 text-white rounded-lg font-medium hover:bg-orange-700 disabled:opacity-50"
+              >
+                {discarding ? 'Saving...' : 'Record waste'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
     </div>
   );
 };
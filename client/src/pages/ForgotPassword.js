@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const { forgotPassword } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const result = await forgotPassword(email);
+      if (result.success) setSent(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-green-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="bg-white rounded-2xl shadow-xl p-8 flex flex-col items-center">
+          <div className="h-14 w-14 bg-gradient-to-r from-blue-500 to-green-500 rounded-full flex items-center justify-center mb-4">
+            <span className="text-white font-bold text-2xl">S</span>
+          </div>
+          <h2 className="text-3xl font-extrabold text-gray-900 mb-2 text-center">Forgot your password?</h2>
+          {sent ? (
+            <p className="text-gray-600 text-center mb-6 text-base">
+              If an account exists for <span className="font-medium">{email}</span>, a reset link is on its way. It expires in 1 hour.
+            </p>
+          ) : (
+            <>
+              <p className="text-gray-500 text-center mb-6 text-base">Enter your email and we'll send you a link to reset it.</p>
+              <form className="w-full space-y-5" onSubmit={handleSubmit}>
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">Email address</label>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    className="block w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 text-base"
+                    placeholder="Enter your email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full py-3 px-4 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold rounded-lg shadow-md hover:from-blue-700 hover:to-green-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 text-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loading ? 'Sending...' : 'Send reset link'}
+                </button>
+              </form>
+            </>
+          )}
+          <div className="text-center mt-4">
+            <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">Back to sign in</Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
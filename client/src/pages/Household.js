@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const roleColors = {
+  owner: 'bg-purple-100 text-purple-800',
+  member: 'bg-blue-100 text-blue-800',
+  viewer: 'bg-gray-100 text-gray-700',
+};
+
+const Household = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [households, setHouseholds] = useState([]);
+  const [pendingInvites, setPendingInvites] = useState([]);
+  const [activeHousehold, setActiveHousehold] = useState(null);
+  const [current, setCurrent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [moveInventory, setMoveInventory] = useState(true);
+  const [invite, setInvite] = useState({ email: '', role: 'member' });
+  const [working, setWorking] = useState(false);
+
+  const fetchData = async () => {
+    try {
+      const [listRes, currentRes] = await Promise.all([
+        api.get('/api/households'),
+        api.get('/api/households/current'),
+      ]);
+      const list = listRes.data.data || {};
+      setHouseholds(list.households || []);
+      setPendingInvites(list.pendingInvites || []);
+      setActiveHousehold(list.activeHousehold || null);
+      setCurrent(currentRes.data.data?.household || null);
+    } catch (error) {
+      console.error('Failed to load households:', error);
+      toast.error('Failed to load households');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const runAction = async (action, successMessage) => {
+    setWorking(true);
+    try {
+      const res = await action();
+      toast.success(res?.data?.message || successMessage);
+      await fetchData();
+      return true;
+    } catch (error) {
+      console.error('Household action failed:', error);
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    const ok = await runAction(
+      () => api.post('/api/households', { name: newName.trim(), moveInventory }),
+      'Household created'
+    );
+    if (ok) setNewName('');
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!current || !invite.email.trim()) return;
+    const ok = await runAction(
+      () => api.post(`/api/households/${current._id}/invites`, invite),
+      'Invitation sent'
+    );
+    if (ok) setInvite({ email: '', role: 'member' });
+  };
+
+  const handleAccept = (token) => runAction(
+    () => api.post(`/api/households/invites/${token}/accept`, { moveInventory }),
+    'Invitation accepted'
+  );
+
+  const handleDecline = (token) => runAction(
+    () => api.post(`/api/households/invites/${token}/decline`),
+    'Invitation declined'
+  );
+
+  const handleSwitch = (householdId) => runAction(
+    () => api.put('/api/households/active', { householdId }),
+    'Active inventory switched'
+  );
+
+  const handleRoleChange = (userId, role) => runAction(
+    () => api.put(`/api/households/${current._id}/members/${userId}`, { role }),
+    'Member role updated'
+  );
+
+  const handleRemove = (userId) => runAction(
+    () => api.delete(`/api/households/${current._id}/members/${userId}`),
+    'Member removed'
+  );
+
+  const handleRevoke = (inviteId) => runAction(
+    () => api.delete(`/api/households/${current._id}/invites/${inviteId}`),
+    'Invitation revoked'
+  );
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave ${current.name}?`)) return;
+    runAction(() => api.post(`/api/households/${current._id}/leave`), 'You left the household');
+  };
+
+  // Accept an invite opened from an email link (?invite=<token>)
+  const inviteToken = searchParams.get('invite');
+  useEffect(() => {
+    if (!inviteToken || loading) return;
+    setSearchParams({});
+    handleAccept(inviteToken);
+    // eslint-disable-next-line
+  }, [inviteToken, loading]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-16">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const isOwner = current?.role === 'owner';
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Household</h1>
+
+      {pendingInvites.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-2xl p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Pending invitations</h2>
+          <ul className="space-y-3">
+            {pendingInvites.map((inv) => (
+              <li key={inv.token} className="flex items-center justify-between">
+                <span className="text-gray-800">
+                  <strong>{inv.householdName}</strong> as {inv.role}
+                </span>
+                <span className="space-x-2">
+                  <button
+                    onClick={() => handleAccept(inv.token)}
+                    disabled={working}
+                    className="px-3 py-1 bg-green-100 text-green-700 rounded-lg text-sm font-medium hover:bg-green-200 disabled:opacity-50"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => handleDecline(inv.token)}
+                    disabled={working}
+                    className="px-3 py-1 bg-red-100 text-red-700 rounded-lg text-sm font-medium hover:bg-red-200 disabled:opacity-50"
+                  >
+                    Decline
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-white shadow rounded-2xl p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-3">Active inventory</h2>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => handleSwitch(null)}
+            disabled={working || !activeHousehold}
+            className={`px-4 py-2 rounded-lg text-sm font-medium ${!activeHousehold ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            Personal
+          </button>
+          {households.map((h) => (
+            <button
+              key={h._id}
+              onClick={() => handleSwitch(h._id)}
+              disabled={working || activeHousehold === h._id}
+              className={`px-4 py-2 rounded-lg text-sm font-medium ${activeHousehold === h._id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {h.name} ({h.memberCount})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {current && (
+        <div className="bg-white shadow rounded-2xl p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">{current.name} — members</h2>
+            <button
+              onClick={handleLeave}
+              disabled={working}
+              className="px-3 py-1 bg-red-100 text-red-700 rounded-lg text-sm font-medium hover:bg-red-200 disabled:opacity-50"
+            >
+              Leave household
+            </button>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {current.members.map((m) => {
+              const member = m.userId || {};
+              return (
+                <li key={member._id || m._id} className="py-3 flex items-center justify-between">
+                  <span>
+                    <span className="font-medium text-gray-900">{member.name}</span>
+                    <span className="ml-2 text-sm text-gray-500">{member.email}</span>
+                  </span>
+                  <span className="flex items-center space-x-2">
+                    {isOwner ? (
+                      <select
+                        value={m.role}
+                        onChange={(e) => handleRoleChange(member._id, e.target.value)}
+                        disabled={working}
+                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      >
+                        <option value="owner">Owner</option>
+                        <option value="member">Member</option>
+                        <option value="viewer">Viewer</option>
+                      </select>
+                    ) : (
+                      <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${roleColors[m.role]}`}>{m.role}</span>
+                    )}
+                    {isOwner && m.role !== 'owner' && (
+                      <button
+                        onClick={() => handleRemove(member._id)}
+                        disabled={working}
+                        className="px-3 py-1 bg-red-100 text-red-700 rounded-lg text-sm font-medium hover:bg-red-200 disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+
+          {isOwner && (
+            <>
+              <form onSubmit={handleInvite} className="mt-6 flex flex-wrap gap-2">
+                <input
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) => setInvite((prev) => ({ ...prev, email: e.target.value }))}
+                  placeholder="partner@example.com"
+                  className="flex-1 min-w-[200px] border border-gray-300 rounded-lg px-3 py-2"
+                />
+                <select
+                  value={invite.role}
+                  onChange={(e) => setInvite((prev) => ({ ...prev, role: e.target.value }))}
+                  className="border border-gray-300 rounded-lg px-3 py-2"
+                >
+                  <option value="member">Member</option>
+                  <option value="viewer">Viewer</option>
+                </select>
+                <button
+                  type="submit"
+                  disabled={working}
+                  className="px-5 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Invite
+                </button>
+              </form>
+              {current.invites?.length > 0 && (
+                <ul className="mt-4 space-y-2">
+                  {current.invites.map((inv) => (
+                    <li key={inv._id} className="flex items-center justify-between text-sm text-gray-600">
+                      <span>{inv.email} ({inv.role}) — expires {new Date(inv.expiresAt).toLocaleDateString()}</span>
+                      <button onClick={() => handleRevoke(inv._id)} disabled={working} className="text-red-600 hover:underline">
+                        Revoke
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white shadow rounded-2xl p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-3">Create a household</h2>
+        <form onSubmit={handleCreate} className="space-y-3">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="e.g. Home"
+            className="w-full border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input type="checkbox" checked={moveInventory} onChange={(e) => setMoveInventory(e.target.checked)} />
+            <span>Move my personal items into the shared pantry (also applies when accepting an invite)</span>
+          </label>
+          <button
+            type="submit"
+            disabled={working}
+            className="px-5 py-2 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold rounded-lg shadow-md hover:from-blue-700 hover:to-green-700 disabled:opacity-50"
+          >
+            Create
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Household;
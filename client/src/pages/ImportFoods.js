@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const statusStyles = {
+  ok: 'bg-green-100 text-green-800',
+  imported: 'bg-green-100 text-green-800',
+  duplicate: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-800',
+};
+
+const statusLabels = {
+  ok: 'Ready',
+  imported: 'Imported',
+  duplicate: 'Duplicate',
+  error: 'Error',
+};
+
+// Import inventory from a CSV (such as the Reports CSV export) or JSON file:
+// pick a file, check the column mapping and the dry-run preview, then import
+const ImportFoods = () => {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [duplicates, setDuplicates] = useState('skip');
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const runPreview = async (content, nextMapping) => {
+    setLoading(true);
+    try {
+      const res = await api.post('/api/foods/import', { content, mapping: nextMapping, dryRun: true });
+      setPreview(res.data.data);
+      setMapping(res.data.data.mapping);
+    } catch (e) {
+      // Error toast is shown by the API client
+      setPreview(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+    setResult(null);
+    const content = await selected.text();
+    setFile({ name: selected.name, content });
+    await runPreview(content, {});
+  };
+
+  const handleMappingChange = (field, header) => {
+    const nextMapping = { ...mapping, [field]: header || null };
+    setMapping(nextMapping);
+    runPreview(file.content, nextMapping);
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    try {
+      const res = await api.post('/api/foods/import', { content: file.content, mapping, duplicates });
+      setResult(res.data.data);
+      toast.success(res.data.message);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setMapping({});
+    setResult(null);
+  };
+
+  const shown = result || preview;
+  const summary = shown?.summary;
+  const importable = summary ? summary.valid + (duplicates === 'import' ? summary.duplicates : 0) : 0;
+
+  return (
+    <div className="max-w-7xl mx-auto py-8 px-4">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Import Food Items</h1>
+        <button
+          onClick={() => navigate('/inventory')}
+          className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+        >
+          Back to inventory
+        </button>
+      </div>
+
+      <div className="bg-white shadow rounded-2xl p-6 mb-6">
+        <p className="text-sm text-gray-600 mb-4">
+          Upload a CSV or JSON file. The CSV export from Reports can be imported as it is; for other files,
+          choose which column holds each field. Nothing is added until you confirm the preview.
+        </p>
+        <div className="flex items-center space-x-4">
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            disabled={loading}
+            className="block text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+          />
+          {file && <span className="text-sm text-gray-500">{file.name}</span>}
+          {loading && <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>}
+        </div>
+      </div>
+
+      {preview && !result && (
+        <div className="bg-white shadow rounded-2xl p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Columns</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            {preview.fields.map((field) => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {field.label}{field.required && <span className="text-red-500"> *</span>}
+                </label>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  disabled={loading}
+                  className="block w-full text-sm border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                >
+                  <option value="">Not imported</option>
+                  {preview.headers.map((header) => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {shown && (
+        <div className="bg-white shadow rounded-2xl p-6">
+          <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+            <div className="text-sm text-gray-600 space-x-4">
+              <span><strong>{summary.total}</strong> rows</span>
+              {result ? (
+                <span className="text-green-700"><strong>{summary.imported}</strong> imported</span>
+              ) : (
+                <span className="text-green-700"><strong>{summary.valid}</strong> ready</span>
+              )}
+              <span className="text-yellow-700"><strong>{summary.duplicates}</strong> duplicates</span>
+              <span className="text-red-700"><strong>{summary.errors}</strong> with errors</span>
+            </div>
+            {result ? (
+              <div className="space-x-2">
+                <button onClick={reset} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800">
+                  Import another file
+                </button>
+                <button
+                  onClick={() => navigate('/inventory')}
+                  className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+                >
+                  View inventory
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-center space-x-4">
+                {summary.duplicates > 0 && (
+                  <select
+                    value={duplicates}
+                    onChange={(e) => setDuplicates(e.target.value)}
+                    className="text-sm border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    <option value="skip">Skip duplicates</option>
+                    <option value="import">Import duplicates too</option>
+                  </select>
+                )}
+                <button
+                  onClick={handleImport}
+                  disabled={loading || importable === 0}
+                  className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Import {importable} item{importable === 1 ? '' : 's'}
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Row</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Name</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Category</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Quantity</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Expiry</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Notes</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {shown.rows.map((row) => (
+                  <tr key={row.row}>
+                    <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[row.status]}`}>
+                        {statusLabels[row.status]}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-gray-900">{row.food.name}</td>
+                    <td className="px-3 py-2 text-gray-700 capitalize">{row.food.category}</td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {row.food.quantity ? `${row.food.quantity.amount} ${row.food.quantity.unit}` : ''}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {row.food.expiryDate ? new Date(row.food.expiryDate).toLocaleDateString() : ''}
+                    </td>
+                    <td className="px-3 py-2">
+                      {row.errors.map((error, index) => (
+                        <p key={`e${index}`} className="text-red-600">{error.message}</p>
+                      ))}
+                      {row.duplicateOf && (
+                        <p className="text-yellow-700">
+                          {row.duplicateOf.row
+                            ? `Same as row ${row.duplicateOf.row}`
+                            : `Already in inventory as "${row.duplicateOf.name}"`}
+                        </p>
+                      )}
+                      {row.warnings.map((warning, index) => (
+                        <p key={`w${index}`} className="text-amber-600">{warning}</p>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportFoods;
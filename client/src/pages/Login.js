@@ -8,7 +8,10 @@ const Login = () => {
     password: ''
   });
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Set after the password step when the account has two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -25,6 +28,8 @@ const Login = () => {
       const result = await login(formData.email, formData.password);
       if (result.success) {
         navigate('/dashboard');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -33,6 +38,74 @@ const Login = () => {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const result = await verifyTwoFactor(challengeToken, code);
+      if (result.success) {
+        navigate('/dashboard');
+      } else if (result.restart) {
+        setChallengeToken(null);
+        setCode('');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode('');
+    setFormData({ ...formData, password: '' });
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-green-100 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div className="bg-white rounded-2xl shadow-xl p-8 flex flex-col items-center">
+            <div className="h-14 w-14 bg-gradient-to-r from-blue-500 to-green-500 rounded-full flex items-center justify-center mb-4">
+              <span className="text-white font-bold text-2xl">S</span>
+            </div>
+            <h2 className="text-3xl font-extrabold text-gray-900 mb-2 text-center">Two-factor verification</h2>
+            <p className="text-gray-500 text-center mb-6 text-base">Enter the 6-digit code from your authenticator app, or one of your backup codes.</p>
+            <form className="w-full space-y-5" onSubmit={handleCodeSubmit}>
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">Authentication code</label>
+                <input
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="block w-full px-4 py-3 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 text-base tracking-widest"
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={loading || !code.trim()}
+                className="w-full py-3 px-4 bg-gradient-to-r from-blue-600 to-green-600 text-white font-semibold rounded-lg shadow-md hover:from-blue-700 hover:to-green-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 text-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+              <div className="text-center mt-2">
+                <button type="button" onClick={cancelTwoFactor} className="font-medium text-blue-600 hover:text-blue-500 text-sm">
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-green-100 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
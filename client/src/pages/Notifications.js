@@ -1,6 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
+import { timezones, browserTimezone } from '../utils/timezones';
+
+const deliveryStatusColors = {
+  sent: 'bg-green-100 text-green-800',
+  queued: 'bg-gray-100 text-gray-700',
+  batched: 'bg-gray-100 text-gray-700',
+  sending: 'bg-blue-100 text-blue-800',
+  retrying: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+};
 
 const Notifications = () => {
   const [notifications, setNotifications] = useState([]);
@@ -8,6 +18,9 @@ const Notifications = () => {
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({});
   const [activeTab, setActiveTab] = useState('notifications');
+  const [deliveries, setDeliveries] = useState({});
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useEffect(() => {
     fetchNotifications();
@@ -15,25 +28,32 @@ const Notifications = () => {
     fetchStats();
   }, []);
 
-  const fetchNotifications = async () => {
+  const fetchNotifications = async (cursor = null) => {
     try {
-      const response = await api.get('/api/notifications');
+      const response = await api.get('/api/notifications', { params: cursor ? { cursor } : {} });
       
       if (response.data.success) {
-        // Backend returns { notifications, total, unreadCount }
+        // Backend returns { notifications, total, unreadCount, nextCursor, hasMore }
         const payload = response.data.data || {};
         const list = Array.isArray(payload.notifications) ? payload.notifications : (Array.isArray(payload) ? payload : []);
-        setNotifications(list);
+        setNotifications(prev => (cursor ? [...prev, ...list] : list));
+        setNextCursor(payload.hasMore ? payload.nextCursor : null);
       }
     } catch (error) {
       console.error('Failed to fetch notifications:', error);
       toast.error('Failed to load notifications');
-      setNotifications([]); // Set empty array on error
+      if (!cursor) setNotifications([]); // Set empty array on error
     } finally {
       setLoading(false);
     }
   };
 
+  const loadMore = async () => {
+    setLoadingMore(true);
+    await fetchNotifications(nextCursor);
+    setLoadingMore(false);
+  };
+
   const fetchPreferences = async () => {
     try {
       const response = await api.get('/api/notifications/preferences');
@@ -101,6 +121,31 @@ const Notifications = () => {
     }
   };
 
+  // Show or hide the per-channel delivery history of a notification
+  const toggleDeliveries = async (notificationId) => {
+    if (deliveries[notificationId]) {
+      setDeliveries(prev => ({ ...prev, [notificationId]: null }));
+      return;
+    }
+    try {
+      const response = await api.get(`/api/notifications/${notificationId}/deliveries`);
+      setDeliveries(prev => ({ ...prev, [notificationId]: response.data.data || [] }));
+    } catch (error) {
+      console.error('Failed to load delivery history:', error);
+    }
+  };
+
+  const retryDelivery = async (notificationId, deliveryId) => {
+    try {
+      const response = await api.post(`/api/notifications/deliveries/${deliveryId}/retry`);
+      toast.success(response.data.message);
+      const history = await api.get(`/api/notifications/${notificationId}/deliveries`);
+      setDeliveries(prev => ({ ...prev, [notificationId]: history.data.data || [] }));
+    } catch (error) {
+      console.error('Failed to retry delivery:', error);
+    }
+  };
+
   const updatePreferences = async (newPreferences) => {
     try {
       await api.put('/api/notifications/preferences', { notificationPreferences: newPreferences });
@@ -267,6 +312,33 @@ const Notifications = () => {
                             <p className="mt-2 text-xs text-gray-400">
                               {new Date(notification.createdAt).toLocaleString()}
                             </p>
+                            {deliveries[notification._id] && (
+                              <ul className="mt-2 space-y-1">
+                                {deliveries[notification._id].length === 0 && (
+                                  <li className="text-xs text-gray-500">In-app only</li>
+                                )}
+                                {deliveries[notification._id].map((delivery) => (
+                                  <li key={delivery._id} className="flex items-center gap-2 text-xs text-gray-600">
+                                    <span className="font-medium capitalize">{delivery.channel}</span>
+                                    <span className={`px-2 py-0.5 rounded-full ${deliveryStatusColors[delivery.status] || 'bg-gray-100 text-gray-700'}`}>
+                                      {delivery.status}{delivery.queueReason ? ` (${delivery.queueReason})` : ''}
+                                    </span>
+                                    <span>{delivery.attempts.length} attempt{delivery.attempts.length === 1 ? '' : 's'}</span>
+                                    {delivery.lastError && delivery.status !== 'sent' && (
+                                      <span className="text-red-600 truncate">{delivery.lastError}</span>
+                                    )}
+                                    {delivery.status === 'failed' && delivery.attempts.length > 0 && (
+                                      <button
+                                        onClick={() => retryDelivery(notification._id, delivery._id)}
+                                        className="text-blue-600 hover:text-blue-800"
+                                      >
+                                        Retry
+                                      </button>
+                                    )}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
                           </div>
                         </div>
                         <div className="flex space-x-2 ml-4">
@@ -278,6 +350,12 @@ const Notifications = () => {
                               Mark Read
                             </button>
                           )}
+                          <button
+                            onClick={() => toggleDeliveries(notification._id)}
+                            className="text-xs text-gray-600 hover:text-gray-800"
+                          >
+                            {deliveries[notification._id] ? 'Hide Delivery' : 'Delivery'}
+                          </button>
                           <button
                             onClick={() => deleteNotification(notification._id)}
                             className="text-xs text-red-600 hover:text-red-800"
@@ -290,6 +368,18 @@ const Notifications = () => {
                   ))
                 )}
               </div>
+
+              {nextCursor && (
+                <div className="text-center">
+                  <button
+                    onClick={loadMore}
+                    disabled={loadingMore}
+                    className="px-4 py-2 text-sm text-blue-600 border border-blue-200 rounded hover:bg-blue-50 disabled:opacity-50"
+                  >
+                    {loadingMore ? 'Loading...' : 'Load more'}
+                  </button>
+                </div>
+              )}
             </div>
           )}
 
@@ -388,6 +478,24 @@ const Notifications = () => {
                     className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
                   />
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Time Zone
+                  </label>
+                  <select
+                    value={preferences.timezone || browserTimezone}
+                    onChange={(e) => updatePreferences({
+                      ...preferences,
+                      timezone: e.target.value
+                    })}
+                    className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {timezones.map(tz => (
+                      <option key={tz} value={tz}>{tz}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
             </div>
           )}
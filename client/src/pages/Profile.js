@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
+import SessionList from '../components/SessionList';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import AccountData from '../components/AccountData';
+import FieldError from '../components/FieldError';
+import { validateForm, loadFormSchemas, fieldErrorsFromResponse } from '../utils/validation';
 // Notification preferences are managed in the Notifications page; Profile keeps only contact info
 
 const defaultPrefs = {
@@ -20,6 +25,8 @@ const defaultPrefs = {
   },
 };
 
+const defaultContactInfo = { email: '', phone: '', whatsapp: '', telegram: '', slack: '', webhook: '', name: '' };
+
 const DISEASES = [
   'Diabetes', 'Hypertension', 'Heart Disease', 'Asthma', 'Celiac Disease', 'Kidney Disease', 'Liver Disease', 'Thyroid', 'Cancer', 'Other'
 ];
@@ -44,12 +51,27 @@ const defaultProfile = {
 
 const Profile = () => {
   const [prefs, setPrefs] = useState(defaultPrefs);
-  const [contactInfo, setContactInfo] = useState({ email: '', phone: '', whatsapp: '', name: '' });
+  const [contactInfo, setContactInfo] = useState(defaultContactInfo);
   const [profile, setProfile] = useState(defaultProfile);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [isEditing, setIsEditing] = useState(true);
   const [savingPrefs, setSavingPrefs] = useState(false);
+  const [resending, setResending] = useState(false);
+  const [schemas, setSchemas] = useState(null);
+  const [contactErrors, setContactErrors] = useState({});
+
+  const resendVerification = async () => {
+    setResending(true);
+    try {
+      const res = await api.post('/api/auth/resend-verification');
+      toast.success(res.data.message || 'Verification email sent');
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setResending(false);
+    }
+  };
 
   const fetchData = async () => {
       try {
@@ -58,7 +80,7 @@ const Profile = () => {
           api.get('/api/auth/profile'),
         ]);
         setPrefs({ ...defaultPrefs, ...prefsRes.data.data });
-        setContactInfo(prefsRes.data.data?.contactInfo || { email: '', phone: '', whatsapp: '', name: '' });
+        setContactInfo({ ...defaultContactInfo, ...prefsRes.data.data?.contactInfo });
         const u = profileRes.data.data.user;
         const mapNames = (arr) => (arr || []).map((x) => {
           if (typeof x === 'string') return x;
@@ -81,9 +103,16 @@ const Profile = () => {
     };
   useEffect(() => {
     fetchData();
+    // Same rules the API validates profile and contact details with
+    loadFormSchemas().then(setSchemas);
     // eslint-disable-next-line
   }, []);
 
+  const handleContactChange = (field, value) => {
+    setContactInfo((prev) => ({ ...prev, [field]: value }));
+    setContactErrors(({ [field]: _cleared, ...rest }) => rest);
+  };
+
   // --- Notification Settings Handlers (unchanged) ---
   const handleChannelChange = (channel) => {
     setPrefs((prev) => ({
@@ -103,20 +132,34 @@ const Profile = () => {
   };
   const handleSavePrefs = async (e) => {
     e.preventDefault();
+    const contact = {
+      email: String(contactInfo.email || '').trim(),
+      phone: String(contactInfo.phone || '').trim(),
+      whatsapp: String(contactInfo.whatsapp || '').trim(),
+      telegram: String(contactInfo.telegram || '').trim(),
+      slack: String(contactInfo.slack || '').trim(),
+      webhook: String(contactInfo.webhook || '').trim(),
+      name: String(contactInfo.name || '').trim()
+    };
+    const errors = schemas ? validateForm(schemas.contactInfo, contact) : {};
+    setContactErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      toast.error(Object.values(errors)[0]);
+      return;
+    }
+
     setSavingPrefs(true);
     try {
-      await api.put('/api/auth/notification-preferences', {
-        contactInfo: {
-          email: String(contactInfo.email || '').trim(),
-          phone: String(contactInfo.phone || '').trim(),
-          whatsapp: String(contactInfo.whatsapp || '').trim(),
-          name: String(contactInfo.name || '').trim()
-        }
-      });
+      await api.put('/api/auth/notification-preferences', { contactInfo: contact });
       toast.success('Contact information updated!');
       await fetchData();
     } catch (e) {
-      toast.error('Failed to update contact information');
+      // The API reports contact fields as "contactInfo.<field>"
+      const fieldErrors = fieldErrorsFromResponse(e);
+      setContactErrors(Object.fromEntries(
+        Object.entries(fieldErrors).map(([field, message]) => [field.replace(/^contactInfo\./, ''), message])
+      ));
+      toast.error(e.response?.data?.message || 'Failed to update contact information');
     } finally {
       setSavingPrefs(false);
     }
@@ -162,6 +205,12 @@ const Profile = () => {
         medications: ensureIncluded(profile.medications, inputs.medication)
       };
 
+      const errors = schemas ? validateForm(schemas.profile, payload) : {};
+      if (Object.keys(errors).length > 0) {
+        toast.error(Object.values(errors)[0]);
+        return;
+      }
+
       await api.put('/api/auth/profile', payload);
       toast.success('Health profile updated!');
       await fetchData();
@@ -184,6 +233,20 @@ const Profile = () => {
 
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {contactInfo.emailVerified === false && (
+        <div className="mb-6 p-4 rounded-lg border border-yellow-300 bg-yellow-50 flex items-center justify-between">
+          <span className="text-sm text-yellow-800">
+            ✉️ Your email address ({contactInfo.email}) isn't verified yet. Some notification channels stay off until it is.
+          </span>
+          <button
+            onClick={resendVerification}
+            disabled={resending}
+            className="ml-4 px-3 py-1 text-sm bg-yellow-600 text-white rounded-md hover:bg-yellow-700 disabled:opacity-50"
+          >
+            {resending ? 'Sending...' : 'Resend link'}
+          </button>
+        </div>
+      )}
       <div className="bg-white shadow rounded-2xl p-8 mb-8">
         <div className="mb-4 flex items-center justify-between">
           <h1 className="text-2xl font-bold text-gray-900">Your Health Profile</h1>
@@ -346,40 +409,77 @@ const Profile = () => {
             <input
               type="email"
               value={contactInfo.email}
-              onChange={(e) => setContactInfo({ ...contactInfo, email: e.target.value })}
+              onChange={(e) => handleContactChange('email', e.target.value)}
               className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
               placeholder="you@email.com"
             />
+            <FieldError message={contactErrors.email} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Phone (with country code)</label>
             <input
               type="tel"
               value={contactInfo.phone}
-              onChange={(e) => setContactInfo({ ...contactInfo, phone: e.target.value })}
+              onChange={(e) => handleContactChange('phone', e.target.value)}
               className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
               placeholder="+91XXXXXXXXXX"
             />
+            <FieldError message={contactErrors.phone} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">WhatsApp (with country code)</label>
             <input
               type="tel"
               value={contactInfo.whatsapp}
-              onChange={(e) => setContactInfo({ ...contactInfo, whatsapp: e.target.value })}
+              onChange={(e) => handleContactChange('whatsapp', e.target.value)}
               className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
               placeholder="+91XXXXXXXXXX"
             />
+            <FieldError message={contactErrors.whatsapp} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Telegram chat id</label>
+            <input
+              type="text"
+              value={contactInfo.telegram}
+              onChange={(e) => handleContactChange('telegram', e.target.value)}
+              className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="123456789"
+            />
+            <FieldError message={contactErrors.telegram} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Slack incoming webhook URL</label>
+            <input
+              type="url"
+              value={contactInfo.slack}
+              onChange={(e) => handleContactChange('slack', e.target.value)}
+              className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="https://hooks.slack.com/services/..."
+            />
+            <FieldError message={contactErrors.slack} />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Webhook URL</label>
+            <input
+              type="url"
+              value={contactInfo.webhook}
+              onChange={(e) => handleContactChange('webhook', e.target.value)}
+              className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
+              placeholder="https://example.com/smartbite-hook"
+            />
+            <FieldError message={contactErrors.webhook} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Name (for messages)</label>
             <input
               type="text"
               value={contactInfo.name}
-              onChange={(e) => setContactInfo({ ...contactInfo, name: e.target.value })}
+              onChange={(e) => handleContactChange('name', e.target.value)}
               className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500"
               placeholder="Your name"
             />
+            <FieldError message={contactErrors.name} />
           </div>
         </div>
         <div className="flex justify-end mt-4">
@@ -393,6 +493,12 @@ const Profile = () => {
         </div>
       </div>
 
+      <TwoFactorSettings />
+
+      <SessionList />
+
+      <AccountData />
+
       {/* Link to Notification Preferences */}
       <div className="mt-6 flex justify-end">
         <a
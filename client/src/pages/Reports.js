@@ -2,6 +2,14 @@ import React, { useState, useEffect } from 'react';
 import api from '../utils/api';
 import toast from 'react-hot-toast';
 
+const wasteReasonLabels = {
+  expired: 'Expired',
+  'spoiled-early': 'Spoiled early',
+  overbought: 'Overbought',
+  'didnt-like': "Didn't like it",
+  other: 'Other',
+};
+
 const Reports = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
   const [loading, setLoading] = useState(true);
@@ -300,6 +308,33 @@ const Reports = () => {
                 </div>
               )}
 
+              {/* Waste by Reason, Brand and Store */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                {[
+                  { title: 'Waste by Reason', data: wasteAnalysis.wasteByReason, format: (key) => wasteReasonLabels[key] || key },
+                  { title: 'Waste by Brand', data: wasteAnalysis.wasteByBrand },
+                  { title: 'Waste by Store', data: wasteAnalysis.wasteByStore },
+                ].filter(group => group.data && Object.keys(group.data).length > 0).map(group => (
+                  <div key={group.title} className="bg-white border rounded-lg p-6">
+                    <h3 className="text-lg font-medium text-gray-900 mb-4">{group.title}</h3>
+                    <div className="space-y-2">
+                      {Object.entries(group.data)
+                        .sort(([, a], [, b]) => b.estimatedValue - a.estimatedValue)
+                        .slice(0, 8)
+                        .map(([key, data]) => (
+                          <div key={key} className="flex justify-between items-center p-2 bg-gray-50 rounded text-sm">
+                            <span className="font-medium">{group.format ? group.format(key) : key}</span>
+                            <span className="space-x-3">
+                              <span className="text-red-600">{data.count}</span>
+                              <span className="text-yellow-600">₹{Number(data.estimatedValue || 0).toFixed(2)}</span>
+                            </span>
+                          </div>
+                        ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
               {/* Top Wasted Items */}
               {wasteAnalysis.topWastedItems && wasteAnalysis.topWastedItems.length > 0 && (
                 <div className="bg-white border rounded-lg p-6">
@@ -312,7 +347,9 @@ const Reports = () => {
                           {item.brand && <span className="text-gray-600 ml-2">({item.brand})</span>}
                         </div>
                         <div className="flex space-x-4 text-sm">
-                          <span className="text-red-600">{item.daysExpired} days expired</span>
+                          <span className="text-red-600">
+                            {item.source === 'recorded' ? (wasteReasonLabels[item.reason] || item.reason) : `${item.daysExpired} days expired`}
+                          </span>
                           <span className="text-yellow-600">₹{Number(item.estimatedValue || 0).toFixed(2)}</span>
                         </div>
                       </div>
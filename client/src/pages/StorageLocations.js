@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import toast from 'react-hot-toast';
+
+const kinds = ['fridge', 'freezer', 'pantry', 'shelf', 'other'];
+
+const categories = [
+  'dairy', 'meat', 'fruits', 'vegetables', 'grains', 'snacks',
+  'beverages', 'condiments', 'frozen', 'canned', 'bakery', 'other',
+];
+
+const kindColors = {
+  fridge: 'bg-blue-100 text-blue-800',
+  freezer: 'bg-indigo-100 text-indigo-800',
+  pantry: 'bg-yellow-100 text-yellow-800',
+  shelf: 'bg-green-100 text-green-800',
+  other: 'bg-gray-100 text-gray-700',
+};
+
+const kindHints = {
+  freezer: 'Days an item keeps once frozen here',
+  fridge: 'Days an item keeps once thawed here',
+  pantry: 'Days an item keeps here after leaving the fridge or freezer',
+  shelf: 'Days an item keeps here after leaving the fridge or freezer',
+  other: 'Days an item keeps here after leaving the fridge or freezer',
+};
+
+const emptyForm = { name: '', kind: '' };
+
+// Storage locations of the active inventory and their shelf-life overrides
+const StorageLocations = () => {
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const fetchLocations = async () => {
+    try {
+      const res = await api.get('/api/locations');
+      setLocations(res.data.data || []);
+    } catch (e) {
+      // Error toast is shown by the API client
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  const runAction = async (action) => {
+    setWorking(true);
+    try {
+      const res = await action();
+      toast.success(res.data.message);
+      await fetchLocations();
+      return true;
+    } catch (e) {
+      // Error toast is shown by the API client
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const body = { name: form.name.trim() };
+    if (form.kind) body.kind = form.kind;
+    if (await runAction(() => api.post('/api/locations', body))) setForm(emptyForm);
+  };
+
+  const startEditing = (location) => {
+    const shelfLifeDays = {};
+    categories.forEach((category) => {
+      const days = location.shelfLifeDays?.[category];
+      shelfLifeDays[category] = days === undefined ? '' : String(days);
+    });
+    setEditing({ _id: location._id, name: location.name, kind: location.kind, shelfLifeDays });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const shelfLifeDays = {};
+    Object.entries(editing.shelfLifeDays).forEach(([category, days]) => {
+      if (days !== '') shelfLifeDays[category] = Number(days);
+    });
+    const body = { name: editing.name.trim(), kind: editing.kind, shelfLifeDays };
+    if (await runAction(() => api.put(`/api/locations/${editing._id}`, body))) setEditing(null);
+  };
+
+  const handleDelete = (location) => {
+    const items = location.itemCount > 0 ? ` Its ${location.itemCount} item${location.itemCount === 1 ? '' : 's'} will have no location.` : '';
+    if (!window.confirm(`Delete ${location.name}?${items}`)) return;
+    runAction(() => api.delete(`/api/locations/${location._id}`));
+  };
+
+  const move = (index, offset) => {
+    const other = locations[index + offset];
+    if (!other) return;
+    const location = locations[index];
+    runAction(async () => {
+      await api.put(`/api/locations/${location._id}`, { sortOrder: index + offset });
+      return api.put(`/api/locations/${other._id}`, { sortOrder: index });
+    });
+  };
+
+  const inputClass = 'border border-gray-300 rounded-lg px-3 py-2 text-sm';
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Storage Locations</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Moving an item between kinds of storage adjusts its expiry: freezing extends it, thawing and taking
+          perishables out of the cold shortens it. Override the default number of days per category below.
+        </p>
+      </div>
+
+      <form onSubmit={handleAdd} className="bg-white shadow rounded-2xl p-4 flex flex-wrap items-center gap-3">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+          placeholder="New location, e.g. Garage freezer"
+          maxLength={50}
+          className={`${inputClass} flex-1 min-w-[12rem]`}
+        />
+        <select
+          value={form.kind}
+          onChange={(e) => setForm((prev) => ({ ...prev, kind: e.target.value }))}
+          className={inputClass}
+        >
+          <option value="">Kind (from name)</option>
+          {kinds.map((kind) => <option key={kind} value={kind}>{kind}</option>)}
+        </select>
+        <button
+          type="submit"
+          disabled={working || !form.name.trim()}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </form>
+
+      <div className="bg-white shadow rounded-2xl divide-y divide-gray-100">
+        {loading ? (
+          <div className="flex justify-center items-center py-16">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+          </div>
+        ) : locations.map((location, index) => (
+          <div key={location._id} className="p-4">
+            {editing?._id === location._id ? (
+              <form onSubmit={handleSave} className="space-y-3">
+                <div className="flex flex-wrap gap-3">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                    maxLength={50}
+                    className={`${inputClass} flex-1`}
+                  />
+                  <select
+                    value={editing.kind}
+                    onChange={(e) => setEditing((prev) => ({ ...prev, kind: e.target.value }))}
+                    className={inputClass}
+                  >
+                    {kinds.map((kind) => <option key={kind} value={kind}>{kind}</option>)}
+                  </select>
+                </div>
+                <p className="text-xs text-gray-500">{kindHints[editing.kind]} (empty uses the default):</p>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                  {categories.map((category) => (
+                    <label key={category} className="text-xs text-gray-600">
+                      {category}
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={editing.shelfLifeDays[category]}
+                        onChange={(e) => setEditing((prev) => ({
+                          ...prev,
+                          shelfLifeDays: { ...prev.shelfLifeDays, [category]: e.target.value },
+                        }))}
+                        className={`${inputClass} w-full mt-1`}
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="flex justify-end space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => setEditing(null)}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={working || !editing.name.trim()}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <span className="font-medium text-gray-900">{location.name}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${kindColors[location.kind]}`}>
+                    {location.kind}
+                  </span>
+                  <span className="text-sm text-gray-500">
+                    {location.itemCount} item{location.itemCount === 1 ? '' : 's'}
+                  </span>
+                </div>
+                <div className="space-x-2 text-sm">
+                  <button onClick={() => move(index, -1)} disabled={working || index === 0} className="text-gray-500 hover:text-gray-800 disabled:opacity-30" aria-label="Move up">
+                    ▲
+                  </button>
+                  <button onClick={() => move(index, 1)} disabled={working || index === locations.length - 1} className="text-gray-500 hover:text-gray-800 disabled:opacity-30" aria-label="Move down">
+                    ▼
+                  </button>
+                  <button onClick={() => startEditing(location)} className="px-3 py-1 bg-blue-100 text-blue-700 rounded-lg font-medium hover:bg-blue-200">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDelete(location)} disabled={working} className="px-3 py-1 bg-red-100 text-red-700 rounded-lg font-medium hover:bg-red-200 disabled:opacity-50">
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default StorageLocations;
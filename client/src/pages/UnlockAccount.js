@@ -0,0 +1,53 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is incomplete.');
+  const { unlockAccount } = useAuth();
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    // Unlock tokens are single-use, so only submit once (StrictMode runs effects twice)
+    if (!token || attempted.current) return;
+    attempted.current = true;
+
+    unlockAccount(token).then((result) => {
+      setStatus(result.success ? 'unlocked' : 'error');
+      setMessage(result.message);
+    });
+  }, [token, unlockAccount]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-green-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="bg-white rounded-2xl shadow-xl p-8 flex flex-col items-center text-center">
+          <div className="h-14 w-14 bg-gradient-to-r from-blue-500 to-green-500 rounded-full flex items-center justify-center mb-4">
+            <span className="text-white font-bold text-2xl">S</span>
+          </div>
+          <h2 className="text-3xl font-extrabold text-gray-900 mb-4">Unlock account</h2>
+          {status === 'unlocking' ? (
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+          ) : (
+            <p className={`text-base mb-6 ${status === 'unlocked' ? 'text-green-700' : 'text-red-600'}`}>
+              {status === 'unlocked' ? '🔓 ' : ''}{message}
+            </p>
+          )}
+          {status === 'error' && (
+            <Link to="/forgot-password" className="text-sm text-gray-600 hover:text-gray-800 mb-4">
+              Reset your password instead
+            </Link>
+          )}
+          <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -30,6 +30,64 @@ const api = axios.create({
   timeout: 30000,
 });
 
+// ------------ SESSION TOKENS ------------
+// Access tokens are short-lived; the refresh token is exchanged for a new pair when they expire.
+export const setAuthTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem("token", token);
+  if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+};
+
+let refreshing = null;
+
+// Get a new access token. Concurrent callers share one request, and if another
+// tab rotated the tokens first we pick up its result instead of failing.
+export const refreshAccessToken = () => {
+  if (refreshing) return refreshing;
+
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.reject(new Error("No refresh token"));
+
+  refreshing = api
+    .post("/api/auth/refresh", { refreshToken }, { _skipAuthRefresh: true, _retryCount: 3 })
+    .then((res) => {
+      setAuthTokens(res.data.data);
+      return res.data.data.token;
+    })
+    .catch((error) => {
+      const latest = localStorage.getItem("refreshToken");
+      if (latest && latest !== refreshToken) return localStorage.getItem("token");
+      throw error;
+    })
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+};
+
+// Retry a request once with a fresh access token after a 401
+export const withTokenRefresh = async (error, client) => {
+  const config = error.config;
+  if (
+    error.response?.status !== 401 ||
+    !config ||
+    config._skipAuthRefresh ||
+    config._authRetried ||
+    !localStorage.getItem("refreshToken")
+  ) {
+    throw error;
+  }
+
+  config._authRetried = true;
+  const token = await refreshAccessToken();
+  config.headers.Authorization = `Bearer ${token}`;
+  return client(config);
+};
+
 // Attach token
 api.interceptors.request.use(
   (config) => {
@@ -81,8 +139,17 @@ api.interceptors.response.use(
       return Promise.reject(error);
     }
 
+    if (status === 401 && !config._skipAuthRefresh) {
+      try {
+        return await withTokenRefresh(error, api);
+      } catch (refreshError) {
+        // Fall through to sign the user out
+      }
+    }
+
     if (status === 401) {
-      localStorage.removeItem("token");
+      if (config._skipAuthRefresh) return Promise.reject(error);
+      clearAuthTokens();
       safeToast.error("Session expired. Please login again.");
       window.location.href = "/login";
       return;
@@ -0,0 +1,41 @@
+import api from './api';
+
+const urlBase64ToUint8Array = (base64) => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(padded);
+  return Uint8Array.from([...raw].map((c) => c.charCodeAt(0)));
+};
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// Subscribe this browser to push notifications and register it with the server
+export const enablePush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notification permission was not granted');
+  }
+
+  const { data } = await api.get('/api/notifications/push/public-key');
+  const registration = await navigator.serviceWorker.register('/push-sw.js');
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(data.data.publicKey),
+  });
+
+  await api.post('/api/notifications/push/subscriptions', { subscription: subscription.toJSON() });
+  return subscription;
+};
+
+export const disablePush = async () => {
+  if (!isPushSupported()) return;
+  const registration = await navigator.serviceWorker.getRegistration('/push-sw.js');
+  const subscription = registration && await registration.pushManager.getSubscription();
+  if (!subscription) return;
+
+  await api.delete('/api/notifications/push/subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+};
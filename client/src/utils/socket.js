@@ -0,0 +1,56 @@
+import { io } from 'socket.io-client';
+import { refreshAccessToken } from './api';
+
+const SOCKET_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Typed inventory events emitted by the server
+export const FOOD_EVENTS = {
+  added: 'food:added',
+  updated: 'food:updated',
+  deleted: 'food:deleted',
+  expiring: 'food:expiring',
+};
+
+let socket = null;
+
+// One shared, authenticated connection for the whole app.
+// The token is read on every (re)connect so a new login is picked up.
+export const getSocket = () => {
+  if (!socket) {
+    const connection = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: localStorage.getItem('token') }),
+    });
+    let refreshTried = false;
+    connection.on('connect_error', (error) => {
+      console.error('Realtime connection failed:', error.message);
+      // The access token expired since the last handshake: refresh it and try again once
+      if (error.message === 'Token expired.' && !refreshTried) {
+        refreshTried = true;
+        refreshAccessToken()
+          .then(() => connection.connect())
+          .catch(() => {});
+      }
+    });
+    connection.on('connect', () => {
+      refreshTried = false;
+    });
+    socket = connection;
+  }
+  return socket;
+};
+
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.close();
+    socket = null;
+  }
+};
+
+// Subscribe to socket events; returns a function that removes the listeners
+export const subscribe = (handlers) => {
+  const s = getSocket();
+  Object.entries(handlers).forEach(([event, handler]) => s.on(event, handler));
+  return () => {
+    Object.entries(handlers).forEach(([event, handler]) => s.off(event, handler));
+  };
+};
@@ -0,0 +1,12 @@
+// IANA time zones offered in the notification settings
+const fallbackTimezones = [
+  'Asia/Kolkata', 'Asia/Dubai', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney',
+  'Europe/London', 'Europe/Berlin', 'Africa/Nairobi',
+  'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'UTC',
+];
+
+export const timezones = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : fallbackTimezones;
+
+export const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
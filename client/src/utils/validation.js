@@ -0,0 +1,156 @@
+import api from "./api";
+
+// Client side of the API's request validation (server/validation/index.js).
+// Form rules are fetched from GET /api/schemas, and checkValue below must stay in
+// step with the server's so both report the same message for the same input.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPE_NAMES = {
+  string: "text",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  date: "a valid date",
+  email: "a valid email address",
+  objectId: "a valid id",
+  array: "a list",
+  object: "an object",
+};
+
+// Accepts YYYY-MM-DD, DD-MM-YYYY and full ISO timestamps
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  const dayFirst = /^(\d{2})-(\d{2})-(\d{4})$/.exec(text);
+  return new Date(dayFirst ? `${dayFirst[3]}-${dayFirst[2]}-${dayFirst[1]}` : text);
+};
+
+const isNumeric = (value) =>
+  (typeof value === "number" && Number.isFinite(value)) ||
+  (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value)));
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: isNumeric,
+  integer: (value) => isNumeric(value) && Number.isInteger(Number(value)),
+  boolean: (value) => typeof value === "boolean" || value === "true" || value === "false",
+  date: (value) => (typeof value === "string" || value instanceof Date) && !isNaN(parseDate(value).getTime()),
+  email: (value) => typeof value === "string" && EMAIL_PATTERN.test(value.trim()),
+  objectId: (value) => typeof value === "string" && /^[a-f\d]{24}$/i.test(value),
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+  any: () => true,
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// "expiryDate" -> "Expiry date"
+const humanize = (name) => {
+  const words = String(name).replace(/([a-z\d])([A-Z])/g, "$1 $2").replace(/[_-]+/g, " ").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// The first problem with a value, or null when it satisfies the rule
+export const checkValue = (rule, value, label) => {
+  if (isEmpty(value)) {
+    return rule.required ? `${label} is required` : null;
+  }
+
+  const types = [].concat(rule.type || "any");
+  if (!types.some((type) => TYPE_CHECKS[type](value))) {
+    return rule.message || `${label} must be ${types.map((type) => TYPE_NAMES[type]).join(" or ")}`;
+  }
+
+  if (rule.enum && !Array.isArray(value) && !rule.enum.includes(value)) {
+    return `${label} must be one of: ${rule.enum.join(", ")}`;
+  }
+
+  if ((types.includes("number") || types.includes("integer")) && isNumeric(value)) {
+    const number = Number(value);
+    if (rule.min !== undefined && number < rule.min) return `${label} must be at least ${rule.min}`;
+    if (rule.max !== undefined && number > rule.max) return `${label} must be at most ${rule.max}`;
+  }
+
+  if (typeof value === "string" || Array.isArray(value)) {
+    const unit = Array.isArray(value) ? "items" : "characters";
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `${label} must have at least ${rule.minLength} ${unit}`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `${label} must have at most ${rule.maxLength} ${unit}`;
+    }
+  }
+
+  if (rule.pattern && typeof value === "string" && !new RegExp(rule.pattern).test(value.trim())) {
+    return rule.message || `${label} has an invalid format`;
+  }
+
+  return null;
+};
+
+// Check form values against a rule set. Returns { "quantity.amount": message, ... },
+// empty when everything is valid. Paths match the "field" of the API's 400 errors.
+export const validateForm = (rules, values, prefix = "") => {
+  const errors = {};
+  for (const [name, rule] of Object.entries(rules || {})) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const label = rule.label || humanize(name);
+    const value = values ? values[name] : undefined;
+
+    const message = checkValue(rule, value, label);
+    if (message) {
+      errors[path] = message;
+      continue;
+    }
+
+    if (rule.fields && TYPE_CHECKS.object(value)) {
+      Object.assign(errors, validateForm(rule.fields, value, path));
+    }
+    if (rule.items && Array.isArray(value)) {
+      const itemRule = { label: `Each ${label.toLowerCase()} entry`, ...rule.items };
+      value.forEach((item, index) => {
+        const itemMessage = checkValue(itemRule, item, itemRule.label);
+        if (itemMessage) {
+          errors[`${path}[${index}]`] = itemMessage;
+        } else if (itemRule.fields && TYPE_CHECKS.object(item)) {
+          Object.assign(errors, validateForm(itemRule.fields, item, `${path}[${index}]`));
+        }
+      });
+    }
+  }
+  return errors;
+};
+
+// Field errors from an API 400 response, in the same shape as validateForm
+export const fieldErrorsFromResponse = (error) => {
+  const errors = error?.response?.data?.errors;
+  if (!Array.isArray(errors)) return {};
+  return errors.reduce((result, item) => {
+    if (item && item.field && !result[item.field]) result[item.field] = item.message;
+    return result;
+  }, {});
+};
+
+let schemasRequest = null;
+
+// Form schemas (food, profile, contactInfo), fetched once per page load.
+// Resolves to null when they can't be loaded; the API still validates.
+export const loadFormSchemas = () => {
+  if (!schemasRequest) {
+    schemasRequest = api
+      .get("/api/schemas")
+      .then((res) => res.data.data)
+      .catch(() => {
+        schemasRequest = null;
+        return null;
+      });
+  }
+  return schemasRequest;
+};
+
+export const getFormSchema = async (name) => {
+  const schemas = await loadFormSchemas();
+  return schemas ? schemas[name] : null;
+};
@@ -4,22 +4,31 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const http = require("http");
 const socketIo = require("socket.io");
+const helmet = require("helmet");
 require("dotenv").config();
+const realtimeService = require("./services/realtimeService");
 
 console.log("🚀 Starting SmartBite AI Backend...");
 
 const app = express();
 const server = http.createServer(app);
 
+// Behind a load balancer/proxy, trust its X-Forwarded-For so req.ip (used by
+// the rate limiters and audit log) is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // ----------------------------------------------------
-// SOCKET.IO
+// SECURITY HEADERS (every response)
 // ----------------------------------------------------
-const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"],
-  },
-});
+app.use(
+  helmet({
+    // The API is called from the client's origin, so allow cross-origin reads
+    crossOriginResourcePolicy: { policy: "cross-origin" },
+  })
+);
 
 // ----------------------------------------------------
 // FIXED: ALLOW BOTH LOCAL + NETLIFY FRONTEND
@@ -29,6 +38,17 @@ const allowedOrigins = [
   process.env.CLIENT_URL, // Netlify URL
 ].filter(Boolean);
 
+// ----------------------------------------------------
+// SOCKET.IO (same origins as the API)
+// ----------------------------------------------------
+const io = socketIo(server, {
+  cors: {
+    origin: allowedOrigins,
+    methods: ["GET", "POST"],
+    credentials: true,
+  },
+});
+
 app.use(
   cors({
     origin: function (origin, callback) {
@@ -93,6 +113,11 @@ async function connectDB() {
     });
 
     console.log("✅ MongoDB connected successfully!");
+
+    // Items saved before opened-date tracking expire on their expiry date
+    require("./models/Food")
+      .backfillEffectiveExpiry()
+      .catch((err) => console.error("❌ Effective expiry backfill failed:", err.message));
   } catch (err) {
     console.error("❌ MongoDB connection failed:", err.message);
     console.log("🔁 Retrying in 6 seconds...");
@@ -129,8 +154,12 @@ process.on("SIGINT", async () => {
 // ----------------------------------------------------
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/foods", require("./routes/food"));
+app.use("/api/households", require("./routes/households"));
+app.use("/api/locations", require("./routes/locations"));
 app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/products", require("./routes/products"));
 app.use("/api/reports", require("./routes/reports"));
+app.use("/api/schemas", require("./routes/schemas"));
 
 // Health check
 app.get("/", (req, res) => {
@@ -151,19 +180,19 @@ app.use((err, req, res, next) => {
 // ----------------------------------------------------
 // SOCKET.IO EVENTS
 // ----------------------------------------------------
-io.on("connection", (socket) => {
-  console.log(`🔌 User connected: ${socket.id}`);
+// Every socket must present a valid JWT; it is placed in its own user room
+// (and its active household's room) and cannot join any other
+io.use(require("./middleware/socketAuth"));
 
-  socket.on("join-user-room", (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`👤 User ${userId} joined room user-${userId}`);
-  });
+io.on("connection", (socket) => {
+  console.log(`🔌 User ${socket.data.userId} connected: ${socket.id}`);
 
   socket.on("disconnect", () => {
     console.log(`🔌 User disconnected: ${socket.id}`);
   });
 });
 
+realtimeService.attach(io);
 app.set("io", io);
 
 // ----------------------------------------------------
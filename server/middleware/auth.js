@@ -1,48 +1,71 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 
-const auth = async (req, res, next) => {
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = 401;
+  }
+}
+
+// Verify an access token, its session and its active user.
+// Shared by HTTP routes and the Socket.IO handshake; resolves to { user, session }.
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new AuthError('Access denied. No token provided.');
+  }
+
+  let decoded;
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Access denied. No token provided.' 
-      });
-    }
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') throw new AuthError('Invalid token.');
+    if (error.name === 'TokenExpiredError') throw new AuthError('Token expired.');
+    throw error;
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+  // Tokens from before sessions existed can't be revoked, so they are no longer accepted
+  if (!decoded.sid) {
+    throw new AuthError('Token expired.');
+  }
 
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid token. User not found.' 
-      });
-    }
+  let session;
+  try {
+    session = await sessionService.validate(decoded.sid);
+  } catch (error) {
+    if (error instanceof sessionService.SessionError) throw new AuthError(error.message);
+    throw error;
+  }
 
-    if (!user.isActive) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Account is deactivated.' 
-      });
-    }
+  const user = await User.findById(decoded.userId);
+
+  if (!user) {
+    throw new AuthError('Invalid token. User not found.');
+  }
+
+  if (!user.isActive) {
+    throw new AuthError('Account is deactivated.');
+  }
+
+  return { user, session };
+};
+
+const auth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const { user, session } = await authenticateToken(token);
 
     req.user = user;
     req.token = token;
+    req.authSession = session;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (error instanceof AuthError) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid token.' 
-      });
-    }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Token expired.' 
+        message: error.message 
       });
     }
     
@@ -54,4 +77,7 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth; 
\ No newline at end of file
+auth.authenticateToken = authenticateToken;
+auth.AuthError = AuthError;
+
+module.exports = auth;
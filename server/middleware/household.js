@@ -0,0 +1,36 @@
+const Household = require('../models/Household');
+
+// Resolve the active household for the authenticated user.
+// Sets req.household, req.householdRole and req.foodScope (query filter for Food).
+const loadHousehold = async (req, res, next) => {
+  try {
+    const { household, role, scope } = await Household.resolveForUser(req.user);
+    req.household = household;
+    req.householdRole = role;
+    req.foodScope = scope;
+    next();
+  } catch (error) {
+    console.error('Household middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+};
+
+// Restrict a route to the given household roles. Personal inventories always pass.
+const requireHouseholdRole = (...roles) => (req, res, next) => {
+  if (!req.household || roles.includes(req.householdRole)) {
+    return next();
+  }
+  return res.status(403).json({
+    success: false,
+    message: 'You do not have permission to perform this action in this household.'
+  });
+};
+
+module.exports = {
+  loadHousehold,
+  requireHouseholdRole,
+  canEditFoods: requireHouseholdRole('owner', 'member')
+};
@@ -0,0 +1,73 @@
+const rateLimit = require('express-rate-limit');
+const auditService = require('../services/auditService');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+const emailKey = (req) => String((req.body && req.body.email) || '').trim().toLowerCase();
+
+// Respond like the rest of the API and leave an audit trail of throttled attempts
+const throttled = (reason, message) => async (req, res, next, options) => {
+  await auditService.record('login_throttled', {
+    req,
+    email: emailKey(req) || undefined,
+    reason
+  });
+  res.status(options.statusCode).json({ success: false, message });
+};
+
+// Attempts from one IP, whichever accounts they target
+const loginIpLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  limit: parseInt(process.env.LOGIN_IP_LIMIT) || 20,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: throttled('ip-limit', 'Too many login attempts from this network. Please try again later.')
+});
+
+// Attempts against one account, from anywhere (spread-out guessing)
+const loginAccountLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  limit: parseInt(process.env.LOGIN_ACCOUNT_LIMIT) || 10,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  skip: (req) => !emailKey(req),
+  keyGenerator: (req) => `account:${emailKey(req)}`,
+  handler: throttled('account-limit', 'Too many login attempts for this account. Please try again later.')
+});
+
+// Endpoints that send email (password reset, verification, unlock)
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.EMAIL_REQUEST_LIMIT) || 5,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many requests. Please try again later.' }
+});
+
+// Household invitations (each one emails an address), per signed-in user
+const inviteLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: parseInt(process.env.HOUSEHOLD_INVITE_LIMIT) || 20,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  message: { success: false, message: 'Too many invitations. Please try again later.' }
+});
+
+// Reading barcodes from photos (CPU heavy), per signed-in user
+const barcodeDecodeLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  limit: parseInt(process.env.BARCODE_DECODE_LIMIT) || 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => `user:${req.user._id}`,
+  message: { success: false, message: 'Too many barcode photos. Please try again later.' }
+});
+
+module.exports = {
+  loginIpLimiter,
+  loginAccountLimiter,
+  emailLimiter,
+  inviteLimiter,
+  barcodeDecodeLimiter
+};
@@ -0,0 +1,26 @@
+const { authenticateToken, AuthError } = require('./auth');
+const realtimeService = require('../services/realtimeService');
+
+// Socket.IO handshake: verify the same JWT as the HTTP API.
+// The client passes it as io(url, { auth: { token } }) or an Authorization header.
+const socketAuth = async (socket, next) => {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token = auth.token || headers.authorization?.replace('Bearer ', '');
+    const { user, session } = await authenticateToken(token);
+
+    socket.data.userId = String(user._id);
+    socket.data.sessionId = String(session._id);
+    await realtimeService.joinRooms(socket, user);
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('Socket auth error:', error);
+    }
+    const err = new Error(error instanceof AuthError ? error.message : 'Internal server error.');
+    err.data = { status: error instanceof AuthError ? 401 : 500 };
+    next(err);
+  }
+};
+
+module.exports = socketAuth;
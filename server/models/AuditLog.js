@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const AUDIT_EVENTS = [
+  'login_failed',
+  'login_throttled',
+  'account_locked',
+  'account_unlocked',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'backup_codes_regenerated',
+  'data_exported',
+  'account_deletion_requested',
+  'account_deletion_cancelled'
+];
+
+// Audit entries are kept for 180 days
+const RETENTION_SECONDS = 180 * 24 * 60 * 60;
+
+// Security-relevant account events (failed sign-ins, lockouts, two-factor changes,
+// data exports and deletion requests)
+const auditLogSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: AUDIT_EVENTS,
+    required: true
+  },
+  // Null when the attempt named an email with no account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Why the attempt failed (unknown-email, bad-password, locked, ip-limit, account-limit...)
+  reason: String,
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ email: 1, event: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+auditLogSchema.statics.AUDIT_EVENTS = AUDIT_EVENTS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
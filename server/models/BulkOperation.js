@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const BULK_ACTIONS = ['delete', 'status', 'categorize', 'tag', 'shift-expiry'];
+
+// A bulk change to the inventory, kept for a short while so it can be undone.
+// Holds each item as it was before the change and the ledger entries it wrote.
+const bulkOperationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: BULK_ACTIONS,
+    required: true
+  },
+  // The request's action options (status, category, tags, days...)
+  options: mongoose.Schema.Types.Mixed,
+  // Food documents as they were before the change
+  snapshots: [mongoose.Schema.Types.Mixed],
+  // updatedAt of each changed item right after the change, so undo can leave
+  // alone items that have been edited since
+  changed: [{
+    foodId: mongoose.Schema.Types.ObjectId,
+    updatedAt: Date
+  }],
+  stockEventIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockEvent'
+  }],
+  undoneAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+bulkOperationSchema.index({ userId: 1, createdAt: -1 });
+bulkOperationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+bulkOperationSchema.statics.BULK_ACTIONS = BULK_ACTIONS;
+
+module.exports = mongoose.model('BulkOperation', bulkOperationSchema);
@@ -28,11 +28,23 @@ const foodSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Not unique: several items (other lots, other users) share a product's barcode
     barcode: {
       type: String,
       trim: true,
-      unique: true,
-      sparse: true,
+    },
+    // Batch/lot number (GS1 AI 10), to find the items a recall applies to
+    lotNumber: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: "",
+    },
+    // Where the item was bought
+    store: {
+      type: String,
+      trim: true,
+      default: "",
     },
 
     // Quantity and Storage
@@ -57,6 +69,11 @@ const foodSchema = new mongoose.Schema(
         default: "pieces",
       },
     },
+    // Quantity as first stocked; quantity.amount goes down as the item is used
+    initialQuantity: {
+      amount: Number,
+      unit: String,
+    },
 
     // Dates
     expiryDate: {
@@ -65,6 +82,21 @@ const foodSchema = new mongoose.Schema(
     },
     bestBeforeDate: Date,
     manufacturedDate: Date,
+    // When the package was opened, and how many days it keeps once open
+    // ("use within 3 days of opening"); without one the category default applies
+    openedAt: {
+      type: Date,
+      default: null,
+    },
+    useWithinDaysAfterOpening: {
+      type: Number,
+      min: 0,
+      max: 365,
+      default: null,
+    },
+    // The earlier of expiryDate and the opened date plus its rule. Expiry status,
+    // reminders and reports go by this; it is kept up to date on save.
+    effectiveExpiryDate: Date,
     shelfLife: {
       value: Number,
       unit: {
@@ -94,6 +126,46 @@ const foodSchema = new mongoose.Schema(
       default: "other",
     },
     tags: [String],
+    // Where the item is kept; storageLocation is the location's name, kept
+    // alongside for search, filters and display
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StorageLocation",
+      default: null,
+    },
+    storageLocation: {
+      type: String,
+      trim: true,
+    },
+    // Moves between locations and the shelf-life rule applied to each
+    locationHistory: [
+      {
+        fromLocationId: mongoose.Schema.Types.ObjectId,
+        from: String,
+        toLocationId: mongoose.Schema.Types.ObjectId,
+        to: String,
+        rule: {
+          type: String,
+          enum: ["freeze", "thaw", "room-temperature", "none"],
+          default: "none",
+        },
+        expiryBefore: Date,
+        expiryAfter: Date,
+        note: String,
+        movedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        movedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    notes: {
+      type: String,
+      trim: true,
+    },
 
     // Nutrition Information
     nutrition: {
@@ -176,7 +248,7 @@ const foodSchema = new mongoose.Schema(
     // Entry Method
     entryMethod: {
       type: String,
-      enum: ["barcode", "ocr", "manual"],
+      enum: ["barcode", "ocr", "manual", "import"],
       required: true,
     },
 
@@ -194,6 +266,12 @@ const foodSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Shared household pantry (null = owner's personal inventory)
+    householdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Household",
+      default: null,
+    },
     status: {
       type: String,
       enum: ["active", "consumed", "expired", "wasted"],
@@ -221,9 +299,14 @@ const foodSchema = new mongoose.Schema(
         },
         channel: {
           type: String,
-          enum: ["email", "whatsapp", "sms", "in-app"],
+          enum: ["email", "whatsapp", "sms", "in-app", "push", "telegram", "slack", "webhook"],
           required: true,
         },
+        // Recipient, so household members are deduplicated separately
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         message: String,
       },
     ],
@@ -236,14 +319,82 @@ const foodSchema = new mongoose.Schema(
 // Indexes for better query performance
 foodSchema.index({ userId: 1, expiryDate: 1 });
 foodSchema.index({ userId: 1, status: 1 });
-foodSchema.index({ barcode: 1 });
+foodSchema.index({ householdId: 1, expiryDate: 1 });
+foodSchema.index({ userId: 1, effectiveExpiryDate: 1 });
+foodSchema.index({ householdId: 1, effectiveExpiryDate: 1 });
+foodSchema.index({ userId: 1, householdId: 1, storageLocation: 1 });
+foodSchema.index({ barcode: 1, lotNumber: 1 });
 foodSchema.index({ "healthRisks.severity": 1 });
 
-// Virtual for days until expiry
-foodSchema.virtual("daysUntilExpiry").get(function () {
+// Remember the stocked quantity so partial usage can be valued later, and
+// keep the effective expiry in step with the dates it comes from
+foodSchema.pre("save", function (next) {
+  if (this.isNew && this.quantity && this.initialQuantity?.amount == null) {
+    this.initialQuantity = {
+      amount: this.quantity.amount,
+      unit: this.quantity.unit,
+    };
+  }
+  this.refreshEffectiveExpiry();
+  next();
+});
+
+// Days an opened package keeps by category, when the item has no rule of its
+// own. Categories left out (fresh produce, "other") keep their expiry date.
+const AFTER_OPENING_DAYS = {
+  dairy: 5,
+  meat: 2,
+  grains: 90,
+  snacks: 14,
+  beverages: 5,
+  condiments: 60,
+  frozen: 2,
+  canned: 3,
+  bakery: 5,
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Days the item keeps once opened: its own rule, else its category's, else null
+foodSchema.methods.afterOpeningDays = function () {
+  if (this.useWithinDaysAfterOpening != null) return this.useWithinDaysAfterOpening;
+  return AFTER_OPENING_DAYS[this.category] ?? null;
+};
+
+// The expiry that applies now: the opened date plus its rule, if that is
+// earlier than the printed expiry date
+foodSchema.methods.getEffectiveExpiry = function () {
   if (!this.expiryDate) return null;
+  const days = this.afterOpeningDays();
+  if (!this.openedAt || days == null) return this.expiryDate;
+  const openedExpiry = new Date(new Date(this.openedAt).getTime() + days * DAY_MS);
+  return openedExpiry < this.expiryDate ? openedExpiry : this.expiryDate;
+};
+
+// Store the effective expiry; returns whether it changed (for updates that skip save)
+foodSchema.methods.refreshEffectiveExpiry = function () {
+  const effective = this.getEffectiveExpiry();
+  const time = (date) => (date ? new Date(date).getTime() : null);
+  const changed = time(effective) !== time(this.effectiveExpiryDate);
+  if (changed) this.effectiveExpiryDate = effective;
+  return changed;
+};
+
+// Items saved before opened-date tracking expire on their expiry date
+foodSchema.statics.backfillEffectiveExpiry = function () {
+  return this.updateMany(
+    { effectiveExpiryDate: { $exists: false } },
+    [{ $set: { effectiveExpiryDate: "$expiryDate" } }]
+  );
+};
+
+foodSchema.statics.AFTER_OPENING_DAYS = AFTER_OPENING_DAYS;
+
+// Virtual for days until expiry (the effective expiry, once opened)
+foodSchema.virtual("daysUntilExpiry").get(function () {
+  const expiry = this.getEffectiveExpiry();
+  if (!expiry) return null;
   const today = new Date();
-  const expiry = new Date(this.expiryDate);
   const diffTime = expiry - today;
   const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   return diffDays;
@@ -262,14 +413,15 @@ foodSchema.virtual("expiryStatus").get(function () {
 
 // Method to check if food is expired
 foodSchema.methods.isExpired = function () {
-  return this.expiryDate && new Date() > this.expiryDate;
+  const expiry = this.getEffectiveExpiry();
+  return Boolean(expiry) && new Date() > expiry;
 };
 
 // Method to check if food is expiring soon
 foodSchema.methods.isExpiringSoon = function (days = 3) {
-  if (!this.expiryDate) return false;
+  const expiry = this.getEffectiveExpiry();
+  if (!expiry) return false;
   const today = new Date();
-  const expiry = new Date(this.expiryDate);
   const diffTime = expiry - today;
   const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   return diffDays <= days && diffDays >= 0;
@@ -300,6 +452,53 @@ foodSchema.methods.getHealthRiskSummary = function () {
   };
 };
 
+// Category names used by the UI (and older clients) mapped onto the enum
+const CATEGORY_ALIASES = {
+  "meat & poultry": "meat",
+  "fish & seafood": "meat",
+  "grains & cereals": "grains",
+  "condiments & sauces": "condiments",
+  "frozen foods": "frozen",
+  "canned foods": "canned",
+  legumes: "grains",
+  "nuts & seeds": "snacks",
+};
+
+const ALLERGENS = ["milk", "eggs", "fish", "shellfish", "tree-nuts", "peanuts", "wheat", "soybeans", "sesame"];
+const ALLERGEN_ALIASES = {
+  soy: "soybeans",
+  soya: "soybeans",
+  "tree nuts": "tree-nuts",
+  tree_nuts: "tree-nuts",
+  "sesame seeds": "sesame",
+  "sesame-seeds": "sesame",
+  gluten: "wheat",
+};
+
+// Normalize a category value to the schema enum; unknown values become "other"
+foodSchema.statics.normalizeCategory = function (inputCategory) {
+  if (!inputCategory) return "other";
+  const value = String(inputCategory).trim().toLowerCase();
+  if (CATEGORY_ALIASES[value]) return CATEGORY_ALIASES[value];
+  return this.schema.path("category").enumValues.includes(value) ? value : "other";
+};
+
+// Normalize allergens (a list or comma separated string, OFF "en:" tags allowed)
+// to the known set; anything unrecognized is dropped
+foodSchema.statics.normalizeAllergens = function (allergens) {
+  if (!allergens) return [];
+  const toArray = Array.isArray(allergens)
+    ? allergens
+    : String(allergens)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+  return toArray
+    .map((a) => String(a).replace(/^en:/, "").trim().toLowerCase())
+    .map((a) => ALLERGEN_ALIASES[a] || a)
+    .filter((a) => ALLERGENS.includes(a));
+};
+
 // Ensure virtual fields are included when converting to JSON
 foodSchema.set("toJSON", { virtuals: true });
 foodSchema.set("toObject", { virtuals: true });
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const HOUSEHOLD_ROLES = ['owner', 'member', 'viewer'];
+
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Members sharing this pantry
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: HOUSEHOLD_ROLES,
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Pending and answered invitations
+  invites: [{
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    role: {
+      type: String,
+      enum: ['member', 'viewer'],
+      default: 'member'
+    },
+    token: {
+      type: String,
+      required: true
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked'],
+      default: 'pending'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+householdSchema.index({ 'members.userId': 1 });
+householdSchema.index({ 'invites.token': 1 });
+householdSchema.index({ 'invites.email': 1, 'invites.status': 1 });
+
+// Get the membership entry for a user (or null)
+householdSchema.methods.getMember = function(userId) {
+  return this.members.find(m => String(m.userId) === String(userId)) || null;
+};
+
+// Get the role of a user in this household (or null)
+householdSchema.methods.getRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Drop invites that were answered, revoked or have expired; their links
+// get the same "invalid or expired" answer either way
+householdSchema.methods.pruneInvites = function(now = new Date()) {
+  const stale = this.invites.filter(i => i.status !== 'pending' || i.expiresAt < now);
+  stale.forEach(i => this.invites.pull(i._id));
+  return stale.length;
+};
+
+// Create a pending invite and return it
+householdSchema.methods.createInvite = function(email, role, invitedBy, ttlDays = 7) {
+  const invite = {
+    email,
+    role,
+    invitedBy,
+    token: crypto.randomBytes(24).toString('hex'),
+    status: 'pending',
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  };
+  this.invites.push(invite);
+  return this.invites[this.invites.length - 1];
+};
+
+// Resolve the food scope for a user: their active household if they still
+// belong to it, otherwise their personal inventory.
+householdSchema.statics.resolveForUser = async function(user) {
+  const personal = { household: null, role: null, scope: { userId: user._id, householdId: null } };
+  if (!user.activeHousehold) return personal;
+
+  const household = await this.findOne({ _id: user.activeHousehold, 'members.userId': user._id });
+  if (!household) return personal;
+
+  return {
+    household,
+    role: household.getRole(user._id),
+    scope: { householdId: household._id }
+  };
+};
+
+householdSchema.statics.ROLES = HOUSEHOLD_ROLES;
+
+module.exports = mongoose.model('Household', householdSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// In-app notifications (previously embedded in User.notifications)
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    default: 'info'
+  },
+  priority: {
+    type: String,
+    enum: ['normal', 'urgent'],
+    default: 'normal'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  foodItems: [{
+    name: String,
+    brand: String,
+    expiryDate: Date
+  }],
+  recommendations: [String],
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+
+  // Old notifications are archived, hidden from the default list,
+  // and removed by the TTL index once expiresAt passes
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, archived: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ userId: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, type: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Opaque cursor for keyset pagination on (createdAt, _id), newest first
+notificationSchema.statics.encodeCursor = function(notification) {
+  return Buffer.from(`${notification.createdAt.toISOString()}_${notification._id}`).toString('base64url');
+};
+
+notificationSchema.statics.decodeCursor = function(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const date = new Date(createdAt);
+  if (isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['queued', 'sending', 'sent', 'retrying', 'failed', 'batched'];
+
+// Delivery history is kept for 90 days
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// One outbound message on one channel, with every attempt made to deliver it
+const notificationDeliverySchema = new mongoose.Schema({
+  // Recipient account; null for direct sends such as invitations to an email address
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Notification this message belongs to (shared by all of its channels and the in-app copy)
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Digests and released held messages list the notifications they combine
+  includes: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  channel: {
+    type: String,
+    required: true
+  },
+  // Address used for the send; null when it is resolved from the user on each attempt (push)
+  address: {
+    type: String,
+    default: null
+  },
+  notification: {
+    type: { type: String },
+    title: String,
+    message: String,
+    foodItems: [{
+      name: String,
+      brand: String,
+      expiryDate: Date
+    }],
+    recommendations: [String],
+    actionUrl: String,
+    actionLabel: String
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'sending'
+  },
+  // Why a queued message was held (digest, quiet-hours, rate-limit)
+  queueReason: String,
+  // Delivery that carried this queued message (status 'batched')
+  batchDeliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationDelivery'
+  },
+  attempts: [{
+    attemptedAt: { type: Date, default: Date.now },
+    success: Boolean,
+    durationMs: Number,
+    response: mongoose.Schema.Types.Mixed,
+    error: String
+  }],
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: Date,
+  lastError: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ userId: 1, notificationId: 1 });
+notificationDeliverySchema.index({ userId: 1, includes: 1 });
+notificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+notificationDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
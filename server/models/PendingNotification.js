@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const QUEUE_REASONS = ['digest', 'quiet-hours', 'rate-limit'];
+
+// Outgoing (non in-app) messages held back by digest mode, quiet hours or rate limits
+const pendingNotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Name of a registered channel provider (email, sms, telegram...)
+  channel: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: QUEUE_REASONS,
+    required: true
+  },
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // NotificationDelivery recorded as 'queued' for this message
+  deliveryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationDelivery'
+  },
+  notification: {
+    type: { type: String },
+    title: String,
+    message: String,
+    foodItems: [{
+      name: String,
+      brand: String,
+      expiryDate: Date
+    }],
+    recommendations: [String],
+    actionUrl: String,
+    actionLabel: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+pendingNotificationSchema.index({ userId: 1, channel: 1, createdAt: 1 });
+
+pendingNotificationSchema.statics.QUEUE_REASONS = QUEUE_REASONS;
+
+module.exports = mongoose.model('PendingNotification', pendingNotificationSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const PROVENANCE_KINDS = ['provider', 'seed', 'user', 'community'];
+
+// Where one field of a product came from: a lookup provider ("Open Food Facts"),
+// the Open Food Facts dump the catalog was seeded from, a user's confirmed entry,
+// or an accepted community correction (models/ProductCorrection.js)
+const provenanceSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  kind: { type: String, enum: PROVENANCE_KINDS, required: true },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Shared product catalog keyed by barcode. Barcode lookups are answered from
+// here first; entries come from successful provider lookups, items users add
+// with a barcode, and Open Food Facts dumps (scripts/seedProducts.js).
+const productSchema = new mongoose.Schema({
+  barcode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: String,
+  brand: String,
+  category: String,
+  ingredients: String,
+  allergens: [String],
+  nutrition: mongoose.Schema.Types.Mixed,
+  images: {
+    front: String,
+    nutrition: String,
+    ingredients: String
+  },
+  // Everything else a provider returned (packaging, grades, labels...)
+  details: mongoose.Schema.Types.Mixed,
+  provenance: {
+    type: Map,
+    of: provenanceSchema,
+    default: {}
+  },
+  // Provider the entry was last refreshed from
+  source: String,
+  // Last time the providers were asked about this barcode; the entry is
+  // refreshed once this is older than PRODUCT_CACHE_TTL_DAYS
+  checkedAt: Date,
+  lookupCount: {
+    type: Number,
+    default: 0
+  },
+  lastLookedUpAt: Date,
+  // Items added with this barcode
+  confirmations: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+productSchema.index({ checkedAt: 1, lookupCount: -1 });
+
+productSchema.statics.PROVENANCE_KINDS = PROVENANCE_KINDS;
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const CORRECTION_STATUSES = ['pending', 'accepted', 'rejected', 'withdrawn'];
+// Product fields a correction may change
+const CORRECTION_FIELDS = ['name', 'brand', 'category', 'ingredients', 'allergens', 'nutrition'];
+
+const voteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  value: {
+    type: Number,
+    enum: [1, -1],
+    required: true
+  },
+  votedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A user's fix to the shared product catalog entry of a barcode. Other users
+// vote on pending corrections; enough votes (or a moderator) accept or reject
+// it, and an accepted correction overrides what the lookup providers say.
+const productCorrectionSchema = new mongoose.Schema({
+  barcode: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  changes: {
+    name: String,
+    brand: String,
+    category: String,
+    ingredients: String,
+    allergens: {
+      type: [String],
+      default: undefined
+    },
+    nutrition: mongoose.Schema.Types.Mixed
+  },
+  // The catalog's values of the changed fields when the correction was made
+  previous: mongoose.Schema.Types.Mixed,
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: CORRECTION_STATUSES,
+    default: 'pending'
+  },
+  votes: [voteSchema],
+  // Up votes minus down votes
+  score: {
+    type: Number,
+    default: 0
+  },
+  decidedBy: {
+    type: String,
+    enum: ['votes', 'moderator']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+productCorrectionSchema.index({ barcode: 1, status: 1, createdAt: -1 });
+productCorrectionSchema.index({ status: 1, score: -1, createdAt: 1 });
+productCorrectionSchema.index({ userId: 1, barcode: 1 });
+
+productCorrectionSchema.statics.CORRECTION_STATUSES = CORRECTION_STATUSES;
+productCorrectionSchema.statics.CORRECTION_FIELDS = CORRECTION_FIELDS;
+
+module.exports = mongoose.model('ProductCorrection', productCorrectionSchema);
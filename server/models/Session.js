@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id (sid) and stop working
+// once the session is revoked; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced; presenting it again means it was stolen
+  previousTokenHash: String,
+  rotatedAt: Date,
+
+  userAgent: String,
+  deviceName: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked-all', 'password-change', 'token-reuse']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const WASTE_REASONS = ['expired', 'spoiled-early', 'overbought', 'didnt-like', 'other'];
+const DISPOSAL_METHODS = ['trash', 'compost', 'donated', 'animal-feed', 'other'];
+
+// Append-only ledger of stock movements on food items
+const stockEventSchema = new mongoose.Schema({
+  foodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Food',
+    required: true
+  },
+  // null on household entries of a deleted account (see anonymizeUser)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['consume', 'waste', 'adjust'],
+    required: true
+  },
+
+  // Amount as requested by the user (e.g. 250 grams)
+  requested: {
+    amount: Number,
+    unit: String
+  },
+  // Signed change in the item's own unit (negative = stock went down)
+  delta: {
+    type: Number,
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  quantityBefore: {
+    type: Number,
+    required: true
+  },
+  quantityAfter: {
+    type: Number,
+    required: true
+  },
+  // Estimated value (INR) of the stock that left the inventory
+  estimatedValue: {
+    type: Number,
+    default: 0
+  },
+  // True when the value came from category defaults rather than a user-entered price
+  valueEstimated: {
+    type: Boolean,
+    default: false
+  },
+
+  // Waste details (type === 'waste')
+  reason: {
+    type: String,
+    enum: WASTE_REASONS
+  },
+  fraction: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  disposalMethod: {
+    type: String,
+    enum: DISPOSAL_METHODS
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  // Entry this one cancels (type === 'adjust', written when a bulk change is
+  // undone); reports leave both out
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockEvent',
+    default: null
+  },
+
+  // Snapshot of the item so reports survive later edits or deletion
+  food: {
+    name: String,
+    brand: String,
+    category: String,
+    store: String,
+    expiryDate: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockEventSchema.index({ foodId: 1, createdAt: 1 });
+stockEventSchema.index({ userId: 1, type: 1, createdAt: -1 });
+stockEventSchema.index({ householdId: 1, type: 1, createdAt: -1 });
+stockEventSchema.index({ reverses: 1 }, { sparse: true });
+
+// Ledger entries are never edited once written
+const rejectUpdate = function(next) {
+  next(new Error('Stock events are append-only and cannot be modified.'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(op => {
+  stockEventSchema.pre(op, rejectUpdate);
+});
+stockEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock events are append-only and cannot be modified.'));
+  }
+  next();
+});
+
+// The one change allowed to the ledger: when an account is purged, its entries
+// in households that still have members stay for their reports, but no longer
+// name the user or keep their notes. Goes to the collection directly, past
+// the append-only hooks.
+stockEventSchema.statics.anonymizeUser = function(userId) {
+  return this.collection.updateMany(
+    { userId: new mongoose.Types.ObjectId(String(userId)), householdId: { $ne: null } },
+    { $set: { userId: null }, $unset: { note: '' } }
+  );
+};
+
+stockEventSchema.statics.WASTE_REASONS = WASTE_REASONS;
+stockEventSchema.statics.DISPOSAL_METHODS = DISPOSAL_METHODS;
+
+module.exports = mongoose.model('StockEvent', stockEventSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const LOCATION_KINDS = ['fridge', 'freezer', 'pantry', 'shelf', 'other'];
+
+// A place food is kept (fridge, freezer, pantry, a named shelf...). Belongs to a
+// personal inventory (householdId null) or a household, like Food.
+const storageLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Decides which shelf-life rule applies when items move in or out
+  kind: {
+    type: String,
+    enum: LOCATION_KINDS,
+    default: 'other'
+  },
+  // Days an item keeps once moved here, by category, instead of the defaults
+  // (frozen life for freezers, life after thawing or at room temperature otherwise)
+  shelfLifeDays: {
+    type: Map,
+    of: { type: Number, min: 0 }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+storageLocationSchema.index({ householdId: 1, userId: 1, sortOrder: 1 });
+
+storageLocationSchema.statics.LOCATION_KINDS = LOCATION_KINDS;
+
+module.exports = mongoose.model('StorageLocation', storageLocationSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -109,39 +110,88 @@ const userSchema = new mongoose.Schema({
     enum: ['vegetarian', 'vegan', 'keto', 'paleo', 'halal', 'kosher', 'gluten-free', 'dairy-free', 'low-sodium', 'low-sugar']
   }],
   
-  // In-app Notifications
-  notifications: [{
-    title: { type: String, required: true },
-    message: { type: String, required: true },
-    type: { type: String, default: 'info' },
-    read: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now },
-    foodItems: [{
-      name: String,
-      brand: String,
-      expiryDate: Date
-    }],
-    recommendations: [String]
-  }],
-
   // Notification Preferences
   notificationPreferences: {
     channels: {
       email: { type: Boolean, default: true },
       whatsapp: { type: Boolean, default: false },
       sms: { type: Boolean, default: false },
-      inApp: { type: Boolean, default: true }
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: false },
+      telegram: { type: Boolean, default: false },
+      slack: { type: Boolean, default: false },
+      webhook: { type: Boolean, default: false }
     },
     expiryDays: { type: Number, default: 3, min: 1, max: 30 },
     notificationTime: { type: String, default: '09:00' }, // 24-hour format
+    timezone: { type: String, default: 'Asia/Kolkata' }, // IANA zone notificationTime is in
     types: {
       expiry: { type: Boolean, default: true },
       healthWarnings: { type: Boolean, default: true },
       suggestions: { type: Boolean, default: true },
       summaries: { type: Boolean, default: true }
+    },
+    // No email/SMS/WhatsApp between start and end (local time); in-app is never held
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' },
+      end: { type: String, default: '07:00' }
+    },
+    // Batch non-urgent notifications into one message per channel
+    digest: {
+      email: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+      sms: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+      whatsapp: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' }
+    },
+    // Maximum messages per hour on each channel; extra messages wait for the next hour
+    rateLimits: {
+      email: { type: Number, default: 10, min: 1, max: 100 },
+      sms: { type: Number, default: 5, min: 1, max: 100 },
+      whatsapp: { type: Number, default: 5, min: 1, max: 100 }
     }
   },
   
+  // Scheduler bookkeeping (local YYYY-MM-DD of the last run per job)
+  notificationState: {
+    // When the daily jobs are next due (unset: at the next scheduler tick)
+    nextRunAt: Date,
+    lastExpiryCheck: String,
+    lastWeeklySummary: String,
+    lastDigest: {
+      email: String,
+      sms: String,
+      whatsapp: String
+    },
+    // Fixed one-hour send windows per channel ({ [channel]: { start, count } }) for rate limiting.
+    // Mixed so providers registered later get a window without a schema change.
+    rateWindows: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+
+  // Addresses for the additional notification channels
+  channelAddresses: {
+    telegram: { type: String, trim: true, default: '' }, // chat id the bot sends to
+    slack: { type: String, trim: true, default: '' }, // incoming webhook URL
+    webhook: { type: String, trim: true, default: '' } // URL receiving JSON POSTs
+  },
+
+  // Browser push subscriptions (one per browser/device)
+  pushSubscriptions: [{
+    endpoint: { type: String, required: true },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true }
+    },
+    userAgent: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  // Household currently used for inventory (null = personal inventory)
+  activeHousehold: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
+
   // Account Settings
   isActive: {
     type: Boolean,
@@ -152,13 +202,52 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Only SHA-256 hashes of reset/verification tokens are stored; the raw token is emailed
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+
+  // Login lockout: consecutive failures, and the hashed token from the unlock email
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
+  unlockToken: String,
+  unlockTokenExpires: Date,
+
+  // Optional TOTP second factor. Secrets are stored encrypted (see twoFactorService)
+  // and backup codes as SHA-256 hashes.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret handed out by setup, until a code from it confirms enrollment
+    pendingSecret: String,
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: Number,
+    backupCodes: [{
+      hash: String,
+      usedAt: Date
+    }],
+    enabledAt: Date
+  },
+
+  // Account deletion requested by the user; everything is purged once
+  // deletionScheduledFor passes unless the request is cancelled first
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date
 }, {
   timestamps: true
 });
 
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index({ 'notificationState.nextRunAt': 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -177,13 +266,52 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue a single-use password reset token; returns the raw token for the email link
+userSchema.methods.createPasswordResetToken = function(ttlMinutes = 60) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return token;
+};
+
+// Issue a single-use email verification token; returns the raw token for the email link
+userSchema.methods.createEmailVerificationToken = function(ttlHours = 24) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  return token;
+};
+
+userSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockUntil && this.lockUntil > now);
+};
+
+// Issue a single-use unlock token that stays valid as long as the lock; returns the raw token
+userSchema.methods.createUnlockToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.unlockToken = this.constructor.hashToken(token);
+  this.unlockTokenExpires = this.lockUntil;
+  return token;
+};
+
 // Method to get public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  delete userObject.unlockToken;
+  delete userObject.unlockTokenExpires;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lastFailedLoginAt;
+  delete userObject.twoFactor;
+  userObject.twoFactorEnabled = Boolean(this.twoFactor && this.twoFactor.enabled);
   return userObject;
 };
 
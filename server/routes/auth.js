@@ -1,20 +1,39 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const loginSecurityService = require('../services/loginSecurityService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const accountService = require('../services/accountService');
+const { loginIpLimiter, loginAccountLimiter, emailLimiter } = require('../middleware/rateLimit');
+const { validate, sendMongooseValidationError } = require('../validation');
+const schemas = require('../validation/auth');
+const { SlackProvider, WebhookProvider } = require('../services/channels');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { 
-    expiresIn: '7d' 
-  });
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+// Email a fresh verification link (the user is saved so the token hash is stored)
+const sendVerificationEmail = async (user) => {
+  const notificationService = require('../services/notificationService');
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = clientUrl(`/verify-email?token=${token}`);
+  return notificationService.sendEmailNotification(user.email, {
+    type: 'email_verification',
+    title: '✉️ Verify your SmartBite AI email',
+    message: `Hi ${user.name}, please confirm this is your email address by opening ${verifyUrl}. The link expires in 24 hours.`,
+    actionUrl: verifyUrl,
+    actionLabel: 'Verify email'
+  }, { userId: user._id });
 };
 
 // Register User
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), async (req, res) => {
   try {
     const { name, email, password, phone, whatsapp } = req.body;
 
@@ -38,19 +57,25 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session: short-lived access token plus a rotating refresh token
+    const tokens = await sessionService.createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Verification email failed:', emailError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully.',
       data: {
         user: user.getPublicProfile(),
-        token
+        ...tokens
       }
     });
 
@@ -58,12 +83,7 @@ router.post('/register', async (req, res) => {
     console.error('Registration error:', error);
     
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error.',
-        errors
-      });
+      return sendMongooseValidationError(res, error);
     }
 
     res.status(500).json({
@@ -74,13 +94,15 @@ router.post('/register', async (req, res) => {
 });
 
 // Login User
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimiter, loginAccountLimiter, validate(schemas.login), async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const { password } = req.body;
 
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await loginSecurityService.recordUnknownEmail(email, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password.'
@@ -95,17 +117,48 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // A locked account is refused before the password is even checked
+    if (user.isLocked()) {
+      await loginSecurityService.recordLockedAttempt(user, req);
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed attempts. Try again in ${loginSecurityService.minutesLeft(user)} minutes or use the unlock link we emailed you.`
+      });
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const { locked } = await loginSecurityService.recordFailure(user, req);
+      if (locked) {
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed attempts. Your account is locked for ${loginSecurityService.LOCKOUT_MINUTES} minutes; we emailed you a link to unlock it.`
+        });
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password.'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With two-factor enabled the password alone doesn't sign in: the client
+    // exchanges the challenge token and a code at /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app.',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallenge(user)
+        }
+      });
+    }
+
+    loginSecurityService.recordSuccess(user);
+
+    // Start a session: short-lived access token plus a rotating refresh token
+    const tokens = await sessionService.createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -116,7 +169,7 @@ router.post('/login', async (req, res) => {
       message: 'Login successful.',
       data: {
         user: user.getPublicProfile(),
-        token
+        ...tokens
       }
     });
 
@@ -129,6 +182,75 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Login, second step: authenticator or backup code for a passed password challenge
+router.post('/login/2fa', loginIpLimiter, validate(schemas.loginTwoFactor), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const userId = twoFactorService.readChallenge(challengeToken);
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive || !user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your sign-in attempt has expired. Please log in again.'
+      });
+    }
+
+    if (user.isLocked()) {
+      await loginSecurityService.recordLockedAttempt(user, req);
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed attempts. Try again in ${loginSecurityService.minutesLeft(user)} minutes or use the unlock link we emailed you.`
+      });
+    }
+
+    const method = await twoFactorService.verifyLogin(user, code);
+    if (!method) {
+      const { locked } = await loginSecurityService.recordFailure(user, req, 'bad-2fa-code');
+      if (locked) {
+        return res.status(423).json({
+          success: false,
+          message: `Too many failed attempts. Your account is locked for ${loginSecurityService.LOCKOUT_MINUTES} minutes; we emailed you a link to unlock it.`
+        });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code.'
+      });
+    }
+    loginSecurityService.recordSuccess(user);
+
+    const tokens = await sessionService.createSession(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Login successful.',
+      data: {
+        user: user.getPublicProfile(),
+        ...tokens,
+        // Lets the client warn when a backup code was spent
+        backupCodesRemaining: method === 'backup-code' ? twoFactorService.remainingBackupCodes(user) : undefined
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof twoFactorService.TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
 // Get Current User Profile
 router.get('/profile', auth, async (req, res) => {
   try {
@@ -148,7 +270,7 @@ router.get('/profile', auth, async (req, res) => {
 });
 
 // Update User Profile
-router.put('/profile', auth, async (req, res) => {
+router.put('/profile', auth, validate(schemas.updateProfile), async (req, res) => {
   try {
     const updates = req.body;
     const allowedUpdates = [
@@ -191,6 +313,18 @@ router.put('/profile', auth, async (req, res) => {
       }
     });
 
+    if (filteredUpdates.notificationPreferences?.channels) {
+      const notificationService = require('../services/notificationService');
+      try {
+        notificationService.assertChannelsAllowed(req.user, filteredUpdates.notificationPreferences.channels);
+      } catch (verificationError) {
+        return res.status(verificationError.status).json({
+          success: false,
+          message: verificationError.message
+        });
+      }
+    }
+
     // Update user
     Object.assign(req.user, filteredUpdates);
     // Ensure Mongoose tracks nested array updates
@@ -213,12 +347,7 @@ router.put('/profile', auth, async (req, res) => {
     console.error('Update profile error:', error);
     
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error.',
-        errors
-      });
+      return sendMongooseValidationError(res, error);
     }
 
     res.status(500).json({
@@ -229,7 +358,7 @@ router.put('/profile', auth, async (req, res) => {
 });
 
 // Change Password
-router.put('/change-password', auth, async (req, res) => {
+router.put('/change-password', auth, validate(schemas.changePassword), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -246,21 +375,19 @@ router.put('/change-password', auth, async (req, res) => {
     req.user.password = newPassword;
     await req.user.save();
 
+    // Sign out every other device
+    await sessionService.revokeAll(req.user._id, { exceptId: req.authSession._id, reason: 'password-change' });
+
     res.json({
       success: true,
-      message: 'Password changed successfully.'
+      message: 'Password changed successfully. Other devices have been signed out.'
     });
 
   } catch (error) {
     console.error('Change password error:', error);
     
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error.',
-        errors
-      });
+      return sendMongooseValidationError(res, error);
     }
 
     res.status(500).json({
@@ -271,9 +398,9 @@ router.put('/change-password', auth, async (req, res) => {
 });
 
 // Forgot Password
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', emailLimiter, validate(schemas.forgotPassword), async (req, res) => {
   try {
-    const { email } = req.body;
+    const email = String(req.body.email || '').trim().toLowerCase();
 
     const user = await User.findOne({ email });
     if (!user) {
@@ -284,14 +411,20 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = Date.now() + 3600000; // 1 hour
+    // Only the hash is stored; the raw token goes out in the link
+    const resetToken = user.createPasswordResetToken(60);
     await user.save();
 
-    // TODO: Send email with reset link
-    // For now, just return success
+    const notificationService = require('../services/notificationService');
+    const resetUrl = clientUrl(`/reset-password?token=${resetToken}`);
+    await notificationService.sendEmailNotification(user.email, {
+      type: 'password_reset',
+      title: '🔑 Reset your SmartBite AI password',
+      message: `Hi ${user.name}, we received a request to reset your password. Open ${resetUrl} to choose a new one. The link expires in 1 hour and can be used once. If you didn't ask for this, you can ignore this email.`,
+      actionUrl: resetUrl,
+      actionLabel: 'Reset password'
+    }, { userId: user._id });
+
     res.json({
       success: true,
       message: 'If an account with that email exists, a password reset link has been sent.'
@@ -307,12 +440,12 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // Reset Password
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
   try {
     const { token, newPassword } = req.body;
 
     const user = await User.findOne({
-      passwordResetToken: token,
+      passwordResetToken: User.hashToken(token),
       passwordResetExpires: { $gt: Date.now() }
     });
 
@@ -327,8 +460,13 @@ router.post('/reset-password', async (req, res) => {
     user.password = newPassword;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
+    // Proving ownership of the email also lifts a lockout
+    loginSecurityService.recordSuccess(user);
     await user.save();
 
+    // Whoever asked for the reset may not be the only one with the old password
+    await sessionService.revokeAll(user._id, { reason: 'password-change' });
+
     res.json({
       success: true,
       message: 'Password reset successfully.'
@@ -338,14 +476,280 @@ router.post('/reset-password', async (req, res) => {
     console.error('Reset password error:', error);
     
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
+      return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Verify Email (token from the emailed link)
+router.post('/verify-email', validate(schemas.tokenOnly), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = token && await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link.'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully.'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Unlock Account (token from the lockout email)
+router.post('/unlock', validate(schemas.tokenOnly), async (req, res) => {
+  try {
+    const user = await loginSecurityService.unlock(req.body.token, req);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock link.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your account is unlocked. You can sign in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Recent security events for the signed-in account (failed logins, lockouts)
+router.get('/security-events', auth, validate(schemas.securityEvents), async (req, res) => {
+  try {
+    const events = await auditService.getUserEvents(req.user._id, req.query.limit);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(e => ({
+          id: e._id,
+          event: e.event,
+          reason: e.reason,
+          ip: e.ip,
+          userAgent: e.userAgent,
+          createdAt: e.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Two-factor status for the Profile page
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const twoFactor = req.user.twoFactor || {};
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(twoFactor.enabled),
+        enabledAt: twoFactor.enabledAt || null,
+        backupCodesRemaining: twoFactorService.remainingBackupCodes(req.user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Start two-factor enrollment: returns the secret, its otpauth:// URI and that URI as a QR image
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.setup(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows.',
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error instanceof twoFactorService.TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Confirm enrollment with a code; the backup codes are returned only this once
+router.post('/2fa/enable', auth, validate(schemas.enableTwoFactor), async (req, res) => {
+  try {
+    const backupCodes = await twoFactorService.enable(req.user, req.body.code);
+    await auditService.record('two_factor_enabled', { req, userId: req.user._id, email: req.user.email });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    if (error instanceof twoFactorService.TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Turning two-factor off or replacing backup codes needs the password and a current code
+const confirmTwoFactorChange = async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+    res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled.'
+    });
+    return false;
+  }
+
+  if (!password || !(await req.user.comparePassword(password))) {
+    res.status(400).json({
+      success: false,
+      message: 'Current password is incorrect.'
+    });
+    return false;
+  }
+
+  if (!(await twoFactorService.verifyLogin(req.user, code))) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid authentication code.'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Disable two-factor authentication
+router.post('/2fa/disable', auth, validate(schemas.confirmTwoFactor), async (req, res) => {
+  try {
+    if (!(await confirmTwoFactorChange(req, res))) return;
+
+    await twoFactorService.disable(req.user);
+    await auditService.record('two_factor_disabled', { req, userId: req.user._id, email: req.user.email });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is disabled.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Replace the backup codes (the old ones stop working)
+router.post('/2fa/backup-codes', auth, validate(schemas.confirmTwoFactor), async (req, res) => {
+  try {
+    if (!(await confirmTwoFactorChange(req, res))) return;
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user);
+    await auditService.record('backup_codes_regenerated', { req, userId: req.user._id, email: req.user.email });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. The previous codes no longer work.',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Resend Verification Email
+router.post('/resend-verification', auth, emailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
       return res.status(400).json({
         success: false,
-        message: 'Validation error.',
-        errors
+        message: 'Email is already verified.'
       });
     }
 
+    const result = await sendVerificationEmail(req.user);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send the verification email. Please try again later.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}.`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error.'
@@ -353,11 +757,36 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
+// Refresh: exchange a refresh token for a new access token and refresh token
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+  try {
+    const tokens = await sessionService.refresh(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    if (error instanceof sessionService.SessionError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Logout: revoke the current session
 router.post('/logout', auth, async (req, res) => {
   try {
-    // In a more advanced setup, you might want to blacklist the token
-    // For now, just return success
+    await sessionService.revoke(req.authSession, 'logout');
+
     res.json({
       success: true,
       message: 'Logged out successfully.'
@@ -371,10 +800,177 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// List signed-in devices
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toObject(),
+          current: String(session._id) === String(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Revoke one session (sign a device out)
+router.delete('/sessions/:sessionId', auth, validate(schemas.sessionId), async (req, res) => {
+  try {
+    const Session = require('../models/Session');
+    const session = mongoose.isValidObjectId(req.params.sessionId) &&
+      await Session.findOne({ _id: req.params.sessionId, userId: req.user._id, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found.'
+      });
+    }
+
+    await sessionService.revoke(session, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked.'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Revoke all other sessions (?includeCurrent=true signs this device out too)
+router.delete('/sessions', auth, validate(schemas.revokeSessions), async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const revoked = await sessionService.revokeAll(req.user._id, {
+      exceptId: includeCurrent ? null : req.authSession._id
+    });
+
+    res.json({
+      success: true,
+      message: `Signed out ${revoked} session${revoked === 1 ? '' : 's'}.`,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Download everything stored about the account (?format=zip, the default, or json)
+router.get('/export', auth, validate(schemas.exportData), async (req, res) => {
+  try {
+    const format = req.query.format || 'zip';
+    const filename = `smartbite-export-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    await auditService.record('data_exported', { req, userId: req.user._id, email: req.user.email, details: { format } });
+
+    res.attachment(filename);
+    if (format === 'json') {
+      return res.json(await accountService.buildExport(req.user));
+    }
+    res.type('application/zip');
+    await accountService.streamExportZip(req.user, res);
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export your data.'
+    });
+  }
+});
+
+// Schedule the account for deletion after the grace period (password, and a code when 2FA is on)
+router.post('/delete-account', auth, validate(schemas.deleteAccount), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!(await req.user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect.'
+      });
+    }
+
+    if (req.user.twoFactor && req.user.twoFactor.enabled && !(await twoFactorService.verifyLogin(req.user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code.'
+      });
+    }
+
+    const scheduledFor = await accountService.requestDeletion(req.user, req);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. You can cancel until then.`,
+      data: { deletionScheduledFor: scheduledFor, graceDays: accountService.DELETION_GRACE_DAYS }
+    });
+
+  } catch (error) {
+    if (error instanceof accountService.AccountError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Account deletion request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
+// Keep the account: cancel a scheduled deletion during the grace period
+router.post('/delete-account/cancel', auth, async (req, res) => {
+  try {
+    await accountService.cancelDeletion(req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled.',
+      data: { user: req.user.getPublicProfile() }
+    });
+
+  } catch (error) {
+    if (error instanceof accountService.AccountError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error.'
+    });
+  }
+});
+
 // Get Notification Preferences
 router.get('/notification-preferences', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('notificationPreferences phone whatsapp email name');
+    const user = await User.findById(req.user._id).select('notificationPreferences phone whatsapp email emailVerified name channelAddresses');
     
     res.json({
       success: true,
@@ -382,8 +978,12 @@ router.get('/notification-preferences', auth, async (req, res) => {
         ...user.notificationPreferences.toObject(),
         contactInfo: {
           email: user.email,
+          emailVerified: user.emailVerified,
           phone: user.phone || '',
           whatsapp: user.whatsapp || '',
+          telegram: user.channelAddresses?.telegram || '',
+          slack: user.channelAddresses?.slack || '',
+          webhook: user.channelAddresses?.webhook || '',
           name: user.name
         }
       }
@@ -395,7 +995,7 @@ router.get('/notification-preferences', auth, async (req, res) => {
 });
 
 // Simple and reliable notification preferences update
-router.put('/notification-preferences', auth, async (req, res) => {
+router.put('/notification-preferences', auth, validate(schemas.notificationPreferences), async (req, res) => {
   try {
     console.log('🔔 Notification preferences update request:', {
       userId: req.user._id,
@@ -404,7 +1004,7 @@ router.put('/notification-preferences', auth, async (req, res) => {
     });
     
     const userId = req.user._id;
-    const { channels, expiryDays, notificationTime, types, contactInfo } = req.body;
+    const { channels, expiryDays, notificationTime, timezone, types, quietHours, digest, rateLimits, contactInfo } = req.body;
     
     // Find user first
     const user = await User.findById(userId);
@@ -417,16 +1017,29 @@ router.put('/notification-preferences', auth, async (req, res) => {
     }
     
     console.log('👤 User found:', user.name);
+    let emailChanged = false;
     
     // Update notification preferences
     if (channels) {
+      const notificationService = require('../services/notificationService');
+      try {
+        notificationService.assertChannelsAllowed(user, channels);
+      } catch (verificationError) {
+        return res.status(verificationError.status).json({
+          success: false,
+          message: verificationError.message
+        });
+      }
       user.notificationPreferences = user.notificationPreferences || {};
-      user.notificationPreferences.channels = {
-        email: Boolean(channels.email),
-        sms: Boolean(channels.sms),
-        whatsapp: Boolean(channels.whatsapp),
-        inApp: Boolean(channels.inApp)
-      };
+      ['email', 'sms', 'whatsapp', 'inApp'].forEach(channel => {
+        user.set(`notificationPreferences.channels.${channel}`, Boolean(channels[channel]));
+      });
+      // Additional channels only change when sent
+      ['push', 'telegram', 'slack', 'webhook'].forEach(channel => {
+        if (channels[channel] !== undefined) {
+          user.set(`notificationPreferences.channels.${channel}`, Boolean(channels[channel]));
+        }
+      });
       console.log('📢 Updated channels:', user.notificationPreferences.channels);
     }
     
@@ -439,6 +1052,16 @@ router.put('/notification-preferences', auth, async (req, res) => {
       user.notificationPreferences = user.notificationPreferences || {};
       user.notificationPreferences.notificationTime = notificationTime;
     }
+
+    if (timezone) {
+      user.notificationPreferences = user.notificationPreferences || {};
+      user.notificationPreferences.timezone = timezone;
+    }
+
+    // The scheduler works out the next daily run again from the new time
+    if (notificationTime || timezone) {
+      user.set('notificationState.nextRunAt', null);
+    }
     
     if (types) {
       user.notificationPreferences = user.notificationPreferences || {};
@@ -449,6 +1072,22 @@ router.put('/notification-preferences', auth, async (req, res) => {
         summaries: Boolean(types.summaries)
       };
     }
+
+    if (quietHours || digest || rateLimits) {
+      const notificationService = require('../services/notificationService');
+      let delivery;
+      try {
+        delivery = notificationService.normalizePreferenceInput({ quietHours, digest, rateLimits });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError.message
+        });
+      }
+      Object.entries(delivery).forEach(([path, value]) => {
+        user.set(`notificationPreferences.${path}`, value);
+      });
+    }
     
     // Update contact information
     if (contactInfo) {
@@ -460,16 +1099,40 @@ router.put('/notification-preferences', auth, async (req, res) => {
         user.whatsapp = String(contactInfo.whatsapp || '').trim();
         console.log('💬 Updated WhatsApp:', user.whatsapp);
       }
+      if (contactInfo.telegram !== undefined) {
+        const chatId = String(contactInfo.telegram || '').trim();
+        user.set('channelAddresses.telegram', chatId);
+      }
+      if (contactInfo.slack !== undefined) {
+        const url = String(contactInfo.slack || '').trim();
+        if (url && !SlackProvider.isAllowedUrl(url)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Slack webhook URL must start with https://hooks.slack.com/services/'
+          });
+        }
+        user.set('channelAddresses.slack', url);
+      }
+      if (contactInfo.webhook !== undefined) {
+        const url = String(contactInfo.webhook || '').trim();
+        if (url && !WebhookProvider.isAllowedUrl(url)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Webhook URL must be a public http(s) address'
+          });
+        }
+        user.set('channelAddresses.webhook', url);
+      }
       if (contactInfo.email !== undefined) {
         const email = String(contactInfo.email || '').trim();
-        if (email && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        if (email) {
+          if (email.toLowerCase() !== user.email) {
+            // A new address has to be verified again
+            user.emailVerified = false;
+            emailChanged = true;
+          }
           user.email = email;
           console.log('📧 Updated email:', user.email);
-        } else if (email) {
-          return res.status(400).json({ 
-            success: false, 
-            message: 'Invalid email format' 
-          });
         }
       }
     }
@@ -477,6 +1140,14 @@ router.put('/notification-preferences', auth, async (req, res) => {
     // Save user
     const savedUser = await user.save();
     console.log('✅ User preferences saved successfully');
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(savedUser);
+      } catch (emailError) {
+        console.error('Verification email failed:', emailError);
+      }
+    }
     
     const responseData = {
       channels: savedUser.notificationPreferences?.channels || {
@@ -487,16 +1158,24 @@ router.put('/notification-preferences', auth, async (req, res) => {
       },
       expiryDays: savedUser.notificationPreferences?.expiryDays || 3,
       notificationTime: savedUser.notificationPreferences?.notificationTime || '09:00',
+      timezone: savedUser.notificationPreferences?.timezone || 'Asia/Kolkata',
       types: savedUser.notificationPreferences?.types || {
         expiry: true,
         healthWarnings: true,
         suggestions: true,
         summaries: true
       },
+      quietHours: savedUser.notificationPreferences?.quietHours,
+      digest: savedUser.notificationPreferences?.digest,
+      rateLimits: savedUser.notificationPreferences?.rateLimits,
       contactInfo: {
         email: savedUser.email,
+        emailVerified: savedUser.emailVerified,
         phone: savedUser.phone || '',
         whatsapp: savedUser.whatsapp || '',
+        telegram: savedUser.channelAddresses?.telegram || '',
+        slack: savedUser.channelAddresses?.slack || '',
+        webhook: savedUser.channelAddresses?.webhook || '',
         name: savedUser.name
       }
     };
@@ -522,7 +1201,7 @@ router.put('/notification-preferences', auth, async (req, res) => {
 });
 
 // Test notification endpoint
-router.post('/test-notification', auth, async (req, res) => {
+router.post('/test-notification', auth, validate(schemas.testNotification), async (req, res) => {
   try {
     const { type = 'sms' } = req.body;
     const user = await User.findById(req.user._id);
@@ -563,17 +1242,7 @@ router.post('/test-notification', auth, async (req, res) => {
     
     if (result.success) {
       // Also add to in-app notifications
-      await User.findByIdAndUpdate(user._id, {
-        $push: {
-          notifications: {
-            title: testMessage.title,
-            message: testMessage.message,
-            type: 'test',
-            read: false,
-            createdAt: new Date()
-          }
-        }
-      });
+      await notificationService.storeInAppNotification(user._id, testMessage);
       
       res.json({
         success: true,
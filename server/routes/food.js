@@ -3,12 +3,25 @@ const multer = require('multer');
 const Food = require('../models/Food');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { loadHousehold, canEditFoods } = require('../middleware/household');
+const { barcodeDecodeLimiter } = require('../middleware/rateLimit');
 const ocrService = require('../services/ocrService');
 const nutritionService = require('../services/nutritionService');
 const healthRiskService = require('../services/healthRiskService');
 const barcodeService = require('../services/barcodeService');
+const barcodeDecoderService = require('../services/barcodeDecoderService');
 const notificationService = require('../services/notificationService');
 const recommendationService = require('../services/recommendationService');
+const inventoryService = require('../services/inventoryService');
+const importService = require('../services/importService');
+const bulkService = require('../services/bulkService');
+const foodQueryService = require('../services/foodQueryService');
+const storageService = require('../services/storageService');
+const productCatalogService = require('../services/productCatalogService');
+const productCorrectionService = require('../services/productCorrectionService');
+const realtimeService = require('../services/realtimeService');
+const { validate, sendMongooseValidationError } = require('../validation');
+const schemas = require('../validation/foods');
 const axios = require('axios');
 
 // Configure multer for file uploads
@@ -38,74 +51,80 @@ function parseDateString(dateStr) {
   return dateStr;
 }
 
-// Normalize category values coming from the client/UI to match schema enum
-function normalizeCategory(inputCategory) {
-  if (!inputCategory) return 'other';
-  const value = String(inputCategory).trim().toLowerCase();
-  const map = {
-    'fruits': 'fruits',
-    'vegetables': 'vegetables',
-    'dairy': 'dairy',
-    'meat': 'meat',
-    'meat & poultry': 'meat',
-    'fish & seafood': 'meat',
-    'grains & cereals': 'grains',
-    'grains': 'grains',
-    'snacks': 'snacks',
-    'beverages': 'beverages',
-    'condiments & sauces': 'condiments',
-    'condiments': 'condiments',
-    'frozen foods': 'frozen',
-    'frozen': 'frozen',
-    'canned foods': 'canned',
-    'canned': 'canned',
-    'bakery': 'bakery',
-    'legumes': 'grains',
-    'nuts & seeds': 'snacks',
-    'other': 'other'
-  };
-  return map[value] || 'other';
+const LOCATION_FIELDS = ['locationId', 'storageLocation', 'location'];
+
+// Turn a location id or name in the body into locationId + storageLocation (name).
+// For an existing item a change of location goes into its move history; dates are
+// left as sent (POST /:id/move applies the shelf-life rules).
+async function applyLocationFields(req, body, current = null) {
+  if (!LOCATION_FIELDS.some(field => body[field] !== undefined)) return;
+  const location = await storageService.resolveLocation(req.foodScope, req.user._id, body);
+  LOCATION_FIELDS.forEach(field => delete body[field]);
+  body.locationId = location ? location._id : null;
+  body.storageLocation = location ? location.name : null;
+
+  if (current && String(current.locationId || '') !== String(body.locationId || '')) {
+    body.$push = {
+      locationHistory: storageService.historyEntry({
+        from: { _id: current.locationId, name: current.storageLocation },
+        to: location,
+        userId: req.user._id,
+        expiryBefore: current.expiryDate,
+        expiryAfter: body.expiryDate || current.expiryDate
+      })
+    };
+  }
 }
 
-// Normalize allergens to match schema enum
-function normalizeAllergens(allergens) {
-  if (!allergens) return [];
-  const allowed = new Set(['milk','eggs','fish','shellfish','tree-nuts','peanuts','wheat','soybeans','sesame']);
-  const map = {
-    'soy': 'soybeans',
-    'soya': 'soybeans',
-    'tree nuts': 'tree-nuts',
-    'tree_nuts': 'tree-nuts',
-    'sesame seeds': 'sesame',
-    'sesame-seeds': 'sesame',
-    'gluten': 'wheat'
-  };
-  const toArray = Array.isArray(allergens)
-    ? allergens
-    : String(allergens)
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean);
-  return toArray
-    .map(a => a.replace(/^en:/, '').trim().toLowerCase())
-    .map(a => map[a] || a)
-    .filter(a => allowed.has(a));
+// Items added with a barcode fill gaps in the shared product catalog; a failure
+// there doesn't fail the add
+function confirmProduct(food) {
+  if (!food.barcode) return;
+  productCatalogService.recordConfirmed(food).catch(error =>
+    console.error('Product catalog update failed:', error.message));
+}
+
+// Analyze a new item against every household member's own health profile
+// (or just the current user's for a personal inventory) and alert those at risk
+async function alertHouseholdHealthRisks(req, food) {
+  const memberIds = req.household
+    ? req.household.members.map(m => m.userId)
+    : [req.user._id];
+  const members = await User.find({ _id: { $in: memberIds } });
+
+  for (const member of members) {
+    try {
+      const risks = await healthRiskService.analyzeHealthRisk(food, member);
+      if (risks && risks.overallRisk !== 'safe') {
+        await notificationService.sendHealthRiskAlert(member, food, risks);
+      }
+    } catch (error) {
+      console.error('Health risk alert failed for member:', member._id, error.message);
+    }
+  }
 }
 
-// List all food items for the authenticated user
-router.get('/', auth, async (req, res) => {
+// List the user's active inventory (personal or household): search, filters,
+// sorting and cursor pagination (pass pagination.nextCursor back as cursor)
+router.get('/', auth, validate(schemas.list), loadHousehold, async (req, res) => {
   try {
-    const foods = await Food.find({ userId: req.user._id }).sort({ expiryDate: 1 });
-    res.json({ success: true, data: foods });
+    const [{ foods, pagination }, facets] = await Promise.all([
+      foodQueryService.list(req.foodScope, req.query),
+      req.query.cursor ? null : foodQueryService.facets(req.foodScope)
+    ]);
+    res.json({ success: true, data: foods, pagination, ...(facets && { facets }) });
   } catch (error) {
+    if (error instanceof foodQueryService.FoodQueryError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: 'Failed to fetch food items.' });
   }
 });
 
 // Get a single food item by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, validate(schemas.id), loadHousehold, async (req, res) => {
   try {
-    const food = await Food.findOne({ _id: req.params.id, userId: req.user._id });
+    const food = await Food.findOne({ _id: req.params.id, ...req.foodScope });
     if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
     res.json({ success: true, data: food });
   } catch (error) {
@@ -114,65 +133,120 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Add a new food item
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, validate(schemas.create), loadHousehold, canEditFoods, async (req, res) => {
   try {
     const body = { ...req.body };
     if (body.expiryDate) body.expiryDate = parseDateString(body.expiryDate);
     if (body.bestBeforeDate) body.bestBeforeDate = parseDateString(body.bestBeforeDate);
     if (body.manufacturedDate) body.manufacturedDate = parseDateString(body.manufacturedDate);
+    await applyLocationFields(req, body);
     
-    const food = new Food({ ...body, userId: req.user._id });
+    const food = new Food({ ...body, userId: req.user._id, householdId: req.household ? req.household._id : null });
     await food.save();
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.added, food, { actorId: req.user._id });
+    confirmProduct(food);
 
     // Get user for notifications
     const user = await User.findById(req.user._id);
     
-    // Check for health risks and send notification
+    // Check for health risks against each member's own profile and alert them
     if (food.allergens && food.allergens.length > 0) {
-      const healthRisks = await healthRiskService.analyzeHealthRisks(user, food);
-      if (healthRisks && healthRisks.overallRisk !== 'safe') {
-        await notificationService.sendHealthRiskAlert(user, food, healthRisks);
-      }
+      await alertHouseholdHealthRisks(req, food);
     }
 
-    // Send expiry reminder notification if food expires soon
+    // Send expiry reminder if the item is already inside the user's reminder window
     if (food.expiryDate) {
-      const expiryDate = new Date(food.expiryDate);
-      const today = new Date();
-      const daysUntilExpiry = Math.ceil((expiryDate - today) / (1000 * 60 * 60 * 24));
-      
-      if (daysUntilExpiry <= 3 && daysUntilExpiry >= 0) {
-        await notificationService.sendNotification(user, {
-          type: 'expiry_warning',
-          title: `⚠️ Food Expiring Soon: ${food.name}`,
-          message: `${food.name} ${food.brand ? `by ${food.brand}` : ''} expires in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'}. Plan to use it soon!`,
-          foodItems: [{
-            name: food.name,
-            brand: food.brand,
-            expiryDate: food.expiryDate
-          }],
-          recommendations: [
-            'Plan a meal using this ingredient',
-            'Consider freezing if possible',
-            'Share with friends or family'
-          ]
-        });
-      }
+      await notificationService.sendFoodExpiryReminder(user, food);
     }
 
     res.status(201).json({ success: true, message: 'Food item added.', data: food });
   } catch (error) {
+    if (error.name === 'ValidationError') return sendMongooseValidationError(res, error);
+    if (error instanceof storageService.StorageError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     res.status(400).json({ success: false, message: 'Failed to add food item.', error: error.message });
   }
 });
 
+// Import items from a CSV (e.g. our CSV export) or JSON file. With dryRun the rows are
+// only checked and previewed; otherwise the valid ones are added.
+router.post('/import', auth, validate(schemas.importFoods), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const { content, format, mapping, dryRun = false, duplicates = 'skip' } = req.body;
+    const options = { content, format, mapping, duplicates };
+
+    if (dryRun) {
+      const preview = await importService.preview(options, req.foodScope);
+      return res.json({ success: true, data: { ...preview, dryRun: true } });
+    }
+
+    const result = await importService.importFoods(options, {
+      scope: req.foodScope,
+      userId: req.user._id,
+      householdId: req.household ? req.household._id : null
+    });
+    const { imported } = result.summary;
+    res.status(imported > 0 ? 201 : 200).json({
+      success: true,
+      message: `Imported ${imported} item${imported === 1 ? '' : 's'}.`,
+      data: { ...result, dryRun: false }
+    });
+  } catch (error) {
+    if (error instanceof importService.ImportError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Food import failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to import food items.', error: error.message });
+  }
+});
+
+// Apply one change to many items of the active inventory; the response carries
+// an operation id that POST /bulk/:operationId/undo reverts for a while
+router.post('/bulk', auth, validate(schemas.bulk), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const householdId = req.household ? req.household._id : null;
+    const result = await bulkService.run(req.body, { scope: req.foodScope, userId: req.user._id, householdId });
+    res.json({
+      success: true,
+      message: `${result.affected} item${result.affected === 1 ? '' : 's'} ${result.action === 'delete' ? 'deleted' : 'updated'}.`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof bulkService.BulkError || error instanceof foodQueryService.FoodQueryError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Bulk food update failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to update food items.', error: error.message });
+  }
+});
+
+router.post('/bulk/:operationId/undo', auth, validate(schemas.bulkUndo), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const householdId = req.household ? req.household._id : null;
+    const result = await bulkService.undo(req.params.operationId, { userId: req.user._id, householdId });
+    res.json({
+      success: true,
+      message: `${result.restored} item${result.restored === 1 ? '' : 's'} restored.`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof bulkService.BulkError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Bulk undo failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to undo the change.', error: error.message });
+  }
+});
+
 // Update a food item
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, validate(schemas.update), loadHousehold, canEditFoods, async (req, res) => {
   try {
     const body = { ...req.body };
     if (body.expiryDate) body.expiryDate = parseDateString(body.expiryDate);
     if (body.bestBeforeDate) body.bestBeforeDate = parseDateString(body.bestBeforeDate);
     if (body.manufacturedDate) body.manufacturedDate = parseDateString(body.manufacturedDate);
+    if (body.openedAt) body.openedAt = parseDateString(body.openedAt);
     if (body.estimatedValue !== undefined) {
       if (body.estimatedValue === null || String(body.estimatedValue).trim() === '') {
         body.estimatedValue = null;
@@ -187,31 +261,194 @@ router.put('/:id', auth, async (req, res) => {
     if (body.productUnits !== undefined) {
       body.productUnits = typeof body.productUnits === 'string' ? body.productUnits : '';
     }
+    // Same shapes as /enhanced stores
+    if (body.category !== undefined) body.category = Food.normalizeCategory(body.category);
+    if (body.allergens !== undefined) body.allergens = Food.normalizeAllergens(body.allergens);
+    if (typeof body.ingredients === 'string') {
+      body.ingredients = body.ingredients.split(',').map(s => s.trim()).filter(Boolean);
+    }
+    if (LOCATION_FIELDS.some(field => body[field] !== undefined)) {
+      const current = await Food.findOne({ _id: req.params.id, ...req.foodScope });
+      if (!current) return res.status(404).json({ success: false, message: 'Food item not found.' });
+      await applyLocationFields(req, body, current);
+    }
+    // Ownership fields can't be reassigned through a plain update
+    delete body.userId;
+    delete body.householdId;
+    delete body.initialQuantity;
     const food = await Food.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user._id },
+      { _id: req.params.id, ...req.foodScope },
       body,
       { new: true, runValidators: true }
     );
     if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
+    // Dates or the after-opening rule may have changed
+    if (food.refreshEffectiveExpiry()) await food.save();
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.updated, food, { actorId: req.user._id });
     res.json({ success: true, message: 'Food item updated.', data: food });
   } catch (error) {
+    if (error.name === 'ValidationError') return sendMongooseValidationError(res, error);
+    if (error instanceof storageService.StorageError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     res.status(400).json({ success: false, message: 'Failed to update food item.', error: error.message });
   }
 });
 
 // Delete a food item
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, validate(schemas.id), loadHousehold, canEditFoods, async (req, res) => {
   try {
-    const food = await Food.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    const food = await Food.findOneAndDelete({ _id: req.params.id, ...req.foodScope });
     if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.deleted, food, { actorId: req.user._id });
     res.json({ success: true, message: 'Food item deleted.' });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to delete food item.' });
   }
 });
 
+// Apply a ledger movement to an item in the active inventory
+async function applyStockMovement(req, res, type, successMessage) {
+  try {
+    const food = await Food.findOne({ _id: req.params.id, ...req.foodScope });
+    if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
+
+    const { amount, unit, note } = req.body;
+    const result = await inventoryService.recordMovement(food, {
+      type,
+      amount,
+      unit,
+      note,
+      userId: req.user._id
+    });
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.updated, result.food, { actorId: req.user._id });
+
+    res.json({ success: true, message: successMessage, data: result });
+  } catch (error) {
+    if (error instanceof inventoryService.InventoryError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error(`Stock ${type} failed:`, error);
+    res.status(500).json({ success: false, message: 'Failed to update stock.', error: error.message });
+  }
+}
+
+// Consume part (or all, when amount is omitted) of a food item
+router.post('/:id/consume', auth, validate(schemas.movement), loadHousehold, canEditFoods, (req, res) =>
+  applyStockMovement(req, res, 'consume', 'Consumption recorded.'));
+
+// Mark part or all of an item as wasted with a reason and disposal method
+router.post('/:id/discard', auth, validate(schemas.discard), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const food = await Food.findOne({ _id: req.params.id, ...req.foodScope });
+    if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
+
+    const { reason, fraction, amount, unit, disposalMethod, note } = req.body;
+    const result = await inventoryService.discard(food, {
+      reason,
+      fraction,
+      amount,
+      unit,
+      disposalMethod,
+      note,
+      userId: req.user._id
+    });
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.updated, result.food, { actorId: req.user._id });
+
+    res.json({ success: true, message: 'Waste recorded.', data: result });
+  } catch (error) {
+    if (error instanceof inventoryService.InventoryError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Discard food failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to record waste.', error: error.message });
+  }
+});
+
+// Correct the remaining quantity after a stocktake
+router.post('/:id/adjust', auth, validate(schemas.movement), loadHousehold, canEditFoods, (req, res) =>
+  applyStockMovement(req, res, 'adjust', 'Quantity adjusted.'));
+
+// Mark an item as opened (now, or at openedAt). From then on it expires after its
+// after-opening rule (useWithinDays, else the category default) if that comes first.
+router.post('/:id/open', auth, validate(schemas.open), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const food = await Food.findOne({ _id: req.params.id, ...req.foodScope });
+    if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
+    if (food.status !== 'active') {
+      return res.status(400).json({ success: false, message: `This item is already ${food.status}.` });
+    }
+
+    const openedAt = req.body.openedAt ? new Date(parseDateString(req.body.openedAt)) : new Date();
+    if (openedAt > new Date()) {
+      return res.status(400).json({ success: false, message: 'The opened date cannot be in the future.' });
+    }
+    food.openedAt = openedAt;
+    if (req.body.useWithinDays !== undefined) food.useWithinDaysAfterOpening = req.body.useWithinDays;
+    await food.save();
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.updated, food, { actorId: req.user._id });
+
+    // Opening may bring the item inside the reminder window
+    const user = await User.findById(req.user._id);
+    await notificationService.sendFoodExpiryReminder(user, food);
+
+    const days = food.afterOpeningDays();
+    res.json({
+      success: true,
+      message: days == null
+        ? 'Marked as opened.'
+        : `Marked as opened. Use within ${days} day${days === 1 ? '' : 's'} of opening.`,
+      data: food
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendMongooseValidationError(res, error);
+    console.error('Open food failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to mark food item as opened.', error: error.message });
+  }
+});
+
+// Move an item to another storage location (locationId null takes it out of any).
+// Its expiry follows the shelf-life rules (freezing, thawing...) unless adjustExpiry is false.
+router.post('/:id/move', auth, validate(schemas.move), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const food = await Food.findOne({ _id: req.params.id, ...req.foodScope });
+    if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
+
+    const { locationId = null, adjustExpiry = true, note } = req.body;
+    const result = await storageService.moveFood(food, req.foodScope, {
+      locationId,
+      adjustExpiry,
+      note,
+      userId: req.user._id
+    });
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.updated, result.food, { actorId: req.user._id });
+
+    res.json({ success: true, message: `Moved to ${result.food.storageLocation || 'no location'}.`, data: result });
+  } catch (error) {
+    if (error instanceof storageService.StorageError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Move food failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to move food item.', error: error.message });
+  }
+});
+
+// Stock ledger for a food item
+router.get('/:id/ledger', auth, validate(schemas.id), loadHousehold, async (req, res) => {
+  try {
+    const food = await Food.findOne({ _id: req.params.id, ...req.foodScope });
+    if (!food) return res.status(404).json({ success: false, message: 'Food item not found.' });
+
+    const events = await inventoryService.getLedger(food._id);
+    res.json({ success: true, data: { food, events } });
+  } catch (error) {
+    console.error('Get stock ledger failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch stock ledger.' });
+  }
+});
+
 // Fetch nutrition info from Open Food Facts
-router.get('/nutrition', auth, async (req, res) => {
+router.get('/nutrition', auth, validate(schemas.nutrition), async (req, res) => {
   try {
     const { name, barcode } = req.query;
     let url;
@@ -280,31 +517,68 @@ router.post('/ocr/extract-dates', auth, upload.single('image'), async (req, res)
   }
 });
 
-// Barcode lookup endpoint
-router.get('/barcode/:barcode', auth, async (req, res) => {
-  try {
-    const { barcode } = req.params;
-    const result = await barcodeService.lookupBarcode(barcode);
-    
-    if (result.success) {
-      // Also get nutrition information if available
-      if (result.data.name) {
-        const nutrition = await nutritionService.getNutritionByName(result.data.name);
-        if (nutrition) {
-          result.data.nutrition = nutrition;
-        }
+// A barcode lookup as the user sees it: with nutrition by name unless the
+// community corrected it, and with their own pending correction
+async function lookupProduct(req, barcode) {
+  const result = await barcodeService.lookupBarcode(barcode, { refresh: req.query.refresh === 'true' });
+
+  if (result.success) {
+    // Also get nutrition information if available
+    const corrected = result.provenance && result.provenance.nutrition && result.provenance.nutrition.kind === 'community';
+    if (result.data.name && !corrected) {
+      const nutrition = await nutritionService.getNutritionByName(result.data.name);
+      if (nutrition) {
+        result.data.nutrition = nutrition;
       }
     }
-    
-    res.json(result);
+  }
+  return productCorrectionService.withOwnCorrection(result, barcodeService.barcodeFor(barcode), req.user);
+}
+
+// Barcode lookup endpoint
+router.get('/barcode/:barcode', auth, validate(schemas.barcode), async (req, res) => {
+  try {
+    res.json(await lookupProduct(req, req.params.barcode));
   } catch (error) {
     console.error('Barcode lookup failed:', error);
     res.status(500).json({ success: false, message: 'Failed to lookup barcode', error: error.message });
   }
 });
 
+// Read the barcode (EAN/UPC, Code 128, GS1 DataBar, DataMatrix or QR) in a product photo and look it up
+router.post('/barcode/decode', auth, barcodeDecodeLimiter, upload.single('image'), validate(schemas.decodeBarcode), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No image file provided' });
+    }
+
+    const decoded = await barcodeDecoderService.decodeImage(req.file.buffer);
+    if (!decoded.success) {
+      return res.status(422).json({
+        success: false,
+        message: 'No barcode could be read from the photo. Try a closer, sharper photo of the code.',
+        error: decoded.error
+      });
+    }
+
+    const { success, ...barcode } = decoded;
+    // Only product codes and GS1 data are looked up (a QR code may hold a link or text)
+    const isProductCode = barcodeService.parseGS1(barcode.code) ||
+      (/^[\d\s-]+$/.test(barcode.code) && barcodeService.isValidBarcode(barcodeService.cleanBarcode(barcode.code)));
+    const lookup = isProductCode ? await lookupProduct(req, barcode.code) : null;
+
+    res.json({ success: true, data: { barcode, lookup } });
+  } catch (error) {
+    if (error instanceof barcodeDecoderService.BarcodeDecoderError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('Barcode decoding failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to read barcode from image', error: error.message });
+  }
+});
+
 // Enhanced nutrition lookup endpoint
-router.get('/nutrition/lookup', auth, async (req, res) => {
+router.get('/nutrition/lookup', auth, validate(schemas.nutritionLookup), async (req, res) => {
   try {
     const { name, barcode, servingAmount, servingUnit } = req.query;
     
@@ -335,14 +609,9 @@ router.get('/nutrition/lookup', auth, async (req, res) => {
 });
 
 // Health risk analysis endpoint
-router.post('/health-risk/analyze', auth, async (req, res) => {
+router.post('/health-risk/analyze', auth, validate(schemas.analyzeHealthRisk), async (req, res) => {
   try {
     const { foodData } = req.body;
-    
-    if (!foodData) {
-      return res.status(400).json({ success: false, message: 'Food data is required' });
-    }
-    
     const user = await User.findById(req.user._id);
     const risks = await healthRiskService.analyzeHealthRisk(foodData, user);
     
@@ -354,9 +623,9 @@ router.post('/health-risk/analyze', auth, async (req, res) => {
 });
 
 // Get health risk for existing food item
-router.get('/:id/health-risk', auth, async (req, res) => {
+router.get('/:id/health-risk', auth, validate(schemas.id), loadHousehold, async (req, res) => {
   try {
-    const food = await Food.findOne({ _id: req.params.id, userId: req.user._id });
+    const food = await Food.findOne({ _id: req.params.id, ...req.foodScope });
     if (!food) {
       return res.status(404).json({ success: false, message: 'Food item not found' });
     }
@@ -372,10 +641,10 @@ router.get('/:id/health-risk', auth, async (req, res) => {
 });
 
 // Smart recommendations endpoint
-router.get('/recommendations', auth, async (req, res) => {
+router.get('/recommendations', auth, loadHousehold, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
-    const userFoods = await Food.find({ userId: req.user._id });
+    const userFoods = await Food.find(req.foodScope);
     
     const recommendations = await recommendationService.getPersonalizedRecommendations(user, userFoods);
     
@@ -387,7 +656,7 @@ router.get('/recommendations', auth, async (req, res) => {
 });
 
 // Get recipe details
-router.get('/recipes/:recipeId', auth, async (req, res) => {
+router.get('/recipes/:recipeId', auth, validate(schemas.recipe), async (req, res) => {
   try {
     const { recipeId } = req.params;
     const recipeDetails = await recommendationService.getRecipeDetails(recipeId);
@@ -404,14 +673,9 @@ router.get('/recipes/:recipeId', auth, async (req, res) => {
 });
 
 // Search products by name
-router.get('/search/products', auth, async (req, res) => {
+router.get('/search/products', auth, validate(schemas.searchProducts), async (req, res) => {
   try {
     const { query, limit = 10 } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({ success: false, message: 'Search query is required' });
-    }
-    
     const result = await barcodeService.searchProductsByName(query, parseInt(limit));
     res.json(result);
   } catch (error) {
@@ -421,7 +685,7 @@ router.get('/search/products', auth, async (req, res) => {
 });
 
 // Simple and reliable food creation endpoint
-router.post('/enhanced', auth, async (req, res) => {
+router.post('/enhanced', auth, validate(schemas.create), loadHousehold, canEditFoods, async (req, res) => {
   try {
     console.log('🍎 Food creation request received:', {
       name: req.body.name,
@@ -429,27 +693,10 @@ router.post('/enhanced', auth, async (req, res) => {
       userId: req.user._id
     });
     
-    const { name, expiryDate, bestBeforeDate, manufacturedDate, category, brand, barcode, ingredients, allergens, storageLocation, notes } = req.body;
+    const { name, expiryDate, bestBeforeDate, manufacturedDate, openedAt, useWithinDaysAfterOpening, category, brand, store, barcode, lotNumber, ingredients, allergens, notes } = req.body;
   let { estimatedValue } = req.body;
     const reqQuantity = req.body.quantity;
     
-    // Validate required fields
-    if (!name || !name.trim()) {
-      console.log('❌ Validation failed: Missing name');
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Food name is required' 
-      });
-    }
-    
-    if (!expiryDate) {
-      console.log('❌ Validation failed: Missing expiry date');
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Expiry date is required' 
-      });
-    }
-    
     // Normalize quantity to schema shape
     let quantityAmount = 1;
     let quantityUnit = 'pieces';
@@ -482,28 +729,43 @@ router.post('/enhanced', auth, async (req, res) => {
       expiryDate: parseDateString(expiryDate),
       bestBeforeDate: bestBeforeDate ? parseDateString(bestBeforeDate) : null,
       manufacturedDate: manufacturedDate ? parseDateString(manufacturedDate) : null,
+      openedAt: openedAt ? parseDateString(openedAt) : null,
+      useWithinDaysAfterOpening: useWithinDaysAfterOpening === undefined || String(useWithinDaysAfterOpening).trim() === ''
+        ? null
+        : Number(useWithinDaysAfterOpening),
       quantity: {
         amount: quantityAmount,
         unit: quantityUnit
       },
       quantityInput: typeof req.body.quantityInput === 'string' ? req.body.quantityInput : '',
       productUnits: typeof req.body.productUnits === 'string' ? req.body.productUnits : '',
-      category: normalizeCategory(category),
+      category: Food.normalizeCategory(category),
       brand: brand || '',
+      store: typeof store === 'string' ? store.trim() : '',
       barcode: barcode || '',
+      lotNumber: typeof lotNumber === 'string' ? lotNumber.trim() : '',
       ingredients: normalizedIngredients,
-      allergens: normalizeAllergens(allergens),
+      allergens: Food.normalizeAllergens(allergens),
       estimatedValue: parsedEstimatedValue,
+      notes: typeof notes === 'string' ? notes.trim() : '',
       entryMethod: barcode ? 'barcode' : (req.body._fromOCR ? 'ocr' : 'manual'),
       userId: req.user._id,
+      householdId: req.household ? req.household._id : null,
       createdAt: new Date(),
       updatedAt: new Date()
     };
+    const location = await storageService.resolveLocation(req.foodScope, req.user._id, req.body);
+    if (location) {
+      foodData.locationId = location._id;
+      foodData.storageLocation = location.name;
+    }
     
     console.log('💾 Creating food item:', foodData);
     
     const food = new Food(foodData);
     const savedFood = await food.save();
+    realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.added, savedFood, { actorId: req.user._id });
+    confirmProduct(savedFood);
     
     console.log('✅ Food item saved successfully:', {
       id: savedFood._id,
@@ -525,6 +787,13 @@ router.post('/enhanced', auth, async (req, res) => {
       stack: error.stack,
       body: req.body
     });
+
+    if (error.name === 'ValidationError') {
+      return sendMongooseValidationError(res, error);
+    }
+    if (error instanceof storageService.StorageError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     
     res.status(500).json({ 
       success: false, 
@@ -534,19 +803,19 @@ router.post('/enhanced', auth, async (req, res) => {
 });
 
 // Get expiring foods
-router.get('/expiring/:days', auth, async (req, res) => {
+router.get('/expiring/:days', auth, validate(schemas.expiring), loadHousehold, async (req, res) => {
   try {
     const days = parseInt(req.params.days) || 3;
     const checkDate = new Date();
     checkDate.setDate(checkDate.getDate() + days);
     
     const expiringFoods = await Food.find({
-      userId: req.user._id,
-      expiryDate: {
+      ...req.foodScope,
+      effectiveExpiryDate: {
         $gte: new Date(),
         $lte: checkDate
       }
-    }).sort({ expiryDate: 1 });
+    }).sort({ effectiveExpiryDate: 1 });
     
     res.json({ success: true, data: expiringFoods });
   } catch (error) {
@@ -556,18 +825,18 @@ router.get('/expiring/:days', auth, async (req, res) => {
 });
 
 // Get food statistics
-router.get('/stats/dashboard', auth, async (req, res) => {
+router.get('/stats/dashboard', auth, loadHousehold, async (req, res) => {
   try {
-    const userId = req.user._id;
+    const scope = req.foodScope;
     const now = new Date();
     const threeDaysFromNow = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
     const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
     
     const [totalFoods, expiredFoods, expiringSoon, expiringThisWeek] = await Promise.all([
-      Food.countDocuments({ userId }),
-      Food.countDocuments({ userId, expiryDate: { $lt: now } }),
-      Food.countDocuments({ userId, expiryDate: { $gte: now, $lte: threeDaysFromNow } }),
-      Food.countDocuments({ userId, expiryDate: { $gte: now, $lte: oneWeekFromNow } })
+      Food.countDocuments(scope),
+      Food.countDocuments({ ...scope, effectiveExpiryDate: { $lt: now } }),
+      Food.countDocuments({ ...scope, effectiveExpiryDate: { $gte: now, $lte: threeDaysFromNow } }),
+      Food.countDocuments({ ...scope, effectiveExpiryDate: { $gte: now, $lte: oneWeekFromNow } })
     ]);
     
     const stats = {
@@ -0,0 +1,394 @@
+const express = require('express');
+const Household = require('../models/Household');
+const Food = require('../models/Food');
+const User = require('../models/User');
+const StorageLocation = require('../models/StorageLocation');
+const auth = require('../middleware/auth');
+const { inviteLimiter } = require('../middleware/rateLimit');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const { validate } = require('../validation');
+const schemas = require('../validation/households');
+
+const router = express.Router();
+
+// Find a household the user belongs to, or send a 404
+async function findMembership(req, res) {
+  const household = await Household.findOne({ _id: req.params.id, 'members.userId': req.user._id });
+  if (!household) {
+    res.status(404).json({ success: false, message: 'Household not found.' });
+    return null;
+  }
+  return household;
+}
+
+function requireOwner(household, req, res) {
+  if (household.getRole(req.user._id) !== 'owner') {
+    res.status(403).json({ success: false, message: 'Only household owners can do this.' });
+    return false;
+  }
+  return true;
+}
+
+// Move the user's personal inventory into a household
+async function moveInventoryToHousehold(userId, householdId) {
+  // Locations belong to an inventory, so items keep only their location's name
+  const result = await Food.updateMany({ userId, householdId: null }, { $set: { householdId, locationId: null } });
+  return result.modifiedCount || 0;
+}
+
+// Give items back to the people who added them when a household is dissolved
+async function releaseHouseholdInventory(householdId) {
+  await Food.updateMany({ householdId }, { $set: { householdId: null, locationId: null } });
+  await StorageLocation.deleteMany({ householdId });
+  await User.updateMany({ activeHousehold: householdId }, { $set: { activeHousehold: null } });
+}
+
+function publicHousehold(household, userId) {
+  const obj = household.toObject();
+  const role = household.getRole(userId);
+  // Only owners can see outstanding invite tokens
+  obj.invites = role === 'owner'
+    ? obj.invites.filter(i => i.status === 'pending')
+    : [];
+  obj.role = role;
+  return obj;
+}
+
+// List households the user belongs to and invites waiting for them
+router.get('/', auth, async (req, res) => {
+  try {
+    const [households, invitedTo] = await Promise.all([
+      Household.find({ 'members.userId': req.user._id }).sort({ createdAt: 1 }),
+      Household.find({
+        invites: { $elemMatch: { email: req.user.email, status: 'pending', expiresAt: { $gt: new Date() } } }
+      }).select('name invites')
+    ]);
+
+    const pendingInvites = invitedTo.flatMap(h => h.invites
+      .filter(i => i.email === req.user.email && i.status === 'pending' && i.expiresAt > new Date())
+      .map(i => ({ householdId: h._id, householdName: h.name, role: i.role, token: i.token, expiresAt: i.expiresAt })));
+
+    res.json({
+      success: true,
+      data: {
+        activeHousehold: req.user.activeHousehold || null,
+        households: households.map(h => ({
+          _id: h._id,
+          name: h.name,
+          role: h.getRole(req.user._id),
+          memberCount: h.members.length
+        })),
+        pendingInvites
+      }
+    });
+  } catch (error) {
+    console.error('Get households failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch households.' });
+  }
+});
+
+// Create a household; the creator becomes its owner and it becomes active
+router.post('/', auth, validate(schemas.create), async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+
+    const household = new Household({
+      name,
+      createdBy: req.user._id,
+      members: [{ userId: req.user._id, role: 'owner' }]
+    });
+    await household.save();
+
+    req.user.activeHousehold = household._id;
+    await req.user.save();
+    await realtimeService.syncRooms(req.user);
+
+    const movedItems = req.body.moveInventory ? await moveInventoryToHousehold(req.user._id, household._id) : 0;
+
+    res.status(201).json({
+      success: true,
+      message: 'Household created.',
+      data: { household: publicHousehold(household, req.user._id), movedItems }
+    });
+  } catch (error) {
+    console.error('Create household failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to create household.' });
+  }
+});
+
+// Get the active household with member details
+router.get('/current', auth, async (req, res) => {
+  try {
+    if (!req.user.activeHousehold) {
+      return res.json({ success: true, data: { household: null } });
+    }
+
+    const household = await Household.findOne({ _id: req.user.activeHousehold, 'members.userId': req.user._id })
+      .populate('members.userId', 'name email');
+    if (!household) {
+      return res.json({ success: true, data: { household: null } });
+    }
+
+    res.json({ success: true, data: { household: publicHousehold(household, req.user._id) } });
+  } catch (error) {
+    console.error('Get current household failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch household.' });
+  }
+});
+
+// Switch the active household (null switches back to the personal inventory)
+router.put('/active', auth, validate(schemas.setActive), async (req, res) => {
+  try {
+    const { householdId } = req.body;
+
+    if (householdId) {
+      const household = await Household.findOne({ _id: householdId, 'members.userId': req.user._id });
+      if (!household) {
+        return res.status(404).json({ success: false, message: 'Household not found.' });
+      }
+    }
+
+    req.user.activeHousehold = householdId || null;
+    await req.user.save();
+    await realtimeService.syncRooms(req.user);
+
+    res.json({ success: true, message: 'Active household updated.', data: { activeHousehold: req.user.activeHousehold } });
+  } catch (error) {
+    console.error('Switch household failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to switch household.' });
+  }
+});
+
+// Invite someone by email (owners only)
+router.post('/:id/invites', auth, inviteLimiter, validate(schemas.invite), async (req, res) => {
+  try {
+    const household = await findMembership(req, res);
+    if (!household || !requireOwner(household, req, res)) return;
+
+    const email = req.body.email.trim().toLowerCase();
+    const role = req.body.role || 'member';
+
+    const invitee = await User.findOne({ email });
+    if (invitee && household.getMember(invitee._id)) {
+      return res.status(400).json({ success: false, message: 'This person is already a member.' });
+    }
+
+    // Replace any earlier pending invite for the same address
+    household.invites.forEach(i => {
+      if (i.email === email && i.status === 'pending') i.status = 'revoked';
+    });
+    household.pruneInvites();
+    const invite = household.createInvite(email, role, req.user._id);
+    await household.save();
+
+    const acceptUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/household?invite=${invite.token}`;
+    const notification = {
+      type: 'household_invite',
+      title: `🏠 ${req.user.name} invited you to "${household.name}"`,
+      message: `You have been invited to share the "${household.name}" pantry on SmartBite AI as a ${role}. Open ${acceptUrl} to accept.`
+    };
+    if (invitee) {
+      await notificationService.sendNotification(invitee, notification);
+    } else {
+      await notificationService.sendEmailNotification(email, notification);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent.',
+      data: { invite }
+    });
+  } catch (error) {
+    console.error('Invite to household failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to send invitation.' });
+  }
+});
+
+// Revoke a pending invite (owners only)
+router.delete('/:id/invites/:inviteId', auth, validate(schemas.inviteId), async (req, res) => {
+  try {
+    const household = await findMembership(req, res);
+    if (!household || !requireOwner(household, req, res)) return;
+
+    const invite = household.invites.id(req.params.inviteId);
+    if (!invite || invite.status !== 'pending') {
+      return res.status(404).json({ success: false, message: 'Invitation not found.' });
+    }
+
+    invite.status = 'revoked';
+    household.pruneInvites();
+    await household.save();
+
+    res.json({ success: true, message: 'Invitation revoked.' });
+  } catch (error) {
+    console.error('Revoke invite failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke invitation.' });
+  }
+});
+
+// Accept an invite addressed to the current user's email
+router.post('/invites/:token/accept', auth, validate(schemas.acceptInvite), async (req, res) => {
+  try {
+    const household = await Household.findOne({ 'invites.token': req.params.token });
+    const invite = household && household.invites.find(i => i.token === req.params.token);
+
+    if (!invite || invite.status !== 'pending' || invite.expiresAt < new Date()) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired invitation.' });
+    }
+    if (invite.email !== req.user.email) {
+      return res.status(403).json({ success: false, message: 'This invitation was sent to a different email address.' });
+    }
+
+    if (!household.getMember(req.user._id)) {
+      household.members.push({ userId: req.user._id, role: invite.role });
+    }
+    invite.status = 'accepted';
+    await household.save();
+
+    req.user.activeHousehold = household._id;
+    await req.user.save();
+    await realtimeService.syncRooms(req.user);
+
+    const movedItems = req.body.moveInventory ? await moveInventoryToHousehold(req.user._id, household._id) : 0;
+
+    // Let the person who sent the invite know
+    if (invite.invitedBy) {
+      const inviter = await User.findById(invite.invitedBy);
+      if (inviter) {
+        await notificationService.sendNotification(inviter, {
+          type: 'household_update',
+          title: `🏠 ${req.user.name} joined "${household.name}"`,
+          message: `${req.user.name} accepted your invitation and can now see your shared pantry.`
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `You joined ${household.name}.`,
+      data: { household: publicHousehold(household, req.user._id), movedItems }
+    });
+  } catch (error) {
+    console.error('Accept invite failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to accept invitation.' });
+  }
+});
+
+// Decline an invite addressed to the current user's email
+router.post('/invites/:token/decline', auth, validate(schemas.declineInvite), async (req, res) => {
+  try {
+    const household = await Household.findOne({ 'invites.token': req.params.token });
+    const invite = household && household.invites.find(i => i.token === req.params.token);
+
+    if (!invite || invite.status !== 'pending' || invite.email !== req.user.email) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired invitation.' });
+    }
+
+    invite.status = 'declined';
+    await household.save();
+
+    res.json({ success: true, message: 'Invitation declined.' });
+  } catch (error) {
+    console.error('Decline invite failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to decline invitation.' });
+  }
+});
+
+// Change a member's role (owners only)
+router.put('/:id/members/:userId', auth, validate(schemas.memberRole), async (req, res) => {
+  try {
+    const household = await findMembership(req, res);
+    if (!household || !requireOwner(household, req, res)) return;
+
+    const { role } = req.body;
+    const member = household.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Member not found.' });
+    }
+
+    const owners = household.members.filter(m => m.role === 'owner');
+    if (member.role === 'owner' && role !== 'owner' && owners.length === 1) {
+      return res.status(400).json({ success: false, message: 'A household needs at least one owner.' });
+    }
+
+    member.role = role;
+    await household.save();
+
+    res.json({ success: true, message: 'Member role updated.', data: { household: publicHousehold(household, req.user._id) } });
+  } catch (error) {
+    console.error('Update member role failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to update member role.' });
+  }
+});
+
+// Remove a member (owners only)
+router.delete('/:id/members/:userId', auth, validate(schemas.member), async (req, res) => {
+  try {
+    const household = await findMembership(req, res);
+    if (!household || !requireOwner(household, req, res)) return;
+
+    if (String(req.params.userId) === String(req.user._id)) {
+      return res.status(400).json({ success: false, message: 'Use leave to remove yourself.' });
+    }
+
+    const member = household.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Member not found.' });
+    }
+
+    household.members.pull(member._id);
+    await household.save();
+    await User.updateOne(
+      { _id: req.params.userId, activeHousehold: household._id },
+      { $set: { activeHousehold: null } }
+    );
+    await realtimeService.syncRooms(req.params.userId);
+
+    res.json({ success: true, message: 'Member removed.' });
+  } catch (error) {
+    console.error('Remove member failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove member.' });
+  }
+});
+
+// Leave a household. The last member leaving dissolves it.
+router.post('/:id/leave', auth, validate(schemas.household), async (req, res) => {
+  try {
+    const household = await findMembership(req, res);
+    if (!household) return;
+
+    const member = household.getMember(req.user._id);
+    const remaining = household.members.filter(m => String(m.userId) !== String(req.user._id));
+
+    if (remaining.length === 0) {
+      await releaseHouseholdInventory(household._id);
+      await household.deleteOne();
+      await realtimeService.syncRooms(req.user._id);
+      return res.json({ success: true, message: 'You left and the household was dissolved.' });
+    }
+
+    if (member.role === 'owner' && !remaining.some(m => m.role === 'owner')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another member an owner before leaving.'
+      });
+    }
+
+    household.members.pull(member._id);
+    await household.save();
+
+    if (String(req.user.activeHousehold) === String(household._id)) {
+      req.user.activeHousehold = null;
+      await req.user.save();
+    }
+    await realtimeService.syncRooms(req.user);
+
+    res.json({ success: true, message: `You left ${household.name}.` });
+  } catch (error) {
+    console.error('Leave household failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to leave household.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { loadHousehold, canEditFoods } = require('../middleware/household');
+const Food = require('../models/Food');
+const storageService = require('../services/storageService');
+const { validate, sendMongooseValidationError } = require('../validation');
+const schemas = require('../validation/locations');
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  if (error instanceof storageService.StorageError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') return sendMongooseValidationError(res, error);
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, message: `${fallback}.`, error: error.message });
+}
+
+// Storage locations of the active inventory, with how many active items each holds
+router.get('/', auth, loadHousehold, async (req, res) => {
+  try {
+    const locations = await storageService.listLocations(req.foodScope, req.user._id);
+    const counts = await Food.aggregate([
+      { $match: { ...req.foodScope, status: 'active', locationId: { $ne: null } } },
+      { $group: { _id: '$locationId', count: { $sum: 1 } } }
+    ]);
+    const countOf = (id) => (counts.find(c => String(c._id) === String(id)) || { count: 0 }).count;
+
+    res.json({
+      success: true,
+      data: locations.map(location => ({ ...location.toJSON(), itemCount: countOf(location._id) }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch storage locations');
+  }
+});
+
+router.post('/', auth, validate(schemas.create), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const location = await storageService.createLocation(req.foodScope, req.user._id, req.body);
+    res.status(201).json({ success: true, message: 'Storage location added.', data: location });
+  } catch (error) {
+    sendError(res, error, 'Failed to add storage location');
+  }
+});
+
+router.put('/:id', auth, validate(schemas.update), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const location = await storageService.updateLocation(req.foodScope, req.params.id, req.body);
+    res.json({ success: true, message: 'Storage location updated.', data: location });
+  } catch (error) {
+    sendError(res, error, 'Failed to update storage location');
+  }
+});
+
+// Items in the location stay in the inventory without a location
+router.delete('/:id', auth, validate(schemas.location), loadHousehold, canEditFoods, async (req, res) => {
+  try {
+    const { location, unassigned } = await storageService.deleteLocation(req.foodScope, req.params.id);
+    res.json({
+      success: true,
+      message: unassigned > 0
+        ? `Storage location deleted. ${unassigned} item${unassigned === 1 ? ' is' : 's are'} now without a location.`
+        : 'Storage location deleted.',
+      data: { location, unassigned }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete storage location');
+  }
+});
+
+module.exports = router;
@@ -2,44 +2,49 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const notificationService = require('../services/notificationService');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { WebPushProvider } = require('../services/channels');
+const { validate } = require('../validation');
+const schemas = require('../validation/notifications');
 
 const router = express.Router();
 
-// Get user notifications
-router.get('/', auth, async (req, res) => {
+// Get user notifications (newest first, cursor paginated)
+// Query: limit, cursor, unreadOnly, type (comma separated), from, to, archived
+router.get('/', auth, validate(schemas.list), async (req, res) => {
   try {
-    const { limit = 20, skip = 0, unreadOnly = false } = req.query;
-    
-    const user = await User.findById(req.user._id).select('notifications');
-    let notifications = user?.notifications || [];
-    
-    // Filter unread only if requested
-    if (unreadOnly === 'true') {
-      notifications = notifications.filter(notif => !notif.read);
-    }
-    
-    // Sort by creation date (newest first)
-    notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // Apply pagination
-    const paginatedNotifications = notifications.slice(parseInt(skip), parseInt(skip) + parseInt(limit));
+    const { limit, cursor, unreadOnly, type, from, to, archived } = req.query;
+
+    const page = await notificationService.getUserNotifications(req.user._id, {
+      limit,
+      cursor,
+      unreadOnly: unreadOnly === 'true',
+      type,
+      from,
+      to,
+      archived: archived === 'true'
+    });
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, archived: false, read: false });
     
     res.json({
       success: true,
       data: {
-        notifications: paginatedNotifications,
-        total: notifications.length,
-        unreadCount: notifications.filter(n => !n.read).length
+        ...page,
+        unreadCount
       }
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Get notifications failed:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch notifications', error: error.message });
   }
 });
 
 // Mark notification as read
-router.patch('/:notificationId/read', auth, async (req, res) => {
+router.patch('/:notificationId/read', auth, validate(schemas.notificationId), async (req, res) => {
   try {
     const { notificationId } = req.params;
     
@@ -48,7 +53,7 @@ router.patch('/:notificationId/read', auth, async (req, res) => {
     if (result.success) {
       res.json({ success: true, message: 'Notification marked as read' });
     } else {
-      res.status(400).json({ success: false, message: result.error });
+      res.status(404).json({ success: false, message: result.error });
     }
   } catch (error) {
     console.error('Mark notification as read failed:', error);
@@ -59,9 +64,9 @@ router.patch('/:notificationId/read', auth, async (req, res) => {
 // Mark all notifications as read
 router.patch('/read-all', auth, async (req, res) => {
   try {
-    await User.updateOne(
-      { _id: req.user._id },
-      { $set: { 'notifications.$[].read': true } }
+    await Notification.updateMany(
+      { userId: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } }
     );
     
     res.json({ success: true, message: 'All notifications marked as read' });
@@ -71,15 +76,35 @@ router.patch('/read-all', auth, async (req, res) => {
   }
 });
 
+// Archive (or restore) a notification
+router.patch('/:notificationId/archive', auth, validate(schemas.archive), async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const archived = req.body.archived !== false;
+
+    const retentionDays = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+    const update = archived
+      ? { archived: true, archivedAt: new Date(), expiresAt: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000) }
+      : { archived: false, archivedAt: null, expiresAt: null };
+
+    const result = await Notification.updateOne({ _id: notificationId, userId: req.user._id }, { $set: update });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({ success: true, message: archived ? 'Notification archived' : 'Notification restored' });
+  } catch (error) {
+    console.error('Archive notification failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to archive notification', error: error.message });
+  }
+});
+
 // Delete notification
-router.delete('/:notificationId', auth, async (req, res) => {
+router.delete('/:notificationId', auth, validate(schemas.notificationId), async (req, res) => {
   try {
     const { notificationId } = req.params;
     
-    await User.updateOne(
-      { _id: req.user._id },
-      { $pull: { notifications: { _id: notificationId } } }
-    );
+    await Notification.deleteOne({ _id: notificationId, userId: req.user._id });
     
     res.json({ success: true, message: 'Notification deleted' });
   } catch (error) {
@@ -91,10 +116,7 @@ router.delete('/:notificationId', auth, async (req, res) => {
 // Clear all notifications
 router.delete('/', auth, async (req, res) => {
   try {
-    await User.updateOne(
-      { _id: req.user._id },
-      { $set: { notifications: [] } }
-    );
+    await Notification.deleteMany({ userId: req.user._id });
     
     res.json({ success: true, message: 'All notifications cleared' });
   } catch (error) {
@@ -104,21 +126,49 @@ router.delete('/', auth, async (req, res) => {
 });
 
 // Update notification preferences
-router.put('/preferences', auth, async (req, res) => {
+// Accepts the flat shape ({ email, sms, expiryReminders, expiryReminderDays, ... })
+// or the schema shape ({ channels, types, expiryDays, ... })
+router.put('/preferences', auth, validate(schemas.preferences), async (req, res) => {
   try {
     const { notificationPreferences } = req.body;
-    
-    if (!notificationPreferences) {
-      return res.status(400).json({ success: false, message: 'Notification preferences are required' });
+
+    let updates;
+    try {
+      updates = notificationService.normalizePreferenceInput(notificationPreferences);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, message: validationError.message });
+    }
+
+    const channels = Object.fromEntries(
+      Object.entries(updates)
+        .filter(([key]) => key.startsWith('channels.'))
+        .map(([key, value]) => [key.slice('channels.'.length), value])
+    );
+    try {
+      notificationService.assertChannelsAllowed(req.user, channels);
+    } catch (verificationError) {
+      return res.status(verificationError.status).json({ success: false, message: verificationError.message });
+    }
+
+    const $set = Object.fromEntries(
+      Object.entries(updates).map(([key, value]) => [`notificationPreferences.${key}`, value])
+    );
+    // The scheduler works out the next daily run again from the new time
+    if (updates.notificationTime !== undefined || updates.timezone !== undefined) {
+      $set['notificationState.nextRunAt'] = null;
     }
     
-    await User.findByIdAndUpdate(
+    const user = await User.findByIdAndUpdate(
       req.user._id,
-      { notificationPreferences },
+      { $set },
       { new: true, runValidators: true }
-    );
+    ).select('notificationPreferences');
     
-    res.json({ success: true, message: 'Notification preferences updated' });
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: notificationService.toFlatPreferences(user)
+    });
   } catch (error) {
     console.error('Update notification preferences failed:', error);
     res.status(500).json({ success: false, message: 'Failed to update notification preferences', error: error.message });
@@ -130,30 +180,84 @@ router.get('/preferences', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('notificationPreferences');
     
-    const defaultPreferences = {
-      email: true,
-      sms: false,
-      whatsapp: false,
-      inApp: true,
-      expiryReminders: true,
-      healthWarnings: true,
-      recommendations: true,
-      weeklySummary: true,
-      expiryReminderDays: 3,
-      notificationTime: '09:00'
-    };
-    
-    const preferences = { ...defaultPreferences, ...user.notificationPreferences };
-    
-    res.json({ success: true, data: preferences });
+    res.json({ success: true, data: notificationService.toFlatPreferences(user) });
   } catch (error) {
     console.error('Get notification preferences failed:', error);
     res.status(500).json({ success: false, message: 'Failed to get notification preferences', error: error.message });
   }
 });
 
+// List the registered delivery channels and whether each can reach the user
+router.get('/channels', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    res.json({ success: true, data: notificationService.describeChannels(user) });
+  } catch (error) {
+    console.error('Get notification channels failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to get notification channels', error: error.message });
+  }
+});
+
+// VAPID public key the browser needs to create a push subscription
+router.get('/push/public-key', auth, (req, res) => {
+  if (!process.env.VAPID_PUBLIC_KEY) {
+    return res.status(503).json({ success: false, message: 'Browser push is not configured on this server' });
+  }
+  res.json({ success: true, data: { publicKey: process.env.VAPID_PUBLIC_KEY } });
+});
+
+// Save this browser's push subscription and turn the push channel on
+router.post('/push/subscriptions', auth, validate(schemas.pushSubscribe), async (req, res) => {
+  try {
+    const { subscription } = req.body;
+    if (!WebPushProvider.isAllowedEndpoint(subscription.endpoint)) {
+      return res.status(400).json({ success: false, message: 'Push endpoint must be a known browser push service' });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { pushSubscriptions: { endpoint: subscription.endpoint } } }
+    );
+    await User.updateOne(
+      { _id: req.user._id },
+      {
+        $push: {
+          pushSubscriptions: {
+            endpoint: subscription.endpoint,
+            keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+            userAgent: req.get('user-agent')
+          }
+        },
+        $set: { 'notificationPreferences.channels.push': true }
+      }
+    );
+
+    res.status(201).json({ success: true, message: 'Browser push enabled' });
+  } catch (error) {
+    console.error('Save push subscription failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to save push subscription', error: error.message });
+  }
+});
+
+// Remove a push subscription (e.g. when the user turns push off in this browser)
+router.delete('/push/subscriptions', auth, validate(schemas.pushUnsubscribe), async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { pushSubscriptions: { endpoint } } }
+    );
+
+    res.json({ success: true, message: 'Browser push disabled' });
+  } catch (error) {
+    console.error('Remove push subscription failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove push subscription', error: error.message });
+  }
+});
+
 // Send test notification
-router.post('/test', auth, async (req, res) => {
+router.post('/test', auth, validate(schemas.test), async (req, res) => {
   try {
     const { type = 'test' } = req.body;
     
@@ -163,6 +267,8 @@ router.post('/test', auth, async (req, res) => {
       type: type,
       title: '🧪 Test Notification',
       message: 'This is a test notification to verify your notification settings are working correctly.',
+      // Tests go out immediately rather than waiting for a digest or the end of quiet hours
+      priority: 'urgent',
       recommendations: ['Your notification system is working properly!']
     };
     
@@ -182,20 +288,32 @@ router.post('/test', auth, async (req, res) => {
 // Get notification statistics
 router.get('/stats', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('notifications');
-    const notifications = user?.notifications || [];
-    
     const now = new Date();
     const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const oneMonthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const userId = req.user._id;
+    
+    const [counts] = await Notification.aggregate([
+      { $match: { userId, archived: false } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          unread: [{ $match: { read: false } }, { $count: 'count' }],
+          thisWeek: [{ $match: { createdAt: { $gte: oneWeekAgo } } }, { $count: 'count' }],
+          thisMonth: [{ $match: { createdAt: { $gte: oneMonthAgo } } }, { $count: 'count' }],
+          byType: [{ $group: { _id: '$type', count: { $sum: 1 } } }]
+        }
+      }
+    ]);
+    const count = (facet) => (facet[0] ? facet[0].count : 0);
     
     const stats = {
-      total: notifications.length,
-      unread: notifications.filter(n => !n.read).length,
-      thisWeek: notifications.filter(n => new Date(n.createdAt) >= oneWeekAgo).length,
-      thisMonth: notifications.filter(n => new Date(n.createdAt) >= oneMonthAgo).length,
-      byType: notifications.reduce((acc, notif) => {
-        acc[notif.type] = (acc[notif.type] || 0) + 1;
+      total: count(counts.total),
+      unread: count(counts.unread),
+      thisWeek: count(counts.thisWeek),
+      thisMonth: count(counts.thisMonth),
+      byType: counts.byType.reduce((acc, entry) => {
+        acc[entry._id] = entry.count;
         return acc;
       }, {})
     };
@@ -207,4 +325,75 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// Delivery log for the user's outbound messages, newest first
+router.get('/deliveries', auth, validate(schemas.deliveries), async (req, res) => {
+  try {
+    const { status, channel } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = { userId: req.user._id };
+
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+
+    const deliveries = await NotificationDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    console.error('Get notification deliveries failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to get delivery history', error: error.message });
+  }
+});
+
+// Retry a failed delivery now
+router.post('/deliveries/:deliveryId/retry', auth, validate(schemas.deliveryId), async (req, res) => {
+  try {
+    const filter = { _id: req.params.deliveryId, userId: req.user._id, status: { $in: ['failed', 'retrying'] } };
+    const failed = await NotificationDelivery.findOne(filter).select('notification.type');
+    if (!failed) {
+      return res.status(404).json({ success: false, message: 'No failed delivery with that id' });
+    }
+    notificationService.assertRetryable(failed);
+
+    // Claim it so the scheduled retry doesn't send it at the same time
+    const delivery = await NotificationDelivery.findOneAndUpdate(filter, { $set: { status: 'sending' } }, { new: true });
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'No failed delivery with that id' });
+    }
+
+    // A manual retry always gets one more attempt
+    delivery.maxAttempts = Math.max(delivery.maxAttempts, delivery.attempts.length + 1);
+    await notificationService.retryDelivery(delivery);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'sent' ? 'Notification delivered' : `Delivery ${delivery.status}: ${delivery.lastError}`,
+      data: delivery
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('Retry notification delivery failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to retry delivery', error: error.message });
+  }
+});
+
+// Delivery history of one notification across all channels (including digests that carried it)
+router.get('/:notificationId/deliveries', auth, validate(schemas.notificationId), async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const deliveries = await NotificationDelivery.find({
+      userId: req.user._id,
+      $or: [{ notificationId }, { includes: notificationId }]
+    }).sort({ createdAt: 1 });
+
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    console.error('Get notification delivery history failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to get delivery history', error: error.message });
+  }
+});
+
 module.exports = router;
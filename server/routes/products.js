@@ -0,0 +1,104 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const productCorrectionService = require('../services/productCorrectionService');
+const { validate, sendMongooseValidationError } = require('../validation');
+const schemas = require('../validation/products');
+
+const router = express.Router();
+
+function sendError(res, error, fallback) {
+  if (error instanceof productCorrectionService.CorrectionError) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') return sendMongooseValidationError(res, error);
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ success: false, message: `${fallback}.`, error: error.message });
+}
+
+// Pending corrections of every product, for moderators
+router.get('/corrections', auth, validate(schemas.queue), async (req, res) => {
+  try {
+    if (!productCorrectionService.isModerator(req.user)) {
+      return res.status(403).json({ success: false, message: 'Only moderators can see the review queue.' });
+    }
+    const corrections = await productCorrectionService.queue({ limit: parseInt(req.query.limit) || 50 });
+    res.json({ success: true, data: corrections.map(c => productCorrectionService.serialize(c, req.user)) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch corrections');
+  }
+});
+
+router.get('/:barcode/corrections', auth, validate(schemas.corrections), async (req, res) => {
+  try {
+    const corrections = await productCorrectionService.list(req.params.barcode, { status: req.query.status });
+    res.json({
+      success: true,
+      data: corrections.map(c => productCorrectionService.serialize(c, req.user)),
+      canModerate: productCorrectionService.isModerator(req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch corrections');
+  }
+});
+
+// Suggest a fix to the catalog entry of a barcode
+router.post('/:barcode/corrections', auth, validate(schemas.submit), async (req, res) => {
+  try {
+    const correction = await productCorrectionService.submit(req.user, req.params.barcode, req.body);
+    res.status(201).json({
+      success: true,
+      message: correction.status === 'accepted'
+        ? 'Correction applied to the product catalog.'
+        : 'Correction saved. Your scans show it now; others will once enough users agree.',
+      data: productCorrectionService.serialize(correction, req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save correction');
+  }
+});
+
+router.post('/corrections/:id/vote', auth, validate(schemas.vote), async (req, res) => {
+  try {
+    const correction = await productCorrectionService.vote(req.user, req.params.id, Number(req.body.value));
+    const messages = {
+      accepted: 'Vote recorded. The correction has been accepted.',
+      rejected: 'Vote recorded. The correction has been rejected.'
+    };
+    res.json({
+      success: true,
+      message: messages[correction.status] || 'Vote recorded.',
+      data: productCorrectionService.serialize(correction, req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record vote');
+  }
+});
+
+router.post('/corrections/:id/review', auth, validate(schemas.review), async (req, res) => {
+  try {
+    const correction = await productCorrectionService.review(req.user, req.params.id, req.body);
+    res.json({
+      success: true,
+      message: `Correction ${correction.status}.`,
+      data: productCorrectionService.serialize(correction, req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to review correction');
+  }
+});
+
+// The author takes back a pending correction
+router.delete('/corrections/:id', auth, validate(schemas.correction), async (req, res) => {
+  try {
+    const correction = await productCorrectionService.withdraw(req.user, req.params.id);
+    res.json({
+      success: true,
+      message: 'Correction withdrawn.',
+      data: productCorrectionService.serialize(correction, req.user)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to withdraw correction');
+  }
+});
+
+module.exports = router;
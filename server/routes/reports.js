@@ -1,9 +1,14 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const { loadHousehold } = require('../middleware/household');
 const Food = require('../models/Food');
+const StockEvent = require('../models/StockEvent');
 const User = require('../models/User');
 const healthRiskService = require('../services/healthRiskService');
 const nutritionService = require('../services/nutritionService');
+const inventoryService = require('../services/inventoryService');
+const { validate } = require('../validation');
+const schemas = require('../validation/reports');
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const moment = require('moment');
@@ -13,16 +18,16 @@ const path = require('path');
 const router = express.Router();
 
 // Get comprehensive dashboard analytics
-router.get('/dashboard', auth, async (req, res) => {
+router.get('/dashboard', auth, loadHousehold, async (req, res) => {
   try {
-    const userId = req.user._id;
+    const scope = req.foodScope;
     const now = new Date();
     const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
     const oneMonthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
     const threeMonthsAgo = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
 
     // Get all food items for the user
-    const allFoods = await Food.find({ userId });
+    const allFoods = await Food.find(scope);
     
     // Basic statistics
     const totalFoods = allFoods.length;
@@ -48,7 +53,7 @@ router.get('/dashboard', auth, async (req, res) => {
       );
       
       const monthExpired = allFoods.filter(food => 
-        food.expiryDate >= monthStart && food.expiryDate <= monthEnd && food.isExpired()
+        food.effectiveExpiryDate >= monthStart && food.effectiveExpiryDate <= monthEnd && food.isExpired()
       );
 
       monthlyData.push({
@@ -135,139 +140,160 @@ router.get('/dashboard', auth, async (req, res) => {
 });
 
 // Get detailed food waste report
-router.get('/waste-analysis', auth, async (req, res) => {
+router.get('/waste-analysis', auth, validate(schemas.wasteAnalysis), loadHousehold, async (req, res) => {
   try {
-    const userId = req.user._id;
+    const scope = req.foodScope;
     const { startDate, endDate } = req.query;
     
     let dateFilter = {};
+    let eventDateFilter = {};
     if (startDate && endDate) {
       dateFilter = {
-        expiryDate: {
+        effectiveExpiryDate: {
           $gte: new Date(startDate),
           $lte: new Date(endDate)
         }
       };
-    }
-
-    const foods = await Food.find({ userId, ...dateFilter });
-    const expiredFoods = foods.filter(food => food.isExpired());
-
-    // Helper: estimate value in INR if not provided on the document
-    function isCountableUnit(unit) {
-      const u = String(unit || '').toLowerCase();
-      return ['pieces','packets','cans','bottles','boxes','bags'].includes(u);
-    }
-
-    function getEstimatedValue(food) {
-      if (typeof food.estimatedValue === 'number' && !isNaN(food.estimatedValue)) {
-        // If user provided a value, treat it as per-unit price for countable units, otherwise total
-        const qty = food.quantity || { amount: 1, unit: 'pieces' };
-        const amount = Number(qty.amount) || 1;
-        if (isCountableUnit(qty.unit)) {
-          return food.estimatedValue * amount;
+      eventDateFilter = {
+        createdAt: {
+          $gte: new Date(startDate),
+          $lte: new Date(endDate)
         }
-        return food.estimatedValue;
-      }
-      const category = (food.category || 'other').toLowerCase();
-      const qty = food.quantity || { amount: 1, unit: 'pieces' };
-      const amount = Number(qty.amount) || 1;
-      const unit = String(qty.unit || 'pieces').toLowerCase();
-      // Baseline per-unit prices (INR)
-      const perKg = {
-        dairy: 300, meat: 600, fruits: 150, vegetables: 80, grains: 120, snacks: 200,
-        condiments: 200, frozen: 350, canned: 180, bakery: 250, beverages: 100, other: 150
       };
-      const perL = { beverages: 100, other: 120 };
-      const perPiece = { bakery: 40, snacks: 30, canned: 120, other: 50 };
-      const kgPrice = perKg[category] ?? perKg.other;
-      const lPrice = perL[category] ?? perL.other;
-      const piecePrice = perPiece[category] ?? perPiece.other;
-      switch (unit) {
-        case 'grams':
-        case 'g':
-          return (amount / 1000) * kgPrice;
-        case 'kilograms':
-        case 'kg':
-          return amount * kgPrice;
-        case 'milliliters':
-        case 'ml':
-          return (amount / 1000) * lPrice;
-        case 'liters':
-        case 'l':
-          return amount * lPrice;
-        case 'packets':
-        case 'cans':
-        case 'bottles':
-        case 'pieces':
-        case 'boxes':
-        case 'bags':
-        default:
-          return amount * piecePrice;
-      }
     }
+
+    // Movements cancelled by an undone bulk change didn't happen
+    const reversed = await inventoryService.reversedEventIds(scope);
+    const [foods, wasteEvents, consumeEvents] = await Promise.all([
+      Food.find({ ...scope, ...dateFilter }),
+      StockEvent.find({ ...scope, type: 'waste', _id: { $nin: reversed }, ...eventDateFilter }),
+      StockEvent.find({ ...scope, type: 'consume', _id: { $nin: reversed }, ...eventDateFilter })
+    ]);
+
+    // Recorded waste comes from the stock ledger; anything that expired while
+    // still in stock and was never accounted for counts as waste too
+    const unaccountedExpired = foods.filter(food =>
+      food.isExpired() && ['active', 'expired'].includes(food.status) && (Number(food.quantity?.amount) || 0) > 0
+    );
+
+    const wasteRecords = [
+      ...wasteEvents.map(event => ({
+        source: 'recorded',
+        name: event.food?.name,
+        brand: event.food?.brand,
+        category: event.food?.category,
+        store: event.food?.store,
+        reason: event.reason || 'other',
+        disposalMethod: event.disposalMethod || 'trash',
+        fraction: event.fraction,
+        expiryDate: event.food?.expiryDate,
+        date: event.createdAt,
+        amount: Math.abs(event.delta),
+        unit: event.unit,
+        estimatedValue: event.estimatedValue || 0
+      })),
+      ...unaccountedExpired.map(food => ({
+        source: 'expired',
+        name: food.name,
+        brand: food.brand,
+        category: food.category,
+        store: food.store,
+        reason: 'expired',
+        disposalMethod: null,
+        fraction: 1,
+        expiryDate: food.effectiveExpiryDate,
+        date: food.effectiveExpiryDate,
+        amount: Number(food.quantity?.amount) || 0,
+        unit: food.quantity?.unit,
+        estimatedValue: inventoryService.estimateValue(food) || 0
+      }))
+    ];
     
-    // Waste analysis by category
-    const wasteByCategory = expiredFoods.reduce((acc, food) => {
-      const category = food.category || 'Other';
-      if (!acc[category]) {
-        acc[category] = { count: 0, estimatedValue: 0 };
+    // Group waste records by a field, counting items and value
+    const groupWaste = (records, keyFn) => records.reduce((acc, record) => {
+      const key = keyFn(record);
+      if (!acc[key]) {
+        acc[key] = { count: 0, estimatedValue: 0 };
       }
-      acc[category].count++;
-      acc[category].estimatedValue += getEstimatedValue(food) || 0;
+      acc[key].count++;
+      acc[key].estimatedValue += record.estimatedValue;
       return acc;
     }, {});
 
+    const wasteByCategory = groupWaste(wasteRecords, r => r.category || 'Other');
+    const wasteByReason = groupWaste(wasteRecords, r => r.reason);
+    const wasteByBrand = groupWaste(wasteRecords, r => r.brand || 'Unbranded');
+    const wasteByStore = groupWaste(wasteRecords, r => r.store || 'Unknown');
+    const wasteByDisposal = groupWaste(wasteRecords.filter(r => r.disposalMethod), r => r.disposalMethod);
+
     // Waste trends over time
     const wasteTrends = [];
-    const monthsToAnalyze = 6;
+    const monthsParam = parseInt(req.query.months, 10);
+    const monthsToAnalyze = Number.isFinite(monthsParam) && monthsParam > 0 ? Math.min(monthsParam, 24) : 6;
     
     for (let i = monthsToAnalyze - 1; i >= 0; i--) {
       const monthStart = moment().subtract(i, 'months').startOf('month').toDate();
       const monthEnd = moment().subtract(i, 'months').endOf('month').toDate();
       
-      const monthExpired = expiredFoods.filter(food => 
-        food.expiryDate >= monthStart && food.expiryDate <= monthEnd
+      const monthWaste = wasteRecords.filter(record => 
+        record.date >= monthStart && record.date <= monthEnd
       );
       
       wasteTrends.push({
         month: moment().subtract(i, 'months').format('MMM YYYY'),
-        count: monthExpired.length,
-        value: monthExpired.reduce((sum, food) => sum + (getEstimatedValue(food) || 0), 0)
+        count: monthWaste.length,
+        value: monthWaste.reduce((sum, record) => sum + record.estimatedValue, 0),
+        byReason: groupWaste(monthWaste, r => r.reason)
       });
     }
 
     // Top wasted items
-    const wastedItems = expiredFoods
-      .sort((a, b) => (getEstimatedValue(b) || 0) - (getEstimatedValue(a) || 0))
+    const wastedItems = [...wasteRecords]
+      .sort((a, b) => b.estimatedValue - a.estimatedValue)
       .slice(0, 10)
-      .map(food => ({
-        name: food.name,
-        brand: food.brand,
-        category: food.category,
-        expiryDate: food.expiryDate,
-        estimatedValue: getEstimatedValue(food) || 0,
-        daysExpired: Math.floor((new Date() - new Date(food.expiryDate)) / (1000 * 60 * 60 * 24))
+      .map(record => ({
+        name: record.name,
+        brand: record.brand,
+        category: record.category,
+        store: record.store,
+        expiryDate: record.expiryDate,
+        source: record.source,
+        reason: record.reason,
+        amount: record.amount,
+        unit: record.unit,
+        estimatedValue: record.estimatedValue,
+        daysExpired: record.expiryDate
+          ? Math.max(Math.floor((new Date(record.date) - new Date(record.expiryDate)) / (1000 * 60 * 60 * 24)), 0)
+          : 0
       }));
 
-    // Compute total units wasted for countable units, else count item as 1
-    const totalUnits = expiredFoods.reduce((sum, food) => {
-      const qty = food.quantity || { amount: 1, unit: 'pieces' };
-      const amount = Number(qty.amount) || 1;
-      return sum + (isCountableUnit(qty.unit) ? amount : 1);
+    // Compute total units wasted for countable units, else count record as 1
+    const totalUnits = wasteRecords.reduce((sum, record) => {
+      return sum + (inventoryService.isCountableUnit(record.unit) ? record.amount : 1);
     }, 0);
 
-    const totalValue = expiredFoods.reduce((sum, food) => sum + (getEstimatedValue(food) || 0), 0);
+    const totalValue = wasteRecords.reduce((sum, record) => sum + record.estimatedValue, 0);
+    const consumedValue = consumeEvents.reduce((sum, event) => sum + (event.estimatedValue || 0), 0);
 
     const wasteAnalysis = {
       summary: {
-        totalExpired: expiredFoods.length,
+        totalExpired: wasteRecords.length,
+        recordedWaste: wasteEvents.length,
+        unaccountedExpired: unaccountedExpired.length,
         totalUnits,
         totalValue,
-        averageValuePerItem: expiredFoods.length > 0 ? (totalValue / expiredFoods.length).toFixed(2) : 0,
+        consumedValue,
+        wasteRate: totalValue + consumedValue > 0
+          ? ((totalValue / (totalValue + consumedValue)) * 100).toFixed(1)
+          : 0,
+        averageValuePerItem: wasteRecords.length > 0 ? (totalValue / wasteRecords.length).toFixed(2) : 0,
         averageValuePerUnit: totalUnits > 0 ? (totalValue / totalUnits).toFixed(2) : 0
       },
       wasteByCategory,
+      wasteByReason,
+      wasteByBrand,
+      wasteByStore,
+      wasteByDisposal,
       wasteTrends,
       topWastedItems: wastedItems
     };
@@ -280,10 +306,10 @@ router.get('/waste-analysis', auth, async (req, res) => {
 });
 
 // Get nutrition report
-router.get('/nutrition', auth, async (req, res) => {
+router.get('/nutrition', auth, validate(schemas.nutrition), loadHousehold, async (req, res) => {
   try {
-    const userId = req.user._id;
-    const foods = await Food.find({ userId });
+    const scope = req.foodScope;
+    const foods = await Food.find(scope);
 
     // Separate foods with existing nutrition vs missing
     const foodsWithNutrition = foods.filter(food => {
@@ -386,7 +412,7 @@ router.get('/nutrition', auth, async (req, res) => {
         try {
           const ops = enrichedItems.map(doc => ({
             updateOne: {
-              filter: { _id: doc._id, userId },
+              filter: { _id: doc._id, ...scope },
               update: { $set: { nutrition: doc.nutrition } }
             }
           }));
@@ -522,12 +548,11 @@ router.get('/nutrition', auth, async (req, res) => {
 });
 
 // Export data as CSV
-router.get('/export/csv', auth, async (req, res) => {
+router.get('/export/csv', auth, validate(schemas.exportCsv), loadHousehold, async (req, res) => {
   try {
-    const userId = req.user._id;
     const { type = 'foods' } = req.query;
     
-    const foods = await Food.find({ userId }).sort({ createdAt: -1 });
+    const foods = await Food.find(req.foodScope).sort({ createdAt: -1 });
     
     const csvData = foods.map(food => ({
       name: food.name,
@@ -540,7 +565,7 @@ router.get('/export/csv', auth, async (req, res) => {
       bestBeforeDate: food.bestBeforeDate ? moment(food.bestBeforeDate).format('YYYY-MM-DD') : '',
       expiryDate: food.expiryDate ? moment(food.expiryDate).format('YYYY-MM-DD') : '',
       isExpired: food.isExpired() ? 'Yes' : 'No',
-      daysUntilExpiry: food.expiryDate ? Math.ceil((new Date(food.expiryDate) - new Date()) / (1000 * 60 * 60 * 24)) : '',
+      daysUntilExpiry: food.daysUntilExpiry ?? '',
       estimatedValueINR: typeof food.estimatedValue === 'number' ? Number(food.estimatedValue).toFixed(2) : '',
       calories: food.nutrition?.calories ?? '',
       protein_g: food.nutrition?.protein ?? '',
@@ -554,7 +579,17 @@ router.get('/export/csv', auth, async (req, res) => {
       vitaminC: food.nutrition?.vitamins?.vitaminC ?? '',
       calcium: food.nutrition?.minerals?.calcium ?? '',
       iron: food.nutrition?.minerals?.iron ?? '',
-      addedDate: moment(food.createdAt).format('YYYY-MM-DD HH:mm:ss')
+      addedDate: moment(food.createdAt).format('YYYY-MM-DD HH:mm:ss'),
+      store: food.store || '',
+      barcode: food.barcode || '',
+      // Lists use ";" so POST /api/foods/import can split them again
+      allergens: (food.allergens || []).join('; '),
+      ingredients: (food.ingredients || []).join('; '),
+      storageLocation: food.storageLocation || '',
+      openedDate: food.openedAt ? moment(food.openedAt).format('YYYY-MM-DD') : '',
+      useWithinDaysAfterOpening: food.useWithinDaysAfterOpening ?? '',
+      effectiveExpiryDate: food.effectiveExpiryDate ? moment(food.effectiveExpiryDate).format('YYYY-MM-DD') : '',
+      lotNumber: food.lotNumber || ''
     }));
 
     // Create CSV content
@@ -564,13 +599,15 @@ router.get('/export/csv', auth, async (req, res) => {
       'Estimated Value (INR)',
       'Calories', 'Protein (g)', 'Carbohydrates (g)', 'Fat (g)', 'Fiber (g)', 'Sugar (g)', 'Sodium (mg)', 'Cholesterol (mg)',
       'Vitamin A', 'Vitamin C', 'Calcium', 'Iron',
-      'Added Date'
+      'Added Date',
+      'Store', 'Barcode', 'Allergens', 'Ingredients', 'Storage Location',
+      'Opened Date', 'Use Within Days After Opening', 'Effective Expiry Date', 'Lot Number'
     ];
 
     let csvContent = csvHeaders.join(',') + '\n';
     csvData.forEach(row => {
-      const values = Object.values(row).map(value => 
-        typeof value === 'string' && value.includes(',') ? `"${value}"` : value
+      const values = Object.values(row).map(value =>
+        typeof value === 'string' && /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
       );
       csvContent += values.join(',') + '\n';
     });
@@ -585,11 +622,11 @@ router.get('/export/csv', auth, async (req, res) => {
 });
 
 // Generate PDF report
-router.get('/export/pdf', auth, async (req, res) => {
+router.get('/export/pdf', auth, loadHousehold, async (req, res) => {
   try {
-    const userId = req.user._id;
-    const user = await User.findById(userId);
-    const foods = await Food.find({ userId }).sort({ expiryDate: 1 });
+    // Household inventory, analyzed against this user's own health profile
+    const user = await User.findById(req.user._id);
+    const foods = await Food.find(req.foodScope).sort({ effectiveExpiryDate: 1 });
 
     // Analyze health insights per item (bounded)
     const maxItems = 50;
@@ -716,8 +753,11 @@ router.get('/export/pdf', auth, async (req, res) => {
         const mfg = f.manufacturedDate ? moment(f.manufacturedDate).format('YYYY-MM-DD') : 'N/A';
         const bb = f.bestBeforeDate ? moment(f.bestBeforeDate).format('YYYY-MM-DD') : 'N/A';
         const exp = f.expiryDate ? moment(f.expiryDate).format('YYYY-MM-DD') : 'N/A';
+        const opened = f.openedAt
+          ? ` | Opened ${moment(f.openedAt).format('YYYY-MM-DD')}, use by ${moment(f.effectiveExpiryDate).format('YYYY-MM-DD')}`
+          : '';
         const status = f.isExpired() ? 'Expired' : f.isExpiringSoon(3) ? 'Expiring Soon' : 'Fresh';
-        drawWrapped(`• Dates: Manufactured ${mfg} | Best Before ${bb} | Expiry ${exp} | Status ${status}`, pageMargin + 14, 501);
+        drawWrapped(`• Dates: Manufactured ${mfg} | Best Before ${bb} | Expiry ${exp}${opened} | Status ${status}`, pageMargin + 14, 501);
         y -= 4;
 
         // Nutrition
@@ -771,11 +811,10 @@ router.get('/export/pdf', auth, async (req, res) => {
 });
 
 // Get health insights report
-router.get('/health-insights', auth, async (req, res) => {
+router.get('/health-insights', auth, loadHousehold, async (req, res) => {
   try {
-    const userId = req.user._id;
-    const user = await User.findById(userId);
-    const foods = await Food.find({ userId });
+    const user = await User.findById(req.user._id);
+    const foods = await Food.find(req.foodScope);
 
     // Analyze each food against the user's health profile
     const analyzed = await Promise.all(foods.map(async (food) => {
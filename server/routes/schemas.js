@@ -0,0 +1,20 @@
+const express = require('express');
+const forms = require('../validation/forms');
+
+const router = express.Router();
+
+// Form schemas the client validates AddFood and Profile with before submitting.
+// The API applies the same rules, so both sides report the same messages.
+router.get('/', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({
+    success: true,
+    data: {
+      food: forms.food,
+      profile: forms.profile,
+      contactInfo: forms.contactInfo
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// server/scripts/migrateFoodBarcodeIndex.js
+//
+// Drops the unique index on Food.barcode left by older versions, which kept
+// two items (another lot, another user's pantry) from having the same barcode,
+// and builds the indexes the Food model declares now. Safe to re-run.
+//
+//   node scripts/migrateFoodBarcodeIndex.js [--dry-run]
+//
+//   --dry-run  only report what would change
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Food = require("../models/Food");
+
+const MONGO_URI =
+  process.env.MONGO_URI || "mongodb://127.0.0.1:27017/smartbiteai";
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+async function migrate() {
+  await mongoose.connect(MONGO_URI);
+  console.log(`🔗 Connected${dryRun ? " (dry run)" : ""}`);
+
+  const indexes = await Food.collection.indexes().catch((error) => {
+    // No foods collection yet: nothing to drop
+    if (error.codeName === "NamespaceNotFound") return [];
+    throw error;
+  });
+  const unique = indexes.filter((index) => index.unique && Object.keys(index.key).join() === "barcode");
+
+  for (const index of unique) {
+    if (!dryRun) await Food.collection.dropIndex(index.name);
+    console.log(`🗑️  ${dryRun ? "Would drop" : "Dropped"} unique index ${index.name}`);
+  }
+  if (!dryRun) await Food.createIndexes();
+
+  console.log(
+    `✅ ${unique.length ? `${unique.length} unique barcode index(es) ${dryRun ? "to drop" : "dropped"}` : "No unique barcode index found"}`
+  );
+}
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Food barcode index migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
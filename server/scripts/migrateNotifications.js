@@ -0,0 +1,98 @@
+// server/scripts/migrateNotifications.js
+//
+// Moves in-app notifications embedded in users (User.notifications) into the
+// Notification collection. Safe to re-run: notifications keep their _id, so
+// already-copied ones are skipped.
+//
+//   node scripts/migrateNotifications.js [--dry-run] [--keep]
+//
+//   --dry-run  only report what would be copied
+//   --keep     copy but leave the embedded array on the user documents
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+
+const MONGO_URI =
+  process.env.MONGO_URI || "mongodb://127.0.0.1:27017/smartbiteai";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const keep = args.includes("--keep");
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+const toDocument = (userId, embedded) => {
+  const createdAt = embedded.createdAt || userId.getTimestamp();
+  return {
+    _id: embedded._id || new mongoose.Types.ObjectId(),
+    userId,
+    type: embedded.type || "info",
+    priority: "normal",
+    title: embedded.title || "Notification",
+    message: embedded.message || "",
+    foodItems: embedded.foodItems || [],
+    recommendations: embedded.recommendations || [],
+    read: Boolean(embedded.read),
+    readAt: embedded.read ? createdAt : null,
+    archived: false,
+    createdAt,
+    updatedAt: createdAt,
+  };
+};
+
+async function migrate() {
+  await mongoose.connect(MONGO_URI);
+  console.log(`🔗 Connected${dryRun ? " (dry run)" : ""}`);
+
+  // The field is no longer in the schema, so read the raw documents
+  const cursor = User.collection.find(
+    { notifications: { $exists: true, $ne: [] } },
+    { projection: { notifications: 1 } }
+  );
+
+  let users = 0;
+  let copied = 0;
+  let skipped = 0;
+
+  for await (const user of cursor) {
+    users++;
+    const docs = user.notifications.map((n) => toDocument(user._id, n));
+
+    if (dryRun) {
+      copied += docs.length;
+      continue;
+    }
+
+    try {
+      // Raw insert so the original createdAt is preserved
+      const result = await Notification.collection.insertMany(docs, { ordered: false });
+      copied += result.insertedCount;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (!writeErrors.length || writeErrors.some((e) => e.code !== DUPLICATE_KEY)) {
+        throw error;
+      }
+      copied += error.result?.insertedCount ?? docs.length - writeErrors.length;
+      skipped += writeErrors.length;
+    }
+
+    if (!keep) {
+      await User.collection.updateOne({ _id: user._id }, { $unset: { notifications: "" } });
+    }
+  }
+
+  console.log(
+    `✅ ${users} users, ${copied} notifications ${dryRun ? "to copy" : "copied"}, ${skipped} already migrated`
+  );
+}
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Notification migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
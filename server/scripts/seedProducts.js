@@ -0,0 +1,60 @@
+// server/scripts/seedProducts.js
+//
+// Seeds the product catalog from an Open Food Facts dump so barcode lookups
+// work without the remote providers. Takes the products JSONL export
+// (openfoodfacts-products.jsonl.gz) or the tab separated CSV export
+// (en.openfoodfacts.org.products.csv.gz), gzipped or not. Safe to re-run:
+// barcodes already in the catalog are left as they are.
+//
+//   node scripts/seedProducts.js <dump file> [--limit N] [--country india] [--dry-run]
+//
+//   --limit N    stop after N usable products
+//   --country X  only products sold in country X (matched against countries)
+//   --dry-run    only count what would be added
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const productCatalogService = require("../services/productCatalogService");
+
+const MONGO_URI =
+  process.env.MONGO_URI || "mongodb://127.0.0.1:27017/smartbiteai";
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+const file = args.find((arg, index) => !arg.startsWith("--") && !["--limit", "--country"].includes(args[index - 1]));
+const limit = option("--limit") ? parseInt(option("--limit"), 10) : Infinity;
+const country = option("--country");
+const dryRun = args.includes("--dry-run");
+
+async function seed() {
+  if (!file) {
+    throw new Error("Usage: node scripts/seedProducts.js <dump file> [--limit N] [--country X] [--dry-run]");
+  }
+  await mongoose.connect(MONGO_URI);
+  console.log(`🔗 Connected${dryRun ? " (dry run)" : ""}`);
+
+  const counts = await productCatalogService.seedFromDump(file, {
+    limit,
+    country,
+    dryRun,
+    onProgress: ({ read, inserted }) => process.stdout.write(`\r⏳ ${read} read, ${inserted} added`),
+  });
+
+  console.log(
+    `\n✅ ${counts.read} products read, ${counts.valid} usable, ` +
+      `${dryRun ? `${counts.valid} to add` : `${counts.inserted} added, ${counts.existing} already in the catalog`}, ` +
+      `${counts.skipped} skipped (no name, invalid barcode, other country or unreadable)`
+  );
+}
+
+seed()
+  .catch((error) => {
+    console.error("❌ Product seeding failed:", error.message);
+    process.exitCode = 1;
+  })
+  // The catalog's nightly refresh job would otherwise keep the process running
+  .finally(() => mongoose.disconnect().then(() => process.exit()));
@@ -0,0 +1,251 @@
+const cron = require('node-cron');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Food = require('../models/Food');
+const StockEvent = require('../models/StockEvent');
+const Household = require('../models/Household');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const PendingNotification = require('../models/PendingNotification');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const BulkOperation = require('../models/BulkOperation');
+const StorageLocation = require('../models/StorageLocation');
+const ProductCorrection = require('../models/ProductCorrection');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+const HEALTH_FIELDS = ['age', 'gender', 'weight', 'height', 'diseases', 'allergies', 'symptoms', 'medications', 'dietaryPreferences'];
+
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+// Data export and account deletion (with a grace period before the purge)
+class AccountService {
+  constructor() {
+    this.purgeRunning = false;
+    this.startScheduledJobs();
+  }
+
+  startScheduledJobs() {
+    // Purge accounts whose deletion grace period has ended
+    cron.schedule('15 * * * *', async () => {
+      await this.purgeDueAccounts();
+    });
+  }
+
+  // Everything stored about a user, one entry per file of the export
+  async collectExport(user) {
+    const [foods, storageLocations, stockEvents, notifications, deliveries, households, sessions, securityEvents, productCorrections] = await Promise.all([
+      Food.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      StorageLocation.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      StockEvent.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      Notification.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      NotificationDelivery.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      Household.find({ 'members.userId': user._id }).select('name members createdAt').lean(),
+      Session.find({ userId: user._id }).select('deviceName userAgent ip lastSeenAt createdAt expiresAt revokedAt revokedReason').lean(),
+      AuditLog.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      ProductCorrection.find({ userId: user._id }).select('-votes').sort({ createdAt: 1 }).lean()
+    ]);
+
+    const profile = user.getPublicProfile();
+    const healthProfile = {};
+    HEALTH_FIELDS.forEach(field => {
+      healthProfile[field] = profile[field];
+      delete profile[field];
+    });
+
+    return {
+      profile,
+      'health-profile': healthProfile,
+      foods,
+      'storage-locations': storageLocations,
+      'consumption-history': stockEvents,
+      notifications,
+      'notification-deliveries': deliveries,
+      households: households.map(household => {
+        const member = household.members.find(m => String(m.userId) === String(user._id));
+        return { _id: household._id, name: household.name, role: member.role, joinedAt: member.joinedAt };
+      }),
+      sessions,
+      'security-events': securityEvents,
+      'product-corrections': productCorrections
+    };
+  }
+
+  async buildExport(user) {
+    const files = await this.collectExport(user);
+    return {
+      exportedAt: new Date(),
+      userId: user._id,
+      counts: Object.fromEntries(
+        Object.entries(files)
+          .filter(([, data]) => Array.isArray(data))
+          .map(([name, data]) => [name, data.length])
+      ),
+      ...files
+    };
+  }
+
+  // Stream the export as a ZIP with one JSON file per section plus manifest.json
+  async streamExportZip(user, res) {
+    const bundle = await this.buildExport(user);
+    const { exportedAt, userId, counts, ...files } = bundle;
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      console.error('Data export archive failed:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    archive.append(JSON.stringify({ exportedAt, userId, counts }, null, 2), { name: 'manifest.json' });
+    for (const [name, data] of Object.entries(files)) {
+      archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+    }
+    await archive.finalize();
+  }
+
+  // Schedule the account for deletion; returns the date the data will be purged
+  async requestDeletion(user, req) {
+    if (user.deletionScheduledFor) {
+      throw new AccountError('Account deletion is already scheduled.', 409);
+    }
+
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    await this.cancelScheduledJobs(user._id);
+    await auditService.record('account_deletion_requested', {
+      req,
+      userId: user._id,
+      email: user.email,
+      details: { scheduledFor: user.deletionScheduledFor }
+    });
+
+    try {
+      const notificationService = require('./notificationService');
+      const profileUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/profile`;
+      await notificationService.sendEmailNotification(user.email, {
+        type: 'account_deletion',
+        title: '🗑️ Your SmartBite AI account will be deleted',
+        message: `Hi ${user.name}, your account and all of its data will be permanently deleted on ${user.deletionScheduledFor.toDateString()}. Changed your mind? Sign in and cancel the deletion from ${profileUrl} before then.`,
+        actionUrl: profileUrl,
+        actionLabel: 'Keep my account'
+      }, { userId: user._id });
+    } catch (error) {
+      console.error('Deletion confirmation email failed:', error);
+    }
+
+    return user.deletionScheduledFor;
+  }
+
+  async cancelDeletion(user, req) {
+    if (!user.deletionScheduledFor) {
+      throw new AccountError('Account deletion is not scheduled.');
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+
+    await auditService.record('account_deletion_cancelled', { req, userId: user._id, email: user.email });
+  }
+
+  // Drop held messages and stop retries so nothing more is sent to the account
+  async cancelScheduledJobs(userId) {
+    await PendingNotification.deleteMany({ userId });
+    await NotificationDelivery.updateMany(
+      { userId, status: { $in: ['queued', 'retrying'] } },
+      { $set: { status: 'failed', lastError: 'Account scheduled for deletion', nextAttemptAt: null } }
+    );
+  }
+
+  // Leave every household. The last member dissolves it (with its inventory);
+  // the last owner hands ownership to the longest-standing member.
+  async leaveHouseholds(userId) {
+    const households = await Household.find({ 'members.userId': userId });
+
+    for (const household of households) {
+      const remaining = household.members.filter(m => String(m.userId) !== String(userId));
+
+      if (remaining.length === 0) {
+        await Food.deleteMany({ householdId: household._id });
+        await StockEvent.deleteMany({ householdId: household._id });
+        await StorageLocation.deleteMany({ householdId: household._id });
+        await household.deleteOne();
+        continue;
+      }
+
+      if (!remaining.some(m => m.role === 'owner')) {
+        remaining.sort((a, b) => a.joinedAt - b.joinedAt)[0].role = 'owner';
+      }
+      household.members.pull(household.getMember(userId)._id);
+      await household.save();
+    }
+  }
+
+  // Permanently remove the user and their data. Items the user added to a
+  // household that still has members stay in that household's inventory,
+  // and their stock history stays in its reports, no longer linked to the user.
+  async purgeAccount(userId) {
+    await this.cancelScheduledJobs(userId);
+    await sessionService.revokeAll(userId, { reason: 'revoked-all' });
+    await this.leaveHouseholds(userId);
+
+    await Promise.all([
+      Food.deleteMany({ userId, householdId: null }),
+      StockEvent.deleteMany({ userId, householdId: null }),
+      StockEvent.anonymizeUser(userId),
+      Notification.deleteMany({ userId }),
+      NotificationDelivery.deleteMany({ userId }),
+      PendingNotification.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      AuditLog.deleteMany({ userId }),
+      BulkOperation.deleteMany({ userId }),
+      StorageLocation.deleteMany({ userId, householdId: null }),
+      // Accepted corrections stay in the product catalog
+      ProductCorrection.deleteMany({ userId })
+    ]);
+    await User.deleteOne({ _id: userId });
+  }
+
+  async purgeDueAccounts(now = new Date()) {
+    if (this.purgeRunning) return 0;
+    this.purgeRunning = true;
+
+    let purged = 0;
+    try {
+      const users = await User.find({ deletionScheduledFor: { $lte: now } }).select('_id');
+      for (const user of users) {
+        try {
+          await this.purgeAccount(user._id);
+          purged++;
+        } catch (error) {
+          console.error(`Account purge failed for user ${user._id}:`, error);
+        }
+      }
+      if (purged > 0) console.log(`🗑️ Purged ${purged} deleted account(s)`);
+    } catch (error) {
+      console.error('Account purge failed:', error);
+    } finally {
+      this.purgeRunning = false;
+    }
+    return purged;
+  }
+}
+
+const accountService = new AccountService();
+accountService.AccountError = AccountError;
+accountService.DELETION_GRACE_DAYS = DELETION_GRACE_DAYS;
+
+module.exports = accountService;
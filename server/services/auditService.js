@@ -0,0 +1,29 @@
+const AuditLog = require('../models/AuditLog');
+
+class AuditService {
+  // Record an event; failures are logged but never break the request being audited
+  async record(event, { req, userId = null, email, reason, details } = {}) {
+    try {
+      return await AuditLog.create({
+        event,
+        userId,
+        email: email ? String(email).slice(0, 254) : undefined,
+        reason,
+        ip: req ? req.ip : undefined,
+        userAgent: req ? String(req.get('user-agent') || '').slice(0, 512) : undefined,
+        details
+      });
+    } catch (error) {
+      console.error(`Audit log (${event}) failed:`, error);
+      return null;
+    }
+  }
+
+  async getUserEvents(userId, limit = 50) {
+    return AuditLog.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+  }
+}
+
+module.exports = new AuditService();
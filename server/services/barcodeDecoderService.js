@@ -0,0 +1,105 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+// Loaded here as well so libvips is set up by the main thread before any
+// worker uses it (sharp's advice for worker threads)
+require('sharp');
+
+// Give up after this long; a photo without a readable code tries every variant
+const DECODE_BUDGET_MS = parseInt(process.env.BARCODE_DECODE_BUDGET_MS) || 10000;
+// The worker is stopped if it hasn't answered this long after the budget
+const KILL_GRACE_MS = 5000;
+// Photos decoded at the same time; the rest wait their turn
+const MAX_WORKERS = parseInt(process.env.BARCODE_DECODE_WORKERS) || 1;
+// Photos allowed to wait (each holds its upload in memory); more are turned away
+const MAX_QUEUE = parseInt(process.env.BARCODE_DECODE_QUEUE) || 10;
+// JavaScript heap of a worker; image data in sharp and ZXing is capped by the
+// pixel limit in barcodeDecoderWorker.js
+const WORKER_RESOURCE_LIMITS = { maxOldGenerationSizeMb: 256, maxYoungGenerationSizeMb: 32 };
+
+const WORKER_FILE = path.join(__dirname, 'barcodeDecoderWorker.js');
+
+class BarcodeDecoderError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'BarcodeDecoderError';
+    this.status = status;
+  }
+}
+
+// Reads barcodes, GS1 DataMatrix and QR codes from product photos with ZXing,
+// and linear codes (EAN-8/13, UPC-A/E, Code 128) at an angle with Quagga; each
+// photo is tried at several scales, contrasts and orientations until one reads.
+// The decoding runs in a worker thread (barcodeDecoderWorker.js) per photo,
+// which is stopped when it runs over time.
+class BarcodeDecoderService {
+  constructor() {
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  async decodeImage(imageBuffer) {
+    await this.acquire();
+    try {
+      return await this.runWorker(imageBuffer);
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.running < MAX_WORKERS) {
+      this.running++;
+      return Promise.resolve();
+    }
+    if (this.waiting.length >= MAX_QUEUE) {
+      return Promise.reject(new BarcodeDecoderError('Too many photos are being read right now. Please try again shortly.', 503));
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // Hand the slot straight to the next photo in line
+  release() {
+    const next = this.waiting.shift();
+    if (next) next();
+    else this.running--;
+  }
+
+  runWorker(imageBuffer) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_FILE, {
+        workerData: { image: imageBuffer, budgetMs: DECODE_BUDGET_MS },
+        resourceLimits: WORKER_RESOURCE_LIMITS,
+        // Quagga logs the size of every image it reads; keep the worker's
+        // output out of the server log (errors still come through on stderr)
+        stdout: true
+      });
+      worker.stdout.resume();
+
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        callback(value);
+      };
+      const timer = setTimeout(() => settle(resolve, {
+        success: false,
+        error: 'Timed out looking for a barcode',
+        attempts: null
+      }), DECODE_BUDGET_MS + KILL_GRACE_MS);
+
+      worker.on('message', ({ result, error }) => (error
+        ? settle(reject, new Error(error))
+        : settle(resolve, result)));
+      worker.on('error', error => settle(reject, error));
+      worker.on('exit', code => settle(reject, new Error(`Barcode decoder stopped (exit code ${code})`)));
+    });
+  }
+}
+
+const barcodeDecoderService = new BarcodeDecoderService();
+barcodeDecoderService.BarcodeDecoderError = BarcodeDecoderError;
+barcodeDecoderService.DECODE_BUDGET_MS = DECODE_BUDGET_MS;
+
+module.exports = barcodeDecoderService;
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const { parentPort, workerData } = require('worker_threads');
+const sharp = require('sharp');
+const Quagga = require('quagga').default;
+const { prepareZXingModule, readBarcodes } = require('zxing-wasm/reader');
+
+// Runs in a worker thread started by barcodeDecoderService: decoding is
+// synchronous and CPU heavy, and would otherwise hold up every other request.
+
+// Read with ZXing: the retail codes, GS1-128 and GS1 DataBar (fresh food) and
+// the 2D codes on packs, GS1 DataMatrix and QR
+const ZXING_FORMATS = ['EAN13', 'EAN8', 'UPCA', 'UPCE', 'Code128', 'DataBar', 'DataBarExp', 'DataMatrix', 'QRCode'];
+const MATRIX_FORMATS = ['DataMatrix', 'QRCode'];
+
+// Linear codes ZXing misses at an angle are tried with Quagga's locator.
+// Tried in this order: UPC-A before EAN-13 so a UPC isn't reported as an EAN
+// with a leading zero; UPC-E last as it matches the most noise
+const READERS = ['upc_reader', 'ean_reader', 'ean_8_reader', 'code_128_reader', 'upc_e_reader'];
+
+const FORMATS = {
+  ean_13: 'EAN-13',
+  ean_8: 'EAN-8',
+  upc_a: 'UPC-A',
+  upc_e: 'UPC-E',
+  code_128: 'Code 128',
+  EAN13: 'EAN-13',
+  EAN8: 'EAN-8',
+  UPCA: 'UPC-A',
+  UPCE: 'UPC-E',
+  Code128: 'Code 128',
+  DataBar: 'GS1 DataBar',
+  DataBarExp: 'GS1 DataBar Expanded',
+  DataMatrix: 'Data Matrix',
+  QRCode: 'QR Code'
+};
+
+// Longest side of the image the decoders get, in the order tried: phone photos
+// are usually larger, small or distant codes need the larger sizes
+const SCALES = [1024, 1600, 640];
+const QUAGGA_TIMEOUT_MS = 5000;
+// Largest photo decoded (about 50 megapixels), so a small file that expands to
+// a huge image can't exhaust memory
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Ways of preparing the photo, mildest first
+const PREPROCESSING = {
+  original: image => image,
+  contrast: image => image.greyscale().normalize().linear(1.5, -64).sharpen(),
+  threshold: image => image.greyscale().normalize().threshold(128)
+};
+
+const found = (code, format, preprocessing, attempts, startedAt) => ({
+  success: true,
+  code: String(code).trim(),
+  format: FORMATS[format] || format,
+  symbology: MATRIX_FORMATS.includes(format) ? '2d' : '1d',
+  preprocessing,
+  attempts,
+  durationMs: Date.now() - startedAt
+});
+
+// GS1 data comes back in the bracketed form, (01)...(17)..., with the
+// variable-length fields kept apart
+let zxingLoaded = false;
+const decodeZXing = async (png) => {
+  if (!zxingLoaded) {
+    // Load the WebAssembly from the package instead of the CDN it defaults to
+    prepareZXingModule({
+      overrides: { wasmBinary: fs.readFileSync(require.resolve('zxing-wasm/reader/zxing_reader.wasm')) },
+      fireImmediately: true
+    });
+    zxingLoaded = true;
+  }
+  const [result] = await readBarcodes(new Uint8Array(png), { formats: ZXING_FORMATS, maxNumberOfSymbols: 1 });
+  return result && result.isValid && result.text ? result : null;
+};
+
+// The image must be one Quagga can read (always a PNG made by sharp here):
+// on unreadable input Quagga ends the thread instead of reporting an error
+const decodeLinear = (png, locate) => {
+  let timer;
+  return new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), QUAGGA_TIMEOUT_MS);
+    try {
+      Quagga.decodeSingle({
+        src: `data:image/png;base64,${png.toString('base64')}`,
+        numOfWorkers: 0,
+        inputStream: { size: 0 },
+        locate,
+        locator: { patchSize: 'large', halfSample: true },
+        decoder: { readers: READERS }
+      }, result => resolve(result && result.codeResult && result.codeResult.code ? result.codeResult : null));
+    } catch (error) {
+      console.error('Barcode decoding failed:', error.message);
+      resolve(null);
+    }
+  }).finally(() => clearTimeout(timer));
+};
+
+// Try the photo at several scales, contrasts and orientations until a code reads
+const decodeImage = async (imageBuffer, budgetMs) => {
+  const startedAt = Date.now();
+  let attempts = 0;
+
+  // Apply the EXIF orientation once; variants below are made from this
+  let base;
+  try {
+    base = await sharp(imageBuffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate().png().toBuffer();
+  } catch (error) {
+    if (!/pixel limit/.test(error.message)) throw error;
+    return { success: false, error: 'The photo is too large to read', attempts };
+  }
+
+  for (const scale of SCALES) {
+    for (const [mode, prepare] of Object.entries(PREPROCESSING)) {
+      if (Date.now() - startedAt > budgetMs) {
+        return { success: false, error: 'Timed out looking for a barcode', attempts };
+      }
+
+      const resized = sharp(base).resize(scale, scale, { fit: 'inside' });
+      const png = await prepare(resized).png().toBuffer();
+      const details = { scale, mode };
+
+      attempts++;
+      const zxing = await decodeZXing(png);
+      if (zxing) return found(zxing.text, zxing.format, { ...details, rotation: 0 }, attempts, startedAt);
+
+      // The locator finds codes at any angle; without it Quagga reads
+      // straight across the middle, so also try the photo turned a quarter
+      const passes = [
+        { locate: true, rotation: 0, image: png },
+        { locate: false, rotation: 0, image: png },
+        { locate: false, rotation: 90, image: await sharp(png).rotate(90).png().toBuffer() }
+      ];
+      for (const { locate, rotation, image } of passes) {
+        attempts++;
+        const result = await decodeLinear(image, locate);
+        if (result) {
+          return found(result.code, result.format, { ...details, rotation, locate }, attempts, startedAt);
+        }
+      }
+    }
+  }
+
+  return { success: false, error: 'No barcode found in the image', attempts };
+};
+
+if (parentPort) {
+  decodeImage(Buffer.from(workerData.image), workerData.budgetMs)
+    .then(result => parentPort.postMessage({ result }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
+}
+
+module.exports = { decodeImage };
@@ -1,6 +1,64 @@
 const axios = require('axios');
 const nutritionService = require('./nutritionService');
 
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.BARCODE_PROVIDER_TIMEOUT_MS) || 6000;
+const BREAKER_THRESHOLD = parseInt(process.env.BARCODE_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN_MS = (parseInt(process.env.BARCODE_BREAKER_COOLDOWN_SECONDS) || 120) * 1000;
+
+// How much of a field a provider filled in: 1 for a plain value, the number of
+// filled leaves for an object (nutrition, images). Zeros and 'Unknown Product'
+// are the providers' placeholders for missing data.
+const completeness = (value) => {
+  if (value === undefined || value === null || value === 0 || value === '') return 0;
+  if (typeof value === 'string') return value.trim() === '' || value === 'Unknown Product' ? 0 : 1;
+  if (Array.isArray(value)) return value.length > 0 ? 1 : 0;
+  if (typeof value === 'object') return Object.values(value).reduce((sum, item) => sum + completeness(item), 0);
+  return 1;
+};
+
+// GS1 Application Identifiers read from element strings (GS1-128, GS1 DataMatrix
+// and QR scanner output, or the bracketed "(01)...(17)..." form): a fixed length,
+// or variable up to max and ended by the FNC1 separator or the end of the string
+const GS1_AIS = {
+  '00': { name: 'SSCC', length: 18 },
+  '01': { name: 'GTIN', length: 14 },
+  '02': { name: 'Contained GTIN', length: 14 },
+  '10': { name: 'Batch/lot number', max: 20 },
+  '11': { name: 'Production date', length: 6, date: true },
+  '12': { name: 'Due date', length: 6, date: true },
+  '13': { name: 'Packaging date', length: 6, date: true },
+  '15': { name: 'Best before date', length: 6, date: true },
+  '16': { name: 'Sell by date', length: 6, date: true },
+  '17': { name: 'Expiration date', length: 6, date: true },
+  '20': { name: 'Variant', length: 2 },
+  '21': { name: 'Serial number', max: 20 },
+  '22': { name: 'Consumer product variant', max: 20 },
+  '30': { name: 'Count', max: 8 },
+  '37': { name: 'Count of trade items', max: 8 },
+  '240': { name: 'Additional product id', max: 30 },
+  '241': { name: 'Customer part number', max: 30 },
+  '250': { name: 'Secondary serial number', max: 30 },
+  '400': { name: "Customer's order number", max: 30 },
+  '410': { name: 'Ship to location', length: 13 },
+  '414': { name: 'Location number', length: 13 },
+  '422': { name: 'Country of origin', length: 3 },
+  '7003': { name: 'Expiration date and time', length: 10 },
+  '8008': { name: 'Production date and time', max: 12 }
+};
+// 31nn-36nn: trade measures, 6 digits with n decimal places (3103 = net weight in kg, 3 decimals)
+const GS1_MEASURE_NAMES = {
+  '310': 'Net weight (kg)',
+  '315': 'Net volume (l)',
+  '320': 'Net weight (lb)',
+  '330': 'Gross weight (kg)'
+};
+// AIs whose value the Food item takes
+const GS1_FOOD_FIELDS = { '17': 'expiryDate', '15': 'bestBeforeDate', '11': 'manufacturedDate', '10': 'lotNumber' };
+// FNC1 as scanners send it
+const GS = '\x1d';
+// Symbology identifier a scanner may put in front: GS1-128, GS1 DataMatrix, GS1 QR, GS1 DataBar
+const GS1_SYMBOLOGY_PREFIX = /^\](C1|d2|Q3|e0)/;
+
 class BarcodeService {
   constructor() {
     this.openFoodFactsBaseUrl = 'https://world.openfoodfacts.org/api/v0/product';
@@ -11,9 +69,38 @@ class BarcodeService {
     this.openFoodFactsSearchV2 = 'https://world.openfoodfacts.org/api/v2/search';
     this.barcodeLookupUrl = 'https://api.barcodelookup.com/v3/products';
     this.eanSearchUrl = 'https://api.ean-search.org/api';
+
+    // Queried together; on equally complete fields the earlier provider wins
+    this.providers = [
+      // Open Food Facts first (most comprehensive for food items), then its India search
+      { name: 'Open Food Facts', lookup: barcode => this.lookupOpenFoodFacts(barcode) },
+      { name: 'Open Food Facts (India)', lookup: barcode => this.lookupOpenFoodFactsV2India(barcode) },
+      // Optional providers (require API keys)
+      { name: 'Nutritionix', lookup: barcode => this.lookupNutritionix(barcode) },
+      { name: 'Spoonacular', lookup: barcode => this.lookupSpoonacular(barcode) },
+      { name: 'BarcodeLookup', lookup: barcode => this.lookupBarcodeLookup(barcode) },
+      { name: 'EANSearch', lookup: barcode => this.lookupEANSearch(barcode) },
+      // General product database, little food data
+      { name: 'UPC Item Database', lookup: barcode => this.lookupUPCDatabase(barcode) }
+    ].map((provider, index) => ({ ...provider, priority: index + 1 }));
+    // Circuit breaker state per provider name
+    this.breakers = new Map();
   }
 
-  async lookupBarcode(barcode) {
+  // Answer from the product catalog when it has the barcode, refreshing stale
+  // entries in the background; otherwise (or with refresh) ask the providers and
+  // remember what they say. A stale entry still answers when they can't be reached.
+  // Fields from accepted community corrections are kept over what providers say.
+  async lookupBarcode(barcode, { refresh = false } = {}) {
+    // GS1 data (expiry, lot...) comes back with the lookup of its GTIN
+    const gs1 = this.parseGS1(barcode);
+    if (gs1) {
+      if (!gs1.fields.barcode) {
+        return { success: false, error: 'The GS1 code has no GTIN (01)', gs1 };
+      }
+      return { ...(await this.lookupBarcode(gs1.fields.barcode, { refresh })), gs1 };
+    }
+
     try {
       // Clean and validate barcode
       const cleanBarcode = this.cleanBarcode(barcode);
@@ -24,53 +111,41 @@ class BarcodeService {
         };
       }
 
-      // Try Open Food Facts first (most comprehensive for food items)
-      const openFoodFactsResult = await this.lookupOpenFoodFacts(cleanBarcode);
-      if (openFoodFactsResult.success) {
-        return openFoodFactsResult;
-      }
-
-      // Try Open Food Facts v2 search with India filter
-      const offV2India = await this.lookupOpenFoodFactsV2India(cleanBarcode);
-      if (offV2India.success) {
-        return offV2India;
-      }
-
-      // Try Nutritionix if credentials provided
-      const nutritionixResult = await this.lookupNutritionix(cleanBarcode);
-      if (nutritionixResult.success) {
-        return nutritionixResult;
-      }
-
-      // Try Spoonacular if credentials provided
-      const spoonacularResult = await this.lookupSpoonacular(cleanBarcode);
-      if (spoonacularResult.success) {
-        return spoonacularResult;
-      }
+      const productCatalogService = require('./productCatalogService');
+      const cached = await productCatalogService.find(cleanBarcode).catch(error => {
+        console.error('Product catalog lookup failed:', error.message);
+        return null;
+      });
 
-      // Try BarcodeLookup (broad commercial DB)
-      const barcodeLookup = await this.lookupBarcodeLookup(cleanBarcode);
-      if (barcodeLookup.success) {
-        return barcodeLookup;
+      if (cached && !refresh) {
+        productCatalogService.recordHit(cached).catch(() => {});
+        if (!productCatalogService.isFresh(cached)) {
+          productCatalogService.refreshInBackground(cleanBarcode, code => this.lookupRemote(code));
+        }
+        return productCatalogService.toLookupResult(cached);
       }
 
-      // Try EAN-Search (international EAN coverage)
-      const eanSearch = await this.lookupEANSearch(cleanBarcode);
-      if (eanSearch.success) {
-        return eanSearch;
+      const result = await this.lookupRemote(cleanBarcode);
+      if (!result.success) {
+        if (cached) {
+          await productCatalogService.recordMiss(cleanBarcode);
+          return productCatalogService.toLookupResult(cached);
+        }
+        return result;
       }
 
-      // Fallback to UPC Item Database
-      const upcResult = await this.lookupUPCDatabase(cleanBarcode);
-      if (upcResult.success) {
-        return upcResult;
+      try {
+        const product = await productCatalogService.recordLookup(cleanBarcode, result);
+        productCatalogService.recordHit(product).catch(() => {});
+        return {
+          ...productCatalogService.toLookupResult(product, { cached: false }),
+          sources: result.sources,
+          providers: result.providers
+        };
+      } catch (error) {
+        console.error('Saving product to the catalog failed:', error.message);
+        return result;
       }
-
-      return {
-        success: false,
-        error: 'Product not found in any database',
-        barcode: cleanBarcode
-      };
     } catch (error) {
       console.error('Barcode lookup failed:', error);
       return {
@@ -81,6 +156,118 @@ class BarcodeService {
     }
   }
 
+  // Ask every provider at once, each within its own timeout and skipping those
+  // whose circuit is open, and merge what they know field by field
+  async lookupRemote(cleanBarcode) {
+    const outcomes = await Promise.all(this.providers.map(provider => this.queryProvider(provider, cleanBarcode)));
+    const providers = Object.fromEntries(
+      outcomes.map(({ name, status, durationMs }) => [name, { status, durationMs }])
+    );
+    const found = outcomes.filter(outcome => outcome.status === 'found');
+
+    if (found.length === 0) {
+      return {
+        success: false,
+        error: 'Product not found in any database',
+        barcode: cleanBarcode,
+        providers
+      };
+    }
+    return { ...this.mergeResults(found, cleanBarcode), providers };
+  }
+
+  // One provider's answer with how it went: found, not-found, skipped (not
+  // configured), timeout, error or circuit-open
+  async queryProvider(provider, barcode) {
+    const breaker = this.getBreaker(provider.name);
+    if (breaker.openUntil && Date.now() < breaker.openUntil) {
+      return { ...provider, status: 'circuit-open', durationMs: 0 };
+    }
+
+    const startedAt = Date.now();
+    let timer;
+    let result;
+    try {
+      result = await Promise.race([
+        provider.lookup(barcode),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('timeout')), PROVIDER_TIMEOUT_MS);
+        })
+      ]);
+    } catch (error) {
+      result = { success: false, failed: true, timedOut: error.message === 'timeout', error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let status = 'not-found';
+    if (result.success) status = 'found';
+    else if (result.skipped) status = 'skipped';
+    else if (result.timedOut) status = 'timeout';
+    else if (result.failed) status = 'error';
+
+    if (status !== 'skipped') this.recordProviderOutcome(provider.name, result.failed);
+    return { ...provider, status, durationMs: Date.now() - startedAt, result };
+  }
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) this.breakers.set(name, { failures: 0, openUntil: null });
+    return this.breakers.get(name);
+  }
+
+  // After BARCODE_BREAKER_THRESHOLD failures in a row a provider is left out for
+  // the cooldown; the first lookup after it decides whether it stays out
+  recordProviderOutcome(name, failed) {
+    const breaker = this.getBreaker(name);
+    if (!failed) {
+      breaker.failures = 0;
+      breaker.openUntil = null;
+      return;
+    }
+    breaker.failures++;
+    if (breaker.failures >= BREAKER_THRESHOLD) {
+      breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+      console.warn(`Barcode provider ${name} failed ${breaker.failures} times in a row, skipping it for ${BREAKER_COOLDOWN_MS / 1000}s`);
+    }
+  }
+
+  getProviderStatus() {
+    return this.providers.map(({ name, priority }) => {
+      const { failures, openUntil } = this.getBreaker(name);
+      return { name, priority, failures, open: Boolean(openUntil && Date.now() < openUntil), openUntil };
+    });
+  }
+
+  // Take each field from the provider with the most complete value (the one with
+  // the most nutrients, image URLs...); the provider listed first wins ties
+  mergeResults(found, barcode) {
+    const data = {};
+    const fieldSources = {};
+    const scores = {};
+    [...found].sort((a, b) => a.priority - b.priority).forEach(({ name, result }) => {
+      Object.entries(result.data || {}).forEach(([field, value]) => {
+        if (field === 'barcode') return;
+        const score = completeness(value);
+        if (score > (scores[field] || 0)) {
+          data[field] = value;
+          fieldSources[field] = name;
+          scores[field] = score;
+        }
+      });
+    });
+    if (!data.name) data.name = 'Unknown Product';
+    data.barcode = barcode;
+
+    const sources = [...new Set(Object.values(fieldSources))];
+    return {
+      success: true,
+      source: fieldSources.name || sources[0],
+      sources,
+      data,
+      fieldSources
+    };
+  }
+
   async lookupOpenFoodFacts(barcode) {
     try {
       const url = `${this.openFoodFactsBaseUrl}/${barcode}.json`;
@@ -92,33 +279,10 @@ class BarcodeService {
       });
 
       if (response.data.status === 1 && response.data.product) {
-        const product = response.data.product;
-        
         return {
           success: true,
           source: 'Open Food Facts',
-          data: {
-            name: product.product_name || product.product_name_en || 'Unknown Product',
-            brand: product.brands || '',
-            barcode: barcode,
-            category: product.categories || '',
-            ingredients: product.ingredients_text || product.ingredients_text_en || '',
-            allergens: this.parseAllergens(product.allergens_tags || []),
-            nutrition: await this.parseOpenFoodFactsNutrition(product),
-            images: {
-              front: product.image_front_url || product.image_url || '',
-              nutrition: product.image_nutrition_url || '',
-              ingredients: product.image_ingredients_url || ''
-            },
-            packaging: product.packaging || '',
-            stores: product.stores || '',
-            countries: product.countries || '',
-            nutritionGrade: product.nutrition_grade_fr || product.nutriscore_grade || '',
-            novaGroup: product.nova_group || '',
-            ecoscore: product.ecoscore_grade || '',
-            labels: product.labels_tags || [],
-            additives: product.additives_tags || []
-          }
+          data: await this.mapOpenFoodFactsProduct(response.data.product, barcode)
         };
       }
 
@@ -128,10 +292,7 @@ class BarcodeService {
       };
     } catch (error) {
       console.error('Open Food Facts lookup failed:', error);
-      return {
-        success: false,
-        error: 'Open Food Facts API error'
-      };
+      return this.providerError(error, 'Open Food Facts API error');
     }
   }
 
@@ -172,10 +333,7 @@ class BarcodeService {
       };
     } catch (error) {
       console.error('UPC Database lookup failed:', error);
-      return {
-        success: false,
-        error: 'UPC Database API error'
-      };
+      return this.providerError(error, 'UPC Database API error');
     }
   }
 
@@ -217,7 +375,7 @@ class BarcodeService {
       return { success: true, source: 'Open Food Facts (India)', data: normalized };
     } catch (error) {
       console.error('OFF v2 India lookup failed:', error.message);
-      return { success: false, error: 'OFF v2 India API error' };
+      return this.providerError(error, 'OFF v2 India API error');
     }
   }
 
@@ -271,7 +429,7 @@ class BarcodeService {
       return { success: true, source: 'Nutritionix', data: normalized };
     } catch (error) {
       console.error('Nutritionix lookup failed:', error.message);
-      return { success: false, error: 'Nutritionix API error' };
+      return this.providerError(error, 'Nutritionix API error');
     }
   }
 
@@ -320,7 +478,7 @@ class BarcodeService {
       return { success: true, source: 'Spoonacular', data: normalized };
     } catch (error) {
       console.error('Spoonacular lookup failed:', error.message);
-      return { success: false, error: 'Spoonacular API error' };
+      return this.providerError(error, 'Spoonacular API error');
     }
   }
 
@@ -353,7 +511,7 @@ class BarcodeService {
       return { success: true, source: 'BarcodeLookup', data: normalized };
     } catch (error) {
       console.error('BarcodeLookup failed:', error.message);
-      return { success: false, error: 'BarcodeLookup API error' };
+      return this.providerError(error, 'BarcodeLookup API error');
     }
   }
 
@@ -392,10 +550,45 @@ class BarcodeService {
       return { success: true, source: 'EANSearch', data: normalized };
     } catch (error) {
       console.error('EANSearch failed:', error.message);
-      return { success: false, error: 'EANSearch API error' };
+      return this.providerError(error, 'EANSearch API error');
     }
   }
 
+  // A provider request that threw. A 404 only means the provider doesn't know
+  // the barcode; anything else counts towards its circuit breaker.
+  providerError(error, message) {
+    if (error.response && error.response.status === 404) {
+      return { success: false, error: message.replace('API error', 'product not found') };
+    }
+    return { success: false, failed: true, error: message };
+  }
+
+  // An Open Food Facts product (API response or dump entry) as lookup data
+  async mapOpenFoodFactsProduct(product, barcode) {
+    return {
+      name: product.product_name || product.product_name_en || 'Unknown Product',
+      brand: product.brands || '',
+      barcode: barcode,
+      category: product.categories || '',
+      ingredients: product.ingredients_text || product.ingredients_text_en || '',
+      allergens: this.parseAllergens(product.allergens_tags || []),
+      nutrition: await this.parseOpenFoodFactsNutrition(product),
+      images: {
+        front: product.image_front_url || product.image_url || '',
+        nutrition: product.image_nutrition_url || '',
+        ingredients: product.image_ingredients_url || ''
+      },
+      packaging: product.packaging || '',
+      stores: product.stores || '',
+      countries: product.countries || '',
+      nutritionGrade: product.nutrition_grade_fr || product.nutriscore_grade || '',
+      novaGroup: product.nova_group || '',
+      ecoscore: product.ecoscore_grade || '',
+      labels: product.labels_tags || [],
+      additives: product.additives_tags || []
+    };
+  }
+
   async parseOpenFoodFactsNutrition(product) {
     const nutrition = {
       servingSize: {
@@ -479,6 +672,183 @@ class BarcodeService {
     };
   }
 
+  // The GS1 data in a scanned code, or null when it's a plain barcode. Takes
+  // element strings (with or without a symbology identifier, FNC1 as the GS
+  // character), the bracketed human readable form and GS1 Digital Link URLs.
+  // fields holds what a Food item takes: barcode (from the GTIN), expiryDate,
+  // bestBeforeDate, manufacturedDate (YYYY-MM-DD) and lotNumber.
+  parseGS1(text, now = new Date()) {
+    const input = String(text || '').trim();
+    let elements;
+    if (/^\(\d{2,4}\)/.test(input)) {
+      elements = this.parseGS1Bracketed(input);
+    } else if (/^https?:\/\/[^/]+\/(.+\/)?01\/\d{8,14}/.test(input)) {
+      elements = this.parseGS1DigitalLink(input);
+    } else if (GS1_SYMBOLOGY_PREFIX.test(input) || input.includes(GS) || /^01\d{14}/.test(input)) {
+      elements = this.parseGS1ElementString(input.replace(GS1_SYMBOLOGY_PREFIX, ''));
+    } else {
+      return null;
+    }
+    if (!elements || elements.length === 0) return null;
+
+    const result = { gtin: null, fields: {}, elements: [], warnings: [] };
+    elements.forEach(({ ai, value, rest }) => {
+      if (rest !== undefined) {
+        result.warnings.push(`Unknown application identifier at "${rest}"`);
+        return;
+      }
+      const definition = this.gs1Definition(ai);
+      const element = { ai, name: definition.name, value };
+
+      if (definition.date) {
+        const date = this.parseGS1Date(value, now);
+        if (!date) {
+          result.warnings.push(`(${ai}) ${value} is not a valid date`);
+          return;
+        }
+        element.date = date;
+      }
+      if (ai === '01' || ai === '02') {
+        if (!/^\d{14}$/.test(value) || !this.isValidGTIN(value)) {
+          result.warnings.push(`(${ai}) ${value} is not a valid GTIN`);
+          return;
+        }
+        if (ai === '01' || !result.gtin) result.gtin = value;
+      }
+      if (definition.decimals !== undefined) {
+        element.number = Number(value) / Math.pow(10, definition.decimals);
+      }
+      if (GS1_FOOD_FIELDS[ai]) result.fields[GS1_FOOD_FIELDS[ai]] = element.date || value;
+      result.elements.push(element);
+    });
+
+    if (result.gtin) result.fields.barcode = this.gtinToBarcode(result.gtin);
+    return result;
+  }
+
+  gs1Definition(ai) {
+    if (GS1_AIS[ai]) return GS1_AIS[ai];
+    if (/^3[1-6]\d[0-9]$/.test(ai)) {
+      return { name: GS1_MEASURE_NAMES[ai.slice(0, 3)] || 'Trade measure', length: 6, decimals: Number(ai[3]) };
+    }
+    return null;
+  }
+
+  // The AI starting at position i of an element string (2 to 4 digits)
+  matchGS1AI(text, i) {
+    for (const size of [2, 3, 4]) {
+      const ai = text.substr(i, size);
+      if (/^\d+$/.test(ai) && ai.length === size && this.gs1Definition(ai)) return ai;
+    }
+    return null;
+  }
+
+  // Variable length values run to the next FNC1. Readers that drop FNC1 (as
+  // Quagga does for GS1-128) only give a usable result when variable length
+  // values come last, as labels usually print them.
+  parseGS1ElementString(text) {
+    const elements = [];
+    let i = 0;
+    while (i < text.length) {
+      if (text[i] === GS) {
+        i++;
+        continue;
+      }
+      const ai = this.matchGS1AI(text, i);
+      if (!ai) {
+        elements.push({ rest: text.slice(i) });
+        break;
+      }
+      i += ai.length;
+      const definition = this.gs1Definition(ai);
+      let end;
+      if (definition.length) {
+        end = i + definition.length;
+      } else {
+        end = text.indexOf(GS, i);
+        if (end === -1 || end > i + definition.max) end = Math.min(text.length, i + definition.max);
+      }
+      elements.push({ ai, value: text.slice(i, end) });
+      i = end;
+    }
+    return elements;
+  }
+
+  // "(01)09501101530003(17)250630(10)AB-123"
+  parseGS1Bracketed(text) {
+    const elements = [];
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const ai = match[1];
+      elements.push(this.gs1Definition(ai) ? { ai, value: match[2].trim() } : { rest: match[0] });
+    }
+    return elements;
+  }
+
+  // "https://id.gs1.org/01/09501101530003/10/AB-123?17=250630": AIs as path
+  // segment pairs and query parameters
+  parseGS1DigitalLink(text) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      return null;
+    }
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const start = segments.indexOf('01');
+    const elements = [];
+    for (let i = start; i + 1 < segments.length; i += 2) {
+      if (!this.gs1Definition(segments[i])) break;
+      elements.push({ ai: segments[i], value: segments[i + 1] });
+    }
+    url.searchParams.forEach((value, ai) => {
+      if (/^\d{2,4}$/.test(ai) && this.gs1Definition(ai)) elements.push({ ai, value });
+    });
+    return elements;
+  }
+
+  // GS1 YYMMDD: the century that puts the year within 49 years back and 50
+  // ahead of this one; day 00 means the last day of the month
+  parseGS1Date(value, now = new Date()) {
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value);
+    if (!match) return null;
+    const [, yy, mm, dd] = match.map(Number);
+    if (mm < 1 || mm > 12) return null;
+
+    const currentYear = now.getFullYear();
+    let year = Math.floor(currentYear / 100) * 100 + yy;
+    if (year - currentYear > 50) year -= 100;
+    else if (currentYear - year > 49) year += 100;
+
+    const lastDay = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+    const day = dd === 0 ? lastDay : dd;
+    if (day > lastDay) return null;
+    return `${year}-${String(mm).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  isValidGTIN(gtin) {
+    const digits = gtin.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+  }
+
+  // A GTIN-14 as the barcode printed on the item: EAN-8, UPC-A or EAN-13 when
+  // the leading zeros allow it
+  gtinToBarcode(gtin) {
+    if (gtin.startsWith('000000')) return gtin.slice(6);
+    if (gtin.startsWith('00')) return gtin.slice(2);
+    if (gtin.startsWith('0')) return gtin.slice(1);
+    return gtin;
+  }
+
+  // The barcode to look a scanned code up by: the GTIN of GS1 data, or the digits
+  barcodeFor(code) {
+    const gs1 = this.parseGS1(code);
+    return gs1 && gs1.fields.barcode ? gs1.fields.barcode : this.cleanBarcode(String(code || ''));
+  }
+
   cleanBarcode(barcode) {
     // Remove any non-numeric characters
     return barcode.replace(/\D/g, '');
@@ -0,0 +1,239 @@
+const Food = require('../models/Food');
+const StockEvent = require('../models/StockEvent');
+const BulkOperation = require('../models/BulkOperation');
+const inventoryService = require('./inventoryService');
+const realtimeService = require('./realtimeService');
+const foodQueryService = require('./foodQueryService');
+
+const MAX_BULK_ITEMS = 500;
+const UNDO_MINUTES = parseInt(process.env.BULK_UNDO_MINUTES) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BulkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BulkError';
+    this.status = status;
+  }
+}
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+// Bulk changes to the active inventory (delete, mark consumed/wasted,
+// re-categorize, tag, shift expiry), each undoable for UNDO_MINUTES
+class BulkService {
+  // Check the action has what it needs; returns the options stored with the operation
+  resolveOptions(action, body) {
+    switch (action) {
+      case 'delete':
+        return {};
+      case 'status':
+        if (!['consumed', 'wasted'].includes(body.status)) {
+          throw new BulkError('Status must be one of: consumed, wasted.');
+        }
+        return body.status === 'wasted'
+          ? { status: 'wasted', reason: body.reason, disposalMethod: body.disposalMethod }
+          : { status: 'consumed' };
+      case 'categorize':
+        if (!body.category) throw new BulkError('Category is required.');
+        return { category: Food.normalizeCategory(body.category) };
+      case 'tag': {
+        const clean = (tags) => [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))];
+        const addTags = clean(body.addTags);
+        const removeTags = clean(body.removeTags);
+        if (addTags.length === 0 && removeTags.length === 0) {
+          throw new BulkError('Choose tags to add or remove.');
+        }
+        return { addTags, removeTags };
+      }
+      case 'shift-expiry': {
+        const days = parseInt(body.days);
+        if (!days) throw new BulkError('Days must be a whole number other than 0.');
+        return { days };
+      }
+      default:
+        throw new BulkError(`Action must be one of: ${BulkOperation.BULK_ACTIONS.join(', ')}.`);
+    }
+  }
+
+  // Apply the change to one item (not yet saved for edits). Returns a reason
+  // when the item is left as it is, otherwise the ledger entry it wrote, if any.
+  async applyToFood(food, action, options, userId) {
+    switch (action) {
+      case 'status': {
+        const discardable = food.status === 'active' || (food.status === 'expired' && options.status === 'wasted');
+        if (!discardable) return { skipped: `Already ${food.status}` };
+        const result = options.status === 'wasted'
+          ? await inventoryService.discard(food, {
+            reason: options.reason || (food.isExpired() ? 'expired' : 'other'),
+            fraction: 1,
+            disposalMethod: options.disposalMethod,
+            userId
+          })
+          : await inventoryService.recordMovement(food, { type: 'consume', userId });
+        return { event: result.event };
+      }
+      case 'categorize':
+        if (food.category === options.category) return { skipped: `Already ${options.category}` };
+        food.category = options.category;
+        break;
+      case 'tag': {
+        const current = food.tags || [];
+        const tags = [...new Set([...current, ...options.addTags])].filter(tag => !options.removeTags.includes(tag));
+        if (tags.length === current.length && tags.every(tag => current.includes(tag))) {
+          return { skipped: 'Tags unchanged' };
+        }
+        if (tags.length > 20) return { skipped: 'Would have more than 20 tags' };
+        food.tags = tags;
+        break;
+      }
+      case 'shift-expiry':
+        food.expiryDate = new Date(food.expiryDate.getTime() + options.days * DAY_MS);
+        break;
+      default:
+        break;
+    }
+    await food.save();
+    return {};
+  }
+
+  // Run an action over items of the active inventory (scope). Items that aren't
+  // in it, or that the action doesn't apply to, are reported as skipped.
+  async run({ action, ids, filter, ...body }, { scope, userId, householdId }) {
+    if (!ids && !filter) throw new BulkError('Choose the items to change.');
+    const selectedIds = ids || await foodQueryService.matchingIds(scope, filter, MAX_BULK_ITEMS);
+    const uniqueIds = [...new Set(selectedIds.map(String))];
+    if (uniqueIds.length > MAX_BULK_ITEMS) {
+      throw new BulkError(`At most ${MAX_BULK_ITEMS} items can be changed at once.`);
+    }
+    const options = this.resolveOptions(action, body);
+
+    const foods = await Food.find({ _id: { $in: uniqueIds }, ...scope });
+    const skipped = uniqueIds
+      .filter(id => !foods.some(food => sameId(food._id, id)))
+      .map(id => ({ foodId: id, reason: 'Not found' }));
+
+    const snapshots = [];
+    const changed = [];
+    const stockEventIds = [];
+
+    if (action === 'delete') {
+      foods.forEach(food => snapshots.push(food.toObject({ virtuals: false })));
+      await Food.deleteMany({ _id: { $in: foods.map(food => food._id) } });
+      foods.forEach(food => realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.deleted, food, { actorId: userId }));
+    } else {
+      for (const food of foods) {
+        const before = food.toObject({ virtuals: false });
+        try {
+          const result = await this.applyToFood(food, action, options, userId);
+          if (result.skipped) {
+            skipped.push({ foodId: food._id, name: food.name, reason: result.skipped });
+            continue;
+          }
+          snapshots.push(before);
+          changed.push({ foodId: food._id, updatedAt: food.updatedAt });
+          if (result.event) stockEventIds.push(result.event._id);
+          realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.updated, food, { actorId: userId });
+        } catch (error) {
+          if (!(error instanceof inventoryService.InventoryError) && error.name !== 'ValidationError') throw error;
+          skipped.push({ foodId: food._id, name: food.name, reason: error.message });
+        }
+      }
+    }
+
+    let operation = null;
+    if (snapshots.length > 0) {
+      operation = await BulkOperation.create({
+        userId,
+        householdId,
+        action,
+        options,
+        snapshots,
+        changed,
+        stockEventIds,
+        expiresAt: new Date(Date.now() + UNDO_MINUTES * 60 * 1000)
+      });
+    }
+
+    return {
+      action,
+      affected: snapshots.length,
+      skipped,
+      undo: operation ? { operationId: operation._id, expiresAt: operation.expiresAt } : null
+    };
+  }
+
+  // Put the items back as they were before the operation. Items edited (or,
+  // for a delete, re-created) since are left alone and reported as skipped.
+  async undo(operationId, { userId, householdId }) {
+    const operation = await BulkOperation.findOne({ _id: operationId, userId });
+    if (!operation || operation.expiresAt <= new Date()) {
+      throw new BulkError('This change can no longer be undone.', 404);
+    }
+    if (operation.undoneAt) {
+      throw new BulkError('This change has already been undone.', 409);
+    }
+    if (!sameId(operation.householdId, householdId)) {
+      throw new BulkError('Switch back to the inventory this change was made in to undo it.', 409);
+    }
+
+    // Claim the operation first so two undo requests can't both restore it
+    const claimed = await BulkOperation.updateOne(
+      { _id: operation._id, undoneAt: null },
+      { $set: { undoneAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new BulkError('This change has already been undone.', 409);
+    }
+
+    const restoredIds = [];
+    const skipped = [];
+
+    if (operation.action === 'delete') {
+      const existing = await Food.find({ _id: { $in: operation.snapshots.map(s => s._id) } }).select('_id');
+      const missing = operation.snapshots.filter(s => !existing.some(food => sameId(food._id, s._id)));
+      existing.forEach(food => skipped.push({ foodId: food._id, reason: 'Already exists' }));
+      if (missing.length > 0) {
+        await Food.collection.insertMany(missing, { ordered: false });
+        missing.forEach(s => restoredIds.push(s._id));
+      }
+    } else {
+      for (const snapshot of operation.snapshots) {
+        const change = operation.changed.find(c => sameId(c.foodId, snapshot._id));
+        const result = await Food.collection.replaceOne(
+          { _id: snapshot._id, updatedAt: change.updatedAt },
+          snapshot
+        );
+        if (result.matchedCount > 0) {
+          restoredIds.push(snapshot._id);
+        } else {
+          skipped.push({ foodId: snapshot._id, name: snapshot.name, reason: 'Changed or deleted since' });
+        }
+      }
+    }
+
+    // The ledger is append-only: cancel the change's entries with opposite ones
+    if (operation.stockEventIds.length > 0 && restoredIds.length > 0) {
+      const events = await StockEvent.find({ _id: { $in: operation.stockEventIds }, foodId: { $in: restoredIds } });
+      for (const stockEvent of events) {
+        await inventoryService.reverseEvent(stockEvent, { userId, note: 'Bulk change undone' });
+      }
+    }
+
+    const event = operation.action === 'delete'
+      ? realtimeService.FOOD_EVENTS.added
+      : realtimeService.FOOD_EVENTS.updated;
+    const foods = await Food.find({ _id: { $in: restoredIds } });
+    foods.forEach(food => realtimeService.emitFoodEvent(event, food, { actorId: userId }));
+
+    return { action: operation.action, restored: restoredIds.length, skipped, foods };
+  }
+}
+
+const bulkService = new BulkService();
+bulkService.BulkError = BulkError;
+bulkService.MAX_BULK_ITEMS = MAX_BULK_ITEMS;
+bulkService.UNDO_MINUTES = UNDO_MINUTES;
+
+module.exports = bulkService;
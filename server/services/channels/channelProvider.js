@@ -0,0 +1,34 @@
+// Base class for notification transports.
+// A provider turns a notification into a channel-specific message and delivers it
+// to the address stored on the user (email, phone, chat id, webhook URL...).
+class ChannelProvider {
+  constructor(name, label = name) {
+    this.name = name;
+    this.label = label;
+  }
+
+  // Whether the credentials this transport needs are present
+  isConfigured() {
+    return true;
+  }
+
+  // The user's address on this channel, or null when they haven't set one up
+  getAddress(user) {
+    return null;
+  }
+
+  // Build the message this channel sends; the outbox transport writes exactly this to disk
+  render(notification) {
+    return {
+      subject: notification.title,
+      text: `${notification.title}\n\n${notification.message}`
+    };
+  }
+
+  // Deliver a rendered message; resolves to { success, ... } or throws
+  async send(address, message) {
+    throw new Error(`${this.name} provider does not implement send()`);
+  }
+}
+
+module.exports = ChannelProvider;
@@ -0,0 +1,152 @@
+const nodemailer = require('nodemailer');
+const moment = require('moment');
+const ChannelProvider = require('./channelProvider');
+
+// Titles and messages can carry user text (names, household names), so they
+// are escaped before going into the HTML body
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+class EmailProvider extends ChannelProvider {
+  constructor() {
+    super('email', 'Email');
+    this.transporter = null;
+
+    if (process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: process.env.EMAIL_PORT || 587,
+        secure: process.env.EMAIL_SECURE === 'true',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.transporter);
+  }
+
+  getAddress(user) {
+    return user.email || null;
+  }
+
+  render(notification) {
+    return {
+      subject: notification.title,
+      text: notification.message,
+      html: this.generateEmailHTML(notification)
+    };
+  }
+
+  async send(email, message) {
+    const result = await this.transporter.sendMail({
+      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+      to: email,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+    return { success: true, messageId: result.messageId };
+  }
+
+  generateEmailHTML(notification) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(notification.title)}</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4f46e5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px; }
+            .footer { text-align: center; margin-top: 20px; font-size: 12px; color: #666; }
+            .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 10px 0; }
+            .alert { padding: 15px; border-radius: 6px; margin: 15px 0; }
+            .alert-warning { background: #fef3c7; border: 1px solid #f59e0b; color: #92400e; }
+            .alert-danger { background: #fee2e2; border: 1px solid #ef4444; color: #991b1b; }
+            .alert-info { background: #dbeafe; border: 1px solid #3b82f6; color: #1e40af; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🍎 SmartBite AI</h1>
+                <h2>${escapeHtml(notification.title)}</h2>
+            </div>
+            <div class="content">
+                <div class="alert alert-${this.getAlertType(notification.type)}">
+                    ${escapeHtml(notification.message)}
+                </div>
+                
+                ${notification.foodItems ? this.generateFoodItemsHTML(notification.foodItems) : ''}
+                ${notification.recommendations ? this.generateRecommendationsHTML(notification.recommendations) : ''}
+                
+                <p>
+                    <a href="${escapeHtml(notification.actionUrl || process.env.CLIENT_URL || 'http://localhost:3000')}" class="button">
+                        ${escapeHtml(notification.actionLabel || 'Open SmartBite AI')}
+                    </a>
+                </p>
+            </div>
+            <div class="footer">
+                <p>You received this notification because you have enabled email notifications in your SmartBite AI settings.</p>
+                <p>To manage your notification preferences, visit your profile settings.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  getAlertType(notificationType) {
+    switch (notificationType) {
+      case 'expiry_warning':
+      case 'health_risk':
+        return 'warning';
+      case 'expiry_critical':
+      case 'allergen_alert':
+        return 'danger';
+      default:
+        return 'info';
+    }
+  }
+
+  generateFoodItemsHTML(foodItems) {
+    if (!foodItems || foodItems.length === 0) return '';
+    
+    return `
+      <h3>Affected Food Items:</h3>
+      <ul>
+        ${foodItems.map(item => `
+          <li>
+            <strong>${escapeHtml(item.name)}</strong>
+            ${item.brand ? `(${escapeHtml(item.brand)})` : ''}
+            ${item.expiryDate ? `- Expires: ${moment(item.expiryDate).format('MMM DD, YYYY')}` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  generateRecommendationsHTML(recommendations) {
+    if (!recommendations || recommendations.length === 0) return '';
+    
+    return `
+      <h3>Recommendations:</h3>
+      <ul>
+        ${recommendations.map(rec => `<li>${escapeHtml(rec)}</li>`).join('')}
+      </ul>
+    `;
+  }
+}
+
+module.exports = EmailProvider;
@@ -0,0 +1,31 @@
+const ChannelProvider = require('./channelProvider');
+const EmailProvider = require('./emailProvider');
+const TwilioProvider = require('./twilioProvider');
+const WebPushProvider = require('./webPushProvider');
+const TelegramProvider = require('./telegramProvider');
+const WebhookProvider = require('./webhookProvider');
+const SlackProvider = require('./slackProvider');
+const OutboxTransport = require('./outboxTransport');
+
+// Built-in transports, registered with notificationService in this order
+const createDefaultProviders = () => [
+  new EmailProvider(),
+  TwilioProvider.sms(),
+  TwilioProvider.whatsapp(),
+  new WebPushProvider(),
+  new TelegramProvider(),
+  new SlackProvider(),
+  new WebhookProvider()
+];
+
+module.exports = {
+  ChannelProvider,
+  EmailProvider,
+  TwilioProvider,
+  WebPushProvider,
+  TelegramProvider,
+  WebhookProvider,
+  SlackProvider,
+  OutboxTransport,
+  createDefaultProviders
+};
@@ -0,0 +1,36 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes rendered messages to disk instead of sending them, so the whole
+// notification pipeline can be exercised without network access or credentials.
+// Enabled by setting NOTIFICATION_OUTBOX_DIR.
+class OutboxTransport {
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  async write(channel, address, message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const base = `${stamp}-${channel}-${crypto.randomBytes(3).toString('hex')}`;
+    const file = path.join(this.directory, `${base}.json`);
+
+    await fs.writeFile(file, JSON.stringify({
+      channel,
+      to: address,
+      createdAt: new Date().toISOString(),
+      ...message
+    }, null, 2));
+
+    // Email bodies are also written as HTML so they can be opened in a browser
+    if (message.html) {
+      await fs.writeFile(path.join(this.directory, `${base}.html`), message.html);
+    }
+
+    return { success: true, outbox: file };
+  }
+}
+
+module.exports = OutboxTransport;
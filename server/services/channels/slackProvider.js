@@ -0,0 +1,33 @@
+const axios = require('axios');
+const WebhookProvider = require('./webhookProvider');
+
+// Posts to a Slack incoming webhook (https://hooks.slack.com/services/...)
+class SlackProvider extends WebhookProvider {
+  constructor() {
+    super('slack', 'Slack');
+  }
+
+  static isAllowedUrl(value) {
+    return /^https:\/\/hooks\.slack\.com\/services\//.test(String(value || ''));
+  }
+
+  render(notification) {
+    const items = (notification.foodItems || []).map(item => `• ${item.name}${item.brand ? ` (${item.brand})` : ''}`);
+    const text = [`*${notification.title}*`, notification.message, ...items].join('\n');
+    return {
+      subject: notification.title,
+      text,
+      payload: { text }
+    };
+  }
+
+  async send(url, message) {
+    if (!SlackProvider.isAllowedUrl(url)) {
+      throw new Error('Slack webhook URL must start with https://hooks.slack.com/services/');
+    }
+    const response = await axios.post(url, message.payload, { timeout: 10000 });
+    return { success: true, status: response.status };
+  }
+}
+
+module.exports = SlackProvider;
@@ -0,0 +1,28 @@
+const axios = require('axios');
+const ChannelProvider = require('./channelProvider');
+
+// Sends through a Telegram bot (TELEGRAM_BOT_TOKEN) to the user's chat id
+class TelegramProvider extends ChannelProvider {
+  constructor() {
+    super('telegram', 'Telegram');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.TELEGRAM_BOT_TOKEN);
+  }
+
+  getAddress(user) {
+    return (user.channelAddresses && user.channelAddresses.telegram) || null;
+  }
+
+  async send(chatId, message) {
+    const response = await axios.post(
+      `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+      { chat_id: chatId, text: message.text, disable_web_page_preview: true },
+      { timeout: 10000 }
+    );
+    return { success: true, messageId: response.data?.result?.message_id };
+  }
+}
+
+module.exports = TelegramProvider;
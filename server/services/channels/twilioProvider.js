@@ -0,0 +1,56 @@
+const twilio = require('twilio');
+const ChannelProvider = require('./channelProvider');
+
+let sharedClient = null;
+
+// SMS and WhatsApp both go through Twilio's messages API and share one client
+const getClient = () => {
+  if (!sharedClient && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    sharedClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return sharedClient;
+};
+
+class TwilioProvider extends ChannelProvider {
+  // options: { name, label, userField, fromEnv, addressPrefix }
+  constructor({ name, label, userField, fromEnv, addressPrefix = '' }) {
+    super(name, label);
+    this.userField = userField;
+    this.fromEnv = fromEnv;
+    this.addressPrefix = addressPrefix;
+  }
+
+  isConfigured() {
+    return Boolean(getClient());
+  }
+
+  getAddress(user) {
+    return user[this.userField] || null;
+  }
+
+  async send(address, message) {
+    const result = await getClient().messages.create({
+      body: message.text,
+      from: `${this.addressPrefix}${process.env[this.fromEnv]}`,
+      to: `${this.addressPrefix}${address}`
+    });
+    return { success: true, sid: result.sid };
+  }
+}
+
+TwilioProvider.sms = () => new TwilioProvider({
+  name: 'sms',
+  label: 'SMS',
+  userField: 'phone',
+  fromEnv: 'TWILIO_PHONE_NUMBER'
+});
+
+TwilioProvider.whatsapp = () => new TwilioProvider({
+  name: 'whatsapp',
+  label: 'WhatsApp',
+  userField: 'whatsapp',
+  fromEnv: 'TWILIO_WHATSAPP_NUMBER',
+  addressPrefix: 'whatsapp:'
+});
+
+module.exports = TwilioProvider;
@@ -0,0 +1,165 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const ChannelProvider = require('./channelProvider');
+
+// Payloads must fit in a single 4096-byte aes128gcm record
+const RECORD_SIZE = 4096;
+const MAX_BODY_LENGTH = 1000;
+
+// Push services browsers subscribe with: Chrome/Edge (FCM), Firefox, Windows
+// and Safari. Endpoints elsewhere are refused so a made-up subscription can't
+// point the server at another host.
+const PUSH_SERVICE_HOST = /^(fcm\.googleapis\.com|[a-z0-9-]+\.push\.services\.mozilla\.com|[a-z0-9-]+\.notify\.windows\.com|[a-z0-9-]+\.push\.apple\.com)$/i;
+
+// Browser push via the Web Push protocol: VAPID authentication (RFC 8292)
+// and aes128gcm payload encryption (RFC 8291), using Node's crypto only.
+class WebPushProvider extends ChannelProvider {
+  constructor() {
+    super('push', 'Browser push');
+  }
+
+  static generateVAPIDKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+      publicKey: ecdh.getPublicKey().toString('base64url'),
+      privateKey: ecdh.getPrivateKey().toString('base64url')
+    };
+  }
+
+  static isAllowedEndpoint(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return false;
+    }
+    return url.protocol === 'https:' && !url.port && PUSH_SERVICE_HOST.test(url.hostname);
+  }
+
+  isConfigured() {
+    return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+  }
+
+  getAddress(user) {
+    const subscriptions = user.pushSubscriptions || [];
+    return subscriptions.length > 0 ? subscriptions : null;
+  }
+
+  render(notification) {
+    const body = notification.message.length > MAX_BODY_LENGTH
+      ? `${notification.message.slice(0, MAX_BODY_LENGTH - 1)}…`
+      : notification.message;
+    return {
+      subject: notification.title,
+      text: JSON.stringify({
+        title: notification.title,
+        body,
+        type: notification.type,
+        url: `${process.env.CLIENT_URL || 'http://localhost:3000'}/notifications`
+      })
+    };
+  }
+
+  // Send to every subscribed browser; subscriptions the push service reports gone are removed
+  async send(subscriptions, message) {
+    const results = await Promise.all(subscriptions.map(async subscription => {
+      // Saved before endpoints were checked; dropped like an expired subscription
+      if (!WebPushProvider.isAllowedEndpoint(subscription.endpoint)) {
+        return { endpoint: subscription.endpoint, success: false, gone: true, error: 'Push endpoint is not a known push service' };
+      }
+      try {
+        const response = await axios.post(subscription.endpoint, this.encrypt(subscription, message.text), {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Encoding': 'aes128gcm',
+            TTL: '86400',
+            Authorization: this.getVapidAuthorization(subscription.endpoint)
+          },
+          timeout: 10000,
+          maxRedirects: 0
+        });
+        return { endpoint: subscription.endpoint, success: true, status: response.status };
+      } catch (error) {
+        const status = error.response?.status;
+        return { endpoint: subscription.endpoint, success: false, gone: status === 404 || status === 410, error: error.message };
+      }
+    }));
+
+    const gone = results.filter(result => result.gone).map(result => result.endpoint);
+    if (gone.length > 0) {
+      const User = require('../../models/User');
+      await User.updateMany(
+        { 'pushSubscriptions.endpoint': { $in: gone } },
+        { $pull: { pushSubscriptions: { endpoint: { $in: gone } } } }
+      );
+    }
+
+    const delivered = results.filter(result => result.success).length;
+    return delivered > 0
+      ? { success: true, delivered, failed: results.length - delivered }
+      : {
+        success: false,
+        error: results[0]?.error || 'No push subscriptions accepted the message',
+        // Nothing left to retry when every subscription has expired
+        retryable: gone.length < results.length
+      };
+  }
+
+  getVapidAuthorization(endpoint) {
+    const publicKey = Buffer.from(process.env.VAPID_PUBLIC_KEY, 'base64url');
+    const privateKey = crypto.createPrivateKey({
+      format: 'jwk',
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        d: process.env.VAPID_PRIVATE_KEY,
+        x: publicKey.subarray(1, 33).toString('base64url'),
+        y: publicKey.subarray(33, 65).toString('base64url')
+      }
+    });
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+      sub: process.env.VAPID_SUBJECT || 'mailto:noreply@smartbiteai.com'
+    })}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${process.env.VAPID_PUBLIC_KEY}`;
+  }
+
+  // aes128gcm body: salt(16) | record size(4) | key id length(1) | server public key | ciphertext
+  encrypt(subscription, payload) {
+    const clientPublicKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(clientPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // 0x02 marks the last (and only) record
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+      throw new Error('Push payload is too large');
+    }
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+  }
+}
+
+module.exports = WebPushProvider;
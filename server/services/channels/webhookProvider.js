@@ -0,0 +1,116 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const ChannelProvider = require('./channelProvider');
+
+const PRIVATE_HOST = /^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i;
+
+// Addresses a webhook may not reach: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and reserved ranges. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// POSTs the notification as JSON to a URL chosen by the user.
+// Requests are signed with NOTIFICATION_WEBHOOK_SECRET when it is set.
+class WebhookProvider extends ChannelProvider {
+  constructor(name = 'webhook', label = 'Webhook') {
+    super(name, label);
+  }
+
+  getAddress(user) {
+    return (user.channelAddresses && user.channelAddresses[this.name]) || null;
+  }
+
+  // Only public http(s) endpoints; plain http is allowed outside production.
+  // Checks what the URL says (URL parsing turns decimal and hex IPs into dotted
+  // ones); where a host name leads is checked by resolveAddress when sending.
+  static isAllowedUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return false;
+    }
+    const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!protocols.includes(url.protocol) || PRIVATE_HOST.test(host)) return false;
+    return !net.isIP(host) || !isPrivateAddress(host);
+  }
+
+  // The address to connect to for the URL's host; every address the name
+  // resolves to must be public, so a name can't lead to an internal service
+  static async resolveAddress(value) {
+    if (!WebhookProvider.isAllowedUrl(value)) {
+      throw new Error('Webhook URL is not allowed');
+    }
+    const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error('Webhook URL resolves to a private address');
+    }
+    return addresses[0];
+  }
+
+  render(notification) {
+    return {
+      subject: notification.title,
+      text: `${notification.title}\n\n${notification.message}`,
+      payload: {
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        foodItems: notification.foodItems || [],
+        recommendations: notification.recommendations || [],
+        sentAt: new Date().toISOString()
+      }
+    };
+  }
+
+  async send(url, message) {
+    const { address, family } = await WebhookProvider.resolveAddress(url);
+
+    const body = JSON.stringify(message.payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+      const signature = crypto
+        .createHmac('sha256', process.env.NOTIFICATION_WEBHOOK_SECRET)
+        .update(body)
+        .digest('hex');
+      headers['X-SmartBite-Signature'] = `sha256=${signature}`;
+    }
+
+    // Connect to the address that was checked, not whatever the name resolves
+    // to next, and don't follow redirects somewhere unchecked
+    const lookup = (hostname, options, callback) => (options.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family));
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: 10000,
+      maxRedirects: 0,
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup })
+    });
+    return { success: true, status: response.status };
+  }
+}
+
+module.exports = WebhookProvider;
@@ -0,0 +1,212 @@
+const Food = require('../models/Food');
+const { checkValue } = require('../validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 50;
+
+// Sortable columns and the path they sort on. Expiry sorts by the effective
+// expiry, so opened items come up when their after-opening date is near.
+const SORT_FIELDS = {
+  name: 'name',
+  brand: 'brand',
+  category: 'category',
+  quantity: 'quantity.amount',
+  expiryDate: 'effectiveExpiryDate',
+  expiryStatus: 'effectiveExpiryDate',
+  status: 'status',
+  storageLocation: 'storageLocation',
+  estimatedValue: 'estimatedValue',
+  createdAt: 'createdAt'
+};
+
+const EXPIRY_STATUSES = ['expired', 'expiring-today', 'expiring-soon', 'expiring-week', 'safe'];
+const RISK_LEVELS = ['safe', 'risky', 'harmful'];
+const ALLERGENS = Food.schema.path('allergens').caster.enumValues;
+
+// Case-insensitive, accent-sensitive ordering so "apple" sorts next to "Apple"
+const COLLATION = { locale: 'en', strength: 2 };
+
+class FoodQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FoodQueryError';
+    this.status = status;
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "dairy,meat" -> ['dairy', 'meat'], each checked against the allowed values
+const parseList = (value, allowed, label) => {
+  if (value === undefined || value === null || value === '') return [];
+  const items = [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  for (const item of items) {
+    const message = allowed && checkValue({ enum: allowed }, item, label);
+    if (message) throw new FoodQueryError(message);
+  }
+  return [...new Set(items)];
+};
+
+// Search, filter, sort and cursor pagination over the inventory (GET /api/foods)
+class FoodQueryService {
+  // effectiveExpiryDate range for each expiry status, matching the expiryStatus virtual
+  // (days until expiry rounded up: <0 expired, <=1 today, <=3 soon, <=7 week)
+  expiryRange(status, now) {
+    const at = (days) => new Date(now.getTime() + days * DAY_MS);
+    switch (status) {
+      case 'expired': return { $lte: at(-1) };
+      case 'expiring-today': return { $gt: at(-1), $lte: at(1) };
+      case 'expiring-soon': return { $gt: at(1), $lte: at(3) };
+      case 'expiring-week': return { $gt: at(3), $lte: at(7) };
+      default: return { $gt: at(7) };
+    }
+  }
+
+  // Mongo filter for the query's search text and filters (the scope is added by the caller)
+  buildFilter(query = {}, now = new Date()) {
+    const conditions = [];
+
+    const text = String(query.q || '').trim();
+    if (text) {
+      const pattern = new RegExp(escapeRegex(text), 'i');
+      conditions.push({
+        $or: [{ name: pattern }, { brand: pattern }, { ingredients: pattern }, { tags: pattern }, { lotNumber: pattern }]
+      });
+    }
+
+    const categories = parseList(query.category, Food.schema.path('category').enumValues, 'Category');
+    if (categories.length > 0) conditions.push({ category: { $in: categories } });
+
+    const statuses = parseList(query.status, Food.schema.path('status').enumValues, 'Status');
+    if (statuses.length > 0) conditions.push({ status: { $in: statuses } });
+
+    const expiryStatuses = parseList(query.expiryStatus, EXPIRY_STATUSES, 'Expiry status');
+    if (expiryStatuses.length > 0) {
+      conditions.push({ $or: expiryStatuses.map(status => ({ effectiveExpiryDate: this.expiryRange(status, now) })) });
+    }
+
+    const locations = parseList(query.location, null, 'Location');
+    if (locations.length > 0) {
+      conditions.push({ storageLocation: { $in: locations.map(location => new RegExp(`^${escapeRegex(location)}$`, 'i')) } });
+    }
+
+    // Lot numbers named in a recall
+    const lots = parseList(query.lot, null, 'Lot number');
+    if (lots.length > 0) {
+      conditions.push({ lotNumber: { $in: lots.map(lot => new RegExp(`^${escapeRegex(lot)}$`, 'i')) } });
+    }
+
+    const allergens = Food.normalizeAllergens(parseList(query.allergen, null, 'Allergen'));
+    if (query.allergen && allergens.length === 0) {
+      throw new FoodQueryError(`Allergen must be one of: ${ALLERGENS.join(', ')}`);
+    }
+    if (allergens.length > 0) conditions.push({ allergens: { $in: allergens } });
+
+    // An item is as risky as its most severe health risk; "safe" has none that are risky or harmful
+    const risks = parseList(query.risk, RISK_LEVELS, 'Risk');
+    if (risks.length > 0) {
+      const byRisk = {
+        harmful: { 'healthRisks.severity': 'harmful' },
+        risky: { $and: [{ 'healthRisks.severity': 'risky' }, { 'healthRisks.severity': { $ne: 'harmful' } }] },
+        safe: { 'healthRisks.severity': { $nin: ['risky', 'harmful'] } }
+      };
+      conditions.push({ $or: risks.map(risk => byRisk[risk]) });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  encodeCursor(food, path) {
+    const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), food);
+    const cursor = {
+      id: String(food._id),
+      v: value === undefined ? null : value,
+      d: value instanceof Date
+    };
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!decoded || !/^[a-f\d]{24}$/i.test(decoded.id)) throw new Error('Invalid cursor');
+      return { id: decoded.id, value: decoded.d ? new Date(decoded.v) : decoded.v };
+    } catch (error) {
+      throw new FoodQueryError('The page cursor is invalid. Reload the list.');
+    }
+  }
+
+  // Items after the cursor in (path, _id) order. Missing values sort first
+  // ascending and last descending, as MongoDB orders them.
+  afterCursor({ id, value }, path, direction) {
+    const Types = Food.base.Types;
+    const _id = new Types.ObjectId(id);
+    const past = direction === 1 ? '$gt' : '$lt';
+
+    if (value === null) {
+      return direction === 1
+        ? { $or: [{ [path]: null, _id: { $gt: _id } }, { [path]: { $ne: null } }] }
+        : { [path]: null, _id: { $lt: _id } };
+    }
+    const after = [{ [path]: { [past]: value } }, { [path]: value, _id: { [past]: _id } }];
+    if (direction === -1) after.push({ [path]: null });
+    return { $or: after };
+  }
+
+  // One page of the inventory. Returns { foods, pagination: { nextCursor, hasMore, limit, total } }.
+  async list(scope, query = {}) {
+    const sortKey = query.sort || 'expiryDate';
+    const path = SORT_FIELDS[sortKey];
+    if (!path) throw new FoodQueryError(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    const direction = query.order === 'desc' ? -1 : 1;
+    const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, 200);
+
+    const filter = { ...scope, ...this.buildFilter(query) };
+    const pageFilter = query.cursor
+      ? { $and: [filter, this.afterCursor(this.decodeCursor(query.cursor), path, direction)] }
+      : filter;
+
+    const [foods, total] = await Promise.all([
+      Food.find(pageFilter)
+        .sort({ [path]: direction, _id: direction })
+        .collation(COLLATION)
+        .limit(limit + 1),
+      Food.countDocuments(filter)
+    ]);
+
+    const hasMore = foods.length > limit;
+    const page = hasMore ? foods.slice(0, limit) : foods;
+    return {
+      foods: page,
+      pagination: {
+        limit,
+        total,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], path) : null
+      }
+    };
+  }
+
+  // Ids of every item matching a filter (used to apply bulk actions to a whole search)
+  async matchingIds(scope, query, max) {
+    const foods = await Food.find({ ...scope, ...this.buildFilter(query) }).select('_id').limit(max + 1).lean();
+    if (foods.length > max) {
+      throw new FoodQueryError(`More than ${max} items match. Narrow the filters and try again.`);
+    }
+    return foods.map(food => String(food._id));
+  }
+
+  // Values offered as filter chips: the storage locations in use
+  async facets(scope) {
+    const locations = await Food.distinct('storageLocation', scope);
+    return { locations: locations.filter(Boolean).sort((a, b) => a.localeCompare(b)) };
+  }
+}
+
+const foodQueryService = new FoodQueryService();
+foodQueryService.FoodQueryError = FoodQueryError;
+foodQueryService.SORT_FIELDS = SORT_FIELDS;
+foodQueryService.EXPIRY_STATUSES = EXPIRY_STATUSES;
+foodQueryService.RISK_LEVELS = RISK_LEVELS;
+
+module.exports = foodQueryService;
@@ -0,0 +1,431 @@
+const Food = require('../models/Food');
+const forms = require('../validation/forms');
+const storageService = require('./storageService');
+const { checkValue, parseDate } = require('../validation');
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+
+class ImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = status;
+  }
+}
+
+// Fields a file can be mapped onto. Headers are matched on lowercase letters and
+// digits only, so "Best Before Date", "best_before_date" and "bestBeforeDate" are
+// the same column; the first alias of each field is the header of our own CSV
+// export (GET /api/reports/export/csv). JSON keys like "quantity.amount" also
+// match on their last part.
+const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'foodname', 'item', 'itemname', 'product', 'productname'] },
+  { key: 'brand', label: 'Brand', aliases: ['brand', 'brands', 'manufacturer'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'type', 'foodcategory'] },
+  { key: 'quantityAmount', label: 'Quantity', aliases: ['quantityamount', 'quantity', 'amount', 'qty'] },
+  { key: 'unit', label: 'Unit', aliases: ['unit', 'quantityunit', 'units', 'uom'] },
+  { key: 'quantityInput', label: 'Quantity text', aliases: ['quantityinput', 'quantitytext', 'size', 'packsize'] },
+  { key: 'expiryDate', label: 'Expiry date', required: true, aliases: ['expirydate', 'expiry', 'expires', 'expiration', 'expirationdate', 'useby', 'usebydate'] },
+  { key: 'bestBeforeDate', label: 'Best before date', aliases: ['bestbeforedate', 'bestbefore', 'bbd'] },
+  { key: 'manufacturedDate', label: 'Manufactured date', aliases: ['manufactureddate', 'manufactured', 'mfgdate', 'mfg', 'packeddate'] },
+  { key: 'openedAt', label: 'Opened date', aliases: ['openeddate', 'opened', 'openedat', 'openedon'] },
+  { key: 'useWithinDaysAfterOpening', label: 'Use within (days after opening)', aliases: ['usewithindaysafteropening', 'usewithindays', 'daysafteropening'] },
+  { key: 'estimatedValue', label: 'Estimated value', aliases: ['estimatedvalueinr', 'estimatedvalue', 'value', 'price', 'cost'] },
+  { key: 'store', label: 'Store', aliases: ['store', 'shop', 'purchasedat'] },
+  { key: 'storageLocation', label: 'Storage location', aliases: ['storagelocation', 'location', 'storage', 'keptin'] },
+  { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'ean', 'upc', 'gtin'] },
+  { key: 'lotNumber', label: 'Lot number', aliases: ['lotnumber', 'lot', 'batch', 'batchnumber', 'lotno', 'batchno'] },
+  { key: 'allergens', label: 'Allergens', aliases: ['allergens', 'allergies'] },
+  { key: 'ingredients', label: 'Ingredients', aliases: ['ingredients', 'ingredientslist'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'labels'] },
+  { key: 'calories', label: 'Calories', nutrition: true, aliases: ['calories', 'energy', 'kcal'] },
+  { key: 'protein', label: 'Protein (g)', nutrition: true, aliases: ['proteing', 'protein'] },
+  { key: 'carbohydrates', label: 'Carbohydrates (g)', nutrition: true, aliases: ['carbohydratesg', 'carbohydrates', 'carbs'] },
+  { key: 'fat', label: 'Fat (g)', nutrition: true, aliases: ['fatg', 'fat'] },
+  { key: 'fiber', label: 'Fiber (g)', nutrition: true, aliases: ['fiberg', 'fiber', 'fibre'] },
+  { key: 'sugar', label: 'Sugar (g)', nutrition: true, aliases: ['sugarg', 'sugar', 'sugars'] },
+  { key: 'sodium', label: 'Sodium (mg)', nutrition: true, aliases: ['sodiummg', 'sodium'] },
+  { key: 'cholesterol', label: 'Cholesterol (mg)', nutrition: true, aliases: ['cholesterolmg', 'cholesterol'] }
+];
+
+const UNIT_ALIASES = {
+  g: 'grams', gm: 'grams', gms: 'grams', gram: 'grams', gr: 'grams',
+  kg: 'kilograms', kgs: 'kilograms', kilogram: 'kilograms',
+  ml: 'milliliters', millilitre: 'milliliters', millilitres: 'milliliters', milliliter: 'milliliters',
+  l: 'liters', ltr: 'liters', litre: 'liters', litres: 'liters', liter: 'liters',
+  pc: 'pieces', pcs: 'pieces', piece: 'pieces', each: 'pieces', ea: 'pieces',
+  pack: 'packets', packs: 'packets', pkt: 'packets', packet: 'packets',
+  can: 'cans', tin: 'cans', tins: 'cans',
+  bottle: 'bottles', btl: 'bottles'
+};
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Lists in a cell are separated by ";" (our export) or "," (hand-written files)
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  const text = String(value);
+  return text.split(text.includes(';') ? ';' : ',').map(item => item.trim()).filter(Boolean);
+};
+
+// Inventory import from CSV (including our own export) or JSON, with a dry run
+// that previews every row before anything is written
+class ImportService {
+  // RFC 4180 CSV: quoted fields, doubled quotes, CRLF and newlines inside quotes.
+  // The delimiter (",", ";" or tab) is taken from the header line.
+  parseCsv(content) {
+    const text = String(content).replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t']
+      .map(candidate => [candidate, firstLine.split(candidate).length])
+      .sort((a, b) => b[1] - a[1])[0][0];
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (quoted) throw new ImportError('The CSV file has an unclosed quote.');
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const lines = records
+      .map((cells, index) => ({ cells, line: index + 1 }))
+      .filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+    if (lines.length === 0) throw new ImportError('The file is empty.');
+
+    const headers = lines[0].cells.map(header => header.trim());
+    const rows = lines.slice(1).map(({ cells, line }) => ({
+      row: line,
+      values: Object.fromEntries(headers.map((header, index) => [header, cells[index] !== undefined ? cells[index].trim() : '']))
+    }));
+    return { headers, rows };
+  }
+
+  // A list of items, or an object with a "foods" list (the account data export).
+  // Nested objects are flattened to dotted keys ("quantity.amount").
+  parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(String(content).replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ImportError(`The JSON file could not be read: ${error.message}`);
+    }
+
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.foods) ? data.foods : null;
+    if (!items) throw new ImportError('The JSON file must contain a list of food items.');
+
+    const flatten = (object, prefix, target) => {
+      for (const [key, value] of Object.entries(object)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          flatten(value, path, target);
+        } else {
+          target[path] = value;
+        }
+      }
+      return target;
+    };
+
+    const headers = [];
+    const rows = items.map((item, index) => {
+      const values = item && typeof item === 'object' && !Array.isArray(item) ? flatten(item, '', {}) : {};
+      Object.keys(values).forEach(key => {
+        if (!headers.includes(key)) headers.push(key);
+      });
+      return { row: index + 1, values };
+    });
+    return { headers, rows };
+  }
+
+  parse(content, format) {
+    const detected = format || (/^\s*[[{]/.test(String(content).replace(/^\uFEFF/, '')) ? 'json' : 'csv');
+    const parsed = detected === 'json' ? this.parseJson(content) : this.parseCsv(content);
+
+    if (parsed.rows.length === 0) throw new ImportError('The file has no rows to import.');
+    if (parsed.rows.length > MAX_ROWS) {
+      throw new ImportError(`The file has ${parsed.rows.length} rows; at most ${MAX_ROWS} can be imported at once.`, 413);
+    }
+    return { format: detected, ...parsed };
+  }
+
+  // Best guess of the column for each field: exact header first, then the last
+  // part of a dotted JSON key; each column is used at most once
+  suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    for (const field of IMPORT_FIELDS) {
+      const match = [h => headerKey(h), h => headerKey(String(h).split('.').pop())]
+        .map(keyOf => headers.find(header => !used.has(header) && field.aliases.includes(keyOf(header))))
+        .find(Boolean);
+      mapping[field.key] = match || null;
+      if (match) used.add(match);
+    }
+    return mapping;
+  }
+
+  // The suggested mapping with the caller's choices applied (null/"" leaves a field unmapped)
+  resolveMapping(headers, overrides = {}) {
+    const mapping = this.suggestMapping(headers);
+    for (const [key, header] of Object.entries(overrides || {})) {
+      if (!IMPORT_FIELDS.some(field => field.key === key)) {
+        throw new ImportError(`Unknown import field "${key}".`);
+      }
+      if (!isBlank(header) && !headers.includes(header)) {
+        throw new ImportError(`Column "${header}" is not in the file.`);
+      }
+      mapping[key] = isBlank(header) ? null : header;
+    }
+
+    const missing = IMPORT_FIELDS.filter(field => field.required && !mapping[field.key]);
+    if (missing.length > 0) {
+      throw new ImportError(`Choose a column for: ${missing.map(field => field.label).join(', ')}.`);
+    }
+    return mapping;
+  }
+
+  // Turn one mapped row into a Food document body, checked with the same rules
+  // as the add-food form
+  buildFood(values, mapping) {
+    const errors = [];
+    const warnings = [];
+    const raw = {};
+    for (const field of IMPORT_FIELDS) {
+      const value = mapping[field.key] ? values[mapping[field.key]] : undefined;
+      raw[field.key] = typeof value === 'string' ? value.trim() : value;
+    }
+
+    const check = (rule, value, field, label) => {
+      const message = checkValue(rule, value, label);
+      if (message) errors.push({ field, message });
+      return !message;
+    };
+    const text = (value) => (isBlank(value) ? undefined : String(value));
+
+    const food = {
+      name: text(raw.name),
+      brand: text(raw.brand),
+      store: text(raw.store),
+      storageLocation: text(raw.storageLocation),
+      barcode: text(raw.barcode),
+      lotNumber: text(raw.lotNumber),
+      quantityInput: text(raw.quantityInput)
+    };
+    check(forms.food.name, food.name, 'name', 'Name');
+    check(forms.food.brand, food.brand, 'brand', 'Brand');
+    check(forms.food.store, food.store, 'store', 'Store');
+    check(forms.food.storageLocation, food.storageLocation, 'storageLocation', 'Storage location');
+    check(forms.food.barcode, food.barcode, 'barcode', 'Barcode');
+    check(forms.food.lotNumber, food.lotNumber, 'lotNumber', 'Lot number');
+    check(forms.food.quantityInput, food.quantityInput, 'quantityInput', 'Quantity text');
+
+    // Category: display names are mapped, anything unknown is kept as "other"
+    food.category = Food.normalizeCategory(raw.category);
+    if (!isBlank(raw.category) && food.category === 'other' && headerKey(raw.category) !== 'other') {
+      warnings.push(`Unknown category "${raw.category}", imported as other`);
+    }
+
+    // Quantity: a missing amount is one of the unit
+    const quantityRules = forms.food.quantity.fields;
+    const unitText = isBlank(raw.unit) ? 'pieces' : String(raw.unit).trim().toLowerCase();
+    const unit = UNIT_ALIASES[unitText.replace(/\.$/, '')] || unitText;
+    let amount = raw.quantityAmount;
+    if (isBlank(amount)) {
+      amount = 1;
+      warnings.push('No quantity given, imported as 1');
+    }
+    const amountValid = check(quantityRules.amount, amount, 'quantity.amount', 'Quantity');
+    const unitValid = check(quantityRules.unit, unit, 'quantity.unit', 'Unit');
+    if (amountValid && unitValid) {
+      food.quantity = { amount: Number(amount), unit };
+    }
+
+    for (const key of ['expiryDate', 'bestBeforeDate', 'manufacturedDate', 'openedAt']) {
+      const label = IMPORT_FIELDS.find(field => field.key === key).label;
+      if (check(forms.food[key], raw[key], key, label) && !isBlank(raw[key])) {
+        food[key] = parseDate(raw[key]);
+      }
+    }
+
+    if (!isBlank(raw.useWithinDaysAfterOpening) &&
+        check(forms.food.useWithinDaysAfterOpening, raw.useWithinDaysAfterOpening, 'useWithinDaysAfterOpening', 'Use within (days after opening)')) {
+      food.useWithinDaysAfterOpening = Number(raw.useWithinDaysAfterOpening);
+    }
+
+    if (!isBlank(raw.estimatedValue) &&
+        check(forms.food.estimatedValue, raw.estimatedValue, 'estimatedValue', 'Estimated value')) {
+      food.estimatedValue = Number(raw.estimatedValue);
+    }
+
+    if (!isBlank(raw.allergens)) {
+      const listed = toList(raw.allergens);
+      food.allergens = Food.normalizeAllergens(listed);
+      const unknown = listed.filter(item => Food.normalizeAllergens([item]).length === 0);
+      if (unknown.length > 0) warnings.push(`Allergens not recognized and left out: ${unknown.join(', ')}`);
+    }
+
+    if (!isBlank(raw.ingredients)) {
+      food.ingredients = toList(raw.ingredients);
+      food.ingredients.forEach((item, index) => {
+        check(forms.food.ingredients.items, item, `ingredients[${index}]`, 'Each ingredients entry');
+      });
+    }
+
+    if (!isBlank(raw.tags)) {
+      food.tags = toList(raw.tags);
+      check(forms.food.tags, food.tags, 'tags', 'Tags');
+    }
+
+    const nutrition = {};
+    for (const field of IMPORT_FIELDS.filter(f => f.nutrition && !isBlank(raw[f.key]))) {
+      if (check({ type: 'number', min: 0 }, raw[field.key], `nutrition.${field.key}`, field.label)) {
+        nutrition[field.key] = Number(raw[field.key]);
+      }
+    }
+    if (Object.keys(nutrition).length > 0) food.nutrition = nutrition;
+
+    Object.keys(food).forEach(key => food[key] === undefined && delete food[key]);
+    return { food, errors, warnings };
+  }
+
+  // Keys a row is compared on: the barcode, and the name with the expiry day
+  duplicateKeys(food) {
+    const keys = [];
+    if (food.barcode) keys.push(`barcode:${food.barcode}`);
+    if (food.name && food.expiryDate) keys.push(`name:${food.name.trim().toLowerCase()}|${dayKey(food.expiryDate)}`);
+    return keys;
+  }
+
+  async existingKeys(scope) {
+    const foods = await Food.find(scope).select('name barcode expiryDate').lean();
+    const keys = new Map();
+    for (const food of foods) {
+      this.duplicateKeys(food).forEach(key => keys.set(key, food));
+    }
+    return keys;
+  }
+
+  // Validate every row and flag duplicates of the inventory (or of an earlier
+  // row in the same file). Nothing is written.
+  async preview({ content, format, mapping: overrides }, scope) {
+    const parsed = this.parse(content, format);
+    const mapping = this.resolveMapping(parsed.headers, overrides);
+    const existing = await this.existingKeys(scope);
+    const seen = new Map();
+
+    const rows = parsed.rows.map(({ row, values }) => {
+      const { food, errors, warnings } = this.buildFood(values, mapping);
+      const result = { row, status: errors.length > 0 ? 'error' : 'ok', errors, warnings, food };
+      if (errors.length > 0) return result;
+
+      for (const key of this.duplicateKeys(food)) {
+        const match = existing.get(key);
+        if (match) {
+          result.status = 'duplicate';
+          result.duplicateOf = { foodId: match._id, name: match.name };
+          break;
+        }
+        if (seen.has(key)) {
+          result.status = 'duplicate';
+          result.duplicateOf = { row: seen.get(key) };
+          break;
+        }
+      }
+      this.duplicateKeys(food).forEach(key => !seen.has(key) && seen.set(key, row));
+      return result;
+    });
+
+    return {
+      format: parsed.format,
+      headers: parsed.headers,
+      mapping,
+      fields: IMPORT_FIELDS.map(({ key, label, required }) => ({ key, label, required: Boolean(required) })),
+      rows,
+      summary: this.summarize(rows)
+    };
+  }
+
+  // Preview, then save the valid rows (duplicates too when duplicates is "import").
+  // Rows are saved one at a time so a failure is reported against its row.
+  async importFoods(options, { scope, userId, householdId }) {
+    const result = await this.preview(options, scope);
+    const realtimeService = require('./realtimeService');
+    const includeDuplicates = options.duplicates === 'import';
+    // Location names are matched to the inventory's locations, new ones created once
+    const locations = new Map();
+
+    for (const row of result.rows) {
+      if (row.status === 'error' || (row.status === 'duplicate' && !includeDuplicates)) continue;
+      try {
+        const { storageLocation, ...fields } = row.food;
+        const locationKey = (storageLocation || '').toLowerCase();
+        if (storageLocation && !locations.has(locationKey)) {
+          locations.set(locationKey, await storageService.resolveLocation(scope, userId, { storageLocation }));
+        }
+        const food = new Food({ ...fields, userId, householdId, entryMethod: 'import' });
+        storageService.placeFood(food, locations.get(locationKey) || null);
+        await food.save();
+        row.status = 'imported';
+        row.foodId = food._id;
+        realtimeService.emitFoodEvent(realtimeService.FOOD_EVENTS.added, food, { actorId: userId });
+      } catch (error) {
+        row.status = 'error';
+        row.errors.push({ field: null, message: error.message });
+      }
+    }
+
+    result.summary = this.summarize(result.rows);
+    return result;
+  }
+
+  summarize(rows) {
+    const count = (status) => rows.filter(row => row.status === status).length;
+    return {
+      total: rows.length,
+      valid: count('ok'),
+      errors: count('error'),
+      duplicates: count('duplicate'),
+      imported: count('imported'),
+      warnings: rows.filter(row => row.warnings.length > 0).length
+    };
+  }
+}
+
+const importService = new ImportService();
+importService.ImportError = ImportError;
+importService.IMPORT_FIELDS = IMPORT_FIELDS;
+importService.MAX_ROWS = MAX_ROWS;
+
+module.exports = importService;
@@ -0,0 +1,306 @@
+const StockEvent = require('../models/StockEvent');
+
+// Units that convert into each other, expressed in their base unit
+const UNIT_FACTORS = {
+  grams: { base: 'grams', factor: 1 },
+  kilograms: { base: 'grams', factor: 1000 },
+  milliliters: { base: 'milliliters', factor: 1 },
+  liters: { base: 'milliliters', factor: 1000 }
+};
+
+const UNIT_ALIASES = {
+  g: 'grams', gm: 'grams', gram: 'grams', gms: 'grams',
+  kg: 'kilograms', kgs: 'kilograms', kilogram: 'kilograms',
+  ml: 'milliliters', milliliter: 'milliliters',
+  l: 'liters', ltr: 'liters', liter: 'liters', litre: 'liters', litres: 'liters',
+  piece: 'pieces', pcs: 'pieces', packet: 'packets', can: 'cans', bottle: 'bottles'
+};
+
+const COUNTABLE_UNITS = ['pieces', 'packets', 'cans', 'bottles', 'boxes', 'bags'];
+
+// Baseline per-unit prices (INR) used when the user didn't enter a value
+const PRICE_PER_KG = {
+  dairy: 300, meat: 600, fruits: 150, vegetables: 80, grains: 120, snacks: 200,
+  condiments: 200, frozen: 350, canned: 180, bakery: 250, beverages: 100, other: 150
+};
+const PRICE_PER_L = { beverages: 100, other: 120 };
+const PRICE_PER_PIECE = { bakery: 40, snacks: 30, canned: 120, other: 50 };
+
+// Amounts below this are treated as "nothing left" to absorb float noise
+const EMPTY_EPSILON = 1e-6;
+
+class InventoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InventoryError';
+    this.status = status;
+  }
+}
+
+class InventoryService {
+  normalizeUnit(unit) {
+    const u = String(unit || '').trim().toLowerCase();
+    return UNIT_ALIASES[u] || u;
+  }
+
+  isCountableUnit(unit) {
+    return COUNTABLE_UNITS.includes(this.normalizeUnit(unit));
+  }
+
+  // Convert an amount between units; returns null when the units are incompatible
+  convert(amount, fromUnit, toUnit) {
+    const from = this.normalizeUnit(fromUnit);
+    const to = this.normalizeUnit(toUnit);
+    if (from === to) return amount;
+
+    const a = UNIT_FACTORS[from];
+    const b = UNIT_FACTORS[to];
+    if (!a || !b || a.base !== b.base) return null;
+    return (amount * a.factor) / b.factor;
+  }
+
+  // Estimate the value (INR) of an item at the given quantity (defaults to its current quantity)
+  estimateValue(food, quantity = food.quantity) {
+    const qty = quantity || { amount: 1, unit: 'pieces' };
+    const amount = Number(qty.amount) || 0;
+    const unit = this.normalizeUnit(qty.unit || 'pieces');
+
+    if (typeof food.estimatedValue === 'number' && !isNaN(food.estimatedValue)) {
+      // User values are per unit for countable items, otherwise for the whole item as bought
+      if (this.isCountableUnit(unit)) {
+        return food.estimatedValue * amount;
+      }
+      const initial = food.initialQuantity && food.initialQuantity.amount
+        ? food.initialQuantity
+        : food.quantity;
+      const initialAmount = this.convert(Number(initial?.amount) || 0, initial?.unit, unit);
+      if (!initialAmount) return food.estimatedValue;
+      return food.estimatedValue * Math.min(amount / initialAmount, 1);
+    }
+
+    const category = String(food.category || 'other').toLowerCase();
+    const kgPrice = PRICE_PER_KG[category] ?? PRICE_PER_KG.other;
+    const lPrice = PRICE_PER_L[category] ?? PRICE_PER_L.other;
+    const piecePrice = PRICE_PER_PIECE[category] ?? PRICE_PER_PIECE.other;
+
+    switch (unit) {
+      case 'grams':
+        return (amount / 1000) * kgPrice;
+      case 'kilograms':
+        return amount * kgPrice;
+      case 'milliliters':
+        return (amount / 1000) * lPrice;
+      case 'liters':
+        return amount * lPrice;
+      default:
+        return amount * piecePrice;
+    }
+  }
+
+  // Resolve a requested amount into the item's own unit.
+  // A missing amount means "everything that's left".
+  resolveAmount(food, amount, unit) {
+    const itemUnit = food.quantity?.unit || 'pieces';
+    const remaining = Number(food.quantity?.amount) || 0;
+
+    if (amount === undefined || amount === null || amount === '') {
+      return { amount: remaining, requested: { amount: remaining, unit: itemUnit } };
+    }
+
+    const parsed = parseFloat(amount);
+    if (isNaN(parsed) || parsed <= 0) {
+      throw new InventoryError('Amount must be a positive number.');
+    }
+
+    const requestedUnit = unit ? this.normalizeUnit(unit) : itemUnit;
+    const converted = this.convert(parsed, requestedUnit, itemUnit);
+    if (converted === null) {
+      throw new InventoryError(`Cannot convert ${requestedUnit} to ${itemUnit}.`);
+    }
+
+    return { amount: converted, requested: { amount: parsed, unit: requestedUnit } };
+  }
+
+  // Apply a stock movement to a food item and append it to the ledger.
+  // type: 'consume' | 'waste' take stock out; 'adjust' sets an absolute amount.
+  async recordMovement(food, { type, amount, unit, note, userId, details = {} }) {
+    const itemUnit = food.quantity?.unit || 'pieces';
+    const stored = { 'quantity.amount': food.quantity?.amount ?? null, status: food.status };
+    const before = Number(food.quantity?.amount) || 0;
+    let after;
+    let requested;
+
+    if (type === 'adjust') {
+      const resolved = this.resolveAdjustment(food, amount, unit);
+      after = resolved.amount;
+      requested = resolved.requested;
+    } else {
+      // An item marked expired can still be thrown away, with a waste reason
+      if (food.status !== 'active' && !(type === 'waste' && food.status === 'expired')) {
+        throw new InventoryError(`This item is already ${food.status}.`);
+      }
+      const resolved = this.resolveAmount(food, amount, unit);
+      if (resolved.amount - before > EMPTY_EPSILON) {
+        throw new InventoryError(`Only ${before} ${itemUnit} left.`);
+      }
+      after = Math.max(before - resolved.amount, 0);
+      requested = resolved.requested;
+    }
+    if (after < EMPTY_EPSILON) after = 0;
+
+    const delta = after - before;
+    const outgoing = delta < 0 ? -delta : 0;
+    const estimatedValue = outgoing > 0
+      ? Math.round(this.estimateValue(food, { amount: outgoing, unit: itemUnit }) * 100) / 100
+      : 0;
+
+    if (!food.initialQuantity || food.initialQuantity.amount == null) {
+      food.initialQuantity = { amount: before, unit: itemUnit };
+    }
+    food.quantity.amount = after;
+
+    if (type === 'consume') {
+      const consumedSoFar = Number(food.consumedAmount?.amount) || 0;
+      food.consumedAmount = { amount: consumedSoFar + outgoing, unit: itemUnit };
+    }
+
+    // Auto-transition when the item runs out
+    if (after === 0 && ['active', 'expired'].includes(food.status)) {
+      food.status = type === 'waste' ? 'wasted' : 'consumed';
+      if (food.status === 'consumed') food.consumedDate = new Date();
+    } else if (after > 0 && type === 'adjust' && ['consumed', 'wasted'].includes(food.status)) {
+      // Restocking via adjustment brings the item back into the inventory
+      food.status = 'active';
+    }
+
+    // Only save over the quantity this movement started from: when another
+    // movement got there first, this one fails instead of writing a ledger
+    // entry the item's quantity doesn't reflect
+    food.$where = stored;
+    try {
+      await food.save();
+    } catch (error) {
+      // VersionError when the save also touched arrays
+      if (!['DocumentNotFoundError', 'VersionError'].includes(error.name)) throw error;
+      throw new InventoryError('This item was changed at the same time. Reload it and try again.', 409);
+    } finally {
+      food.$where = undefined;
+    }
+
+    const event = await StockEvent.create({
+      foodId: food._id,
+      userId,
+      householdId: food.householdId || null,
+      type,
+      requested,
+      delta,
+      unit: itemUnit,
+      quantityBefore: before,
+      quantityAfter: after,
+      estimatedValue,
+      valueEstimated: !(typeof food.estimatedValue === 'number' && !isNaN(food.estimatedValue)),
+      ...details,
+      note,
+      food: {
+        name: food.name,
+        brand: food.brand,
+        category: food.category,
+        store: food.store,
+        expiryDate: food.expiryDate
+      }
+    });
+
+    return { food, event };
+  }
+
+  // Throw away part or all of an item, recording why and how it was disposed of.
+  // fraction is a share (0-1] of what's left; amount/unit may be given instead.
+  async discard(food, { reason, fraction, amount, unit, disposalMethod, note, userId }) {
+    if (!StockEvent.WASTE_REASONS.includes(reason)) {
+      throw new InventoryError(`Reason must be one of: ${StockEvent.WASTE_REASONS.join(', ')}.`);
+    }
+    if (disposalMethod && !StockEvent.DISPOSAL_METHODS.includes(disposalMethod)) {
+      throw new InventoryError(`Disposal method must be one of: ${StockEvent.DISPOSAL_METHODS.join(', ')}.`);
+    }
+
+    const remaining = Number(food.quantity?.amount) || 0;
+    let wastedAmount = amount;
+    let wastedUnit = unit;
+    let share;
+
+    if (fraction !== undefined && fraction !== null && fraction !== '') {
+      share = parseFloat(fraction);
+      if (isNaN(share) || share <= 0 || share > 1) {
+        throw new InventoryError('Fraction must be greater than 0 and at most 1.');
+      }
+      wastedAmount = share === 1 ? undefined : remaining * share;
+      wastedUnit = undefined;
+    } else if (amount !== undefined && amount !== null && amount !== '') {
+      const resolved = this.resolveAmount(food, amount, unit);
+      share = remaining > 0 ? Math.min(resolved.amount / remaining, 1) : 1;
+    } else {
+      share = 1;
+    }
+
+    return this.recordMovement(food, {
+      type: 'waste',
+      amount: wastedAmount,
+      unit: wastedUnit,
+      note,
+      userId,
+      details: {
+        reason,
+        fraction: Math.round(share * 1000) / 1000,
+        disposalMethod: disposalMethod || 'trash'
+      }
+    });
+  }
+
+  resolveAdjustment(food, amount, unit) {
+    const itemUnit = food.quantity?.unit || 'pieces';
+    const parsed = parseFloat(amount);
+    if (isNaN(parsed) || parsed < 0) {
+      throw new InventoryError('Amount must be zero or a positive number.');
+    }
+    const requestedUnit = unit ? this.normalizeUnit(unit) : itemUnit;
+    const converted = this.convert(parsed, requestedUnit, itemUnit);
+    if (converted === null) {
+      throw new InventoryError(`Cannot convert ${requestedUnit} to ${itemUnit}.`);
+    }
+    return { amount: converted, requested: { amount: parsed, unit: requestedUnit } };
+  }
+
+  async getLedger(foodId) {
+    return StockEvent.find({ foodId }).sort({ createdAt: 1 });
+  }
+
+  // Cancel a ledger entry by appending its opposite; the entry itself stays.
+  // The item's quantity is restored by the caller.
+  async reverseEvent(event, { userId, note }) {
+    return StockEvent.create({
+      foodId: event.foodId,
+      userId,
+      householdId: event.householdId,
+      type: 'adjust',
+      requested: { amount: event.quantityBefore, unit: event.unit },
+      delta: -event.delta,
+      unit: event.unit,
+      quantityBefore: event.quantityAfter,
+      quantityAfter: event.quantityBefore,
+      estimatedValue: 0,
+      note,
+      reverses: event._id,
+      food: event.food
+    });
+  }
+
+  // Ids of the entries matching filter that were cancelled by reverseEvent
+  async reversedEventIds(filter) {
+    return StockEvent.distinct('reverses', { ...filter, reverses: { $ne: null } });
+  }
+}
+
+const inventoryService = new InventoryService();
+inventoryService.InventoryError = InventoryError;
+
+module.exports = inventoryService;
@@ -0,0 +1,127 @@
+const User = require('../models/User');
+const auditService = require('./auditService');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// Per-account lockout after repeated wrong passwords, with an emailed unlock link
+class LoginSecurityService {
+  // A failed attempt against an existing account (wrong password or two-factor code).
+  // Returns { locked, lockUntil }.
+  async recordFailure(user, req, reason = 'bad-password') {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+
+    // Start counting again when the previous failure is outside the window
+    await User.updateOne(
+      { _id: user._id, lastFailedLoginAt: { $lt: windowStart } },
+      { $set: { failedLoginAttempts: 0 } }
+    );
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+      { new: true }
+    );
+
+    await auditService.record('login_failed', {
+      req,
+      userId: user._id,
+      email: user.email,
+      reason,
+      details: { attempts: updated.failedLoginAttempts }
+    });
+
+    if (updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+      return { locked: false, remaining: MAX_FAILED_ATTEMPTS - updated.failedLoginAttempts };
+    }
+
+    return this.lock(updated, req);
+  }
+
+  async lock(user, req) {
+    user.lockUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+    user.failedLoginAttempts = 0;
+    const unlockToken = user.createUnlockToken();
+    await user.save();
+
+    await auditService.record('account_locked', {
+      req,
+      userId: user._id,
+      email: user.email,
+      reason: 'too-many-failures',
+      details: { lockUntil: user.lockUntil }
+    });
+
+    try {
+      const notificationService = require('./notificationService');
+      const unlockUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/unlock-account?token=${unlockToken}`;
+      await notificationService.sendEmailNotification(user.email, {
+        type: 'account_locked',
+        title: '🔒 Your SmartBite AI account was locked',
+        message: `Hi ${user.name}, we locked your account for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts. If this was you, open ${unlockUrl} to unlock it now. If it wasn't, consider resetting your password.`,
+        actionUrl: unlockUrl,
+        actionLabel: 'Unlock my account'
+      }, { userId: user._id });
+    } catch (error) {
+      console.error('Unlock email failed:', error);
+    }
+
+    return { locked: true, lockUntil: user.lockUntil };
+  }
+
+  // A failed attempt that named an email with no account
+  async recordUnknownEmail(email, req) {
+    await auditService.record('login_failed', { req, email, reason: 'unknown-email' });
+  }
+
+  async recordLockedAttempt(user, req) {
+    await auditService.record('login_failed', {
+      req,
+      userId: user._id,
+      email: user.email,
+      reason: 'locked'
+    });
+  }
+
+  // Clear the failure count after a good password; the caller saves the user
+  recordSuccess(user) {
+    if (user.failedLoginAttempts || user.lockUntil || user.unlockToken) {
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      user.unlockToken = undefined;
+      user.unlockTokenExpires = undefined;
+    }
+  }
+
+  // Redeem the emailed unlock token; returns the user or null when it is invalid
+  async unlock(token, req) {
+    if (!token) return null;
+    const user = await User.findOne({
+      unlockToken: User.hashToken(token),
+      unlockTokenExpires: { $gt: Date.now() }
+    });
+    if (!user) return null;
+
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.unlockToken = undefined;
+    user.unlockTokenExpires = undefined;
+    await user.save();
+
+    await auditService.record('account_unlocked', { req, userId: user._id, email: user.email, reason: 'email-link' });
+    return user;
+  }
+
+  minutesLeft(user, now = new Date()) {
+    return Math.max(Math.ceil((user.lockUntil - now) / 60000), 1);
+  }
+}
+
+const loginSecurityService = new LoginSecurityService();
+loginSecurityService.MAX_FAILED_ATTEMPTS = MAX_FAILED_ATTEMPTS;
+loginSecurityService.LOCKOUT_MINUTES = LOCKOUT_MINUTES;
+
+module.exports = loginSecurityService;
@@ -1,35 +1,120 @@
-const nodemailer = require('nodemailer');
-const twilio = require('twilio');
 const cron = require('node-cron');
 const moment = require('moment');
+const mongoose = require('mongoose');
+const { createDefaultProviders, OutboxTransport } = require('./channels');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const DEFAULT_PREFERENCES = {
+  channels: {
+    email: true, whatsapp: false, sms: false, inApp: true,
+    push: false, telegram: false, slack: false, webhook: false
+  },
+  expiryDays: 3,
+  notificationTime: '09:00',
+  timezone: DEFAULT_TIMEZONE,
+  types: { expiry: true, healthWarnings: true, suggestions: true, summaries: true },
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  digest: { email: 'off', sms: 'off', whatsapp: 'off' },
+  rateLimits: { email: 10, sms: 5, whatsapp: 5 }
+};
+
+// Channels with their own digest and rate-limit settings; other providers
+// send immediately and share DEFAULT_RATE_LIMIT
+const DIGEST_CHANNELS = ['email', 'sms', 'whatsapp'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DEFAULT_RATE_LIMIT = 30;
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+// Failed sends are retried after 1, 2, 4, 8... minutes (capped at an hour)
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const RETRY_BATCH_SIZE = 50;
+
+// Types that are always sent straight away, skipping digests and quiet hours
+const URGENT_TYPES = ['allergen_alert'];
+
+// Account mail whose link is a one-time credential. The delivery log keeps
+// that it was sent but not the message or link, so a failed send can't be
+// retried; the user asks for a new link instead.
+const ACCOUNT_SECURITY_TYPES = ['email_verification', 'password_reset', 'account_locked'];
+
+// Which preference flag (notificationPreferences.types) controls a notification type.
+// Types not listed here (tests, household updates, account mail) are always delivered.
+const TYPE_PREFERENCE = {
+  expiry_warning: 'expiry',
+  expiry_critical: 'expiry',
+  health_risk: 'healthWarnings',
+  allergen_alert: 'healthWarnings',
+  suggestion: 'suggestions',
+  recommendation: 'suggestions',
+  weekly_summary: 'summaries'
+};
+
+// With REQUIRE_EMAIL_VERIFICATION=true these channels stay off until the email is verified
+const VERIFIED_CHANNELS = ['email', 'sms'];
+
+// sendNotification result keys that differ from Food.notificationsSent channel names
+const FOOD_CHANNEL_NAMES = { inApp: 'in-app' };
 
 class NotificationService {
   constructor() {
-    this.emailTransporter = null;
-    this.twilioClient = null;
+    this.providers = new Map();
+    this.outbox = null;
     this.initializeServices();
     this.startScheduledJobs();
   }
 
   initializeServices() {
-    // Initialize email service
-    if (process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-      this.emailTransporter = nodemailer.createTransport({
-        host: process.env.EMAIL_HOST,
-        port: process.env.EMAIL_PORT || 587,
-        secure: process.env.EMAIL_SECURE === 'true',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS
-        }
-      });
+    createDefaultProviders().forEach(provider => this.registerProvider(provider));
+
+    // Write every outgoing message to disk instead of sending it
+    if (process.env.NOTIFICATION_OUTBOX_DIR) {
+      this.outbox = new OutboxTransport(process.env.NOTIFICATION_OUTBOX_DIR);
+      console.log(`📤 Notifications are written to the outbox at ${this.outbox.directory}`);
     }
+  }
+
+  // Add (or replace) a transport; see services/channels/channelProvider.js for the interface
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.send !== 'function') {
+      throw new Error('Notification providers need a name and a send() method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(channel) {
+    return this.providers.get(channel) || null;
+  }
 
-    // Initialize Twilio for SMS and WhatsApp
-    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-      this.twilioClient = twilio(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
+  // Registered channels and whether they can deliver for this user
+  describeChannels(user) {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      configured: Boolean(this.outbox) || provider.isConfigured(),
+      hasAddress: Boolean(user && provider.getAddress(user)),
+      requiresVerification: Boolean(user && this.requiresVerification(user, provider.name))
+    }));
+  }
+
+  // True when the channel is blocked because the account's email isn't verified yet
+  requiresVerification(user, channel) {
+    return process.env.REQUIRE_EMAIL_VERIFICATION === 'true' &&
+      !user.emailVerified &&
+      VERIFIED_CHANNELS.includes(channel);
+  }
+
+  // Reject a preference update that turns on a channel the account can't use yet.
+  // Channels that are already on are left alone (they just don't send until verified).
+  assertChannelsAllowed(user, channels = {}) {
+    const current = this.getPreferences(user).channels;
+    const blocked = Object.keys(channels)
+      .filter(channel => channels[channel] && !current[channel] && this.requiresVerification(user, channel));
+    if (blocked.length > 0) {
+      throw Object.assign(
+        new Error(`Verify your email address before enabling ${blocked.join(' and ')} notifications`),
+        { status: 403 }
       );
     }
   }
@@ -43,26 +128,27 @@ class NotificationService {
     };
 
     try {
-      const preferences = user.notificationPreferences || {};
+      const preferences = this.getPreferences(user);
+      const channels = preferences.channels;
 
-      // Send email notification
-      if (preferences.email && user.email) {
-        results.email = await this.sendEmailNotification(user.email, notification);
+      if (user.deletionScheduledFor || !this.isTypeEnabled(preferences, notification.type)) {
+        return { ...results, skipped: true };
       }
 
-      // Send SMS notification
-      if (preferences.sms && user.phone) {
-        results.sms = await this.sendSMSNotification(user.phone, notification);
-      }
+      // One id ties the in-app copy to the delivery log of every channel
+      const notificationId = new mongoose.Types.ObjectId();
+      results.notificationId = notificationId;
 
-      // Send WhatsApp notification
-      if (preferences.whatsapp && user.whatsapp) {
-        results.whatsapp = await this.sendWhatsAppNotification(user.whatsapp, notification);
+      // Send (or queue) through every enabled provider the user has an address for
+      for (const [channel, provider] of this.providers) {
+        if (channels[channel] && provider.getAddress(user) && !this.requiresVerification(user, channel)) {
+          results[channel] = await this.dispatchToChannel(user, preferences, channel, notification, notificationId);
+        }
       }
 
       // Store in-app notification
-      if (preferences.inApp !== false) { // Default to true
-        results.inApp = await this.storeInAppNotification(user._id, notification);
+      if (channels.inApp !== false) { // Default to true
+        results.inApp = await this.storeInAppNotification(user._id, notification, notificationId);
       }
 
       return results;
@@ -72,87 +158,413 @@ class NotificationService {
     }
   }
 
-  async sendEmailNotification(email, notification) {
-    if (!this.emailTransporter) {
-      console.log('Email service not configured');
-      return { success: false, error: 'Email service not configured' };
+  isUrgent(notification) {
+    return notification.priority === 'urgent' || URGENT_TYPES.includes(notification.type);
+  }
+
+  // Send now, or queue for a digest / after quiet hours / after the rate limit window.
+  // Urgent notifications always go out immediately but still count towards the limit.
+  async dispatchToChannel(user, preferences, channel, notification, notificationId) {
+    const context = { userId: user._id, notificationId };
+
+    if (this.isUrgent(notification)) {
+      await this.reserveSendSlot(user._id, preferences, channel, { force: true });
+      return this.deliverToChannel(channel, this.getProvider(channel).getAddress(user), notification, context);
     }
 
-    try {
-      const htmlContent = this.generateEmailHTML(notification);
-      
-      const mailOptions = {
-        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-        to: email,
-        subject: notification.title,
-        text: notification.message,
-        html: htmlContent
-      };
+    let reason = null;
+    if ((preferences.digest[channel] || 'off') !== 'off') {
+      reason = 'digest';
+    } else if (this.isQuietTime(preferences, this.getLocalTime(preferences.timezone).time)) {
+      reason = 'quiet-hours';
+    } else if (!(await this.reserveSendSlot(user._id, preferences, channel))) {
+      reason = 'rate-limit';
+    }
 
-      const result = await this.emailTransporter.sendMail(mailOptions);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      console.error('Email sending failed:', error);
-      return { success: false, error: error.message };
+    if (reason) {
+      return this.queueNotification(user._id, channel, reason, notification, notificationId);
     }
+    return this.deliverToChannel(channel, this.getProvider(channel).getAddress(user), notification, context);
   }
 
-  async sendSMSNotification(phone, notification) {
-    if (!this.twilioClient) {
-      console.log('SMS service not configured');
-      return { success: false, error: 'SMS service not configured' };
+  // Copy of the fields providers render, kept for retries and queued messages
+  snapshotNotification(notification) {
+    if (ACCOUNT_SECURITY_TYPES.includes(notification.type)) {
+      return {
+        type: notification.type,
+        title: notification.title,
+        message: '(Not kept: the message contained a one-time account link.)',
+        foodItems: [],
+        recommendations: [],
+        actionLabel: notification.actionLabel
+      };
     }
+    return {
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      foodItems: (notification.foodItems || []).map(item => ({
+        name: item.name,
+        brand: item.brand,
+        expiryDate: item.expiryDate
+      })),
+      recommendations: notification.recommendations || [],
+      actionUrl: notification.actionUrl,
+      actionLabel: notification.actionLabel
+    };
+  }
 
+  // Send through one provider (or into the outbox), logging the attempt in NotificationDelivery.
+  // context: { userId, notificationId, includes }
+  async deliverToChannel(channel, address, notification, context = {}) {
+    const provider = this.getProvider(channel);
+    if (!provider) {
+      return { success: false, error: `Unknown channel: ${channel}` };
+    }
+
+    let delivery = null;
     try {
-      const message = await this.twilioClient.messages.create({
-        body: `${notification.title}\n\n${notification.message}`,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: phone
+      const NotificationDelivery = require('../models/NotificationDelivery');
+      delivery = await NotificationDelivery.create({
+        userId: context.userId || null,
+        notificationId: context.notificationId || new mongoose.Types.ObjectId(),
+        includes: context.includes || [],
+        channel,
+        address: typeof address === 'string' ? address : null,
+        notification: this.snapshotNotification(notification),
+        status: 'sending',
+        ...(ACCOUNT_SECURITY_TYPES.includes(notification.type) && { maxAttempts: 1 })
       });
+    } catch (error) {
+      console.error('Recording notification delivery failed:', error.message);
+    }
+
+    return this.attemptDelivery(provider, address, notification, delivery);
+  }
+
+  async attemptDelivery(provider, address, notification, delivery) {
+    const startedAt = Date.now();
+    let result;
 
-      return { success: true, sid: message.sid };
+    try {
+      const message = provider.render(notification);
+      if (this.outbox) {
+        result = await this.outbox.write(provider.name, address, message);
+      } else if (!provider.isConfigured()) {
+        const error = new Error(`${provider.label} service not configured`);
+        error.retryable = false;
+        throw error;
+      } else {
+        result = await provider.send(address, message);
+      }
+
+      if (!result || result.success === false) {
+        const error = new Error((result && result.error) || 'Delivery failed');
+        error.retryable = result && result.retryable;
+        throw error;
+      }
     } catch (error) {
-      console.error('SMS sending failed:', error);
-      return { success: false, error: error.message };
+      console.error(`${provider.label} sending failed:`, error.message);
+      result = { success: false, error: error.message, retryable: this.isRetryable(error) };
     }
+
+    if (!delivery) return result;
+
+    await this.recordAttempt(delivery, result, Date.now() - startedAt);
+    const { retryable, ...outcome } = result;
+    return { ...outcome, deliveryId: delivery._id, status: delivery.status };
   }
 
-  async sendWhatsAppNotification(whatsapp, notification) {
-    if (!this.twilioClient) {
-      console.log('WhatsApp service not configured');
-      return { success: false, error: 'WhatsApp service not configured' };
+  // Network errors, timeouts, 5xx, 408 and 429 are worth retrying; other client errors are not
+  isRetryable(error) {
+    if (error.retryable !== undefined && error.retryable !== null) return Boolean(error.retryable);
+    const status = (error.response && error.response.status) || error.status;
+    if (!status) return true;
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  getRetryDelay(attempt) {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt - 1), RETRY_MAX_MS);
+    // ±10% jitter so retries of a failing provider don't line up
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+  }
+
+  async recordAttempt(delivery, result, durationMs) {
+    const { success, error, retryable, ...response } = result;
+    delivery.attempts.push({ success, durationMs, response, error });
+
+    if (success) {
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.nextAttemptAt = undefined;
+    } else if (retryable && delivery.attempts.length < delivery.maxAttempts) {
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attempts.length));
+      delivery.lastError = error;
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      delivery.lastError = error;
     }
 
     try {
-      const message = await this.twilioClient.messages.create({
-        body: `${notification.title}\n\n${notification.message}`,
-        from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-        to: `whatsapp:${whatsapp}`
-      });
+      await delivery.save();
+    } catch (saveError) {
+      console.error('Recording notification delivery failed:', saveError.message);
+    }
+  }
+
+  // Deliveries of one-time account links only kept a placeholder message
+  assertRetryable(delivery) {
+    if (ACCOUNT_SECURITY_TYPES.includes(delivery.notification && delivery.notification.type)) {
+      throw Object.assign(
+        new Error('This message held a one-time account link and can\'t be sent again; request a new link instead'),
+        { status: 409 }
+      );
+    }
+  }
+
+  // Re-send a logged delivery, resolving the address from the user when none was stored
+  async retryDelivery(delivery) {
+    this.assertRetryable(delivery);
+    const provider = this.getProvider(delivery.channel);
+    let address = delivery.address;
+
+    if (provider && !address && delivery.userId) {
+      const User = require('../models/User');
+      const user = await User.findById(delivery.userId);
+      address = user ? provider.getAddress(user) : null;
+    }
+
+    if (!provider || !address) {
+      await this.recordAttempt(delivery, {
+        success: false,
+        error: provider ? 'No address to deliver to' : `Unknown channel: ${delivery.channel}`,
+        retryable: false
+      }, 0);
+      return delivery;
+    }
 
-      return { success: true, sid: message.sid };
+    await this.attemptDelivery(provider, address, delivery.notification.toObject(), delivery);
+    return delivery;
+  }
+
+  // Pick up deliveries whose backoff has elapsed; each one is claimed before sending
+  async retryFailedDeliveries(now = new Date()) {
+    if (this.retryRunning) return;
+    this.retryRunning = true;
+
+    try {
+      const NotificationDelivery = require('../models/NotificationDelivery');
+      for (let i = 0; i < RETRY_BATCH_SIZE; i++) {
+        const delivery = await NotificationDelivery.findOneAndUpdate(
+          { status: 'retrying', nextAttemptAt: { $lte: now } },
+          { $set: { status: 'sending' } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+        await this.retryDelivery(delivery);
+      }
     } catch (error) {
-      console.error('WhatsApp sending failed:', error);
-      return { success: false, error: error.message };
+      console.error('Notification retries failed:', error);
+    } finally {
+      this.retryRunning = false;
     }
   }
 
-  async storeInAppNotification(userId, notification) {
+  async queueNotification(userId, channel, reason, notification, notificationId) {
     try {
-      const User = require('../models/User');
-      
-      await User.findByIdAndUpdate(userId, {
-        $push: {
-          notifications: {
-            ...notification,
-            createdAt: new Date(),
-            read: false
-          }
+      const PendingNotification = require('../models/PendingNotification');
+      const NotificationDelivery = require('../models/NotificationDelivery');
+      const snapshot = this.snapshotNotification(notification);
+
+      const delivery = await NotificationDelivery.create({
+        userId,
+        notificationId: notificationId || new mongoose.Types.ObjectId(),
+        channel,
+        notification: snapshot,
+        status: 'queued',
+        queueReason: reason
+      });
+      await PendingNotification.create({
+        userId,
+        channel,
+        reason,
+        notificationId: delivery.notificationId,
+        deliveryId: delivery._id,
+        notification: snapshot
+      });
+      return { success: true, queued: true, reason, deliveryId: delivery._id, status: 'queued' };
+    } catch (error) {
+      console.error('Queueing notification failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send queued messages as one combined message and point their queued deliveries at it
+  async releaseQueued(channel, address, items, title, userId) {
+    const PendingNotification = require('../models/PendingNotification');
+    const NotificationDelivery = require('../models/NotificationDelivery');
+
+    const result = await this.deliverToChannel(channel, address, this.buildDigestNotification(items, title), {
+      userId,
+      includes: items.map(item => item.notificationId).filter(Boolean)
+    });
+
+    await NotificationDelivery.updateMany(
+      { _id: { $in: items.map(item => item.deliveryId).filter(Boolean) } },
+      { $set: { status: 'batched', batchDeliveryId: result.deliveryId } }
+    );
+    await PendingNotification.deleteMany({ _id: { $in: items.map(item => item._id) } });
+    return result;
+  }
+
+  isQuietTime(preferences, localTime) {
+    const { enabled, start, end } = preferences.quietHours;
+    if (!enabled || start === end) return false;
+    // Windows like 22:00-07:00 wrap past midnight
+    return start < end
+      ? localTime >= start && localTime < end
+      : localTime >= start || localTime < end;
+  }
+
+  // Take one message from the channel's hourly allowance; false when it's used up.
+  // force records the send even when over the limit (urgent messages, digests).
+  async reserveSendSlot(userId, preferences, channel, { force = false } = {}) {
+    const User = require('../models/User');
+    const path = `notificationState.rateWindows.${channel}`;
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - RATE_WINDOW_MS);
+    const limit = preferences.rateLimits[channel] || DEFAULT_RATE_LIMIT;
+
+    const withinWindow = await User.updateOne(
+      {
+        _id: userId,
+        [`${path}.start`]: { $gt: windowStart },
+        ...(force ? {} : { [`${path}.count`]: { $lt: limit } })
+      },
+      { $inc: { [`${path}.count`]: 1 } }
+    );
+    if (withinWindow.modifiedCount > 0) return true;
+
+    const newWindow = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ [`${path}.start`]: null }, { [`${path}.start`]: { $lte: windowStart } }]
+      },
+      { $set: { [path]: { start: now, count: 1 } } }
+    );
+    return newWindow.modifiedCount > 0;
+  }
+
+  // Combine queued notifications into a single message
+  buildDigestNotification(items, title) {
+    if (items.length === 1) return items[0].notification;
+
+    const seen = new Set();
+    const foodItems = [];
+    items.forEach(item => {
+      (item.notification.foodItems || []).forEach(food => {
+        const key = `${food.name}|${food.brand || ''}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          foodItems.push(food);
         }
       });
+    });
+
+    return {
+      type: 'digest',
+      title,
+      message: items.map(item => `• ${item.notification.title}: ${item.notification.message}`).join('\n'),
+      foodItems,
+      recommendations: []
+    };
+  }
+
+  // Release queued messages: held ones as soon as quiet hours end and the rate limit allows,
+  // digests once per day/week at the user's notification time.
+  // Returns notificationState updates for the caller to save.
+  async flushPendingNotifications(user, preferences, local) {
+    const PendingNotification = require('../models/PendingNotification');
+    const updates = {};
+    const pending = await PendingNotification.find({ userId: user._id }).sort({ createdAt: 1 });
+    if (pending.length === 0) return updates;
+
+    const quiet = this.isQuietTime(preferences, local.time);
+    const lastDigest = (user.notificationState && user.notificationState.lastDigest) || {};
+
+    for (const [channel, provider] of this.providers) {
+      const items = pending.filter(item => item.channel === channel);
+      if (items.length === 0) continue;
+
+      // Channel switched off or contact removed since the messages were queued
+      const address = provider.getAddress(user);
+      if (!preferences.channels[channel] || !address) {
+        const NotificationDelivery = require('../models/NotificationDelivery');
+        await NotificationDelivery.updateMany(
+          { _id: { $in: items.map(item => item.deliveryId).filter(Boolean) } },
+          { $set: { status: 'failed', lastError: 'Channel disabled before the message was sent' } }
+        );
+        await PendingNotification.deleteMany({ _id: { $in: items.map(item => item._id) } });
+        continue;
+      }
+
+      const frequency = preferences.digest[channel] || 'off';
+      const batched = items.filter(item => item.reason === 'digest' && frequency !== 'off');
+      const held = items.filter(item => !batched.includes(item));
+
+      if (held.length > 0 && !quiet && await this.reserveSendSlot(user._id, preferences, channel)) {
+        const title = `🔔 ${held.length} SmartBite notifications you missed`;
+        await this.releaseQueued(channel, address, held, title, user._id);
+      }
+
+      const digestDue = !quiet &&
+        local.time >= preferences.notificationTime &&
+        lastDigest[channel] !== local.date &&
+        (frequency === 'daily' || (frequency === 'weekly' && local.weekday === 0));
+
+      if (batched.length > 0 && digestDue) {
+        const title = `📬 Your ${frequency} SmartBite digest (${batched.length})`;
+        await this.reserveSendSlot(user._id, preferences, channel, { force: true });
+        await this.releaseQueued(channel, address, batched, title, user._id);
+        updates[`notificationState.lastDigest.${channel}`] = local.date;
+      }
+    }
+
+    return updates;
+  }
+
+  // Direct sends that skip preferences, digests and quiet hours (invites, account mail)
+  async sendEmailNotification(email, notification, context = {}) {
+    return this.deliverToChannel('email', email, notification, context);
+  }
+
+  async sendSMSNotification(phone, notification) {
+    return this.deliverToChannel('sms', phone, notification);
+  }
+
+  async sendWhatsAppNotification(whatsapp, notification) {
+    return this.deliverToChannel('whatsapp', whatsapp, notification);
+  }
+
+  async storeInAppNotification(userId, notification, notificationId = new mongoose.Types.ObjectId()) {
+    try {
+      const Notification = require('../models/Notification');
+
+      const stored = await Notification.create({
+        _id: notificationId,
+        userId,
+        type: notification.type,
+        priority: notification.priority === 'urgent' ? 'urgent' : 'normal',
+        title: notification.title,
+        message: notification.message,
+        foodItems: this.snapshotNotification(notification).foodItems,
+        recommendations: notification.recommendations || []
+      });
 
       // Send real-time notification via Socket.IO
-      this.sendRealtimeNotification(userId, notification);
+      this.sendRealtimeNotification(userId, stored.toObject());
 
       return { success: true };
     } catch (error) {
@@ -163,243 +575,483 @@ class NotificationService {
 
   sendRealtimeNotification(userId, notification) {
     try {
-      const { getIO } = require('../index');
-      const io = getIO && getIO();
-      
-      if (io) {
-        io.to(`user-${userId}`).emit('new-notification', {
-          ...notification,
-          createdAt: new Date(),
-          read: false
-        });
-        console.log(`📡 Real-time notification sent to user ${userId}`);
-      }
+      const realtimeService = require('./realtimeService');
+      realtimeService.emitToUser(userId, 'new-notification', {
+        createdAt: new Date(),
+        read: false,
+        ...notification
+      });
     } catch (error) {
       console.error('Real-time notification failed:', error);
     }
   }
 
-  generateEmailHTML(notification) {
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${notification.title}</title>
-        <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: #4f46e5; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-            .content { background: #f9fafb; padding: 20px; border-radius: 0 0 8px 8px; }
-            .footer { text-align: center; margin-top: 20px; font-size: 12px; color: #666; }
-            .button { display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 10px 0; }
-            .alert { padding: 15px; border-radius: 6px; margin: 15px 0; }
-            .alert-warning { background: #fef3c7; border: 1px solid #f59e0b; color: #92400e; }
-            .alert-danger { background: #fee2e2; border: 1px solid #ef4444; color: #991b1b; }
-            .alert-info { background: #dbeafe; border: 1px solid #3b82f6; color: #1e40af; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <h1>🍎 SmartBite AI</h1>
-                <h2>${notification.title}</h2>
-            </div>
-            <div class="content">
-                <div class="alert alert-${this.getAlertType(notification.type)}">
-                    ${notification.message}
-                </div>
-                
-                ${notification.foodItems ? this.generateFoodItemsHTML(notification.foodItems) : ''}
-                ${notification.recommendations ? this.generateRecommendationsHTML(notification.recommendations) : ''}
-                
-                <p>
-                    <a href="${process.env.CLIENT_URL || 'http://localhost:3000'}" class="button">
-                        Open SmartBite AI
-                    </a>
-                </p>
-            </div>
-            <div class="footer">
-                <p>You received this notification because you have enabled email notifications in your SmartBite AI settings.</p>
-                <p>To manage your notification preferences, visit your profile settings.</p>
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
-  }
-
-  getAlertType(notificationType) {
-    switch (notificationType) {
-      case 'expiry_warning':
-      case 'health_risk':
-        return 'warning';
-      case 'expiry_critical':
-      case 'allergen_alert':
-        return 'danger';
-      default:
-        return 'info';
-    }
-  }
-
-  generateFoodItemsHTML(foodItems) {
-    if (!foodItems || foodItems.length === 0) return '';
-    
-    return `
-      <h3>Affected Food Items:</h3>
-      <ul>
-        ${foodItems.map(item => `
-          <li>
-            <strong>${item.name}</strong>
-            ${item.brand ? `(${item.brand})` : ''}
-            ${item.expiryDate ? `- Expires: ${moment(item.expiryDate).format('MMM DD, YYYY')}` : ''}
-          </li>
-        `).join('')}
-      </ul>
-    `;
-  }
-
-  generateRecommendationsHTML(recommendations) {
-    if (!recommendations || recommendations.length === 0) return '';
-    
-    return `
-      <h3>Recommendations:</h3>
-      <ul>
-        ${recommendations.map(rec => `<li>${rec}</li>`).join('')}
-      </ul>
-    `;
+  // Merge a user's stored preferences over the schema defaults
+  getPreferences(user) {
+    const prefs = (user.notificationPreferences && typeof user.notificationPreferences.toObject === 'function')
+      ? user.notificationPreferences.toObject()
+      : (user.notificationPreferences || {});
+
+    return {
+      channels: { ...DEFAULT_PREFERENCES.channels, ...(prefs.channels || {}) },
+      expiryDays: prefs.expiryDays || DEFAULT_PREFERENCES.expiryDays,
+      notificationTime: /^\d{2}:\d{2}$/.test(prefs.notificationTime || '') ? prefs.notificationTime : DEFAULT_PREFERENCES.notificationTime,
+      timezone: this.isValidTimezone(prefs.timezone) ? prefs.timezone : DEFAULT_PREFERENCES.timezone,
+      types: { ...DEFAULT_PREFERENCES.types, ...(prefs.types || {}) },
+      quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(prefs.quietHours || {}) },
+      digest: { ...DEFAULT_PREFERENCES.digest, ...(prefs.digest || {}) },
+      rateLimits: { ...DEFAULT_PREFERENCES.rateLimits, ...(prefs.rateLimits || {}) }
+    };
+  }
+
+  isTypeEnabled(preferences, notificationType) {
+    const flag = TYPE_PREFERENCE[notificationType];
+    return !flag || preferences.types[flag] !== false;
+  }
+
+  isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Wall-clock date/time in a timezone: { date: 'YYYY-MM-DD', time: 'HH:mm', weekday: 0-6 }
+  getLocalTime(timezone, at = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }).formatToParts(at).reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`,
+      weekday: weekdays.indexOf(parts.weekday)
+    };
+  }
+
+  // Translate the flat preference shape used by the notification settings screens
+  // ({ email, sms, expiryReminders, expiryReminderDays, ... }) into schema paths.
+  // Flat keys win over nested ones when both are sent.
+  normalizePreferenceInput(input = {}) {
+    const normalized = {};
+    const pick = (...values) => values.find(v => v !== undefined);
+
+    const channels = Object.fromEntries(
+      Object.keys(DEFAULT_PREFERENCES.channels).map(key => [key, pick(input[key], input.channels?.[key])])
+    );
+    const types = {
+      expiry: pick(input.expiryReminders, input.types?.expiry),
+      healthWarnings: pick(input.healthWarnings, input.types?.healthWarnings),
+      suggestions: pick(input.recommendations, input.types?.suggestions),
+      summaries: pick(input.weeklySummary, input.types?.summaries)
+    };
+
+    Object.entries(channels).forEach(([key, value]) => {
+      if (value !== undefined) normalized[`channels.${key}`] = Boolean(value);
+    });
+    Object.entries(types).forEach(([key, value]) => {
+      if (value !== undefined) normalized[`types.${key}`] = Boolean(value);
+    });
+
+    const expiryDays = pick(input.expiryReminderDays, input.expiryDays);
+    if (expiryDays !== undefined) {
+      const days = parseInt(expiryDays, 10);
+      normalized.expiryDays = Number.isFinite(days) ? Math.min(Math.max(days, 1), 30) : DEFAULT_PREFERENCES.expiryDays;
+    }
+    if (input.notificationTime !== undefined) {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(input.notificationTime))) {
+        throw new Error('Notification time must be in HH:mm format');
+      }
+      normalized.notificationTime = input.notificationTime;
+    }
+    if (input.timezone !== undefined) {
+      if (!this.isValidTimezone(input.timezone)) {
+        throw new Error('Unknown timezone');
+      }
+      normalized.timezone = input.timezone;
+    }
+
+    if (input.quietHours) {
+      const { enabled, start, end } = input.quietHours;
+      if (enabled !== undefined) normalized['quietHours.enabled'] = Boolean(enabled);
+      [['start', start], ['end', end]].forEach(([key, value]) => {
+        if (value === undefined) return;
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(value))) {
+          throw new Error('Quiet hours must be in HH:mm format');
+        }
+        normalized[`quietHours.${key}`] = value;
+      });
+    }
+
+    DIGEST_CHANNELS.forEach(channel => {
+      const frequency = input.digest?.[channel];
+      if (frequency !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(frequency)) {
+          throw new Error(`Digest frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+        }
+        normalized[`digest.${channel}`] = frequency;
+      }
+
+      const limit = input.rateLimits?.[channel];
+      if (limit !== undefined) {
+        const perHour = parseInt(limit, 10);
+        if (!Number.isFinite(perHour) || perHour < 1 || perHour > 100) {
+          throw new Error('Rate limits must be between 1 and 100 messages per hour');
+        }
+        normalized[`rateLimits.${channel}`] = perHour;
+      }
+    });
+
+    return normalized;
+  }
+
+  // Flat view of the stored preferences for the notification settings screens
+  toFlatPreferences(user) {
+    const prefs = this.getPreferences(user);
+    return {
+      ...prefs.channels,
+      expiryReminders: prefs.types.expiry,
+      healthWarnings: prefs.types.healthWarnings,
+      recommendations: prefs.types.suggestions,
+      weeklySummary: prefs.types.summaries,
+      expiryReminderDays: prefs.expiryDays,
+      notificationTime: prefs.notificationTime,
+      timezone: prefs.timezone,
+      quietHours: prefs.quietHours,
+      digest: prefs.digest,
+      rateLimits: prefs.rateLimits
+    };
   }
 
   startScheduledJobs() {
-    // Check for expiring foods daily at 9 AM
-    cron.schedule('0 9 * * *', async () => {
-      console.log('Running daily expiry check...');
-      await this.checkExpiringFoods();
+    // Every minute, run the jobs of users who are due (their local notification
+    // time has come, or they have queued messages) and retry failed deliveries
+    // whose backoff has elapsed
+    cron.schedule('* * * * *', async () => {
+      await this.runScheduledNotifications();
+      await this.retryFailedDeliveries();
     });
 
-    // Send weekly summary on Sundays at 10 AM
-    cron.schedule('0 10 * * 0', async () => {
-      console.log('Sending weekly summaries...');
-      await this.sendWeeklySummaries();
+    // Nightly archival of old in-app notifications
+    cron.schedule('30 3 * * *', async () => {
+      await this.archiveOldNotifications();
     });
 
     // Check for health risks when new foods are added (handled in food routes)
     console.log('Notification scheduled jobs started');
   }
 
-  async checkExpiringFoods() {
+  async runScheduledNotifications(now = new Date()) {
+    if (this.scheduleRunning) return;
+    this.scheduleRunning = true;
+
     try {
       const User = require('../models/User');
-      const Food = require('../models/Food');
-
-      const users = await User.find({ 'notificationPreferences.expiryReminders': true });
+      const PendingNotification = require('../models/PendingNotification');
+      // Only users whose next daily run has come (unset for new accounts and
+      // changed schedules) or who have held back messages to release.
+      // Accounts waiting to be deleted get nothing more.
+      const queued = await PendingNotification.distinct('userId');
+      const users = await User.find({
+        isActive: true,
+        deletionScheduledFor: null,
+        $or: [
+          { 'notificationState.nextRunAt': null },
+          { 'notificationState.nextRunAt': { $lte: now } },
+          { _id: { $in: queued } }
+        ]
+      })
+        .select('name email emailVerified phone whatsapp channelAddresses pushSubscriptions notificationPreferences notificationState activeHousehold');
 
       for (const user of users) {
-        const expiryDays = user.notificationPreferences.expiryReminderDays || 3;
-        const checkDate = moment().add(expiryDays, 'days').startOf('day');
-
-        const expiringFoods = await Food.find({
-          userId: user._id,
-          expiryDate: {
-            $gte: new Date(),
-            $lte: checkDate.toDate()
-          }
-        });
-
-        if (expiringFoods.length > 0) {
-          const expiredFoods = expiringFoods.filter(food => moment(food.expiryDate).isBefore(moment()));
-          const soonToExpire = expiringFoods.filter(food => moment(food.expiryDate).isAfter(moment()));
-
-          if (expiredFoods.length > 0) {
-            await this.sendNotification(user, {
-              type: 'expiry_critical',
-              title: `⚠️ ${expiredFoods.length} Food Item(s) Expired`,
-              message: `You have ${expiredFoods.length} food item(s) that have already expired. Please check your inventory and dispose of expired items safely.`,
-              foodItems: expiredFoods.map(food => ({
-                name: food.name,
-                brand: food.brand,
-                expiryDate: food.expiryDate
-              })),
-              recommendations: [
-                'Check and dispose of expired items safely',
-                'Update your inventory to remove expired items',
-                'Consider meal planning to reduce food waste'
-              ]
-            });
-          }
-
-          if (soonToExpire.length > 0) {
-            await this.sendNotification(user, {
-              type: 'expiry_warning',
-              title: `📅 ${soonToExpire.length} Food Item(s) Expiring Soon`,
-              message: `You have ${soonToExpire.length} food item(s) expiring within ${expiryDays} days. Plan to use them soon to avoid waste.`,
-              foodItems: soonToExpire.map(food => ({
-                name: food.name,
-                brand: food.brand,
-                expiryDate: food.expiryDate
-              })),
-              recommendations: [
-                'Plan meals using these ingredients',
-                'Consider freezing items if possible',
-                'Share with friends or family if you cannot use them'
-              ]
-            });
-          }
+        try {
+          await this.runUserSchedule(user, now);
+        } catch (error) {
+          console.error(`Scheduled notifications failed for user ${user._id}:`, error);
         }
       }
     } catch (error) {
-      console.error('Expiry check failed:', error);
+      console.error('Scheduled notifications failed:', error);
+    } finally {
+      this.scheduleRunning = false;
     }
   }
 
-  async sendWeeklySummaries() {
+  // Run the daily expiry check and Sunday summary once per local day,
+  // as soon as the user's notificationTime has passed in their timezone,
+  // then release any queued messages that are due
+  async runUserSchedule(user, now = new Date()) {
+    const User = require('../models/User');
+    const preferences = this.getPreferences(user);
+    const local = this.getLocalTime(preferences.timezone, now);
+    const state = user.notificationState || {};
+    const updates = {};
+
+    if (local.time >= preferences.notificationTime) {
+      await this.runDailyJobs(user, preferences, local, state, updates, now);
+    }
+
+    Object.assign(updates, await this.flushPendingNotifications(user, preferences, local));
+    updates['notificationState.nextRunAt'] = this.getNextDailyRun(preferences, now);
+
+    await User.updateOne({ _id: user._id }, { $set: updates });
+  }
+
+  // When the user's notificationTime next comes round in their timezone:
+  // later today if it hasn't passed yet, otherwise tomorrow
+  getNextDailyRun(preferences, now = new Date()) {
+    const { timezone, notificationTime } = preferences;
+    const local = this.getLocalTime(timezone, now);
+    const [year, month, day] = local.date.split('-').map(Number);
+    const [hour, minute] = notificationTime.split(':').map(Number);
+    const target = Date.UTC(year, month - 1, day + (local.time < notificationTime ? 0 : 1), hour, minute);
+
+    // Start from the wall time read as UTC and correct by the zone's offset;
+    // a second pass settles the offset when a DST change falls in between
+    const offsetAt = (instant) => {
+      const at = this.getLocalTime(timezone, new Date(instant));
+      const [y, m, d] = at.date.split('-').map(Number);
+      const [h, mi] = at.time.split(':').map(Number);
+      return Date.UTC(y, m - 1, d, h, mi) - target;
+    };
+    let guess = target;
+    for (let pass = 0; pass < 2; pass++) guess -= offsetAt(guess);
+    // A time skipped by the clocks going forward runs just after the jump
+    const shortfall = offsetAt(guess);
+    if (shortfall < 0) guess -= shortfall;
+    return new Date(guess);
+  }
+
+  async runDailyJobs(user, preferences, local, state, updates, now) {
+    if (state.lastExpiryCheck !== local.date) {
+      if (preferences.types.expiry) {
+        await this.checkExpiringFoods(user, now);
+      }
+      updates['notificationState.lastExpiryCheck'] = local.date;
+    }
+
+    if (local.weekday === 0 && state.lastWeeklySummary !== local.date) {
+      if (preferences.types.summaries) {
+        await this.sendWeeklySummary(user);
+      }
+      updates['notificationState.lastWeeklySummary'] = local.date;
+    }
+  }
+
+  // Was this food already announced to the user on the given local day?
+  wasAnnouncedOn(food, userId, type, localDate, timezone) {
+    return (food.notificationsSent || []).some(entry =>
+      entry.type === type &&
+      (!entry.userId || String(entry.userId) === String(userId)) &&
+      this.getLocalTime(timezone, entry.sentAt).date === localDate
+    );
+  }
+
+  // Has the user been told about this food since it expired?
+  wasAnnouncedSince(food, userId, type, since) {
+    return (food.notificationsSent || []).some(entry =>
+      entry.type === type &&
+      (!entry.userId || String(entry.userId) === String(userId)) &&
+      entry.sentAt >= since
+    );
+  }
+
+  // Record successful deliveries on the foods so they aren't announced again today
+  async recordFoodNotifications(foods, userId, type, results, message) {
+    const Food = require('../models/Food');
+    const sentAt = new Date();
+    const entries = Object.entries(results || {})
+      .filter(([, result]) => result && result.success)
+      .map(([key]) => ({ type, channel: FOOD_CHANNEL_NAMES[key] || key, userId, sentAt, message }));
+
+    if (entries.length === 0 || foods.length === 0) return;
+
+    await Food.updateMany(
+      { _id: { $in: foods.map(f => f._id) } },
+      { $push: { notificationsSent: { $each: entries } } }
+    );
+  }
+
+  async checkExpiringFoods(user, now = new Date()) {
     try {
-      const User = require('../models/User');
       const Food = require('../models/Food');
+      const Household = require('../models/Household');
 
-      const users = await User.find({ 'notificationPreferences.weeklySummary': true });
+      const preferences = this.getPreferences(user);
+      const { expiryDays, timezone } = preferences;
+      const today = this.getLocalTime(timezone, now).date;
+      const checkDate = moment(now).add(expiryDays, 'days').endOf('day');
+      const { scope } = await Household.resolveForUser(user);
 
-      for (const user of users) {
-        const weekStart = moment().startOf('week');
-        const weekEnd = moment().endOf('week');
+      // Opened items go by their after-opening date when it comes first
+      const foods = await Food.find({
+        ...scope,
+        status: 'active',
+        effectiveExpiryDate: { $lte: checkDate.toDate() }
+      });
 
-        // Get foods added this week
-        const newFoods = await Food.find({
-          userId: user._id,
-          createdAt: { $gte: weekStart.toDate(), $lte: weekEnd.toDate() }
+      const due = foods.filter(food => !this.wasAnnouncedOn(food, user._id, 'expiry', today, timezone));
+      // Expired items are announced once; items about to expire once per day
+      const expiredFoods = due.filter(food =>
+        food.effectiveExpiryDate < now && !this.wasAnnouncedSince(food, user._id, 'expiry', food.effectiveExpiryDate)
+      );
+      const soonToExpire = due.filter(food => food.effectiveExpiryDate >= now);
+      this.emitExpiringFoods(user._id, [...expiredFoods, ...soonToExpire], now);
+
+      if (expiredFoods.length > 0) {
+        const message = `You have ${expiredFoods.length} food item(s) that have already expired. Please check your inventory and dispose of expired items safely.`;
+        const results = await this.sendNotification(user, {
+          type: 'expiry_critical',
+          title: `⚠️ ${expiredFoods.length} Food Item(s) Expired`,
+          message,
+          foodItems: expiredFoods.map(food => ({
+            name: food.name,
+            brand: food.brand,
+            expiryDate: food.effectiveExpiryDate
+          })),
+          recommendations: [
+            'Check and dispose of expired items safely',
+            'Update your inventory to remove expired items',
+            'Consider meal planning to reduce food waste'
+          ]
         });
+        await this.recordFoodNotifications(expiredFoods, user._id, 'expiry', results, message);
+      }
 
-        // Get foods expiring next week
-        const nextWeekStart = moment().add(1, 'week').startOf('week');
-        const nextWeekEnd = moment().add(1, 'week').endOf('week');
-        
-        const expiringNextWeek = await Food.find({
-          userId: user._id,
-          expiryDate: { $gte: nextWeekStart.toDate(), $lte: nextWeekEnd.toDate() }
+      if (soonToExpire.length > 0) {
+        const message = `You have ${soonToExpire.length} food item(s) expiring within ${expiryDays} days. Plan to use them soon to avoid waste.`;
+        const results = await this.sendNotification(user, {
+          type: 'expiry_warning',
+          title: `📅 ${soonToExpire.length} Food Item(s) Expiring Soon`,
+          message,
+          foodItems: soonToExpire.map(food => ({
+            name: food.name,
+            brand: food.brand,
+            expiryDate: food.effectiveExpiryDate
+          })),
+          recommendations: [
+            'Plan meals using these ingredients',
+            'Consider freezing items if possible',
+            'Share with friends or family if you cannot use them'
+          ]
         });
+        await this.recordFoodNotifications(soonToExpire, user._id, 'expiry', results, message);
+      }
+    } catch (error) {
+      console.error('Expiry check failed:', error);
+    }
+  }
+
+  // Immediate reminder for a newly added item that is already inside the user's window
+  async sendFoodExpiryReminder(user, food) {
+    const preferences = this.getPreferences(user);
+    const expiry = food.getEffectiveExpiry();
+    if (!expiry || !preferences.types.expiry) return null;
+
+    const now = new Date();
+    const daysUntilExpiry = Math.ceil((new Date(expiry) - now) / (1000 * 60 * 60 * 24));
+    if (daysUntilExpiry < 0 || daysUntilExpiry > preferences.expiryDays) return null;
+
+    const today = this.getLocalTime(preferences.timezone, now).date;
+    if (this.wasAnnouncedOn(food, user._id, 'expiry', today, preferences.timezone)) return null;
+
+    const message = `${food.name} ${food.brand ? `by ${food.brand}` : ''} ${food.openedAt ? 'should be used' : 'expires'} in ${daysUntilExpiry} day${daysUntilExpiry === 1 ? '' : 's'}. Plan to use it soon!`;
+    const results = await this.sendNotification(user, {
+      type: 'expiry_warning',
+      title: `⚠️ Food Expiring Soon: ${food.name}`,
+      message,
+      foodItems: [{
+        name: food.name,
+        brand: food.brand,
+        expiryDate: expiry
+      }],
+      recommendations: [
+        'Plan a meal using this ingredient',
+        'Consider freezing if possible',
+        'Share with friends or family'
+      ]
+    });
+    await this.recordFoodNotifications([food], user._id, 'expiry', results, message);
+    this.emitExpiringFoods(user._id, [food], now);
+    return results;
+  }
+
+  // Live 'food:expiring' event so open inventory views can highlight the items
+  emitExpiringFoods(userId, foods, now = new Date()) {
+    if (foods.length === 0) return;
+    const realtimeService = require('./realtimeService');
+    realtimeService.emitToUser(userId, realtimeService.FOOD_EVENTS.expiring, {
+      foods: foods.map(food => {
+        const expiry = food.getEffectiveExpiry();
+        return {
+          _id: String(food._id),
+          name: food.name,
+          expiryDate: expiry,
+          expired: expiry < now
+        };
+      }),
+      at: now
+    });
+  }
+
+  async sendWeeklySummary(user) {
+    try {
+      const Food = require('../models/Food');
+      const Household = require('../models/Household');
+
+      const { scope } = await Household.resolveForUser(user);
+      const weekStart = moment().startOf('week');
+      const weekEnd = moment().endOf('week');
+
+      // Get foods added this week
+      const newFoods = await Food.find({
+        ...scope,
+        createdAt: { $gte: weekStart.toDate(), $lte: weekEnd.toDate() }
+      });
+
+      // Get foods expiring next week
+      const nextWeekStart = moment().add(1, 'week').startOf('week');
+      const nextWeekEnd = moment().add(1, 'week').endOf('week');
+      
+      const expiringNextWeek = await Food.find({
+        ...scope,
+        effectiveExpiryDate: { $gte: nextWeekStart.toDate(), $lte: nextWeekEnd.toDate() }
+      });
 
-        // Get total inventory count
-        const totalFoods = await Food.countDocuments({ userId: user._id });
+      // Get total inventory count
+      const totalFoods = await Food.countDocuments(scope);
 
-        await this.sendNotification(user, {
-          type: 'weekly_summary',
-          title: '📊 Your Weekly SmartBite Summary',
-          message: `Here's your food inventory summary for this week:
-          
+      await this.sendNotification(user, {
+        type: 'weekly_summary',
+        title: '📊 Your Weekly SmartBite Summary',
+        message: `Here's your food inventory summary for this week:
+        
 • ${newFoods.length} new food items added
 • ${expiringNextWeek.length} items expiring next week
 • ${totalFoods} total items in your inventory
 
 Keep up the great work managing your food inventory!`,
-          foodItems: expiringNextWeek.length > 0 ? expiringNextWeek.slice(0, 5) : [],
-          recommendations: [
-            'Plan meals for next week using expiring items',
-            'Consider batch cooking to use multiple ingredients',
-            'Review your shopping list to avoid overbuying'
-          ]
-        });
-      }
+        foodItems: expiringNextWeek.length > 0 ? expiringNextWeek.slice(0, 5) : [],
+        recommendations: [
+          'Plan meals for next week using expiring items',
+          'Consider batch cooking to use multiple ingredients',
+          'Review your shopping list to avoid overbuying'
+        ]
+      });
     } catch (error) {
       console.error('Weekly summary failed:', error);
     }
@@ -413,6 +1065,8 @@ Keep up the great work managing your food inventory!`,
 
     await this.sendNotification(user, {
       type: 'health_risk',
+      // Harmful matches (e.g. a declared allergen) skip digests and quiet hours
+      priority: risks.overallRisk === 'harmful' ? 'urgent' : 'normal',
       title: `${emoji} Health ${severity}: ${food.name}`,
       message: `The food item "${food.name}" ${food.brand ? `by ${food.brand}` : ''} has been flagged with health risks based on your profile.`,
       foodItems: [{
@@ -426,12 +1080,15 @@ Keep up the great work managing your food inventory!`,
 
   async markNotificationAsRead(userId, notificationId) {
     try {
-      const User = require('../models/User');
-      
-      await User.updateOne(
-        { _id: userId, 'notifications._id': notificationId },
-        { $set: { 'notifications.$.read': true } }
+      const Notification = require('../models/Notification');
+
+      const result = await Notification.updateOne(
+        { _id: notificationId, userId },
+        { $set: { read: true, readAt: new Date() } }
       );
+      if (result.matchedCount === 0) {
+        return { success: false, error: 'Notification not found' };
+      }
 
       return { success: true };
     } catch (error) {
@@ -440,21 +1097,83 @@ Keep up the great work managing your food inventory!`,
     }
   }
 
-  async getUserNotifications(userId, limit = 20, skip = 0) {
+  // Newest-first page of a user's notifications.
+  // options: { limit, cursor, unreadOnly, type, from, to, archived }
+  async getUserNotifications(userId, options = {}) {
+    const Notification = require('../models/Notification');
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+    const filter = { userId, archived: Boolean(options.archived) };
+
+    if (options.unreadOnly) filter.read = false;
+    if (options.type) {
+      filter.type = { $in: String(options.type).split(',') };
+    }
+    if (options.from || options.to) {
+      filter.createdAt = {};
+      if (options.from) filter.createdAt.$gte = new Date(options.from);
+      if (options.to) filter.createdAt.$lte = new Date(options.to);
+    }
+
+    const query = { ...filter };
+    if (options.cursor) {
+      const after = Notification.decodeCursor(options.cursor);
+      if (!after) {
+        throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+      }
+      query.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after._id } }
+      ];
+    }
+
+    const page = await Notification.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = page.length > limit;
+    const notifications = hasMore ? page.slice(0, limit) : page;
+
+    return {
+      notifications,
+      hasMore,
+      nextCursor: hasMore ? Notification.encodeCursor(notifications[notifications.length - 1]) : null,
+      total: await Notification.countDocuments(filter)
+    };
+  }
+
+  // Archive read notifications after NOTIFICATION_ARCHIVE_DAYS (unread ones after 6x as long);
+  // archived entries are deleted by the TTL index after NOTIFICATION_RETENTION_DAYS
+  async archiveOldNotifications(now = new Date()) {
     try {
-      const User = require('../models/User');
-      
-      const user = await User.findById(userId)
-        .select('notifications')
-        .slice('notifications', [skip, limit]);
+      const Notification = require('../models/Notification');
+      const day = 24 * 60 * 60 * 1000;
+      const archiveDays = parseInt(process.env.NOTIFICATION_ARCHIVE_DAYS) || 30;
+      const retentionDays = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
 
-      return {
-        success: true,
-        notifications: user?.notifications || []
-      };
+      const result = await Notification.updateMany(
+        {
+          archived: false,
+          $or: [
+            { read: true, createdAt: { $lt: new Date(now - archiveDays * day) } },
+            { createdAt: { $lt: new Date(now - archiveDays * 6 * day) } }
+          ]
+        },
+        {
+          $set: {
+            archived: true,
+            archivedAt: now,
+            expiresAt: new Date(now.getTime() + retentionDays * day)
+          }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        console.log(`🗄️ Archived ${result.modifiedCount} old notifications`);
+      }
+      return result.modifiedCount;
     } catch (error) {
-      console.error('Get user notifications failed:', error);
-      return { success: false, error: error.message };
+      console.error('Notification archival failed:', error);
+      return 0;
     }
   }
 }
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const cron = require('node-cron');
+const Product = require('../models/Product');
+
+const TTL_DAYS = parseInt(process.env.PRODUCT_CACHE_TTL_DAYS) || 30;
+// Stale products refreshed by the nightly job, most scanned first
+const REFRESH_BATCH = parseInt(process.env.PRODUCT_REFRESH_BATCH) || 200;
+const SEED_BATCH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields kept at the top level of a product (and reported in provenance);
+// anything else a provider returns goes into details
+const CATALOG_FIELDS = ['name', 'brand', 'category', 'ingredients', 'allergens', 'nutrition', 'images'];
+
+// An accepted community correction replaces anything and is only replaced by
+// another one; a provider answer replaces provider, seed and user data and a
+// dump entry seed and user data; a user's entry only fills fields that are still empty
+const KIND_RANK = { user: 1, seed: 2, provider: 3, community: 4 };
+
+const isEmpty = (value) => {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '' || value === 'Unknown Product';
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.values(value).every(isEmpty);
+  return false;
+};
+
+class ProductCatalogService {
+  constructor() {
+    // Barcodes being refreshed in the background by this process
+    this.refreshing = new Set();
+    this.startScheduledJobs();
+  }
+
+  startScheduledJobs() {
+    // Refresh the most scanned products whose cache entry has gone stale
+    cron.schedule('45 4 * * *', async () => {
+      await this.refreshStale();
+    });
+  }
+
+  async find(barcode) {
+    return Product.findOne({ barcode });
+  }
+
+  isFresh(product, now = new Date()) {
+    return Boolean(product.checkedAt) && now - product.checkedAt < TTL_DAYS * DAY_MS;
+  }
+
+  // Copy a lookup's fields onto the product where the source ranks at least as
+  // high as the one that set them, recording where each came from (fieldSources
+  // names the provider of each field of a merged provider answer)
+  mergeFields(product, data, { source, kind, fieldSources = {} }, now = new Date()) {
+    const changed = [];
+    for (const field of CATALOG_FIELDS) {
+      if (isEmpty(data[field])) continue;
+      const current = product.provenance.get(field);
+      if (!isEmpty(product[field]) && (kind === 'user' || (current && KIND_RANK[kind] < KIND_RANK[current.kind]))) {
+        continue;
+      }
+      product.set(field, data[field]);
+      product.provenance.set(field, { source: fieldSources[field] || source, kind, updatedAt: now });
+      changed.push(field);
+    }
+
+    if (kind !== 'user') {
+      const details = { ...(product.details || {}) };
+      Object.entries(data).forEach(([key, value]) => {
+        if (!CATALOG_FIELDS.includes(key) && key !== 'barcode' && !isEmpty(value)) details[key] = value;
+      });
+      product.details = details;
+    }
+    return changed;
+  }
+
+  // Store the providers' answer (a successful barcodeService.lookupRemote)
+  async recordLookup(barcode, result, now = new Date()) {
+    const product = (await this.find(barcode)) || new Product({ barcode });
+    this.mergeFields(product, result.data, {
+      source: result.source,
+      kind: 'provider',
+      fieldSources: result.fieldSources
+    }, now);
+    product.source = result.source;
+    product.checkedAt = now;
+    await product.save();
+    return product;
+  }
+
+  // The providers had nothing (or were unreachable): keep what we have, but
+  // don't ask again until the entry goes stale
+  async recordMiss(barcode, now = new Date()) {
+    await Product.updateOne({ barcode }, { $set: { checkedAt: now } });
+  }
+
+  async recordHit(product, now = new Date()) {
+    await Product.updateOne({ _id: product._id }, { $inc: { lookupCount: 1 }, $set: { lastLookedUpAt: now } });
+  }
+
+  // An item a user added with a barcode: fills fields the catalog doesn't have yet
+  async recordConfirmed(food, now = new Date()) {
+    const barcodeService = require('./barcodeService');
+    const barcode = barcodeService.cleanBarcode(String(food.barcode || ''));
+    if (!barcodeService.isValidBarcode(barcode)) return null;
+
+    const product = (await this.find(barcode)) || new Product({ barcode });
+    this.mergeFields(product, {
+      name: food.name,
+      brand: food.brand,
+      category: food.category,
+      ingredients: Array.isArray(food.ingredients) ? food.ingredients.join(', ') : food.ingredients,
+      allergens: food.allergens
+    }, { source: 'user', kind: 'user' }, now);
+    product.confirmations += 1;
+    await product.save();
+    return product;
+  }
+
+  // An accepted correction (models/ProductCorrection.js); lookups keep answering
+  // with its fields whatever the providers say later
+  async recordCorrection(correction, now = new Date()) {
+    const product = (await this.find(correction.barcode)) || new Product({ barcode: correction.barcode });
+    const changes = correction.toObject().changes || {};
+    this.mergeFields(product, changes, { source: 'Community correction', kind: 'community' }, now);
+    await product.save();
+    return product;
+  }
+
+  // A product in the shape barcodeService.lookupBarcode answers with
+  toLookupResult(product, { cached = true, now = new Date() } = {}) {
+    const data = { ...(product.details || {}), barcode: product.barcode };
+    CATALOG_FIELDS.forEach(field => {
+      const value = field === 'images' ? product.images && product.images.toObject() : product[field];
+      if (!isEmpty(value)) data[field] = Array.isArray(value) ? [...value] : value;
+    });
+    return {
+      success: true,
+      source: product.source || (product.provenance.get('name') || {}).source || 'Product catalog',
+      data,
+      cache: {
+        cached,
+        checkedAt: product.checkedAt || null,
+        stale: !this.isFresh(product, now)
+      },
+      provenance: Object.fromEntries(
+        [...product.provenance.entries()].map(([field, origin]) => [field, { source: origin.source, kind: origin.kind, updatedAt: origin.updatedAt }])
+      )
+    };
+  }
+
+  // Look the barcode up again without making the caller wait; one refresh per
+  // barcode at a time. fetchRemote is barcodeService's provider walk.
+  refreshInBackground(barcode, fetchRemote) {
+    if (this.refreshing.has(barcode)) return;
+    this.refreshing.add(barcode);
+    setImmediate(async () => {
+      try {
+        await this.refresh(barcode, fetchRemote);
+      } catch (error) {
+        console.error(`Product refresh failed for ${barcode}:`, error.message);
+      } finally {
+        this.refreshing.delete(barcode);
+      }
+    });
+  }
+
+  async refresh(barcode, fetchRemote) {
+    const result = await fetchRemote(barcode);
+    if (result.success) return this.recordLookup(barcode, result);
+    await this.recordMiss(barcode);
+    return null;
+  }
+
+  async refreshStale(now = new Date()) {
+    const barcodeService = require('./barcodeService');
+    const products = await Product.find({
+      $or: [{ checkedAt: null }, { checkedAt: { $lt: new Date(now.getTime() - TTL_DAYS * DAY_MS) } }],
+      lookupCount: { $gt: 0 }
+    }).sort({ lookupCount: -1 }).limit(REFRESH_BATCH).select('barcode');
+
+    let refreshed = 0;
+    for (const { barcode } of products) {
+      try {
+        if (await this.refresh(barcode, code => barcodeService.lookupRemote(code))) refreshed++;
+      } catch (error) {
+        console.error(`Product refresh failed for ${barcode}:`, error.message);
+      }
+    }
+    return { checked: products.length, refreshed };
+  }
+
+  // A row of the tab separated Open Food Facts CSV export, in the shape of the
+  // product JSON (lists as arrays, per-100g values under nutriments)
+  fromCsvRow(row) {
+    const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    const nutriments = {};
+    Object.entries(row).forEach(([key, value]) => {
+      if (key.endsWith('_100g') && value !== '' && !isNaN(Number(value))) nutriments[key] = Number(value);
+    });
+    return {
+      ...row,
+      allergens_tags: list(row.allergens_tags || row.allergens),
+      labels_tags: list(row.labels_tags),
+      additives_tags: list(row.additives_tags),
+      nutriments
+    };
+  }
+
+  // Seed the catalog from an Open Food Facts dump (products JSONL or CSV,
+  // optionally gzipped). Barcodes already in the catalog are left alone, so
+  // live lookups and user entries are never overwritten by older dump data.
+  async seedFromDump(filePath, { limit = Infinity, country = null, dryRun = false, onProgress } = {}) {
+    const barcodeService = require('./barcodeService');
+    const format = /\.csv(\.gz)?$/i.test(filePath) ? 'csv' : 'jsonl';
+    let input = fs.createReadStream(filePath);
+    if (/\.gz$/i.test(filePath)) input = input.pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    const counts = { read: 0, valid: 0, inserted: 0, existing: 0, skipped: 0 };
+    const countryPattern = country ? new RegExp(country.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') : null;
+    let headers = null;
+    let batch = [];
+    const now = new Date();
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      if (!dryRun) {
+        const result = await Product.bulkWrite(batch.map(doc => ({
+          updateOne: { filter: { barcode: doc.barcode }, update: { $setOnInsert: doc }, upsert: true, timestamps: false }
+        })), { ordered: false });
+        counts.inserted += result.upsertedCount;
+        counts.existing += batch.length - result.upsertedCount;
+      }
+      batch = [];
+      if (onProgress) onProgress(counts);
+    };
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      if (format === 'csv' && !headers) {
+        headers = line.split('\t');
+        continue;
+      }
+      if (counts.valid >= limit) break;
+      counts.read++;
+
+      let row;
+      try {
+        row = format === 'csv'
+          ? this.fromCsvRow(Object.fromEntries(line.split('\t').map((value, index) => [headers[index], value])))
+          : JSON.parse(line);
+      } catch (error) {
+        counts.skipped++;
+        continue;
+      }
+
+      const barcode = barcodeService.cleanBarcode(String(row.code || ''));
+      const countries = row.countries_tags ? [].concat(row.countries_tags).join(',') : (row.countries || row.countries_en || '');
+      if (!barcodeService.isValidBarcode(barcode) || !(row.product_name || row.product_name_en) ||
+          (countryPattern && !countryPattern.test(countries))) {
+        counts.skipped++;
+        continue;
+      }
+
+      const data = await barcodeService.mapOpenFoodFactsProduct(row, barcode);
+      const product = new Product({ barcode });
+      this.mergeFields(product, data, { source: 'Open Food Facts dump', kind: 'seed' }, now);
+      product.source = 'Open Food Facts dump';
+      // checkedAt stays unset: the first scan refreshes it from the providers in the background
+      const { _id, ...doc } = product.toObject({ flattenMaps: true });
+      batch.push({ ...doc, createdAt: now, updatedAt: now });
+      counts.valid++;
+      if (batch.length >= SEED_BATCH) await flush();
+    }
+    await flush();
+    return counts;
+  }
+}
+
+const productCatalogService = new ProductCatalogService();
+productCatalogService.TTL_DAYS = TTL_DAYS;
+productCatalogService.CATALOG_FIELDS = CATALOG_FIELDS;
+
+module.exports = productCatalogService;
@@ -0,0 +1,216 @@
+const ProductCorrection = require('../models/ProductCorrection');
+const productCatalogService = require('./productCatalogService');
+
+// Score (up votes minus down votes) at which a pending correction is accepted,
+// and the negative score at which it is rejected
+const ACCEPT_SCORE = parseInt(process.env.CORRECTION_ACCEPT_SCORE) || 3;
+const REJECT_SCORE = parseInt(process.env.CORRECTION_REJECT_SCORE) || 3;
+
+const { CORRECTION_FIELDS } = ProductCorrection;
+// Fields behind health warnings for every user of the product: corrections
+// changing them are decided by a moderator, never by votes
+const MODERATED_FIELDS = ['allergens', 'nutrition'];
+
+class CorrectionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CorrectionError';
+    this.status = status;
+  }
+}
+
+const normalize = (value) => {
+  if (Array.isArray(value)) return value.map(item => String(item).trim().toLowerCase()).sort().join(',');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+};
+
+// User corrections to the shared product catalog, voting and moderation
+class ProductCorrectionService {
+  // Moderators (PRODUCT_MODERATOR_EMAILS) decide corrections without waiting for
+  // votes. The address must be verified: anyone can register an unused one.
+  isModerator(user) {
+    if (!user || !user.emailVerified) return false;
+    const emails = String(process.env.PRODUCT_MODERATOR_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    return Boolean(user.email) && emails.includes(user.email.toLowerCase());
+  }
+
+  cleanBarcode(barcode) {
+    const barcodeService = require('./barcodeService');
+    const clean = barcodeService.cleanBarcode(String(barcode || ''));
+    if (!barcodeService.isValidBarcode(clean)) throw new CorrectionError('Invalid barcode format.');
+    return clean;
+  }
+
+  needsModerator(correction) {
+    const changes = correction.toObject().changes || {};
+    return MODERATED_FIELDS.some(field => changes[field] !== undefined && changes[field] !== null);
+  }
+
+  // A correction as the API returns it: vote counts and the caller's own vote
+  // instead of the voters
+  serialize(correction, user) {
+    const { votes, ...rest } = correction.toJSON();
+    const own = user && votes.find(vote => String(vote.userId) === String(user._id));
+    return {
+      ...rest,
+      upVotes: votes.filter(vote => vote.value === 1).length,
+      downVotes: votes.filter(vote => vote.value === -1).length,
+      myVote: own ? own.value : 0,
+      mine: Boolean(user) && String(correction.userId) === String(user._id),
+      moderatorOnly: this.needsModerator(correction)
+    };
+  }
+
+  // Store the user's fix for a barcode. Only fields that differ from the catalog
+  // are kept; a user's pending correction for the barcode is replaced by the new one.
+  async submit(user, barcode, { changes = {}, note } = {}) {
+    const clean = this.cleanBarcode(barcode);
+    const product = await productCatalogService.find(clean);
+
+    const changed = {};
+    const previous = {};
+    CORRECTION_FIELDS.forEach(field => {
+      const value = changes[field];
+      if (value === undefined || value === null || normalize(value) === '') return;
+      const current = product ? product[field] : undefined;
+      const currentValue = current && typeof current.toObject === 'function' ? current.toObject() : current;
+      if (normalize(value) === normalize(currentValue)) return;
+      changed[field] = typeof value === 'string' ? value.trim() : value;
+      if (currentValue !== undefined) previous[field] = currentValue;
+    });
+    if (Object.keys(changed).length === 0) {
+      throw new CorrectionError('The correction does not change anything in the product catalog.');
+    }
+
+    let correction = await ProductCorrection.findOne({ barcode: clean, userId: user._id, status: 'pending' });
+    if (correction) {
+      correction.changes = changed;
+      correction.previous = previous;
+      correction.note = note;
+      // Votes were for the old changes
+      correction.votes = [];
+      correction.score = 0;
+    } else {
+      correction = new ProductCorrection({ barcode: clean, userId: user._id, changes: changed, previous, note });
+    }
+
+    if (this.isModerator(user)) {
+      await this.decide(correction, 'accepted', { decidedBy: 'moderator', reviewer: user });
+    } else {
+      await correction.save();
+    }
+    return correction;
+  }
+
+  async list(barcode, { status } = {}) {
+    const filter = { barcode: this.cleanBarcode(barcode) };
+    if (status) filter.status = status;
+    return ProductCorrection.find(filter).sort({ createdAt: -1 }).limit(50);
+  }
+
+  // Corrections waiting for a decision, the most agreed with first
+  async queue({ limit = 50 } = {}) {
+    return ProductCorrection.find({ status: 'pending' }).sort({ score: -1, createdAt: 1 }).limit(limit);
+  }
+
+  async findPending(id) {
+    const correction = await ProductCorrection.findById(id);
+    if (!correction) throw new CorrectionError('Correction not found.', 404);
+    if (correction.status !== 'pending') {
+      throw new CorrectionError(`This correction has already been ${correction.status}.`, 409);
+    }
+    return correction;
+  }
+
+  // value 1 agrees, -1 disagrees, 0 takes the user's vote back. Only verified
+  // accounts vote, so throwaway registrations can't push a correction through.
+  async vote(user, id, value) {
+    if (!user.emailVerified) {
+      throw new CorrectionError('Verify your email address before voting on corrections.', 403);
+    }
+    const correction = await this.findPending(id);
+    if (String(correction.userId) === String(user._id)) {
+      throw new CorrectionError('You cannot vote on your own correction.', 403);
+    }
+
+    correction.votes = correction.votes.filter(vote => String(vote.userId) !== String(user._id));
+    if (value !== 0) correction.votes.push({ userId: user._id, value });
+    correction.score = correction.votes.reduce((sum, vote) => sum + vote.value, 0);
+
+    // Votes on allergen and nutrition changes only order the moderators' queue
+    if (this.needsModerator(correction)) {
+      await correction.save();
+    } else if (correction.score >= ACCEPT_SCORE) {
+      await this.decide(correction, 'accepted', { decidedBy: 'votes' });
+    } else if (correction.score <= -REJECT_SCORE) {
+      await this.decide(correction, 'rejected', { decidedBy: 'votes' });
+    } else {
+      await correction.save();
+    }
+    return correction;
+  }
+
+  async review(user, id, { decision, note }) {
+    if (!this.isModerator(user)) throw new CorrectionError('Only moderators can review corrections.', 403);
+    const correction = await this.findPending(id);
+    await this.decide(correction, decision === 'accept' ? 'accepted' : 'rejected', {
+      decidedBy: 'moderator',
+      reviewer: user,
+      note
+    });
+    return correction;
+  }
+
+  async withdraw(user, id) {
+    const correction = await this.findPending(id);
+    if (String(correction.userId) !== String(user._id)) {
+      throw new CorrectionError('Only the author can withdraw a correction.', 403);
+    }
+    correction.status = 'withdrawn';
+    await correction.save();
+    return correction;
+  }
+
+  // Accepting writes the changes into the catalog as community data
+  async decide(correction, status, { decidedBy, reviewer, note } = {}, now = new Date()) {
+    correction.status = status;
+    correction.decidedBy = decidedBy;
+    correction.reviewedAt = now;
+    if (reviewer) correction.reviewedBy = reviewer._id;
+    if (note) correction.reviewNote = note;
+    if (status === 'accepted') await productCatalogService.recordCorrection(correction, now);
+    await correction.save();
+    return correction;
+  }
+
+  // Until their correction is decided, the author's own lookups of the barcode
+  // show it; others see the catalog as it is
+  async withOwnCorrection(result, barcode, user) {
+    const correction = await ProductCorrection.findOne({ barcode, userId: user._id, status: 'pending' });
+    if (!correction) return result;
+
+    const changes = correction.toObject().changes || {};
+    const ownFields = Object.fromEntries(CORRECTION_FIELDS
+      .filter(field => changes[field] !== undefined)
+      .map(field => [field, { source: 'Your correction', kind: 'user', updatedAt: correction.updatedAt }]));
+    const base = result.success ? result : { success: true, source: 'Your correction', data: { barcode }, provenance: {} };
+    return {
+      ...base,
+      data: { ...base.data, ...changes },
+      provenance: { ...(base.provenance || {}), ...ownFields },
+      pendingCorrection: { _id: correction._id, score: correction.score, fields: Object.keys(ownFields) }
+    };
+  }
+}
+
+const productCorrectionService = new ProductCorrectionService();
+productCorrectionService.CorrectionError = CorrectionError;
+productCorrectionService.ACCEPT_SCORE = ACCEPT_SCORE;
+productCorrectionService.REJECT_SCORE = REJECT_SCORE;
+productCorrectionService.MODERATED_FIELDS = MODERATED_FIELDS;
+
+module.exports = productCorrectionService;
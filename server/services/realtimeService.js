@@ -0,0 +1,105 @@
+// Typed Socket.IO events for inventory changes
+const FOOD_EVENTS = {
+  added: 'food:added',
+  updated: 'food:updated',
+  deleted: 'food:deleted',
+  expiring: 'food:expiring'
+};
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  attach(io) {
+    this.io = io;
+  }
+
+  userRoom(userId) {
+    return `user-${userId}`;
+  }
+
+  householdRoom(householdId) {
+    return `household-${householdId}`;
+  }
+
+  // Rooms a socket belongs to: always the user's own, plus the active household's
+  async roomsFor(user) {
+    const Household = require('../models/Household');
+    const { household } = await Household.resolveForUser(user);
+    const rooms = [this.userRoom(user._id)];
+    if (household) rooms.push(this.householdRoom(household._id));
+    return rooms;
+  }
+
+  async joinRooms(socket, user) {
+    const rooms = await this.roomsFor(user);
+    socket.join(rooms);
+    socket.data.rooms = rooms;
+  }
+
+  // Re-resolve household rooms for every connected socket of a user
+  // (after switching household, joining, leaving or being removed)
+  async syncRooms(userOrId) {
+    if (!this.io) return;
+    try {
+      const User = require('../models/User');
+      const user = userOrId && userOrId._id ? userOrId : await User.findById(userOrId);
+      if (!user) return;
+
+      const sockets = await this.io.in(this.userRoom(user._id)).fetchSockets();
+      if (sockets.length === 0) return;
+
+      const rooms = await this.roomsFor(user);
+      for (const socket of sockets) {
+        for (const room of socket.data.rooms || []) {
+          if (!rooms.includes(room)) socket.leave(room);
+        }
+        socket.join(rooms);
+        socket.data.rooms = rooms;
+      }
+    } catch (error) {
+      console.error('Realtime room sync failed:', error);
+    }
+  }
+
+  // Drop live connections opened with sessions that have since been revoked
+  async disconnectSessions(sessionIds, userId) {
+    if (!this.io) return;
+    const sockets = await this.io.in(this.userRoom(userId)).fetchSockets();
+    sockets
+      .filter(socket => sessionIds.includes(socket.data.sessionId))
+      .forEach(socket => socket.disconnect(true));
+  }
+
+  emitToUser(userId, event, payload) {
+    if (!this.io) return;
+    this.io.to(this.userRoom(userId)).emit(event, payload);
+  }
+
+  // Broadcast an inventory change to everyone who can see the item:
+  // the household for shared items, otherwise the owner's devices
+  emitFoodEvent(event, food, { actorId } = {}) {
+    if (!this.io) return;
+    try {
+      const room = food.householdId
+        ? this.householdRoom(food.householdId)
+        : this.userRoom(food.userId);
+
+      this.io.to(room).emit(event, {
+        foodId: String(food._id),
+        food: event === FOOD_EVENTS.deleted ? undefined : food,
+        householdId: food.householdId || null,
+        actorId: actorId ? String(actorId) : null,
+        at: new Date()
+      });
+    } catch (error) {
+      console.error('Realtime food event failed:', error);
+    }
+  }
+}
+
+const realtimeService = new RealtimeService();
+realtimeService.FOOD_EVENTS = FOOD_EVENTS;
+
+module.exports = realtimeService;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// A rotated refresh token presented again within this window is treated as a
+// race between tabs rather than theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// lastSeenAt is only written when it is older than this
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Short label for the session list, e.g. "Chrome on Windows"
+  describeDevice(userAgent = '') {
+    const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+    const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+    const browser = browsers.find(([needle]) => userAgent.includes(needle));
+    const system = systems.find(([needle]) => userAgent.includes(needle));
+    if (!browser && !system) return 'Unknown device';
+    return [browser && browser[1], system && `on ${system[1]}`].filter(Boolean).join(' ');
+  }
+
+  signAccessToken(userId, sessionId) {
+    return jwt.sign({ userId, sid: String(sessionId) }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  }
+
+  issueTokens(session, refreshToken) {
+    return {
+      token: this.signAccessToken(session.userId, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId: session._id
+    };
+  }
+
+  // Start a session for a successful sign-in; req supplies the device details
+  async createSession(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const userAgent = String(req.get('user-agent') || '').slice(0, 512);
+
+    const session = await Session.create({
+      userId: user._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      userAgent,
+      deviceName: this.describeDevice(userAgent),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return this.issueTokens(session, refreshToken);
+  }
+
+  // Exchange a refresh token for a new access/refresh pair (the old refresh token stops working)
+  async refresh(refreshToken, req) {
+    if (!refreshToken) {
+      throw new SessionError('Refresh token is required.', 400);
+    }
+
+    const hash = this.hashToken(refreshToken);
+    const now = new Date();
+    const nextToken = crypto.randomBytes(48).toString('hex');
+
+    // Rotate atomically so two requests can't both redeem the same token
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: this.hashToken(nextToken),
+          previousTokenHash: hash,
+          rotatedAt: now,
+          lastSeenAt: now,
+          ip: req.ip,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const rotated = await Session.findOne({ previousTokenHash: hash });
+      if (rotated && rotated.isActive(now)) {
+        if (rotated.rotatedAt && now - rotated.rotatedAt < ROTATION_GRACE_MS) {
+          throw new SessionError('Refresh token was already used.');
+        }
+        // An old token came back: someone else has a copy, so end the session
+        await this.revoke(rotated, 'token-reuse');
+      }
+      throw new SessionError('Session has expired. Please log in again.');
+    }
+
+    return this.issueTokens(session, nextToken);
+  }
+
+  // Load the session behind an access token; throws when it has been revoked
+  async validate(sessionId) {
+    const session = sessionId && await Session.findById(sessionId);
+    if (!session || !session.isActive()) {
+      throw new SessionError('Session has been revoked. Please log in again.');
+    }
+
+    if (Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+      Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+        .catch(error => console.error('Session last-seen update failed:', error));
+    }
+    return session;
+  }
+
+  async revoke(session, reason = 'revoked') {
+    if (session.revokedAt) return session;
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+    this.disconnect([session._id], session.userId);
+    return session;
+  }
+
+  // Revoke every active session of a user, optionally keeping one (the caller's)
+  async revokeAll(userId, { exceptId = null, reason = 'revoked-all' } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (exceptId) filter._id = { $ne: exceptId };
+
+    const sessions = await Session.find(filter).select('_id');
+    if (sessions.length === 0) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessions.map(s => s._id) } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    this.disconnect(sessions.map(s => s._id), userId);
+    return sessions.length;
+  }
+
+  async listSessions(userId) {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('deviceName userAgent ip lastSeenAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+  }
+
+  // Close realtime connections that belong to revoked sessions
+  disconnect(sessionIds, userId) {
+    const realtimeService = require('./realtimeService');
+    realtimeService.disconnectSessions(sessionIds.map(String), userId)
+      .catch(error => console.error('Disconnecting revoked sessions failed:', error));
+  }
+}
+
+const sessionService = new SessionService();
+sessionService.SessionError = SessionError;
+
+module.exports = sessionService;
@@ -0,0 +1,227 @@
+const Food = require('../models/Food');
+const StorageLocation = require('../models/StorageLocation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Created the first time an inventory's locations are listed
+const DEFAULT_LOCATIONS = [
+  { name: 'Fridge', kind: 'fridge' },
+  { name: 'Freezer', kind: 'freezer' },
+  { name: 'Pantry', kind: 'pantry' }
+];
+
+// Default shelf-life rules, in days by category ("other" for the rest):
+// freezing keeps an item at least FROZEN_DAYS from the day it goes in,
+// thawing leaves it THAWED_DAYS, and perishables taken out of the cold to a
+// pantry or shelf keep ROOM_TEMPERATURE_DAYS
+const FROZEN_DAYS = {
+  meat: 120, dairy: 90, bakery: 90, fruits: 240, vegetables: 240, frozen: 180, grains: 180, other: 90
+};
+const THAWED_DAYS = {
+  meat: 2, dairy: 3, bakery: 3, fruits: 2, vegetables: 2, frozen: 2, other: 3
+};
+const ROOM_TEMPERATURE_DAYS = {
+  meat: 0.25, dairy: 1, frozen: 0.25
+};
+
+const COLD_KINDS = ['fridge', 'freezer'];
+
+class StorageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Storage locations, item placement and the shelf-life changes that come with moving items
+class StorageService {
+  // Best guess of a location's kind from its name ("Garage freezer" -> freezer)
+  guessKind(name) {
+    const text = String(name || '').toLowerCase();
+    if (/freez/.test(text)) return 'freezer';
+    if (/fridge|refrigerator|chiller/.test(text)) return 'fridge';
+    if (/pantry|cupboard|cabinet/.test(text)) return 'pantry';
+    if (/shelf|counter|rack/.test(text)) return 'shelf';
+    return 'other';
+  }
+
+  // Locations of an inventory (scope as in req.foodScope); the defaults are added the first time
+  async listLocations(scope, userId) {
+    let locations = await StorageLocation.find(scope).sort({ sortOrder: 1, createdAt: 1 });
+    if (locations.length === 0) {
+      locations = await StorageLocation.insertMany(DEFAULT_LOCATIONS.map((location, index) => ({
+        ...location,
+        sortOrder: index,
+        userId,
+        householdId: scope.householdId || null
+      })));
+    }
+    return locations;
+  }
+
+  async findLocation(scope, name) {
+    return StorageLocation.findOne({ ...scope, name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') });
+  }
+
+  async createLocation(scope, userId, { name, kind, shelfLifeDays, sortOrder }) {
+    if (await this.findLocation(scope, name)) {
+      throw new StorageError(`There is already a location called "${name.trim()}".`, 409);
+    }
+    const count = await StorageLocation.countDocuments(scope);
+    return StorageLocation.create({
+      name,
+      kind: kind || this.guessKind(name),
+      shelfLifeDays,
+      sortOrder: sortOrder ?? count,
+      userId,
+      householdId: scope.householdId || null
+    });
+  }
+
+  // Renaming a location renames it on its items too
+  async updateLocation(scope, id, updates) {
+    const location = await StorageLocation.findOne({ _id: id, ...scope });
+    if (!location) throw new StorageError('Storage location not found.', 404);
+
+    if (updates.name && updates.name.trim().toLowerCase() !== location.name.toLowerCase()) {
+      const existing = await this.findLocation(scope, updates.name);
+      if (existing) throw new StorageError(`There is already a location called "${updates.name.trim()}".`, 409);
+    }
+    ['name', 'kind', 'shelfLifeDays', 'sortOrder'].forEach(field => {
+      if (updates[field] !== undefined) location.set(field, updates[field]);
+    });
+    await location.save();
+
+    if (updates.name) {
+      await Food.updateMany({ ...scope, locationId: location._id }, { $set: { storageLocation: location.name } });
+    }
+    return location;
+  }
+
+  // Items in a deleted location are left without one
+  async deleteLocation(scope, id) {
+    const location = await StorageLocation.findOneAndDelete({ _id: id, ...scope });
+    if (!location) throw new StorageError('Storage location not found.', 404);
+    const result = await Food.updateMany(
+      { ...scope, locationId: location._id },
+      { $set: { locationId: null, storageLocation: null } }
+    );
+    return { location, unassigned: result.modifiedCount || 0 };
+  }
+
+  // Location for a create/update body: locationId, or a name (storageLocation or the
+  // older "location" field) that is matched, or created when it's new
+  async resolveLocation(scope, userId, { locationId, storageLocation, location } = {}) {
+    if (locationId) {
+      const found = await StorageLocation.findOne({ _id: locationId, ...scope });
+      if (!found) throw new StorageError('Storage location not found.', 404);
+      return found;
+    }
+    const name = typeof storageLocation === 'string' && storageLocation.trim()
+      ? storageLocation
+      : typeof location === 'string' ? location : '';
+    if (!name.trim()) return null;
+    return (await this.findLocation(scope, name)) || this.createLocation(scope, userId, { name: name.trim() });
+  }
+
+  // Place a new item (or one being edited) without changing its dates
+  placeFood(food, location) {
+    food.locationId = location ? location._id : null;
+    food.storageLocation = location ? location.name : null;
+  }
+
+  kindOf(location, name) {
+    return location ? location.kind : this.guessKind(name);
+  }
+
+  daysFor(location, table, category) {
+    const custom = location && location.shelfLifeDays && location.shelfLifeDays.get(category);
+    if (typeof custom === 'number') return custom;
+    if (table[category] !== undefined) return table[category];
+    return table === ROOM_TEMPERATURE_DAYS ? null : table.other;
+  }
+
+  // The expiry change for moving an item between two kinds of storage.
+  // Returns { rule, expiryDate } or { rule: 'none' } when the expiry stays.
+  shelfLifeAdjustment(food, fromKind, toLocation, now = new Date()) {
+    if (!toLocation) return { rule: 'none' };
+    const toKind = toLocation.kind;
+    const category = food.category || 'other';
+    const expiry = food.expiryDate ? new Date(food.expiryDate) : null;
+    const inDays = (days) => new Date(now.getTime() + days * DAY_MS);
+    // Freezing or thawing doesn't make food that has already gone off safe again
+    const effective = typeof food.getEffectiveExpiry === 'function' ? food.getEffectiveExpiry() : expiry;
+    const expired = Boolean(effective) && new Date(effective) <= now;
+
+    if (expired && (toKind === 'freezer') !== (fromKind === 'freezer')) return { rule: 'none' };
+    if (toKind === 'freezer' && fromKind !== 'freezer') {
+      const frozenUntil = inDays(this.daysFor(toLocation, FROZEN_DAYS, category));
+      return { rule: 'freeze', expiryDate: expiry && expiry > frozenUntil ? expiry : frozenUntil };
+    }
+    if (fromKind === 'freezer' && toKind !== 'freezer') {
+      return { rule: 'thaw', expiryDate: inDays(this.daysFor(toLocation, THAWED_DAYS, category)) };
+    }
+    if (COLD_KINDS.includes(fromKind) && !COLD_KINDS.includes(toKind)) {
+      const days = this.daysFor(toLocation, ROOM_TEMPERATURE_DAYS, category);
+      if (days !== null && (!expiry || inDays(days) < expiry)) {
+        return { rule: 'room-temperature', expiryDate: inDays(days) };
+      }
+    }
+    return { rule: 'none' };
+  }
+
+  // Move an item to another location (or none), adjusting its expiry by the
+  // shelf-life rules unless adjustExpiry is false, and record the move
+  async moveFood(food, scope, { locationId, adjustExpiry = true, note, userId }) {
+    const to = locationId ? await StorageLocation.findOne({ _id: locationId, ...scope }) : null;
+    if (locationId && !to) throw new StorageError('Storage location not found.', 404);
+    if (String(food.locationId || '') === String(to ? to._id : '')) {
+      throw new StorageError(`This item is already ${to ? `in ${to.name}` : 'without a location'}.`);
+    }
+
+    const from = food.locationId ? await StorageLocation.findOne({ _id: food.locationId, ...scope }) : null;
+    const fromKind = this.kindOf(from, food.storageLocation);
+    const adjustment = adjustExpiry ? this.shelfLifeAdjustment(food, fromKind, to) : { rule: 'none' };
+    const expiryBefore = food.expiryDate;
+
+    food.locationHistory.push(this.historyEntry({
+      from: from || { _id: food.locationId, name: food.storageLocation },
+      to,
+      userId,
+      note,
+      rule: adjustment.rule,
+      expiryBefore,
+      expiryAfter: adjustment.expiryDate || expiryBefore
+    }));
+    if (adjustment.expiryDate) food.expiryDate = adjustment.expiryDate;
+    this.placeFood(food, to);
+    await food.save();
+
+    return { food, adjustment: { ...adjustment, expiryBefore, expiryAfter: food.expiryDate } };
+  }
+
+  // A locationHistory entry for a move from one location (or { _id, name }) to another
+  historyEntry({ from, to, userId, note, rule = 'none', expiryBefore, expiryAfter }) {
+    return {
+      fromLocationId: from && from._id ? from._id : null,
+      from: from && from.name ? from.name : '',
+      toLocationId: to ? to._id : null,
+      to: to ? to.name : '',
+      rule,
+      expiryBefore,
+      expiryAfter,
+      note,
+      movedBy: userId,
+      movedAt: new Date()
+    };
+  }
+}
+
+const storageService = new StorageService();
+storageService.StorageError = StorageError;
+storageService.DEFAULT_LOCATIONS = DEFAULT_LOCATIONS;
+
+module.exports = storageService;
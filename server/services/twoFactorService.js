@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'SmartBite AI';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+// How long the password step stays valid while the user finds their code
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = '';
+  for (const char of clean) bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// TOTP (RFC 6238) with authenticator-app defaults: SHA-1, 6 digits, 30 second steps
+class TwoFactorService {
+  // Secrets are encrypted at rest with AES-256-GCM
+  encryptionKey() {
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(String(key)).digest();
+  }
+
+  encrypt(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(stored) {
+    const [iv, tag, data] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  }
+
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  // otpauth:// URI that authenticator apps read from a QR code
+  provisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  // Returns the matched time step, or null. Steps at or before lastUsedStep are refused.
+  verifyCode(secret, code, { lastUsedStep = -1, now = Date.now() } = {}) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(candidate)) return null;
+
+    const current = this.currentStep(now);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (step <= lastUsedStep) continue;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  hashBackupCode(code) {
+    const User = require('../models/User');
+    return User.hashToken(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''));
+  }
+
+  // Fresh set of one-time backup codes; returns the raw codes (shown once) and their hashes
+  generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return {
+      codes,
+      hashes: codes.map(code => ({ hash: this.hashBackupCode(code) }))
+    };
+  }
+
+  // Start enrollment: store an encrypted pending secret and hand back what the app needs
+  async setup(user) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      throw new TwoFactorError('Two-factor authentication is already enabled.', 409);
+    }
+    const secret = this.generateSecret();
+    user.set('twoFactor.pendingSecret', this.encrypt(secret));
+    await user.save();
+
+    const otpauthUrl = this.provisioningUri(secret, user.email);
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Finish enrollment with a code from the new secret; returns the backup codes
+  async enable(user, code) {
+    const pending = user.twoFactor && user.twoFactor.pendingSecret;
+    if (!pending) {
+      throw new TwoFactorError('Start two-factor setup first.');
+    }
+    const secret = this.decrypt(pending);
+    const step = this.verifyCode(secret, code);
+    if (step === null) {
+      throw new TwoFactorError('Invalid authentication code.');
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: pending,
+      pendingSecret: undefined,
+      lastUsedStep: step,
+      backupCodes: hashes,
+      enabledAt: new Date()
+    };
+    await user.save();
+    return codes;
+  }
+
+  async disable(user) {
+    user.twoFactor = { enabled: false };
+    await user.save();
+  }
+
+  async regenerateBackupCodes(user) {
+    const { codes, hashes } = this.generateBackupCodes();
+    user.twoFactor.backupCodes = hashes;
+    await user.save();
+    return codes;
+  }
+
+  remainingBackupCodes(user) {
+    const codes = (user.twoFactor && user.twoFactor.backupCodes) || [];
+    return codes.filter(code => !code.usedAt).length;
+  }
+
+  // Check an authenticator code or, failing that, an unused backup code.
+  // Saves the user when something was consumed. Returns 'totp', 'backup-code' or null.
+  async verifyLogin(user, code) {
+    if (!user.twoFactor || !user.twoFactor.enabled) return null;
+
+    const step = this.verifyCode(this.decrypt(user.twoFactor.secret), code, {
+      lastUsedStep: user.twoFactor.lastUsedStep
+    });
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+      return 'totp';
+    }
+
+    const hash = this.hashBackupCode(code || '');
+    const backup = user.twoFactor.backupCodes.find(entry => entry.hash === hash && !entry.usedAt);
+    if (backup) {
+      backup.usedAt = new Date();
+      await user.save();
+      return 'backup-code';
+    }
+    return null;
+  }
+
+  // Short-lived token proving the password step passed; exchanged with a code for a session
+  createChallenge(user) {
+    return jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
+      expiresIn: CHALLENGE_TTL,
+      audience: CHALLENGE_AUDIENCE
+    });
+  }
+
+  // Returns the user id from a challenge token; throws when it is invalid or expired
+  readChallenge(challengeToken) {
+    try {
+      return jwt.verify(String(challengeToken || ''), process.env.JWT_SECRET, {
+        audience: CHALLENGE_AUDIENCE
+      }).userId;
+    } catch (error) {
+      throw new TwoFactorError('Your sign-in attempt has expired. Please log in again.', 401);
+    }
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+twoFactorService.TwoFactorError = TwoFactorError;
+
+module.exports = twoFactorService;
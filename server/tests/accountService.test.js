@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+
+const accountService = require('../services/accountService');
+const sessionService = require('../services/sessionService');
+const StockEvent = require('../models/StockEvent');
+
+// The service schedules its purge job when loaded; stop it so the run can end
+test.after(() => cron.getTasks().forEach(task => task.stop()));
+
+test('purgeAccount keeps household stock history, unlinked from the user', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  t.mock.method(accountService, 'cancelScheduledJobs', async () => {});
+  t.mock.method(accountService, 'leaveHouseholds', async () => {});
+  t.mock.method(sessionService, 'revokeAll', async () => {});
+  for (const name of ['User', 'Food', 'StockEvent', 'Notification', 'NotificationDelivery', 'PendingNotification',
+    'Session', 'AuditLog', 'BulkOperation', 'StorageLocation', 'ProductCorrection']) {
+    const model = mongoose.model(name);
+    t.mock.method(model, 'deleteMany', async () => ({}));
+    t.mock.method(model, 'deleteOne', async () => ({}));
+  }
+  const anonymize = t.mock.method(StockEvent.collection, 'updateMany', async () => ({}));
+
+  await accountService.purgeAccount(userId);
+
+  assert.deepEqual(StockEvent.deleteMany.mock.calls.map(call => call.arguments[0]), [{ userId, householdId: null }]);
+  assert.equal(anonymize.mock.callCount(), 1);
+  const [filter, update] = anonymize.mock.calls[0].arguments;
+  assert.equal(String(filter.userId), String(userId));
+  assert.deepEqual(filter.householdId, { $ne: null });
+  assert.deepEqual(update, { $set: { userId: null }, $unset: { note: '' } });
+});
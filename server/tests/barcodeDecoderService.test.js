@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const barcodeDecoderService = require('../services/barcodeDecoderService');
+
+test('photos beyond the waiting queue are turned away with a 503', async (t) => {
+  // Hold every worker slot and fill the queue without starting any workers
+  const release = [];
+  t.mock.method(barcodeDecoderService, 'runWorker', () => new Promise(resolve => release.push(resolve)));
+
+  const accepted = [];
+  let refused;
+  for (let i = 0; i < 50 && !refused; i++) {
+    const decoding = barcodeDecoderService.decodeImage(Buffer.alloc(0));
+    decoding.catch(error => { refused = error; });
+    accepted.push(decoding);
+    await new Promise(setImmediate);
+  }
+
+  assert.ok(refused instanceof barcodeDecoderService.BarcodeDecoderError);
+  assert.equal(refused.status, 503);
+  assert.equal(accepted.length, 1 + 10 + 1);
+
+  // The queued photos still get their turn once the running ones finish
+  while (release.length > 0 || barcodeDecoderService.waiting.length > 0) {
+    release.splice(0).forEach(resolve => resolve({ success: false }));
+    await new Promise(setImmediate);
+  }
+  const results = await Promise.allSettled(accepted);
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 11);
+  assert.equal(barcodeDecoderService.running, 0);
+});
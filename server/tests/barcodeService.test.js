@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const barcodeService = require('../services/barcodeService');
+
+// Dates in GS1 codes only have two-digit years, read relative to this day
+const NOW = new Date('2026-10-19T12:00:00');
+const GS = '\x1d';
+
+test('parseGS1 reads the bracketed form', () => {
+  const result = barcodeService.parseGS1('(01)09506000134352(17)261231(10)ABC123', NOW);
+  assert.equal(result.gtin, '09506000134352');
+  assert.deepEqual(result.fields, { barcode: '9506000134352', expiryDate: '2026-12-31', lotNumber: 'ABC123' });
+  assert.deepEqual(result.elements.map(element => element.ai), ['01', '17', '10']);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('parseGS1 reads element strings with a symbology prefix and GS separators', () => {
+  const result = barcodeService.parseGS1(`]C1010950600013435210ABC123${GS}17261231`, NOW);
+  assert.equal(result.gtin, '09506000134352');
+  assert.deepEqual(result.fields, { barcode: '9506000134352', lotNumber: 'ABC123', expiryDate: '2026-12-31' });
+});
+
+test('parseGS1 reads measures with their implied decimals', () => {
+  const result = barcodeService.parseGS1(']d20109506000134352172612313103000500', NOW);
+  const weight = result.elements.find(element => element.ai === '3103');
+  assert.equal(weight.name, 'Net weight (kg)');
+  assert.equal(weight.number, 0.5);
+});
+
+test('parseGS1 reads GS1 Digital Link URLs', () => {
+  const result = barcodeService.parseGS1('https://id.gs1.org/01/09506000134352/10/ABC123?17=261231', NOW);
+  assert.equal(result.gtin, '09506000134352');
+  assert.deepEqual(result.fields, { barcode: '9506000134352', lotNumber: 'ABC123', expiryDate: '2026-12-31' });
+});
+
+test('parseGS1 returns null for plain barcodes', () => {
+  assert.equal(barcodeService.parseGS1('4006381333931', NOW), null);
+  assert.equal(barcodeService.parseGS1('012345678905', NOW), null);
+});
+
+test('parseGS1 warns about values it cannot use', () => {
+  assert.deepEqual(barcodeService.parseGS1('(01)09501101530004', NOW).warnings,
+    ['(01) 09501101530004 is not a valid GTIN']);
+  assert.deepEqual(barcodeService.parseGS1('(17)271332', NOW).warnings,
+    ['(17) 271332 is not a valid date']);
+  assert.deepEqual(barcodeService.parseGS1('(99)x', NOW).warnings,
+    ['Unknown application identifier at "(99)x"']);
+});
+
+test('parseGS1Date places two-digit years within 49 years back and 50 ahead', () => {
+  assert.equal(barcodeService.parseGS1Date('261231', NOW), '2026-12-31');
+  assert.equal(barcodeService.parseGS1Date('991231', NOW), '1999-12-31');
+  assert.equal(barcodeService.parseGS1Date('750101', NOW), '2075-01-01');
+  assert.equal(barcodeService.parseGS1Date('770101', NOW), '1977-01-01');
+});
+
+test('parseGS1Date reads day 00 as the last day of the month', () => {
+  assert.equal(barcodeService.parseGS1Date('260200', NOW), '2026-02-28');
+  assert.equal(barcodeService.parseGS1Date('280200', NOW), '2028-02-29');
+  assert.equal(barcodeService.parseGS1Date('261100', NOW), '2026-11-30');
+});
+
+test('parseGS1Date rejects impossible dates', () => {
+  assert.equal(barcodeService.parseGS1Date('261301', NOW), null);
+  assert.equal(barcodeService.parseGS1Date('260230', NOW), null);
+  assert.equal(barcodeService.parseGS1Date('2612', NOW), null);
+});
+
+test('isValidGTIN checks the check digit', () => {
+  assert.equal(barcodeService.isValidGTIN('09506000134352'), true);
+  assert.equal(barcodeService.isValidGTIN('09501101530004'), false);
+});
+
+test('gtinToBarcode drops the padding down to the retail barcode', () => {
+  assert.equal(barcodeService.gtinToBarcode('09506000134352'), '9506000134352');
+  assert.equal(barcodeService.gtinToBarcode('00012345678905'), '012345678905');
+  assert.equal(barcodeService.gtinToBarcode('00000012345670'), '12345670');
+});
+
+test('barcodeFor gives the product barcode of a GS1 or plain code', () => {
+  assert.equal(barcodeService.barcodeFor('(01)09506000134352(10)ABC123'), '9506000134352');
+  assert.equal(barcodeService.barcodeFor('4006381333931'), '4006381333931');
+});
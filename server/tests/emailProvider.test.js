@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const EmailProvider = require('../services/channels/emailProvider');
+
+test('generateEmailHTML escapes the text it is given', () => {
+  const html = new EmailProvider().generateEmailHTML({
+    type: 'household_invite',
+    title: '🏠 <b>Mallory</b> invited you to "Home"',
+    message: '<a href="https://example.com">Claim your prize</a>',
+    foodItems: [{ name: '<img src=x>', brand: 'A&B' }],
+    recommendations: ['<script>alert(1)</script>'],
+    actionUrl: 'https://example.com/"><script>'
+  });
+
+  assert.ok(!/<(b|img|script)[\s>]|<a href="https:\/\/example\.com">/.test(html));
+  assert.match(html, /<title>🏠 &lt;b&gt;Mallory&lt;\/b&gt; invited you to &quot;Home&quot;<\/title>/);
+  assert.match(html, /&lt;a href=&quot;https:\/\/example\.com&quot;&gt;Claim your prize&lt;\/a&gt;/);
+  assert.match(html, /A&amp;B/);
+  assert.match(html, /href="https:\/\/example\.com\/&quot;&gt;&lt;script&gt;"/);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Household = require('../models/Household');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('pruneInvites keeps only pending invites that have not expired', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const household = new Household({ name: 'Home' });
+  [
+    ['open', 'pending', DAY_MS],
+    ['expired', 'pending', -DAY_MS],
+    ['revoked', 'revoked', DAY_MS],
+    ['accepted', 'accepted', DAY_MS],
+    ['declined', 'declined', DAY_MS]
+  ].forEach(([token, status, expiresIn]) => household.invites.push({
+    email: `${token}@example.com`,
+    token,
+    status,
+    expiresAt: new Date(now.getTime() + expiresIn)
+  }));
+
+  assert.equal(household.pruneInvites(now), 4);
+  assert.deepEqual(household.invites.map(invite => invite.token), ['open']);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const importService = require('../services/importService');
+
+const values = (result) => result.rows.map(row => row.values);
+
+test('parseCsv reads headers and rows', () => {
+  const result = importService.parseCsv('name,quantity\nMilk,2\nEggs,12\n');
+  assert.deepEqual(result.headers, ['name', 'quantity']);
+  assert.deepEqual(values(result), [{ name: 'Milk', quantity: '2' }, { name: 'Eggs', quantity: '12' }]);
+  assert.deepEqual(result.rows.map(row => row.row), [2, 3]);
+});
+
+test('parseCsv keeps delimiters, doubled quotes and line breaks inside quoted fields', () => {
+  const result = importService.parseCsv('name,notes\r\n"Cheese, aged","Says ""keep cold""\r\nopened"\r\nBread,\r\n');
+  assert.deepEqual(values(result), [
+    { name: 'Cheese, aged', notes: 'Says "keep cold"\r\nopened' },
+    { name: 'Bread', notes: '' }
+  ]);
+});
+
+test('parseCsv numbers rows by record, skipping blank lines', () => {
+  const result = importService.parseCsv('name,notes\n"Jam","two\nlines"\n\nHoney,\n');
+  assert.deepEqual(result.rows.map(row => [row.row, row.values.name]), [[2, 'Jam'], [4, 'Honey']]);
+});
+
+test('parseCsv takes the delimiter from the header line', () => {
+  assert.deepEqual(values(importService.parseCsv('name;quantity\nRice;1,5')), [{ name: 'Rice', quantity: '1,5' }]);
+  assert.deepEqual(values(importService.parseCsv('name\tquantity\nRice\t2')), [{ name: 'Rice', quantity: '2' }]);
+});
+
+test('parseCsv strips a byte order mark and pads short rows', () => {
+  const result = importService.parseCsv('\uFEFFname,quantity,unit\nOats,1');
+  assert.deepEqual(result.headers, ['name', 'quantity', 'unit']);
+  assert.deepEqual(values(result), [{ name: 'Oats', quantity: '1', unit: '' }]);
+});
+
+test('parseCsv rejects unclosed quotes and empty files', () => {
+  assert.throws(() => importService.parseCsv('name\n"Milk'), {
+    name: 'ImportError',
+    message: 'The CSV file has an unclosed quote.'
+  });
+  assert.throws(() => importService.parseCsv('\n\n'), importService.ImportError);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const inventoryService = require('../services/inventoryService');
+const Food = require('../models/Food');
+const StockEvent = require('../models/StockEvent');
+
+const storedFood = () => Food.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  name: 'Yogurt',
+  category: 'dairy',
+  quantity: { amount: 5, unit: 'pieces' },
+  expiryDate: new Date('2026-10-25'),
+  entryMethod: 'manual',
+  status: 'active'
+});
+
+test('recordMovement saves only over the quantity it started from', async (t) => {
+  const updateOne = t.mock.method(Food.collection, 'updateOne', async () => ({ matchedCount: 1, modifiedCount: 1 }));
+  const create = t.mock.method(StockEvent, 'create', async (event) => event);
+
+  const { food } = await inventoryService.recordMovement(storedFood(), { type: 'consume', amount: 2, userId: new mongoose.Types.ObjectId() });
+
+  const [where, update] = updateOne.mock.calls[0].arguments;
+  assert.equal(where['quantity.amount'], 5);
+  assert.equal(where.status, 'active');
+  assert.equal(update.$set['quantity.amount'], 3);
+  assert.equal(create.mock.calls[0].arguments[0].delta, -2);
+  assert.equal(food.$where, undefined);
+});
+
+test('recordMovement fails without a ledger entry when the item changed meanwhile', async (t) => {
+  // Another movement already saved a different quantity, so nothing matches
+  t.mock.method(Food.collection, 'updateOne', async () => ({ matchedCount: 0, modifiedCount: 0 }));
+  const create = t.mock.method(StockEvent, 'create', async (event) => event);
+
+  await assert.rejects(
+    inventoryService.recordMovement(storedFood(), { type: 'consume', amount: 2, userId: new mongoose.Types.ObjectId() }),
+    error => error instanceof inventoryService.InventoryError && error.status === 409
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+
+const notificationService = require('../services/notificationService');
+const User = require('../models/User');
+const PendingNotification = require('../models/PendingNotification');
+
+// The service schedules its jobs when loaded; stop them so the run can end
+test.after(() => cron.getTasks().forEach(task => task.stop()));
+
+test('the scheduler loads whether the email is verified', async (t) => {
+  process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+  t.after(() => delete process.env.REQUIRE_EMAIL_VERIFICATION);
+
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Asha',
+    email: 'asha@example.com',
+    emailVerified: true,
+    isActive: true
+  };
+  // Returns the stored user with only the selected fields, as MongoDB would
+  t.mock.method(User, 'find', () => ({
+    select: async (fields) => [User.hydrate(Object.fromEntries(
+      ['_id', ...fields.split(' ')].filter(field => field in stored).map(field => [field, stored[field]])
+    ))]
+  }));
+  t.mock.method(PendingNotification, 'distinct', async () => []);
+  const scheduled = [];
+  t.mock.method(notificationService, 'runUserSchedule', async (user) => { scheduled.push(user); });
+
+  await notificationService.runScheduledNotifications(new Date('2026-10-19T12:00:00Z'));
+
+  assert.equal(scheduled.length, 1);
+  assert.equal(notificationService.requiresVerification(scheduled[0], 'email'), false);
+  assert.equal(notificationService.requiresVerification(scheduled[0], 'sms'), false);
+});
+
+test('deliveries of one-time account links are not retried', async (t) => {
+  const provider = notificationService.getProvider('email');
+  const send = t.mock.method(provider, 'send', async () => ({ success: true }));
+
+  for (const type of ['email_verification', 'password_reset', 'account_locked']) {
+    const delivery = {
+      channel: 'email',
+      address: 'asha@example.com',
+      notification: { type, title: 'Reset your password', message: '(Not kept: the message contained a one-time account link.)' }
+    };
+    await assert.rejects(notificationService.retryDelivery(delivery), { status: 409 });
+  }
+  assert.equal(send.mock.callCount(), 0);
+
+  assert.doesNotThrow(() => notificationService.assertRetryable({ notification: { type: 'expiry_warning' } }));
+});
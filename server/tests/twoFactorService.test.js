@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const twoFactorService = require('../services/twoFactorService');
+
+// RFC 6238 appendix B: the SHA-1 key is the ASCII string "12345678901234567890"
+// (base32 below); the RFC's 8-digit codes are cut to the last 6 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('generateCode matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(twoFactorService.generateCode(RFC_SECRET, twoFactorService.currentStep(seconds * 1000)), code);
+  }
+});
+
+test('base32 secrets are read case- and space-insensitively', () => {
+  const step = twoFactorService.currentStep(59 * 1000);
+  const spaced = RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ');
+  assert.equal(twoFactorService.generateCode(spaced, step), '287082');
+});
+
+test('verifyCode accepts the current code and one step of drift either way', () => {
+  const now = 1111111111 * 1000;
+  const step = twoFactorService.currentStep(now);
+  assert.equal(twoFactorService.verifyCode(RFC_SECRET, '050471', { now }), step);
+  assert.equal(twoFactorService.verifyCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(twoFactorService.verifyCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(twoFactorService.verifyCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, step + 2), { now }), null);
+});
+
+test('verifyCode refuses codes of steps already used', () => {
+  const now = 1111111111 * 1000;
+  const step = twoFactorService.currentStep(now);
+  assert.equal(twoFactorService.verifyCode(RFC_SECRET, '050471', { now, lastUsedStep: step }), null);
+  assert.equal(twoFactorService.verifyCode(RFC_SECRET, '050471', { now, lastUsedStep: step - 1 }), step);
+});
+
+test('verifyCode ignores spaces and refuses anything but six digits', () => {
+  const now = 1111111111 * 1000;
+  assert.notEqual(twoFactorService.verifyCode(RFC_SECRET, '050 471', { now }), null);
+  for (const code of ['', '50471', '0504710', 'abcdef', null, undefined]) {
+    assert.equal(twoFactorService.verifyCode(RFC_SECRET, code, { now }), null);
+  }
+});
+
+test('generateSecret makes 160-bit base32 secrets', () => {
+  const secret = twoFactorService.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(secret, twoFactorService.generateSecret());
+  assert.match(twoFactorService.generateCode(secret, 1), /^\d{6}$/);
+});
+
+test('encrypted secrets decrypt and reject tampering', () => {
+  process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+  const stored = twoFactorService.encrypt(RFC_SECRET);
+  assert.notEqual(stored, twoFactorService.encrypt(RFC_SECRET));
+  assert.equal(twoFactorService.decrypt(stored), RFC_SECRET);
+
+  const [iv, tag, data] = stored.split('.');
+  const flipped = Buffer.from(data, 'base64');
+  flipped[0] ^= 1;
+  assert.throws(() => twoFactorService.decrypt([iv, tag, flipped.toString('base64')].join('.')));
+});
+
+test('provisioningUri describes the TOTP parameters', () => {
+  const uri = new URL(twoFactorService.provisioningUri(RFC_SECRET, 'user@example.com'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+  assert.match(decodeURIComponent(uri.pathname), /:user@example\.com$/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WebPushProvider = require('../services/channels/webPushProvider');
+const User = require('../models/User');
+
+test('isAllowedEndpoint accepts the browser push services only', () => {
+  for (const endpoint of [
+    'https://fcm.googleapis.com/fcm/send/abc',
+    'https://updates.push.services.mozilla.com/wpush/v2/abc',
+    'https://wns2-par02p.notify.windows.com/w/?token=abc',
+    'https://web.push.apple.com/abc'
+  ]) {
+    assert.equal(WebPushProvider.isAllowedEndpoint(endpoint), true, endpoint);
+  }
+  for (const endpoint of [
+    'http://fcm.googleapis.com/fcm/send/abc',
+    'https://fcm.googleapis.com:8443/fcm/send/abc',
+    'https://fcm.googleapis.com.example.com/abc',
+    'https://169.254.169.254/latest/meta-data',
+    'https://internal.example.com/fcm.googleapis.com',
+    'not a url'
+  ]) {
+    assert.equal(WebPushProvider.isAllowedEndpoint(endpoint), false, endpoint);
+  }
+});
+
+test('send drops stored subscriptions to other hosts without contacting them', async (t) => {
+  const updateMany = t.mock.method(User, 'updateMany', async () => ({}));
+  const provider = new WebPushProvider();
+  const encrypt = t.mock.method(provider, 'encrypt');
+
+  const result = await provider.send([{ endpoint: 'https://10.0.0.5/push', keys: {} }], { text: '{}' });
+
+  assert.equal(encrypt.mock.callCount(), 0);
+  assert.equal(result.success, false);
+  assert.equal(result.retryable, false);
+  assert.deepEqual(updateMany.mock.calls[0].arguments[1], { $pull: { pushSubscriptions: { endpoint: { $in: ['https://10.0.0.5/push'] } } } });
+});
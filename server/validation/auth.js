@@ -0,0 +1,163 @@
+const forms = require('./forms');
+
+const token = { type: 'string', required: true, maxLength: 200 };
+const password = { type: 'string', required: true, minLength: 6, maxLength: 128 };
+const code = { type: 'string', required: true, maxLength: 20, label: 'Authentication code' };
+const booleans = (...names) => Object.fromEntries(names.map(name => [name, { type: 'boolean' }]));
+const perChannel = (rule) => ({ email: rule, sms: rule, whatsapp: rule });
+
+module.exports = {
+  register: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      email: { type: 'email', required: true, maxLength: 254 },
+      password,
+      phone: forms.profile.phone,
+      whatsapp: forms.profile.whatsapp
+    }
+  },
+
+  login: {
+    body: {
+      email: { type: 'email', required: true, maxLength: 254 },
+      password: { type: 'string', required: true, maxLength: 128 }
+    }
+  },
+
+  loginTwoFactor: {
+    body: {
+      challengeToken: { type: 'string', required: true, maxLength: 1000 },
+      code
+    }
+  },
+
+  updateProfile: {
+    body: {
+      ...forms.profile,
+      notificationPreferences: { type: 'object' }
+    }
+  },
+
+  changePassword: {
+    body: {
+      currentPassword: { type: 'string', required: true, maxLength: 128 },
+      newPassword: { ...password, label: 'New password' }
+    }
+  },
+
+  forgotPassword: {
+    body: {
+      email: { type: 'email', required: true, maxLength: 254 }
+    }
+  },
+
+  resetPassword: {
+    body: {
+      token,
+      newPassword: { ...password, label: 'New password' }
+    }
+  },
+
+  tokenOnly: {
+    body: { token }
+  },
+
+  securityEvents: {
+    query: {
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+
+  enableTwoFactor: {
+    body: { code }
+  },
+
+  confirmTwoFactor: {
+    body: {
+      password: { type: 'string', required: true, maxLength: 128 },
+      code
+    }
+  },
+
+  refresh: {
+    body: {
+      refreshToken: { type: 'string', required: true, maxLength: 200 }
+    }
+  },
+
+  sessionId: {
+    params: {
+      sessionId: { type: 'objectId', required: true, label: 'Session id' }
+    }
+  },
+
+  revokeSessions: {
+    query: {
+      includeCurrent: { type: 'boolean' }
+    }
+  },
+
+  exportData: {
+    query: {
+      format: { type: 'string', enum: ['zip', 'json'] }
+    }
+  },
+
+  // The code is only needed when two-factor authentication is on
+  deleteAccount: {
+    body: {
+      password: { type: 'string', required: true, maxLength: 128 },
+      code: { ...code, required: false }
+    }
+  },
+
+  notificationPreferences: {
+    body: {
+      channels: {
+        type: 'object',
+        fields: booleans('email', 'sms', 'whatsapp', 'inApp', 'push', 'telegram', 'slack', 'webhook')
+      },
+      expiryDays: { type: 'integer', min: 1, max: 30 },
+      notificationTime: {
+        type: 'string',
+        pattern: forms.TIME_PATTERN,
+        message: 'Notification time must be in HH:mm format'
+      },
+      timezone: {
+        type: 'string',
+        maxLength: 64,
+        validate: (value) => {
+          const notificationService = require('../services/notificationService');
+          if (!notificationService.isValidTimezone(value)) throw new Error('Unknown timezone');
+        }
+      },
+      types: {
+        type: 'object',
+        fields: booleans('expiry', 'healthWarnings', 'suggestions', 'summaries')
+      },
+      quietHours: {
+        type: 'object',
+        fields: {
+          enabled: { type: 'boolean' },
+          start: { type: 'string', pattern: forms.TIME_PATTERN, message: 'Quiet hours start must be in HH:mm format' },
+          end: { type: 'string', pattern: forms.TIME_PATTERN, message: 'Quiet hours end must be in HH:mm format' }
+        }
+      },
+      digest: {
+        type: 'object',
+        fields: perChannel({ type: 'string', enum: ['off', 'daily', 'weekly'] })
+      },
+      rateLimits: {
+        type: 'object',
+        fields: perChannel({ type: 'integer', min: 1, max: 100 })
+      },
+      contactInfo: { type: 'object', fields: forms.contactInfo }
+    }
+  },
+
+  testNotification: {
+    body: {
+      type: { type: 'string', enum: ['sms', 'whatsapp', 'email'] }
+    }
+  }
+};
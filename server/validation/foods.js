@@ -0,0 +1,197 @@
+const forms = require('./forms');
+const { optional } = require('./index');
+const Food = require('../models/Food');
+const StockEvent = require('../models/StockEvent');
+const BulkOperation = require('../models/BulkOperation');
+const foodQueryService = require('../services/foodQueryService');
+
+const id = {
+  params: {
+    id: { type: 'objectId', required: true, label: 'Food id' }
+  }
+};
+
+const barcode = { type: 'string', maxLength: 64, pattern: '^[0-9A-Za-z-]+$', message: 'Barcode may only contain letters, digits and dashes' };
+// What a scanner reads: a barcode, a GS1 element string (FNC1 as the GS
+// character), the bracketed "(01)...(17)..." form or a GS1 Digital Link URL
+const scannedCode = {
+  type: 'string',
+  maxLength: 300,
+  pattern: '^[\\x1d\\x20-\\x7e]+$',
+  message: 'Barcode must be a barcode number or a GS1 code'
+};
+const movement = {
+  amount: { type: 'number', min: 0 },
+  unit: { type: 'string', maxLength: 20 },
+  note: { type: 'string', maxLength: 500 }
+};
+
+// GET /api/foods search and filters. Filters take one value or a comma separated
+// list (?category=dairy,meat); the values are checked by foodQueryService.
+const listFilters = {
+  q: { type: 'string', maxLength: 200, label: 'Search' },
+  category: { type: 'string', maxLength: 200 },
+  status: { type: 'string', maxLength: 100 },
+  expiryStatus: { type: 'string', maxLength: 100 },
+  location: { type: 'string', maxLength: 200 },
+  allergen: { type: 'string', maxLength: 200 },
+  risk: { type: 'string', maxLength: 50 },
+  lot: { type: 'string', maxLength: 200, label: 'Lot number' }
+};
+
+module.exports = {
+  id,
+
+  list: {
+    query: {
+      ...listFilters,
+      sort: { type: 'string', enum: Object.keys(foodQueryService.SORT_FIELDS) },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      limit: { type: 'integer', min: 1, max: 200 },
+      cursor: { type: 'string', maxLength: 500 }
+    }
+  },
+
+  create: {
+    body: {
+      ...forms.food,
+      unit: { type: 'string', maxLength: 20 },
+      // Set by the client when the dates came from a label photo
+      _fromOCR: { type: 'boolean' }
+    }
+  },
+
+  update: {
+    ...id,
+    body: {
+      ...optional(forms.food),
+      status: { type: 'string', enum: Food.schema.path('status').enumValues }
+    }
+  },
+
+  // File contents are posted as text; mapping is { field: column header }
+  importFoods: {
+    body: {
+      content: { type: 'string', required: true, maxLength: 5 * 1024 * 1024, label: 'File content' },
+      format: { type: 'string', enum: ['csv', 'json'] },
+      mapping: { type: 'object' },
+      dryRun: { type: 'boolean' },
+      duplicates: { type: 'string', enum: ['skip', 'import'] }
+    }
+  },
+
+  // The items are either ids or every item matching filter (the GET /api/foods filters).
+  // Options used depend on the action: status (+ reason, disposalMethod for wasted),
+  // category, addTags/removeTags or days
+  bulk: {
+    body: {
+      action: { type: 'string', required: true, enum: BulkOperation.BULK_ACTIONS },
+      ids: { type: 'array', minLength: 1, maxLength: 500, label: 'Items', items: { type: 'objectId', label: 'Item id' } },
+      filter: { type: 'object', fields: listFilters },
+      status: { type: 'string', enum: ['consumed', 'wasted'] },
+      reason: { type: 'string', enum: StockEvent.WASTE_REASONS },
+      disposalMethod: { type: 'string', enum: StockEvent.DISPOSAL_METHODS },
+      category: { type: 'string', maxLength: 50 },
+      addTags: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 30 } },
+      removeTags: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 30 } },
+      days: { type: 'integer', min: -365, max: 365 }
+    }
+  },
+
+  bulkUndo: {
+    params: {
+      operationId: { type: 'objectId', required: true, label: 'Operation id' }
+    }
+  },
+
+  open: {
+    ...id,
+    body: {
+      // Defaults to now
+      openedAt: { type: 'date', label: 'Opened date' },
+      // This product's rule; the category default applies otherwise
+      useWithinDays: { type: 'integer', min: 0, max: 365, label: 'Use within (days)' }
+    }
+  },
+
+  move: {
+    ...id,
+    body: {
+      locationId: { type: 'objectId', label: 'Storage location' },
+      adjustExpiry: { type: 'boolean' },
+      note: { type: 'string', maxLength: 500 }
+    }
+  },
+
+  movement: {
+    ...id,
+    body: movement
+  },
+
+  discard: {
+    ...id,
+    body: {
+      ...movement,
+      reason: { type: 'string', required: true, enum: StockEvent.WASTE_REASONS },
+      fraction: { type: 'number', min: 0, max: 1 },
+      disposalMethod: { type: 'string', enum: StockEvent.DISPOSAL_METHODS }
+    }
+  },
+
+  nutrition: {
+    query: {
+      name: { type: 'string', maxLength: 200 },
+      barcode
+    }
+  },
+
+  nutritionLookup: {
+    query: {
+      name: { type: 'string', maxLength: 200 },
+      barcode,
+      servingAmount: { type: 'number', min: 0 },
+      servingUnit: { type: 'string', maxLength: 20 }
+    }
+  },
+
+  barcode: {
+    params: {
+      barcode: { ...scannedCode, required: true }
+    },
+    query: {
+      // Ask the providers even when the product catalog has the barcode
+      refresh: { type: 'boolean' }
+    }
+  },
+
+  decodeBarcode: {
+    query: {
+      refresh: { type: 'boolean' }
+    }
+  },
+
+  analyzeHealthRisk: {
+    body: {
+      foodData: { type: 'object', required: true }
+    }
+  },
+
+  recipe: {
+    params: {
+      recipeId: { type: 'string', required: true, maxLength: 100, pattern: '^[\\w-]+$', message: 'Recipe id is invalid' }
+    }
+  },
+
+  searchProducts: {
+    query: {
+      query: { type: 'string', required: true, maxLength: 200, label: 'Search query' },
+      limit: { type: 'integer', min: 1, max: 50 }
+    }
+  },
+
+  expiring: {
+    params: {
+      days: { type: 'integer', required: true, min: 0, max: 365 }
+    }
+  }
+};
@@ -0,0 +1,123 @@
+const Food = require('../models/Food');
+const User = require('../models/User');
+
+// Form schemas shared with the client (served by GET /api/schemas), so AddFood and
+// Profile check input with the same rules and messages as the API.
+// Keep these JSON-serializable: no functions or RegExp objects.
+
+const enumOf = (model, path) => {
+  const schemaType = model.schema.path(path);
+  return (schemaType.caster || schemaType).enumValues;
+};
+
+const PHONE_PATTERN = '^\\+?[0-9 ()-]{6,20}$';
+const TIME_PATTERN = '^([01]\\d|2[0-3]):[0-5]\\d$';
+
+// AddFood (create and edit). Category and allergens may be display names;
+// the server maps them onto the stored values.
+const food = {
+  name: { type: 'string', required: true, maxLength: 200, label: 'Food name' },
+  brand: { type: 'string', maxLength: 100 },
+  store: { type: 'string', maxLength: 100 },
+  barcode: {
+    type: 'string',
+    maxLength: 64,
+    pattern: '^[0-9A-Za-z-]+$',
+    message: 'Barcode may only contain letters, digits and dashes'
+  },
+  lotNumber: { type: 'string', maxLength: 50, label: 'Lot number' },
+  category: { type: 'string', maxLength: 50 },
+  // { amount, unit }; older clients send a plain number with a top-level unit
+  quantity: {
+    type: ['object', 'number'],
+    fields: {
+      amount: { type: 'number', min: 0, label: 'Quantity' },
+      unit: { type: 'string', enum: enumOf(Food, 'quantity.unit'), label: 'Unit' }
+    }
+  },
+  quantityInput: { type: 'string', maxLength: 100, label: 'Quantity text' },
+  productUnits: { type: 'string', maxLength: 50 },
+  expiryDate: { type: 'date', required: true },
+  bestBeforeDate: { type: 'date', label: 'Best before date' },
+  manufacturedDate: { type: 'date' },
+  // Set by the Opened action; editable to correct the date or the product's rule
+  openedAt: { type: 'date', label: 'Opened date' },
+  useWithinDaysAfterOpening: { type: 'integer', min: 0, max: 365, label: 'Use within (days after opening)' },
+  shelfLife: {
+    type: 'object',
+    fields: {
+      value: { type: 'number', min: 0, label: 'Shelf life' },
+      unit: { type: 'string', enum: enumOf(Food, 'shelfLife.unit'), label: 'Shelf life unit' }
+    }
+  },
+  // A comma separated string or a list
+  ingredients: { type: ['string', 'array'], maxLength: 2000, items: { type: 'string', maxLength: 200 } },
+  allergens: { type: ['array', 'string'], maxLength: 500, items: { type: 'string', maxLength: 50 } },
+  // A storage location id, or a location name (storageLocation, or location from older clients)
+  locationId: { type: 'objectId', label: 'Storage location' },
+  location: { type: 'string', maxLength: 50 },
+  storageLocation: { type: 'string', maxLength: 50 },
+  notes: { type: 'string', maxLength: 1000 },
+  estimatedValue: { type: 'number', min: 0, max: 10000000 },
+  dateCalculationMode: { type: 'string', enum: ['direct', 'calculated'] },
+  tags: { type: 'array', maxLength: 20, items: { type: 'string', maxLength: 30 } },
+  nutrition: { type: 'object' }
+};
+
+const healthList = (label) => ({
+  type: 'array',
+  maxLength: 50,
+  label,
+  items: { type: 'string', maxLength: 100 }
+});
+
+// Profile: personal details and health profile
+const profile = {
+  name: { type: 'string', maxLength: 100 },
+  phone: { type: 'string', pattern: PHONE_PATTERN, message: 'Phone must be a phone number, e.g. +919876543210' },
+  whatsapp: { type: 'string', pattern: PHONE_PATTERN, message: 'WhatsApp must be a phone number, e.g. +919876543210' },
+  age: { type: 'integer', min: 0, max: 120 },
+  gender: { type: 'string', enum: enumOf(User, 'gender') },
+  weight: { type: 'number', min: 0, max: 500, label: 'Weight (kg)' },
+  height: { type: 'number', min: 0, max: 300, label: 'Height (cm)' },
+  diseases: healthList('Diseases'),
+  allergies: healthList('Allergies'),
+  symptoms: healthList('Symptoms'),
+  medications: healthList('Medications'),
+  dietaryPreferences: {
+    type: 'array',
+    items: { type: 'string', enum: enumOf(User, 'dietaryPreferences') }
+  }
+};
+
+// Profile: contact details used by the notification channels
+const contactInfo = {
+  email: { type: 'email' },
+  phone: profile.phone,
+  whatsapp: profile.whatsapp,
+  telegram: {
+    type: 'string',
+    pattern: '^(-?\\d+|@\\w{5,})$',
+    message: 'Telegram chat id must be numeric or an @channel name'
+  },
+  slack: {
+    type: 'string',
+    maxLength: 500,
+    pattern: '^https://hooks\\.slack\\.com/services/',
+    message: 'Slack webhook URL must start with https://hooks.slack.com/services/'
+  },
+  webhook: {
+    type: 'string',
+    maxLength: 500,
+    pattern: '^https?://',
+    message: 'Webhook URL must be a public http(s) address'
+  },
+  name: { type: 'string', maxLength: 100 }
+};
+
+module.exports = {
+  food,
+  profile,
+  contactInfo,
+  TIME_PATTERN
+};
@@ -0,0 +1,67 @@
+const Household = require('../models/Household');
+
+const householdId = { type: 'objectId', required: true, label: 'Household id' };
+const inviteToken = { type: 'string', required: true, maxLength: 200, label: 'Invite token' };
+
+module.exports = {
+  create: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100, label: 'Household name' },
+      moveInventory: { type: 'boolean' }
+    }
+  },
+
+  setActive: {
+    body: {
+      // null switches back to the personal inventory
+      householdId: { type: 'objectId', label: 'Household id' }
+    }
+  },
+
+  household: {
+    params: { id: householdId }
+  },
+
+  invite: {
+    params: { id: householdId },
+    body: {
+      email: { type: 'email', required: true, maxLength: 254 },
+      role: { type: 'string', enum: ['member', 'viewer'] }
+    }
+  },
+
+  inviteId: {
+    params: {
+      id: householdId,
+      inviteId: { type: 'objectId', required: true, label: 'Invite id' }
+    }
+  },
+
+  acceptInvite: {
+    params: { token: inviteToken },
+    body: {
+      moveInventory: { type: 'boolean' }
+    }
+  },
+
+  declineInvite: {
+    params: { token: inviteToken }
+  },
+
+  member: {
+    params: {
+      id: householdId,
+      userId: { type: 'objectId', required: true, label: 'Member id' }
+    }
+  },
+
+  memberRole: {
+    params: {
+      id: householdId,
+      userId: { type: 'objectId', required: true, label: 'Member id' }
+    },
+    body: {
+      role: { type: 'string', required: true, enum: Household.ROLES }
+    }
+  }
+};
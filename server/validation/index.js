@@ -0,0 +1,214 @@
+const { checkSchema, validationResult } = require('express-validator');
+
+// Request validation.
+//
+// Field rules are plain data so they can also be sent to the client (GET /api/schemas)
+// and checked there with the same messages (client/src/utils/validation.js mirrors
+// checkValue below). A rule looks like:
+//
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'email' | 'objectId'
+//           | 'array' | 'object' | 'any' (or an array of these),
+//     required, enum, min, max, minLength, maxLength, pattern, message, label,
+//     fields: { ...rules of an object's keys }, items: rule for each array entry }
+//
+// validate({ params, query, body }) compiles them into express-validator chains,
+// answers 400 with every field error, and strips body keys that have no rule.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LOCATIONS = ['params', 'query', 'body'];
+
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  date: 'a valid date',
+  email: 'a valid email address',
+  objectId: 'a valid id',
+  array: 'a list',
+  object: 'an object'
+};
+
+// Accepts YYYY-MM-DD, DD-MM-YYYY and full ISO timestamps
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  const dayFirst = /^(\d{2})-(\d{2})-(\d{4})$/.exec(text);
+  return new Date(dayFirst ? `${dayFirst[3]}-${dayFirst[2]}-${dayFirst[1]}` : text);
+};
+
+const isNumeric = (value) =>
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: isNumeric,
+  integer: (value) => isNumeric(value) && Number.isInteger(Number(value)),
+  boolean: (value) => typeof value === 'boolean' || value === 'true' || value === 'false',
+  date: (value) => (typeof value === 'string' || value instanceof Date) && !isNaN(parseDate(value).getTime()),
+  email: (value) => typeof value === 'string' && EMAIL_PATTERN.test(value.trim()),
+  objectId: (value) => typeof value === 'string' && /^[a-f\d]{24}$/i.test(value),
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  any: () => true
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// "expiryDate" -> "Expiry date"
+const humanize = (name) => {
+  const words = String(name).replace(/([a-z\d])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// The first problem with a value, or null when it satisfies the rule
+const checkValue = (rule, value, label) => {
+  if (isEmpty(value)) {
+    return rule.required ? `${label} is required` : null;
+  }
+
+  const types = [].concat(rule.type || 'any');
+  if (!types.some(type => TYPE_CHECKS[type](value))) {
+    return rule.message || `${label} must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`;
+  }
+
+  if (rule.enum && !Array.isArray(value) && !rule.enum.includes(value)) {
+    return `${label} must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  if ((types.includes('number') || types.includes('integer')) && isNumeric(value)) {
+    const number = Number(value);
+    if (rule.min !== undefined && number < rule.min) return `${label} must be at least ${rule.min}`;
+    if (rule.max !== undefined && number > rule.max) return `${label} must be at most ${rule.max}`;
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = Array.isArray(value) ? 'items' : 'characters';
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `${label} must have at least ${rule.minLength} ${unit}`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `${label} must have at most ${rule.maxLength} ${unit}`;
+    }
+  }
+
+  if (rule.pattern && typeof value === 'string' && !new RegExp(rule.pattern).test(value.trim())) {
+    return rule.message || `${label} has an invalid format`;
+  }
+
+  return null;
+};
+
+// "diseases[2].name" -> ['diseases', '2', 'name']
+const toPath = (path) => String(path).split(/\.|\[(\d+)\]/).filter(Boolean);
+
+const getIn = (data, segments) =>
+  segments.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+
+// Flatten nested rules into express-validator schema entries ("quantity.amount", "allergens.*")
+const compile = (rules, location, prefix, schema) => {
+  for (const [name, rule] of Object.entries(rules)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const label = rule.label || humanize(name);
+
+    schema[path] = {
+      in: [location],
+      // JSON bodies should carry real booleans; query strings keep 'true'/'false'
+      ...(location === 'body' && [].concat(rule.type).includes('boolean') && {
+        customSanitizer: { options: (value) => (value === 'true' || value === 'false' ? value === 'true' : value) }
+      }),
+      custom: {
+        options: (value, { req, path: actualPath }) => {
+          // Keys of an object that wasn't sent aren't required
+          if (prefix && value === undefined) {
+            const parent = getIn(req[location], toPath(actualPath).slice(0, -1));
+            if (isEmpty(parent)) return true;
+          }
+          const message = checkValue(rule, value, label);
+          if (message) throw new Error(message);
+          // Server-only checks that can't be expressed as data
+          if (rule.validate && !isEmpty(value)) rule.validate(value, { req });
+          return true;
+        }
+      }
+    };
+
+    if (rule.fields) compile(rule.fields, location, path, schema);
+    if (rule.items) {
+      compile({ '*': { label: `Each ${label.toLowerCase()} entry`, ...rule.items } }, location, path, schema);
+    }
+  }
+  return schema;
+};
+
+// Keep only the keys that have rules (recursively for objects and arrays of objects)
+const pick = (data, rules) => {
+  if (!TYPE_CHECKS.object(data)) return data;
+  const picked = {};
+  for (const [name, rule] of Object.entries(rules)) {
+    if (data[name] === undefined) continue;
+    const value = data[name];
+    if (rule.fields && TYPE_CHECKS.object(value)) {
+      picked[name] = pick(value, rule.fields);
+    } else if (rule.items && rule.items.fields && Array.isArray(value)) {
+      picked[name] = value.map(item => pick(item, rule.items.fields));
+    } else {
+      picked[name] = value;
+    }
+  }
+  return picked;
+};
+
+// The 400 payload every route uses for invalid input
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    message: errors.length ? errors[0].message : 'Validation error.',
+    errors
+  });
+
+const validate = (spec) => {
+  const schema = {};
+  LOCATIONS.forEach(location => {
+    if (spec[location]) compile(spec[location], location, '', schema);
+  });
+
+  return [
+    ...checkSchema(schema),
+    (req, res, next) => {
+      const result = validationResult(req);
+      if (!result.isEmpty()) {
+        return sendValidationErrors(res, result.array({ onlyFirstError: true }).map(error => ({
+          field: error.path,
+          location: error.location,
+          message: error.msg
+        })));
+      }
+      if (spec.body) req.body = pick(req.body, spec.body);
+      next();
+    }
+  ];
+};
+
+// Same payload for a Mongoose ValidationError raised while saving
+const sendMongooseValidationError = (res, error) =>
+  sendValidationErrors(res, Object.values(error.errors).map(err => ({
+    field: err.path,
+    location: 'body',
+    message: err.message
+  })));
+
+// Copy of a rule set with nothing required (partial updates)
+const optional = (rules) =>
+  Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name, { ...rule, required: false }]));
+
+module.exports = {
+  validate,
+  checkValue,
+  optional,
+  parseDate,
+  sendValidationErrors,
+  sendMongooseValidationError
+};
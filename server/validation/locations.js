@@ -0,0 +1,41 @@
+const Food = require('../models/Food');
+const StorageLocation = require('../models/StorageLocation');
+
+const locationId = { type: 'objectId', required: true, label: 'Location id' };
+
+// Per-category overrides of the shelf-life rules, in days
+const shelfLifeDays = {
+  type: 'object',
+  label: 'Shelf life',
+  fields: Object.fromEntries(
+    Food.schema.path('category').enumValues.map(category => [
+      category,
+      { type: 'number', min: 0, max: 3650, label: `Shelf life for ${category}` }
+    ])
+  )
+};
+
+const fields = {
+  name: { type: 'string', maxLength: 50, label: 'Location name' },
+  kind: { type: 'string', enum: StorageLocation.LOCATION_KINDS, label: 'Kind' },
+  shelfLifeDays,
+  sortOrder: { type: 'integer', min: 0, label: 'Sort order' }
+};
+
+module.exports = {
+  create: {
+    body: {
+      ...fields,
+      name: { ...fields.name, required: true }
+    }
+  },
+
+  update: {
+    params: { id: locationId },
+    body: fields
+  },
+
+  location: {
+    params: { id: locationId }
+  }
+};
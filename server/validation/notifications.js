@@ -0,0 +1,91 @@
+const NotificationDelivery = require('../models/NotificationDelivery');
+
+const notificationId = {
+  params: {
+    notificationId: { type: 'objectId', required: true, label: 'Notification id' }
+  }
+};
+
+module.exports = {
+  notificationId,
+
+  list: {
+    query: {
+      limit: { type: 'integer', min: 1, max: 100 },
+      cursor: { type: 'string', maxLength: 200 },
+      unreadOnly: { type: 'boolean' },
+      // Comma separated notification types
+      type: { type: 'string', maxLength: 200 },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      archived: { type: 'boolean' }
+    }
+  },
+
+  archive: {
+    ...notificationId,
+    body: {
+      archived: { type: 'boolean' }
+    }
+  },
+
+  // Flat ({ email, expiryReminders, ... }) or schema shaped; notificationService normalizes both
+  preferences: {
+    body: {
+      notificationPreferences: { type: 'object', required: true }
+    }
+  },
+
+  pushSubscribe: {
+    body: {
+      subscription: {
+        type: 'object',
+        required: true,
+        fields: {
+          endpoint: {
+            type: 'string',
+            required: true,
+            maxLength: 1000,
+            pattern: '^https://',
+            message: 'Push endpoint must be an https URL'
+          },
+          expirationTime: { type: 'any' },
+          keys: {
+            type: 'object',
+            required: true,
+            fields: {
+              p256dh: { type: 'string', required: true, maxLength: 200 },
+              auth: { type: 'string', required: true, maxLength: 200 }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  pushUnsubscribe: {
+    body: {
+      endpoint: { type: 'string', required: true, maxLength: 1000 }
+    }
+  },
+
+  test: {
+    body: {
+      type: { type: 'string', maxLength: 50 }
+    }
+  },
+
+  deliveries: {
+    query: {
+      status: { type: 'string', enum: NotificationDelivery.DELIVERY_STATUSES },
+      channel: { type: 'string', maxLength: 30 },
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+
+  deliveryId: {
+    params: {
+      deliveryId: { type: 'objectId', required: true, label: 'Delivery id' }
+    }
+  }
+};
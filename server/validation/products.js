@@ -0,0 +1,64 @@
+const ProductCorrection = require('../models/ProductCorrection');
+
+const barcode = {
+  type: 'string',
+  required: true,
+  maxLength: 64,
+  pattern: '^[0-9A-Za-z-]+$',
+  message: 'Barcode may only contain letters, digits and dashes'
+};
+const correctionId = { type: 'objectId', required: true, label: 'Correction id' };
+
+module.exports = {
+  corrections: {
+    params: { barcode },
+    query: {
+      status: { type: 'string', enum: ProductCorrection.CORRECTION_STATUSES }
+    }
+  },
+
+  submit: {
+    params: { barcode },
+    body: {
+      changes: {
+        type: 'object',
+        required: true,
+        fields: {
+          name: { type: 'string', maxLength: 200, label: 'Product name' },
+          brand: { type: 'string', maxLength: 100 },
+          category: { type: 'string', maxLength: 100 },
+          ingredients: { type: 'string', maxLength: 2000 },
+          allergens: { type: 'array', maxLength: 50, items: { type: 'string', maxLength: 50 } },
+          nutrition: { type: 'object' }
+        }
+      },
+      note: { type: 'string', maxLength: 500 }
+    }
+  },
+
+  queue: {
+    query: {
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+
+  vote: {
+    params: { id: correctionId },
+    body: {
+      // 1 agrees, -1 disagrees, 0 takes the vote back
+      value: { type: 'integer', required: true, enum: [1, -1, 0], label: 'Vote' }
+    }
+  },
+
+  review: {
+    params: { id: correctionId },
+    body: {
+      decision: { type: 'string', required: true, enum: ['accept', 'reject'] },
+      note: { type: 'string', maxLength: 500 }
+    }
+  },
+
+  correction: {
+    params: { id: correctionId }
+  }
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  wasteAnalysis: {
+    query: {
+      startDate: { type: 'date' },
+      endDate: { type: 'date' },
+      months: { type: 'integer', min: 1, max: 24 }
+    }
+  },
+
+  nutrition: {
+    query: {
+      enrich: { type: 'boolean' },
+      limit: { type: 'integer', min: 1, max: 200 },
+      persist: { type: 'boolean' }
+    }
+  },
+
+  exportCsv: {
+    query: {
+      type: { type: 'string', enum: ['foods'] }
+    }
+  }
+};